@@ -0,0 +1,113 @@
+/*
+ Compile a local copy of the Public Suffix List (public_suffix_list.dat) into
+ src/utils/pslData.js, the lookup trie used by getBaseDomain.
+
+ Usage: node scripts/build-psl.js [path/to/public_suffix_list.dat]
+ Download the list from https://publicsuffix.org/list/public_suffix_list.dat first.
+
+ Trie encoding (labels from the TLD inwards):
+   - a node is an object keyed by label; '*' is a wildcard rule, '!label' an exception rule
+   - a node's '$' key marks the path itself as a rule: 1 = ICANN section, 2 = private section
+   - a node that is only a rule (no children) is collapsed to its flag number
+*/
+
+const fs = require('fs');
+const path = require('path');
+const { domainToASCII } = require('url');
+
+const root = path.resolve(__dirname, '..');
+const input = path.resolve(process.argv[2] || path.join(root, 'public_suffix_list.dat'));
+const output = path.join(root, 'src', 'utils', 'pslData.js');
+
+const ICANN = 1;
+const PRIVATE = 2;
+
+function toAsciiRule(rule) {
+  const exception = rule.startsWith('!');
+  const labels = (exception ? rule.slice(1) : rule).split('.');
+  const ascii = labels.map((label) => {
+    if (label === '*') return label;
+    const converted = domainToASCII(label);
+    if (!converted) throw new Error(`Cannot convert label "${label}" in rule "${rule}"`);
+    return converted;
+  });
+  return (exception ? '!' : '') + ascii.join('.');
+}
+
+function parseList(text) {
+  const rules = [];
+  let section = 0;
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (line.includes('===BEGIN ICANN DOMAINS===')) { section = ICANN; continue; }
+    if (line.includes('===BEGIN PRIVATE DOMAINS===')) { section = PRIVATE; continue; }
+    if (line.includes('===END ')) { section = 0; continue; }
+    if (!line || line.startsWith('//') || !section) continue;
+    // Rules end at the first whitespace
+    rules.push({ rule: toAsciiRule(line.split(/\s/)[0].toLowerCase()), section });
+  }
+  return rules;
+}
+
+function buildTrie(rules) {
+  const rootNode = {};
+  for (const { rule, section } of rules) {
+    const exception = rule.startsWith('!');
+    const labels = (exception ? rule.slice(1) : rule).split('.').reverse();
+    if (exception) labels[labels.length - 1] = `!${labels[labels.length - 1]}`;
+    let node = rootNode;
+    for (const label of labels) {
+      node[label] = node[label] || {};
+      node = node[label];
+    }
+    node.$ = section;
+  }
+  return rootNode;
+}
+
+function collapse(node) {
+  const keys = Object.keys(node);
+  if (keys.length === 1 && keys[0] === '$') return node.$;
+  const out = {};
+  for (const key of keys) {
+    out[key] = key === '$' ? node.$ : collapse(node[key]);
+  }
+  return out;
+}
+
+(function main() {
+  if (!fs.existsSync(input)) {
+    console.error(`Public Suffix List not found at ${input}`);
+    console.error('Download https://publicsuffix.org/list/public_suffix_list.dat and pass its path.');
+    process.exit(1);
+  }
+  const rules = parseList(fs.readFileSync(input, 'utf8'));
+  if (!rules.length) {
+    console.error('No rules found. Is this a public_suffix_list.dat file?');
+    process.exit(1);
+  }
+  const trie = collapse(buildTrie(rules));
+  const json = JSON.stringify(trie);
+  const counts = rules.reduce((acc, r) => { acc[r.section] += 1; return acc; }, { [ICANN]: 0, [PRIVATE]: 0 });
+
+  const banner = [
+    '/**',
+    ' * src/utils/pslData.js',
+    ' * GENERATED by scripts/build-psl.js from the Public Suffix List (https://publicsuffix.org/).',
+    ' * Do not edit by hand; regenerate with `npm run build:psl -- path/to/public_suffix_list.dat`.',
+    ' * The list is subject to the Mozilla Public License, v. 2.0 (https://mozilla.org/MPL/2.0/).',
+    ' */',
+    ''
+  ].join('\n');
+  const body = [
+    `export const PSL_GENERATED_AT = '${new Date().toISOString().slice(0, 10)}';`,
+    `export const PSL_RULE_COUNTS = { icann: ${counts[ICANN]}, private: ${counts[PRIVATE]} };`,
+    '',
+    '// JSON.parse of a string literal is faster to load than the equivalent object literal',
+    `export const PSL_TRIE = JSON.parse('${json}');`,
+    ''
+  ].join('\n');
+
+  fs.writeFileSync(output, banner + body);
+  console.log(`Wrote ${rules.length} rules (${counts[ICANN]} ICANN, ${counts[PRIVATE]} private) to`, path.relative(root, output));
+})();
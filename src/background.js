@@ -6,30 +6,85 @@
  * - Handle RPC messages from popup/options
  * - Manage cookie operations (list, delete, import, export)
  * - Manage permission-on-demand flows
- * - Keep a small session op log in chrome.storage.session
+ * - Keep the operation log in IndexedDB (utils/opLogDb.js)
  *
  * Note: We import cookieUtils via importScripts so this file doesn't require bundling.
  */
 
 import {
-       cookieToUrl,
+       cookieToRemoveDetails,
+       cookieKey,
+       getPartitionSite,
+       formatPartitionSite,
+       topLevelSiteOf,
+       cookiesForTopLevelSite,
        validateSetCookieOptions,
-       getBaseDomain
+       getBaseDomain,
+       isProtectedCookie,
+       cookieToSetDetails
 } from './utils/cookieUtils.js';
+import { findMatchingRule, rulesNeedPartyContext } from './utils/rules.js';
+import { toCookieHeader } from './utils/cookieFormats.js';
+import { cappedExpiration } from './utils/lifetime.js';
+import { createBinEntry, pruneRecycleBin, isCookieExpired, selectBinCookies } from './utils/recycleBin.js';
+import {
+       normalizeImportedCookie,
+       isSameCookieSlot,
+       classifyImportEntry,
+       shouldWriteEntry,
+       describeSkip
+} from './utils/importPlan.js';
+import { createProfile, normalizeProfileName, assertUniqueProfileName, summarizeProfile, replaceCookies } from './utils/profiles.js';
+import { encryptExport, decryptExport } from './utils/exportCrypto.js';
+import { diffCookies, groupChangesByDomain } from './utils/cookieDiff.js';
+import { MONITOR_PORT, createMonitorEvent } from './utils/cookieMonitor.js';
+import { appendLog, queryLog, clearLog } from './utils/opLogDb.js';
+import {
+    TRACKER_SWEEP_PORT,
+    loadTrackerDatabase,
+    createTrackerClassifier,
+    isTrackingCategory,
+    summarizeTrackers
+} from './utils/trackerDb.js';
+import { getSettings, updateSettings, SETTINGS_KEY } from './utils/settings.js';
+import {
+    SCHEDULE_ALARM_PREFIX,
+    nextRunTime,
+    describeSchedule,
+    refreshFirstSeen,
+    needsFirstSeen,
+    applyCookieChanges,
+    scheduleMatches
+} from './utils/schedules.js';
 import {
     storageGet,
     storageSet,
+    storageLocalGet,
+    storageLocalSet,
     permissionsGetAll,
     permissionsContains,
     permissionsRequest,
     permissionsRemove,
     cookiesGetAll,
+    cookiesGetAllCookieStores,
+    contextualIdentitiesQuery,
     cookiesRemove,
-    cookiesSet
+    cookiesSet,
+    permissionsContainsApi,
+    tabsQuery,
+    alarmsGetAll,
+    alarmsClear,
+    notificationsCreate
 } from './utils/chrome.js';
 
-const OP_LOG_KEY = 'cookiecontrol:oplog';
-const SETTINGS_KEY = 'cookiecontrol:settings';
+const OPEN_SITES_KEY = 'cookiecontrol:open-sites';
+const AUTO_CLEANUP_ALARM_PREFIX = 'cookiecontrol:autocleanup:';
+const RECYCLE_BIN_KEY = 'cookiecontrol:recycle-bin';
+const PROFILES_KEY = 'cookiecontrol:profiles';
+const SNAPSHOTS_KEY = 'cookiecontrol:snapshots';
+const SCHEDULE_RUNS_KEY = 'cookiecontrol:schedule-runs';
+const FIRST_SEEN_KEY = 'cookiecontrol:cookie-first-seen';
+const MAX_SNAPSHOTS = 20;
 
 /* -------------------------
    Helper promise wrappers
@@ -57,13 +112,20 @@ const SETTINGS_KEY = 'cookiecontrol:settings';
    Operation log helpers
    ------------------------- */
 
+// Retention settings, read once and dropped when they change (see storage.onChanged):
+// batch deletes log once per cookie
+let opLogSettings = null;
+function getOpLogSettings() {
+       if (!opLogSettings) {
+              opLogSettings = getSettings().then((settings) => settings.opLog);
+              opLogSettings.catch(() => { opLogSettings = null; });
+       }
+       return opLogSettings;
+}
+
 async function pushLog(entry) {
        try {
-              const stored = await storageGet(OP_LOG_KEY);
-              const old = stored[OP_LOG_KEY] || [];
-              old.unshift({ ts: Date.now(), ...entry });
-              // keep only last 500 entries for lightweight storage
-              await storageSet({ [OP_LOG_KEY]: old.slice(0, 500) });
+              await appendLog(entry, await getOpLogSettings());
        } catch (e) {
               console.error('[CookieControl] pushLog error', e);
        }
@@ -73,15 +135,92 @@ async function pushLog(entry) {
    Cookie helpers
    ------------------------- */
 
+/**
+ * chrome.cookies.getAll including partitioned (CHIPS) cookies. Without a partitionKey
+ * filter getAll only returns unpartitioned cookies; `partitionKey: {}` asks for every
+ * partition. Browsers that predate partition support reject the key, so fall back to a
+ * plain query there.
+ */
+async function getAllIncludingPartitioned(filter) {
+       if (filter.partitionKey) return cookiesGetAll(filter);
+       try {
+              const list = await cookiesGetAll({ ...filter, partitionKey: {} });
+              if (Array.isArray(list)) return list;
+       } catch (_) {
+              // partitionKey not supported
+       }
+       return cookiesGetAll(filter);
+}
+
+/**
+ * chrome.cookies.getAll scoped to one cookie store, or merged across every store
+ * (default, incognito, containers) when storeId is omitted. A bare getAll only sees
+ * the default store. Partitioned cookies are included.
+ */
+async function queryCookies(filter = {}, storeId) {
+       if (storeId) return getAllIncludingPartitioned({ ...filter, storeId });
+       const stores = await cookiesGetAllCookieStores();
+       if (!stores.length) return getAllIncludingPartitioned(filter);
+       const lists = await Promise.all(stores.map((s) => getAllIncludingPartitioned({ ...filter, storeId: s.id })));
+       return lists.flat();
+}
+
+/**
+ * Cookie stores with display labels: container name and color on Firefox,
+ * "Private browsing" for incognito stores, "Default" otherwise.
+ * Containers without open tabs are included so their cookies stay reachable.
+ */
+async function listCookieStores() {
+       const [stores, identities, tabs] = await Promise.all([
+              cookiesGetAllCookieStores(),
+              contextualIdentitiesQuery(),
+              tabsQuery({})
+       ]);
+       const incognitoTabs = new Set(tabs.filter((t) => t.incognito).map((t) => t.id));
+       const identityById = new Map(identities.map((i) => [i.cookieStoreId, i]));
+       const ids = Array.from(new Set(stores.map((s) => s.id).concat(identities.map((i) => i.cookieStoreId))));
+
+       return ids.map((id) => {
+              const store = stores.find((s) => s.id === id) || { id, tabIds: [] };
+              const identity = identityById.get(id);
+              const tabIds = store.tabIds || [];
+              const incognito = typeof store.incognito === 'boolean'
+                     ? store.incognito
+                     : id === 'firefox-private' || tabIds.some((tabId) => incognitoTabs.has(tabId));
+              let label = 'Default';
+              if (identity) label = identity.name;
+              else if (incognito) label = 'Private browsing';
+              return {
+                     id,
+                     label,
+                     color: identity ? identity.colorCode || identity.color : null,
+                     incognito,
+                     tabCount: tabIds.length
+              };
+       });
+}
+
+/**
+ * Cookie store a tab belongs to (Firefox exposes it on the tab; Chromium lists tabIds per store).
+ */
+async function getTabStoreId(tab) {
+       if (!tab) return undefined;
+       if (tab.cookieStoreId) return tab.cookieStoreId;
+       const stores = await cookiesGetAllCookieStores();
+       const store = stores.find((s) => (s.tabIds || []).includes(tab.id));
+       return store ? store.id : undefined;
+}
+
 /**
  * Get all cookies whose domain equals or is a subdomain of the provided domain.
  * domain: 'example.com' or '.example.com'
+ * storeId: limit to one cookie store (default: every store)
  * returns array of cookie objects
  */
-async function getAllCookiesForSite(domain) {
+async function getAllCookiesForSite(domain, storeId) {
        const normalized = domain.startsWith('.') ? domain.slice(1) : domain;
        // Use Chrome's domain filter to avoid requiring <all_urls> for per-site fetches
-       const list = await cookiesGetAll({ domain: normalized });
+       const list = await queryCookies({ domain: normalized }, storeId);
         return list;
 }
 
@@ -91,115 +230,1112 @@ async function getAllCookiesForSite(domain) {
  * - include: domain === "mail.google.com" or ".mail.google.com" or "google.com" or ".google.com"
  * - exclude: domain === "accounts.google.com", etc.
  */
-async function getCookiesForHostAndBase(hostname, base) {
-       const allowedDomainSet = new Set([
-              hostname,
-              `.${hostname}`,
-              base,
-              base ? `.${base}` : null
-       ].filter(Boolean));
+async function getCookiesForHostAndBase(hostname, base, storeId) {
+       const allowedDomainSet = new Set([
+              hostname,
+              `.${hostname}`,
+              base,
+              base ? `.${base}` : null
+       ].filter(Boolean));
+
+       const hostList = await queryCookies({ domain: hostname }, storeId);
+       const baseList = base && base !== hostname ? await queryCookies({ domain: base }, storeId) : [];
+
+       const merged = hostList.concat(baseList).filter((c) => allowedDomainSet.has(c.domain));
+
+       // Deduplicate by name|domain|path|storeId|partition
+       const uniq = new Map();
+       for (const c of merged) {
+              if (!uniq.has(cookieKey(c))) uniq.set(cookieKey(c), c);
+       }
+       return Array.from(uniq.values());
+}
+
+/**
+ * Collect every cookie the extension may currently show: all cookies with <all_urls>,
+ * otherwise the cookies of the individually granted origins.
+ * storeId: limit to one cookie store (default: every store)
+ * Returns { cookies, limited }.
+ */
+async function getVisibleCookies(storeId) {
+       // With global host permission every cookie is visible
+       const allPattern = '<all_urls>';
+       const hasAll = await permissionsContains({ origins: [allPattern] });
+       if (hasAll) {
+              const allCookies = await queryCookies({}, storeId);
+              return { cookies: allCookies, limited: false };
+       }
+
+       // Fallback: aggregate cookies only for specifically granted origins
+       const perms = await permissionsGetAll();
+       const origins = (perms.origins || []).filter((o) => o && o !== allPattern);
+
+       if (!origins.length) {
+              return { cookies: [], limited: true };
+       }
+
+       // Derive domains to query from origin patterns
+       const domainsToQuery = new Set();
+       for (const origin of origins) {
+              try {
+                     // Skip non-http(s) schemes
+                     if (!origin.includes('://')) continue;
+                     const scheme = origin.split('://')[0];
+                     if (scheme !== 'http' && scheme !== 'https' && scheme !== '*') continue;
+
+                     const afterScheme = origin.slice(origin.indexOf('://') + 3);
+                     const hostPart = afterScheme.split('/')[0] || '';
+                     if (!hostPart) continue;
+
+                     // Remove wildcard prefix if present
+                     const hadWildcard = hostPart.startsWith('*.');
+                     const hostname = hadWildcard ? hostPart.slice(2) : hostPart;
+
+                     // Only accept plausible hostnames
+                     if (!/^[a-zA-Z0-9.-]+$/.test(hostname)) continue;
+
+                     // If wildcard permission was granted, query base domain to include subdomains
+                     if (hadWildcard) {
+                            domainsToQuery.add(hostname);
+                     } else {
+                            domainsToQuery.add(hostname);
+                     }
+              } catch (_) {
+                     // ignore malformed patterns
+              }
+       }
+
+       if (domainsToQuery.size === 0) {
+              return { cookies: [], limited: true };
+       }
+
+       // Query cookies for each allowed domain and merge
+       const results = [];
+       for (const domain of domainsToQuery) {
+              try {
+                     const list = await queryCookies({ domain }, storeId);
+                     if (Array.isArray(list) && list.length) results.push(...list);
+              } catch (e) {
+                     // ignore errors for specific domains
+              }
+       }
+
+       // Deduplicate by name|domain|path|storeId|partition
+       const uniq = new Map();
+       for (const c of results) {
+              if (!uniq.has(cookieKey(c))) uniq.set(cookieKey(c), c);
+       }
+
+       return { cookies: Array.from(uniq.values()), limited: true };
+}
+
+// Origin pattern covering a site (base domain) and all of its subdomains
+function siteAccessOrigin(base) {
+       return base.includes('.') ? `*://*.${base}/*` : `*://${base}/*`;
+}
+
+/**
+ * Whether every cookie of a site (base domain) may be read and deleted: <all_urls> or the
+ * site's wildcard origin must be granted.
+ */
+async function hasSiteAccess(base) {
+       const [hasAll, hasWildcard] = await Promise.all([
+              permissionsContains({ origins: ['<all_urls>'] }),
+              permissionsContains({ origins: [siteAccessOrigin(base)] })
+       ]);
+       return hasAll || hasWildcard;
+}
+
+/**
+ * Whether the cookies listed for a host (the host's and its base domain's) may be read: on the
+ * base domain (or www.) its own or the wildcard origin, on a subdomain the host and the base
+ * domain together or the wildcard origin.
+ */
+async function hasHostAccess(hostname, base) {
+       const wildcard = `*://*.${base}/*`;
+       const isBaseDomain = hostname === base || hostname === `www.${base}`;
+       const exact = isBaseDomain ? [`*://${base}/*`] : [`*://${hostname}/*`, `*://${base}/*`];
+       const [hasExact, hasWildcard] = await Promise.all([
+              permissionsContains({ origins: exact }),
+              permissionsContains({ origins: [wildcard] })
+       ]);
+       return hasExact || hasWildcard;
+}
+
+/**
+ * Load the protected-cookie allowlist from settings.
+ */
+async function getProtectedEntries() {
+       const settings = await getSettings();
+       return Array.isArray(settings.protectedCookies) ? settings.protectedCookies : [];
+}
+
+/**
+ * Remove a cookie via chrome.cookies.remove.
+ * Accepts a cookie object returned by chrome.cookies.getAll; partitioned cookies are
+ * removed from their own partition only.
+ * Returns true only when the browser removed it; cookies covered by the protected allowlist
+ * are never removed (returns false).
+ * Pass opts.protectedEntries to avoid re-reading settings in batch callers.
+ */
+async function removeCookie(cookie, opts = {}) {
+       try {
+              const entries = opts.protectedEntries || await getProtectedEntries();
+              if (isProtectedCookie(cookie, entries)) return false;
+              // null: the browser removed nothing, so there is nothing to log or restore
+              if (!await cookiesRemove(cookieToRemoveDetails(cookie))) return false;
+              await pushLog({ type: 'remove', cookie });
+              return true;
+       } catch (e) {
+              console.error('[CookieControl] removeCookie error', e);
+              return false;
+       }
+}
+
+/**
+ * Remove a list of cookies, skipping protected ones.
+ * When binOp ({ kind, label }) is given, the removed cookies are kept in the recycle bin
+ * as one operation.
+ * Returns { removed, protected, total, binId }.
+ */
+async function removeCookies(list, binOp) {
+       const entries = await getProtectedEntries();
+       const allowed = list.filter((c) => !isProtectedCookie(c, entries));
+       const results = await Promise.all(allowed.map((c) => removeCookie(c, { protectedEntries: entries })));
+       const removedCookies = allowed.filter((c, i) => results[i]);
+       const binId = binOp ? await recordDeletion(binOp.kind, binOp.label, removedCookies) : null;
+       return {
+              removed: removedCookies.length,
+              protected: list.length - allowed.length,
+              total: list.length,
+              binId
+       };
+}
+
+/**
+ * Delete all cookies for a top-level site (domain + subdomains), in one store or all of them.
+ * Returns { removed, protected, total, binId }.
+ */
+async function deleteAllForSite(domain, storeId, kind = 'site') {
+       const list = await getAllCookiesForSite(domain, storeId);
+       return removeCookies(list, { kind, label: domain });
+}
+
+/**
+ * Delete every cookie we can read in one CHIPS partition (cookies keyed to topLevelSite),
+ * in one store or all of them. Unpartitioned cookies are left alone.
+ * Returns { removed, protected, total }.
+ */
+async function deletePartition(topLevelSite, storeId) {
+       const all = await queryCookies({ partitionKey: { topLevelSite } }, storeId);
+       const list = all.filter((c) => getPartitionSite(c) === topLevelSite);
+       return removeCookies(list, { kind: 'partition', label: formatPartitionSite(topLevelSite) });
+}
+
+/* -------------------------
+   Remove trackers everywhere
+   ------------------------- */
+
+const TRACKER_SWEEP_BATCH = 25;
+
+async function getTrackerClassifier() {
+       const [{ trackers }, db] = await Promise.all([getSettings(), loadTrackerDatabase()]);
+       return createTrackerClassifier(db, trackers);
+}
+
+/**
+ * Tracking cookies (analytics, advertising, social) among every cookie the extension can
+ * currently see, minus protected ones.
+ * Returns { cookies, protected, limited, summary } (summary: see summarizeTrackers).
+ */
+async function findTrackers(storeId) {
+       const [{ cookies, limited }, classify, entries] = await Promise.all([
+              getVisibleCookies(storeId),
+              getTrackerClassifier(),
+              getProtectedEntries()
+       ]);
+       const trackers = cookies.filter((c) => isTrackingCategory(classify(c).category));
+       const removable = trackers.filter((c) => !isProtectedCookie(c, entries));
+       return {
+              cookies: removable,
+              protected: trackers.length - removable.length,
+              limited,
+              summary: summarizeTrackers(removable, classify)
+       };
+}
+
+/**
+ * Remove every tracking cookie found by findTrackers, in batches, reporting
+ * onProgress({ done, total }) after each one. Everything removed goes into one recycle bin entry.
+ * Returns { removed, failed, protected, domains, binId }.
+ */
+async function removeTrackers(storeId, onProgress) {
+       const found = await findTrackers(storeId);
+       const entries = await getProtectedEntries();
+       const list = found.cookies;
+       const removedCookies = [];
+       for (let i = 0; i < list.length; i += TRACKER_SWEEP_BATCH) {
+              const batch = list.slice(i, i + TRACKER_SWEEP_BATCH);
+              const results = await Promise.all(batch.map((c) => removeCookie(c, { protectedEntries: entries })));
+              batch.forEach((c, j) => { if (results[j]) removedCookies.push(c); });
+              onProgress({ done: Math.min(i + TRACKER_SWEEP_BATCH, list.length), total: list.length });
+       }
+       const domains = new Set(removedCookies.map((c) => getBaseDomain(c.domain))).size;
+       const binId = await recordDeletion('trackers', `${removedCookies.length} trackers on ${domains} domains`, removedCookies);
+       await pushLog({ type: 'remove_trackers', count: removedCookies.length, domains });
+       return {
+              removed: removedCookies.length,
+              failed: list.length - removedCookies.length,
+              protected: found.protected,
+              domains,
+              binId
+       };
+}
+
+// Progress of "remove trackers everywhere": the page posts REMOVE_TRACKERS and
+// receives TRACKER_SWEEP_PROGRESS messages, then TRACKER_SWEEP_DONE or TRACKER_SWEEP_ERROR
+chrome.runtime.onConnect.addListener((port) => {
+       if (port.name !== TRACKER_SWEEP_PORT) return;
+       let connected = true;
+       port.onDisconnect.addListener(() => { connected = false; });
+       const post = (msg) => { if (connected) port.postMessage(msg); };
+       port.onMessage.addListener(async (msg) => {
+              if (!msg || msg.type !== 'REMOVE_TRACKERS') return;
+              try {
+                     const result = await removeTrackers(msg.storeId, (progress) => post({ type: 'TRACKER_SWEEP_PROGRESS', ...progress }));
+                     post({ type: 'TRACKER_SWEEP_DONE', result });
+              } catch (e) {
+                     console.error('[CookieControl] remove trackers error', e);
+                     post({ type: 'TRACKER_SWEEP_ERROR', error: e.message || String(e) });
+              }
+       });
+});
+
+/* -------------------------
+   Recycle bin
+   ------------------------- */
+
+let recycleBinQueue = Promise.resolve();
+
+/**
+ * Serialized read-modify-write of the recycle bin (chrome.storage.local), pruned to the
+ * configured retention on every write. mutate(entries) returns the new array.
+ */
+function updateRecycleBin(mutate) {
+       const run = recycleBinQueue.then(async () => {
+              const [stored, { recycleBin }] = await Promise.all([storageLocalGet([RECYCLE_BIN_KEY]), getSettings()]);
+              const current = (stored && stored[RECYCLE_BIN_KEY]) || [];
+              const next = pruneRecycleBin(await mutate(current), recycleBin);
+              await storageLocalSet({ [RECYCLE_BIN_KEY]: next });
+              return next;
+       });
+       recycleBinQueue = run.catch((e) => console.error('[CookieControl] recycle bin update error', e));
+       return run;
+}
+
+/**
+ * Keep the cookies removed by one operation so they can be restored. Returns the entry id.
+ */
+async function recordDeletion(kind, label, cookies) {
+       if (!cookies.length) return null;
+       const entry = createBinEntry(kind, label, cookies);
+       try {
+              await updateRecycleBin((entries) => [entry, ...entries]);
+              return entry.id;
+       } catch (_) {
+              return null;
+       }
+}
+
+async function getRecycleBin() {
+       return updateRecycleBin((entries) => entries);
+}
+
+/**
+ * Restore a whole bin entry, or only the cookies whose cookieKey is listed in keys.
+ * Cookies that have expired since deletion are skipped and dropped from the bin;
+ * cookies that fail to set stay in the bin.
+ * Returns { restored, expired, failed }.
+ */
+async function restoreDeleted(entryId, keys) {
+       const stored = await storageLocalGet([RECYCLE_BIN_KEY]);
+       const entry = ((stored && stored[RECYCLE_BIN_KEY]) || []).find((e) => e.id === entryId);
+       if (!entry) throw new Error('not_found');
+
+       const { selected } = selectBinCookies(entry, keys);
+       const nowSeconds = Date.now() / 1000;
+       const done = [];
+       let restored = 0;
+       let expired = 0;
+       let failed = 0;
+       for (const cookie of selected) {
+              if (isCookieExpired(cookie, nowSeconds)) {
+                     expired++;
+                     done.push(cookie);
+                     continue;
+              }
+              try {
+                     await cookiesSet(cookieToSetDetails(cookie));
+                     restored++;
+                     done.push(cookie);
+              } catch (e) {
+                     console.warn('[CookieControl] restore failed', cookie, e);
+                     failed++;
+              }
+       }
+
+       const doneKeys = new Set(done.map(cookieKey));
+       await updateRecycleBin((entries) => entries.map((e) => (e.id === entryId
+              ? { ...e, cookies: e.cookies.filter((c) => !doneKeys.has(cookieKey(c))) }
+              : e)));
+       await pushLog({ type: 'restore', domain: entry.label, count: restored });
+       return { restored, expired, failed };
+}
+
+/* -------------------------
+   Cookie profiles (account switching)
+   ------------------------- */
+
+let profilesQueue = Promise.resolve();
+
+/**
+ * Serialized read-modify-write of the stored profiles (chrome.storage.local).
+ * mutate(profiles) may return a new array, or undefined to keep the array it modified in place.
+ */
+function updateProfiles(mutate) {
+       const run = profilesQueue.then(async () => {
+              const stored = await storageLocalGet([PROFILES_KEY]);
+              const current = (stored && stored[PROFILES_KEY]) || [];
+              const next = (await mutate(current)) || current;
+              await storageLocalSet({ [PROFILES_KEY]: next });
+              return next;
+       });
+       profilesQueue = run.catch(() => {});
+       return run;
+}
+
+async function getProfiles() {
+       const stored = await storageLocalGet([PROFILES_KEY]);
+       return (stored && stored[PROFILES_KEY]) || [];
+}
+
+function findProfile(profiles, id) {
+       const profile = profiles.find((p) => p.id === id);
+       if (!profile) throw new Error('profile_not_found');
+       return profile;
+}
+
+/**
+ * Store cookies on a profile, encrypted when a passphrase is given.
+ */
+async function sealProfileCookies(profile, cookies, passphrase) {
+       const sealed = { ...profile, cookieCount: cookies.length, updatedAt: Date.now() };
+       if (passphrase) {
+              sealed.encrypted = await encryptExport(JSON.stringify(cookies), passphrase);
+              sealed.cookies = null;
+       } else {
+              sealed.cookies = cookies;
+              sealed.encrypted = null;
+       }
+       return sealed;
+}
+
+/**
+ * Cookies saved in a profile. Encrypted profiles need the passphrase
+ * (errors carry err.code 'wrong_passphrase' / 'corrupt_data').
+ */
+async function openProfileCookies(profile, passphrase) {
+       if (!profile.encrypted) return profile.cookies || [];
+       const { plaintext } = await decryptExport(profile.encrypted, passphrase);
+       return JSON.parse(plaintext);
+}
+
+/**
+ * Save the current cookies of a site (host plus base domain) as a new named profile.
+ */
+async function saveProfile({ name, host, storeId, passphrase }) {
+       const site = getBaseDomain(host) || host;
+       const cookies = await getCookiesForHostAndBase(host, site, storeId);
+       let saved;
+       await updateProfiles(async (profiles) => {
+              const profile = createProfile({ name, host, site, storeId });
+              assertUniqueProfileName(profiles, site, profile.name);
+              saved = await sealProfileCookies(profile, cookies, passphrase);
+              return [...profiles, saved];
+       });
+       await pushLog({ type: 'profile_save', domain: site, count: cookies.length });
+       return summarizeProfile(saved);
+}
+
+/**
+ * Replace a profile's cookies with the site's current cookies. Encrypted profiles must be
+ * unlocked with their passphrase first, and stay encrypted under it.
+ */
+async function updateProfile(id, passphrase) {
+       let saved;
+       await updateProfiles(async (profiles) => {
+              const profile = findProfile(profiles, id);
+              if (profile.encrypted) await openProfileCookies(profile, passphrase);
+              const cookies = await getCookiesForHostAndBase(profile.host, profile.site, profile.storeId);
+              saved = await sealProfileCookies(profile, cookies, profile.encrypted ? passphrase : '');
+              return profiles.map((p) => (p.id === id ? saved : p));
+       });
+       await pushLog({ type: 'profile_update', domain: saved.site, count: saved.cookieCount });
+       return summarizeProfile(saved);
+}
+
+async function renameProfile(id, name) {
+       await updateProfiles((profiles) => {
+              const profile = findProfile(profiles, id);
+              const normalized = normalizeProfileName(name);
+              assertUniqueProfileName(profiles, profile.site, normalized, id);
+              profile.name = normalized;
+              profile.updatedAt = Date.now();
+       });
+}
+
+async function deleteProfile(id) {
+       await updateProfiles((profiles) => profiles.filter((p) => p.id !== id));
+}
+
+/**
+ * Replace a site's cookies with a profile's cookies, as one all-or-nothing step:
+ * if any write fails, the profile cookies written so far are removed and the previous
+ * cookies are put back. Protected cookies are left in place unless the profile has its own
+ * copy, and cookies that have expired since the profile was saved are skipped.
+ * Returns { removed, written }.
+ */
+async function switchProfile(id, { storeId, passphrase } = {}) {
+       const profile = findProfile(await getProfiles(), id);
+       const cookies = await openProfileCookies(profile, passphrase);
+       const targetStoreId = storeId || profile.storeId;
+
+       const previous = await getCookiesForHostAndBase(profile.host, profile.site, targetStoreId);
+       const entries = await getProtectedEntries();
+       const toRemove = previous.filter((c) => !isProtectedCookie(c, entries));
+       const toWrite = cookies.filter((c) => !isCookieExpired(c));
+       let written;
+       try {
+              written = await replaceCookies(toRemove, toWrite.map((c) => ({ ...c, storeId: targetStoreId })), {
+                     remove: (c) => cookiesRemove(cookieToRemoveDetails(c)),
+                     set: (c) => cookiesSet(cookieToSetDetails(c))
+              });
+       } catch (e) {
+              throw new Error(`Switching profiles failed and was rolled back: ${e.message}`);
+       }
+
+       await updateProfiles((profiles) => {
+              const stored = profiles.find((p) => p.id === id);
+              if (stored) stored.lastSwitchedAt = Date.now();
+       });
+       await pushLog({ type: 'profile_switch', domain: profile.site, count: written.length });
+       return { removed: toRemove.length, written: written.length };
+}
+
+/* -------------------------
+   Snapshots and diff
+   ------------------------- */
+
+async function getSnapshots() {
+       const stored = await storageLocalGet([SNAPSHOTS_KEY]);
+       return (stored && stored[SNAPSHOTS_KEY]) || [];
+}
+
+function summarizeSnapshot({ cookies, ...meta }) {
+       return { ...meta, cookieCount: cookies.length };
+}
+
+/**
+ * Cookies currently visible, either all of them or one site's (base domain and subdomains).
+ */
+async function getLiveCookies(site, storeId) {
+       if (site) return getAllCookiesForSite(site, storeId);
+       return (await getVisibleCookies(storeId)).cookies;
+}
+
+/**
+ * Save the current cookies (all visible, or one site's) as a named snapshot.
+ */
+async function takeSnapshot({ name, site, storeId }) {
+       const snapshots = await getSnapshots();
+       if (snapshots.length >= MAX_SNAPSHOTS) {
+              throw new Error(`Snapshot limit reached (${MAX_SNAPSHOTS}). Delete an old snapshot first.`);
+       }
+       const scope = site ? getBaseDomain(site) || site : '';
+       const now = Date.now();
+       const snapshot = {
+              id: `snap-${now.toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+              name: String(name || '').trim() || new Date(now).toLocaleString(),
+              ts: now,
+              site: scope,
+              storeId: storeId || null,
+              cookies: await getLiveCookies(scope, storeId)
+       };
+       await storageLocalSet({ [SNAPSHOTS_KEY]: [snapshot, ...snapshots] });
+       await pushLog({ type: 'snapshot', domain: scope || undefined, count: snapshot.cookies.length });
+       return summarizeSnapshot(snapshot);
+}
+
+/**
+ * Diff two sides, each { type: 'snapshot', id } | { type: 'live', storeId? } | { type: 'cookies', cookies }.
+ * When a snapshot side is limited to one site, the other side is limited to it as well,
+ * and a live side is read with the snapshot's store.
+ * Returns { counts, unchanged, groups } with changes grouped by base domain.
+ */
+async function diffSides(left, right, opts = {}) {
+       const snapshots = await getSnapshots();
+       const sides = [left, right];
+       const snapshotOf = (side) => {
+              const snapshot = snapshots.find((s) => s.id === side.id);
+              if (!snapshot) throw new Error('snapshot_not_found');
+              return snapshot;
+       };
+       const scoped = sides.filter((side) => side && side.type === 'snapshot').map(snapshotOf).find((s) => s.site);
+       const site = scoped ? scoped.site : '';
+       const storeId = scoped ? scoped.storeId : undefined;
+
+       const resolve = async (side) => {
+              if (!side) throw new Error('missing_side');
+              if (side.type === 'snapshot') return snapshotOf(side).cookies;
+              if (side.type === 'live') return getLiveCookies(site, side.storeId || storeId || undefined);
+              if (side.type === 'cookies' && Array.isArray(side.cookies)) {
+                     // Exported files may lack store ids (cookies.txt); compare them as default-store cookies
+                     const [defaultStore] = await cookiesGetAllCookieStores();
+                     const fallbackStoreId = side.storeId || storeId || (defaultStore && defaultStore.id);
+                     return side.cookies
+                            .filter((c) => c && c.name && c.domain)
+                            .map((c) => ({ ...normalizeImportedCookie(c), storeId: c.storeId || fallbackStoreId }));
+              }
+              throw new Error('invalid_side');
+       };
+       const inScope = (c) => !site || getBaseDomain(c.domain) === site;
+       const [before, after] = await Promise.all(sides.map(resolve));
+       const diff = diffCookies(before.filter(inScope), after.filter(inScope), opts);
+       return { counts: diff.counts, unchanged: diff.unchanged, site, groups: groupChangesByDomain(diff.changes) };
+}
+
+/* -------------------------
+   Import / Export
+   ------------------------- */
+
+/**
+ * Export all cookies in the browser as an array (full cookie objects, including storeId and partitionKey).
+ * storeId: limit to one cookie store (default: every store)
+ * This is local-only; consumer decides how to persist/download.
+ */
+async function exportAllCookies(storeId) {
+       const all = await queryCookies({}, storeId);
+       return all;
+}
+
+/**
+ * Existing browser cookie in the same slot (name/domain/path/partition, same store) as an
+ * incoming one. getAll results are cached per host/store/partition for the whole import.
+ */
+async function findExistingCookie(cookie, cache) {
+       const host = cookie.domain.replace(/^\./, '');
+       const partitionSite = getPartitionSite(cookie);
+       const cacheKey = `${host}|${cookie.storeId || ''}|${partitionSite}`;
+       if (!cache.has(cacheKey)) {
+              const filter = { domain: host };
+              if (cookie.storeId) filter.storeId = cookie.storeId;
+              if (partitionSite) filter.partitionKey = { topLevelSite: partitionSite };
+              cache.set(cacheKey, (await cookiesGetAll(filter)) || []);
+       }
+       return cache.get(cacheKey).find((c) => isSameCookieSlot(c, cookie)) || null;
+}
+
+/**
+ * Dry run of an import: classify every entry (see utils/importPlan.js) without writing anything.
+ * targetStoreId forces every cookie into one store; otherwise a cookie's own storeId is kept
+ * when that store exists here, and the default store is used for the rest.
+ * Returns [{ index, status, reason, cookie, existing }] where cookie is the normalized
+ * incoming cookie and existing the browser cookie it would replace.
+ */
+async function previewImport(cookieArray, targetStoreId) {
+       if (!Array.isArray(cookieArray)) throw new Error('Import expects an array');
+       const knownStores = new Set((await cookiesGetAllCookieStores()).map((s) => s.id));
+       const permissionCache = new Map();
+       const existingCache = new Map();
+       const nowSeconds = Date.now() / 1000;
+       const entries = [];
+
+       for (let index = 0; index < cookieArray.length; index++) {
+              const raw = cookieArray[index];
+              if (!raw || typeof raw !== 'object') {
+                     entries.push({ index, status: 'invalid', reason: 'Not a cookie object', cookie: null, existing: null });
+                     continue;
+              }
+              const cookie = normalizeImportedCookie(raw);
+              const storeId = targetStoreId || (knownStores.has(raw.storeId) ? raw.storeId : undefined);
+              if (storeId) cookie.storeId = storeId;
+              else delete cookie.storeId;
+
+              const host = cookie.domain.replace(/^\./, '');
+              let invalidReason = '';
+              if (!host) {
+                     invalidReason = 'Missing domain';
+              } else if (!/^[a-z0-9.-]+$/i.test(host)) {
+                     invalidReason = `Invalid domain: ${host}`;
+              } else {
+                     try {
+                            validateSetCookieOptions(cookieToSetDetails(cookie));
+                     } catch (e) {
+                            invalidReason = e.message;
+                     }
+              }
+
+              let hasPermission;
+              let existing = null;
+              if (!invalidReason) {
+                     if (!permissionCache.has(host)) {
+                            permissionCache.set(host, await permissionsContains({ origins: [`*://${host}/*`] }));
+                     }
+                     hasPermission = permissionCache.get(host);
+                     if (hasPermission) existing = await findExistingCookie(cookie, existingCache);
+              }
+              const status = classifyImportEntry(cookie, existing, { invalidReason, hasPermission, nowSeconds });
+              entries.push({ index, status, reason: invalidReason || undefined, cookie, existing });
+       }
+       return entries;
+}
+
+/**
+ * Import cookies from an array of cookie objects (parsed from JSON or cookies.txt by the UI).
+ * Entries are classified as in previewImport and written according to policies
+ * ({ status: 'overwrite' | 'skip' | 'newer' }, defaults per utils/importPlan.js).
+ * Host-only vs domain cookies, stores and partitions are preserved.
+ * Returns { imported, skipped, failed, report } with one report row per entry.
+ */
+async function importCookies(cookieArray, targetStoreId, policies) {
+       const entries = await previewImport(cookieArray, targetStoreId);
+       const report = [];
+       let imported = 0;
+       let skipped = 0;
+       let failed = 0;
+
+       for (const entry of entries) {
+              const c = entry.cookie || {};
+              const row = { index: entry.index, name: c.name, domain: c.domain, path: c.path, status: entry.status };
+              if (!shouldWriteEntry(entry, policies)) {
+                     skipped++;
+                     report.push({ ...row, outcome: 'skipped', detail: describeSkip(entry, policies) });
+                     continue;
+              }
+              try {
+                     await cookiesSet(cookieToSetDetails(entry.cookie));
+                     imported++;
+                     report.push({ ...row, outcome: 'imported' });
+              } catch (e) {
+                     // Keep importing others even if one fails
+                     failed++;
+                     report.push({ ...row, outcome: 'failed', detail: e && e.message ? e.message : String(e) });
+              }
+       }
+       await pushLog({ type: 'import', count: imported });
+       return { imported, skipped, failed, report };
+}
+
+/* -------------------------
+   Automatic cleanup (last tab of a site closed)
+   ------------------------- */
+
+/**
+ * Base domains of all open http(s) tabs.
+ * Queried fresh on each event because the service worker may have been suspended.
+ */
+async function getOpenBaseDomains() {
+       const tabs = await tabsQuery({});
+       const domains = new Set();
+       for (const tab of tabs) {
+              try {
+                     const url = new URL(tab.url || tab.pendingUrl || '');
+                     if (url.protocol !== 'http:' && url.protocol !== 'https:') continue;
+                     const base = getBaseDomain(url.hostname);
+                     if (base) domains.add(base);
+              } catch (_) {
+                     // about:blank, chrome:// pages, etc.
+              }
+       }
+       return domains;
+}
+
+/**
+ * Open http(s) sites per cookie store, as "storeId|baseDomain" entries: closing a site's last
+ * tab in one container or incognito window must not clean the cookies it still uses in another.
+ */
+async function getOpenSiteStores() {
+       const [tabs, stores] = await Promise.all([tabsQuery({}), cookiesGetAllCookieStores()]);
+       const storeByTab = new Map();
+       for (const store of stores) {
+              for (const tabId of store.tabIds || []) storeByTab.set(tabId, store.id);
+       }
+       const sites = new Set();
+       for (const tab of tabs) {
+              try {
+                     const url = new URL(tab.url || tab.pendingUrl || '');
+                     if (url.protocol !== 'http:' && url.protocol !== 'https:') continue;
+                     const base = getBaseDomain(url.hostname);
+                     const storeId = tab.cookieStoreId || storeByTab.get(tab.id) || '';
+                     if (base) sites.add(`${storeId}|${base}`);
+              } catch (_) {
+                     // about:blank, chrome:// pages, etc.
+              }
+       }
+       return sites;
+}
+
+/**
+ * Compare the currently open sites with the last snapshot: schedule cleanup for sites that
+ * lost their last tab in a store and cancel pending cleanups for sites reopened there.
+ */
+async function syncOpenSites() {
+       const { autoCleanup } = await getSettings();
+       const current = await getOpenSiteStores();
+       if (!autoCleanup || !autoCleanup.enabled) {
+              await storageSet({ [OPEN_SITES_KEY]: Array.from(current) });
+              return;
+       }
+
+       const stored = await storageGet(OPEN_SITES_KEY);
+       const previous = stored[OPEN_SITES_KEY] || [];
+       const graceMs = Math.max(30, Number(autoCleanup.graceSeconds) || 60) * 1000;
+
+       for (const site of previous) {
+              // Snapshots from before sites were tracked per store have no "storeId|"
+              if (!site.includes('|') || current.has(site)) continue;
+              chrome.alarms.create(`${AUTO_CLEANUP_ALARM_PREFIX}${site}`, { when: Date.now() + graceMs });
+       }
+       const pending = await alarmsGetAll();
+       for (const alarm of pending) {
+              if (!alarm.name.startsWith(AUTO_CLEANUP_ALARM_PREFIX)) continue;
+              if (current.has(alarm.name.slice(AUTO_CLEANUP_ALARM_PREFIX.length))) await alarmsClear(alarm.name);
+       }
+       await storageSet({ [OPEN_SITES_KEY]: Array.from(current) });
+}
+
+// Tab events arrive in bursts; serialize snapshot updates so they don't overwrite each other
+let openSitesQueue = Promise.resolve();
+function queueOpenSitesSync() {
+       openSitesQueue = openSitesQueue
+              .then(syncOpenSites)
+              .catch((e) => console.error('[CookieControl] syncOpenSites error', e));
+       return openSitesQueue;
+}
+
+/**
+ * Alarm target ("storeId|baseDomain"): delete the site's cookies in that store unless the
+ * feature was disabled or the site was reopened there.
+ */
+async function runAutoCleanup(site) {
+       const { autoCleanup } = await getSettings();
+       if (!autoCleanup || !autoCleanup.enabled) return;
+       const open = await getOpenSiteStores();
+       if (open.has(site)) return;
+       const sep = site.indexOf('|');
+       const domain = sep === -1 ? site : site.slice(sep + 1);
+       // An unknown store (or an alarm set before sites were tracked per store) cleans every
+       // store, so only when no tab of the site is open anywhere
+       const storeId = sep === -1 ? '' : site.slice(0, sep);
+       if (!storeId && Array.from(open).some((s) => s.slice(s.indexOf('|') + 1) === domain)) return;
+       const result = await deleteAllForSite(domain, storeId || undefined, 'auto_cleanup');
+       await pushLog({ type: 'auto_cleanup', domain, count: result.removed, protected: result.protected });
+}
+
+/* -------------------------
+   Scheduled cleanup jobs (settings.schedules, see utils/schedules.js)
+   ------------------------- */
+
+// Runs, first-seen updates and run status writes share one queue so they never interleave
+let scheduleQueue = Promise.resolve();
+function queueScheduleTask(task) {
+       const run = scheduleQueue.then(task);
+       scheduleQueue = run.catch(() => {});
+       return run;
+}
+
+async function getSchedules() {
+       const { schedules } = await getSettings();
+       return Array.isArray(schedules) ? schedules : [];
+}
+
+function scheduleAlarmName(id) {
+       return `${SCHEDULE_ALARM_PREFIX}${id}`;
+}
+
+/**
+ * Keep one alarm per enabled job. Alarms of removed or disabled jobs are cleared; missing ones
+ * are created. With reschedule, existing alarms are replaced too (the jobs were edited).
+ * Alarms persist across service worker restarts, so a run that was due while the browser was
+ * closed still fires on startup.
+ */
+async function syncScheduleAlarms(reschedule = false) {
+       const enabled = (await getSchedules()).filter((s) => s.enabled);
+       const wanted = new Set(enabled.map((s) => scheduleAlarmName(s.id)));
+       const existing = new Set();
+       for (const alarm of await alarmsGetAll()) {
+              if (!alarm.name.startsWith(SCHEDULE_ALARM_PREFIX)) continue;
+              if (wanted.has(alarm.name) && !reschedule) existing.add(alarm.name);
+              else await alarmsClear(alarm.name);
+       }
+       for (const schedule of enabled) {
+              const name = scheduleAlarmName(schedule.id);
+              if (!existing.has(name)) chrome.alarms.create(name, { when: nextRunTime(schedule) });
+       }
+}
+
+async function getScheduleRuns() {
+       const stored = await storageLocalGet([SCHEDULE_RUNS_KEY]);
+       return (stored && stored[SCHEDULE_RUNS_KEY]) || {};
+}
+
+/**
+ * Run one job now. trigger: 'alarm' or 'manual'. The outcome is stored as the job's last run
+ * and logged; alarm runs also schedule the next one.
+ * Returns the run status { ts, trigger, ok, removed, protected, limited } or { ts, trigger, ok, error }.
+ */
+function runSchedule(id, trigger) {
+       return queueScheduleTask(async () => {
+              const schedule = (await getSchedules()).find((s) => s.id === id);
+              if (!schedule) throw new Error('Schedule not found');
+              const now = Date.now();
+              const label = schedule.name || describeSchedule(schedule);
+              let status;
+              try {
+                     const [{ cookies, limited }, classify, stored] = await Promise.all([
+                            getVisibleCookies(),
+                            schedule.target === 'tracking' ? getTrackerClassifier() : null,
+                            storageLocalGet([FIRST_SEEN_KEY])
+                     ]);
+                     const firstSeen = refreshFirstSeen((stored && stored[FIRST_SEEN_KEY]) || {}, cookies, now);
+                     await storageLocalSet({ [FIRST_SEEN_KEY]: firstSeen });
+                     const isTracking = (c) => isTrackingCategory(classify(c).category);
+                     const matched = cookies.filter((c) => scheduleMatches(c, schedule, { isTracking, firstSeen, now }));
+                     const result = await removeCookies(matched, { kind: 'scheduled', label });
+                     status = { ts: now, trigger, ok: true, removed: result.removed, protected: result.protected, limited };
+                     await pushLog({
+                            type: 'scheduled_cleanup',
+                            schedule: { id, name: label },
+                            trigger,
+                            count: result.removed,
+                            protected: result.protected
+                     });
+              } catch (e) {
+                     console.error('[CookieControl] scheduled cleanup error', e);
+                     status = { ts: now, trigger, ok: false, error: e.message || String(e) };
+              }
+              const runs = await getScheduleRuns();
+              runs[id] = status;
+              await storageLocalSet({ [SCHEDULE_RUNS_KEY]: runs });
+              if (trigger === 'alarm' && schedule.enabled) {
+                     chrome.alarms.create(scheduleAlarmName(id), { when: nextRunTime(schedule) });
+              }
+              return status;
+       });
+}
+
+/**
+ * Jobs for the options page: each with its description, next run (from its alarm) and last run.
+ */
+async function listSchedules() {
+       const [schedules, runs, alarms] = await Promise.all([getSchedules(), getScheduleRuns(), alarmsGetAll()]);
+       const due = {};
+       for (const alarm of alarms) {
+              if (alarm.name.startsWith(SCHEDULE_ALARM_PREFIX)) due[alarm.name.slice(SCHEDULE_ALARM_PREFIX.length)] = alarm.scheduledTime;
+       }
+       return schedules.map((s) => ({
+              ...s,
+              description: describeSchedule(s),
+              // Right after an edit the alarm may not have been moved yet
+              nextRun: s.enabled ? due[s.id] || nextRunTime(s) : null,
+              lastRun: runs[s.id] || null
+       }));
+}
+
+/**
+ * Start (or stop) keeping first-seen times: while a job has an age limit, every visible
+ * cookie that has no time yet counts from now; without one the times are dropped, so they
+ * never include cookies that were removed and set again meanwhile.
+ */
+function seedFirstSeen() {
+       return queueScheduleTask(async () => {
+              if (!needsFirstSeen(await getSchedules())) {
+                     await storageLocalSet({ [FIRST_SEEN_KEY]: {} });
+                     return;
+              }
+              const [{ cookies }, stored] = await Promise.all([getVisibleCookies(), storageLocalGet([FIRST_SEEN_KEY])]);
+              await storageLocalSet({ [FIRST_SEEN_KEY]: refreshFirstSeen((stored && stored[FIRST_SEEN_KEY]) || {}, cookies) });
+       });
+}
 
-       const hostList = await cookiesGetAll({ domain: hostname });
-       const baseList = base && base !== hostname ? await cookiesGetAll({ domain: base }) : [];
+// Cookies are recorded as they are set and forgotten when removed (see applyCookieChanges).
+// Changes arrive in bursts, so they are collected and written once.
+const pendingCookieChanges = new Map();
+let cookieChangesTimer = null;
+function noteCookieChange(cookie, removed) {
+       pendingCookieChanges.set(cookieKey(cookie), removed);
+       if (cookieChangesTimer) return;
+       cookieChangesTimer = setTimeout(() => {
+              cookieChangesTimer = null;
+              const changes = new Map(pendingCookieChanges);
+              pendingCookieChanges.clear();
+              queueScheduleTask(async () => {
+                     if (!needsFirstSeen(await getSchedules())) return;
+                     const stored = await storageLocalGet([FIRST_SEEN_KEY]);
+                     const firstSeen = (stored && stored[FIRST_SEEN_KEY]) || {};
+                     if (applyCookieChanges(firstSeen, changes)) await storageLocalSet({ [FIRST_SEEN_KEY]: firstSeen });
+              }).catch((e) => console.error('[CookieControl] first-seen update error', e));
+       }, 2000);
+}
 
-       const merged = hostList.concat(baseList).filter((c) => allowedDomainSet.has(c.domain));
+/* -------------------------
+   Rules engine
+   ------------------------- */
 
-       // Deduplicate by name|domain|path|storeId
-       const keyOf = (c) => `${c.name}|${c.domain}|${c.path || '/'}|${c.storeId || ''}`;
-       const uniq = new Map();
-       for (const c of merged) {
-              if (!uniq.has(keyOf(c))) uniq.set(keyOf(c), c);
+async function getEnabledRules() {
+       const { rules } = await getSettings();
+       return (Array.isArray(rules) ? rules : []).filter((r) => r && r.enabled);
+}
+
+/**
+ * Perform a rule's action on a cookie. Returns true when the cookie was changed.
+ * Cap/session rewrites are idempotent: the rewritten cookie matches again but is left alone.
+ */
+async function applyRuleAction(rule, cookie) {
+       switch (rule.action) {
+              case 'delete':
+              case 'delete_on_start':
+                     return removeCookie(cookie);
+              case 'cap_lifetime': {
+                     if (cookie.session || !cookie.expirationDate) return false;
+                     const maxExpiry = Math.floor(Date.now() / 1000) + rule.maxAgeSeconds;
+                     if (cookie.expirationDate <= maxExpiry) return false;
+                     await cookiesSet(cookieToSetDetails(cookie, { expirationDate: maxExpiry }));
+                     return true;
+              }
+              case 'session_only': {
+                     if (cookie.session || !cookie.expirationDate) return false;
+                     await cookiesSet(cookieToSetDetails(cookie, { expirationDate: undefined }));
+                     return true;
+              }
+              default:
+                     return false;
        }
-       return Array.from(uniq.values());
 }
 
 /**
- * Remove a cookie via chrome.cookies.remove.
- * Accepts a cookie object returned by chrome.cookies.getAll.
+ * Evaluate the rules for one cookie and run the first match. Protected cookies are exempt.
+ * Returns true when the cookie was changed.
+ * @param {chrome.cookies.Cookie} cookie
+ * @param {{rules:object[], protectedEntries:object[], openSites:Set<string>|null, onStart?:boolean}} ctx
  */
-async function removeCookie(cookie) {
+async function evaluateRules(cookie, ctx) {
+       if (isProtectedCookie(cookie, ctx.protectedEntries)) return false;
+       const rule = findMatchingRule(ctx.rules, cookie, { openSites: ctx.openSites });
+       if (!rule) return false;
+       // "Delete on start" rules only act during the startup sweep; they still shadow later rules
+       if ((rule.action === 'delete_on_start') !== !!ctx.onStart) return false;
        try {
-              const url = cookieToUrl(cookie);
-              const details = { url, name: cookie.name };
-              if (cookie.storeId) details.storeId = cookie.storeId;
-              await cookiesRemove(details);
-              await pushLog({ type: 'remove', cookie });
-              return true;
+              const changed = await applyRuleAction(rule, cookie);
+              if (changed) {
+                     await pushLog({
+                            type: 'rule_fired',
+                            ruleId: rule.id,
+                            action: rule.action,
+                            domain: cookie.domain,
+                            cookie: { name: cookie.name, domain: cookie.domain, path: cookie.path }
+                     });
+              }
+              return changed;
        } catch (e) {
-              console.error('[CookieControl] removeCookie error', e);
+              console.error('[CookieControl] rule action failed', rule.id, e);
               return false;
        }
 }
 
+async function buildRuleContext(extra = {}) {
+       const rules = await getEnabledRules();
+       if (!rules.length) return null;
+       return {
+              rules,
+              protectedEntries: await getProtectedEntries(),
+              openSites: rulesNeedPartyContext(rules) ? await getOpenBaseDomains() : null,
+              ...extra
+       };
+}
+
 /**
- * Delete all cookies for a top-level site (domain + subdomains).
- * Returns { removed, total }.
+ * Run "delete on browser start" rules over every cookie the extension can see.
  */
-async function deleteAllForSite(domain) {
-       const list = await getAllCookiesForSite(domain);
-       const promises = list.map((c) => removeCookie(c));
-       const results = await Promise.all(promises);
-       return { removed: results.filter(Boolean).length, total: list.length };
+async function runStartupRules() {
+       const ctx = await buildRuleContext({ onStart: true });
+       if (!ctx || !ctx.rules.some((r) => r.action === 'delete_on_start')) return;
+       const all = await queryCookies({});
+       for (const cookie of all) {
+              await evaluateRules(cookie, ctx);
+       }
 }
 
 /* -------------------------
-   Import / Export
+   Maximum lifetime enforcement
    ------------------------- */
 
 /**
- * Export all cookies in the browser as an array (full cookie objects).
- * This is local-only; consumer decides how to persist/download.
+ * Shorten a cookie's expiry to the configured cap. Returns the new expiry, or null if unchanged.
+ * Protected cookies are exempt, as with rules.
  */
-async function exportAllCookies() {
-       const all = await cookiesGetAll({});
-       return all;
+async function enforceLifetimeCap(cookie, policy, protectedEntries) {
+       if (isProtectedCookie(cookie, protectedEntries)) return null;
+       const expirationDate = cappedExpiration(cookie, policy);
+       if (!expirationDate) return null;
+       await cookiesSet(cookieToSetDetails(cookie, { expirationDate }));
+       return expirationDate;
 }
 
 /**
- * Import cookies from an array (JSON). Will attempt to call chrome.cookies.set.
- * Returns { imported: n }
+ * Visible cookies that the current lifetime policy would shorten.
  */
-async function importCookies(cookieArray) {
-       if (!Array.isArray(cookieArray)) throw new Error('Import expects an array');
-       let count = 0;
-       for (const c of cookieArray) {
-              try {
-                     // Build a safe url for cookies.set: prefer cookie.secure -> https
-                     const host = c.domain ? (c.domain.startsWith('.') ? c.domain.slice(1) : c.domain) : undefined;
-                     if (!host) continue;
-                     const scheme = c.secure ? 'https' : 'http';
-                     const path = c.path || '/';
-                     const url = `${scheme}://${host}${path}`;
-
-                     // validate minimum required
-                     try {
-                            validateSetCookieOptions({ name: c.name, url });
-                     } catch (e) {
-                            console.warn('[CookieControl] validateSetCookieOptions failed for cookie', c, e);
-                            continue;
-                     }
-
-                     const setObj = {
-                            url,
-                            name: c.name,
-                            value: c.value || '',
-                            path: c.path,
-                            secure: !!c.secure,
-                            httpOnly: !!c.httpOnly
-                     };
+async function getCookiesExceedingCap() {
+       const { lifetimeCap } = await getSettings();
+       const entries = await getProtectedEntries();
+       const { cookies, limited } = await getVisibleCookies();
+       const affected = cookies.filter((c) => !isProtectedCookie(c, entries) && cappedExpiration(c, lifetimeCap));
+       return { affected, total: cookies.length, limited, lifetimeCap };
+}
 
-                     if (c.expirationDate) setObj.expirationDate = c.expirationDate;
-                     if (c.sameSite) setObj.sameSite = c.sameSite;
+/**
+ * Preview of the one-shot "apply to existing cookies" action.
+ * Returns { affected, total, limited, byDomain: [{ domain, count }] }.
+ */
+async function previewLifetimeCap() {
+       const { affected, total, limited } = await getCookiesExceedingCap();
+       const counts = new Map();
+       for (const c of affected) {
+              const base = getBaseDomain(c.domain) || c.domain;
+              counts.set(base, (counts.get(base) || 0) + 1);
+       }
+       const byDomain = Array.from(counts, ([domain, count]) => ({ domain, count }))
+              .sort((a, b) => b.count - a.count);
+       return { affected: affected.length, total, limited, byDomain };
+}
 
-                     await cookiesSet(setObj);
-                     count++;
+/**
+ * Shorten every visible cookie that exceeds the cap. Returns { capped, failed }.
+ */
+async function applyLifetimeCapToExisting() {
+       const { affected, lifetimeCap } = await getCookiesExceedingCap();
+       let capped = 0;
+       let failed = 0;
+       for (const cookie of affected) {
+              try {
+                     if (await enforceLifetimeCap(cookie, lifetimeCap, [])) capped++;
               } catch (e) {
-                     // Keep importing others even if one fails
-                     console.error('[CookieControl] import cookie failed', c, e);
+                     failed++;
+                     console.error('[CookieControl] lifetime cap failed', cookie, e);
               }
        }
-       await pushLog({ type: 'import', count });
-       return { imported: count };
+       await pushLog({ type: 'lifetime_cap_applied', count: capped, failed });
+       return { capped, failed };
 }
 
 /* Permissions helpers section removed (unused). */
@@ -214,13 +1350,15 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
                      switch (message.type) {
                             // Add this case to the switch inside chrome.runtime.onMessage handler:
                             case 'GET_ACTIVE_TAB_COOKIES': {
-                                  // Get active tab and validate scheme/host
+                                  // Get active tab and validate scheme/host. message.url replaces the tab's URL when
+                                  // the popup was opened for another origin (a frame, from the context menu).
                                   const tabs = await new Promise((resolve) => chrome.tabs.query({ active: true, currentWindow: true }, resolve));
                                   const tab = tabs && tabs[0];
-                                  if (!tab || !tab.url) return sendResponse({ error: 'no_active_tab' });
+                                  const targetUrl = message.url || (tab && tab.url);
+                                  if (!targetUrl) return sendResponse({ error: 'no_active_tab' });
 
                                   let urlObj;
-                                  try { urlObj = new URL(tab.url); } catch (e) { return sendResponse({ error: 'invalid_tab_url' }); }
+                                  try { urlObj = new URL(targetUrl); } catch (e) { return sendResponse({ error: 'invalid_tab_url' }); }
                                   const protocol = (urlObj.protocol || '').replace(':', '');
                                   const hostname = urlObj.hostname || '';
                                   // Only support http/https tabs for cookie queries; avoid invalid permission patterns
@@ -229,109 +1367,29 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
                                   }
                                   // Accept either base-domain OR exact-host permissions
                                   const base = getBaseDomain(hostname);
-                                  const isBaseDomain = hostname === base || hostname === `www.${base}`;
-
-                                   let hasPermissions = false;
-                                   if (isBaseDomain) {
-                                       // Accept either base-only permission or wildcard for full access on base domain
-                                       const baseOnly = `*://${base}/*`;
-                                       const wildcard = `*://*.${base}/*`;
-                                       const [hasBase, hasWildcard] = await Promise.all([
-                                           permissionsContains({ origins: [baseOnly] }),
-                                           permissionsContains({ origins: [wildcard] })
-                                       ]);
-                                       hasPermissions = hasBase || hasWildcard;
-                                   } else {
-                                       // On a subdomain, we need permission for the specific host AND the base domain.
-                                       const patternsToCheck = [`*://${hostname}/*`, `*://${base}/*`];
-                                       const wildcard = `*://*.${base}/*`;
-                                       const [hasPair, hasWildcard] = await Promise.all([
-                                           permissionsContains({ origins: patternsToCheck }),
-                                           permissionsContains({ origins: [wildcard] })
-                                       ]);
-                                       hasPermissions = hasPair || hasWildcard;
-                                   }
+                                  const hasPermissions = await hasHostAccess(hostname, base);
 
                                    if (!hasPermissions) {
                                        return sendResponse({ limited: true, msg: 'no_site_permission' });
                                    }
 
-                                   // Permission present -> return cookies for the active host and base only
-                                   const cookies = await getCookiesForHostAndBase(hostname, base);
-                                   return sendResponse({ cookies });
+                                   // Permission present -> return cookies for the active host and base only,
+                                   // from the requested store or the one the active tab uses
+                                   const storeId = message.storeId || await getTabStoreId(tab);
+                                   const cookies = await getCookiesForHostAndBase(hostname, base, storeId);
+                                   return sendResponse({ cookies, storeId });
                             }
 
                             case 'GET_ALL_COOKIES': {
-                                   // Ensure we have global host permission before returning all cookies
-                                   const allPattern = '<all_urls>';
-                                   const hasAll = await permissionsContains({ origins: [allPattern] });
-                                   if (hasAll) {
-                                          const allCookies = await cookiesGetAll({});
-                                          return sendResponse({ cookies: allCookies, limited: false });
-                                   }
-
-                                   // Fallback: aggregate cookies only for specifically granted origins
-                                   const perms = await permissionsGetAll();
-                                   const origins = (perms.origins || []).filter((o) => o && o !== allPattern);
-
-                                   if (!origins.length) {
-                                          return sendResponse({ cookies: [], limited: true });
-                                   }
-
-                                   // Derive domains to query from origin patterns
-                                   const domainsToQuery = new Set();
-                                   for (const origin of origins) {
-                                          try {
-                                                 // Skip non-http(s) schemes
-                                                 if (!origin.includes('://')) continue;
-                                                 const scheme = origin.split('://')[0];
-                                                 if (scheme !== 'http' && scheme !== 'https' && scheme !== '*') continue;
-
-                                                 const afterScheme = origin.slice(origin.indexOf('://') + 3);
-                                                 const hostPart = afterScheme.split('/')[0] || '';
-                                                 if (!hostPart) continue;
-
-                                                 // Remove wildcard prefix if present
-                                                 const hadWildcard = hostPart.startsWith('*.');
-                                                 const hostname = hadWildcard ? hostPart.slice(2) : hostPart;
-
-                                                 // Only accept plausible hostnames
-                                                 if (!/^[a-zA-Z0-9.-]+$/.test(hostname)) continue;
-
-                                                 // If wildcard permission was granted, query base domain to include subdomains
-                                                 if (hadWildcard) {
-                                                        domainsToQuery.add(hostname);
-                                                 } else {
-                                                        domainsToQuery.add(hostname);
-                                                 }
-                                          } catch (_) {
-                                                 // ignore malformed patterns
-                                          }
-                                   }
-
-                                   if (domainsToQuery.size === 0) {
-                                          return sendResponse({ cookies: [], limited: true });
-                                   }
-
-                                   // Query cookies for each allowed domain and merge
-                                   const results = [];
-                                   for (const domain of domainsToQuery) {
-                                          try {
-                                                 const list = await cookiesGetAll({ domain });
-                                                 if (Array.isArray(list) && list.length) results.push(...list);
-                                          } catch (e) {
-                                                 // ignore errors for specific domains
-                                          }
-                                   }
-
-                                   // Deduplicate by name|domain|path|storeId
-                                   const keyOf = (c) => `${c.name}|${c.domain}|${c.path || '/'}|${c.storeId || ''}`;
-                                   const uniq = new Map();
-                                   for (const c of results) {
-                                          if (!uniq.has(keyOf(c))) uniq.set(keyOf(c), c);
-                                   }
+                                   const visible = await getVisibleCookies(message.storeId);
+                                   return sendResponse({ ...visible, storeId: message.storeId });
+                            }
 
-                                   return sendResponse({ cookies: Array.from(uniq.values()), limited: true });
+                            case 'GET_COOKIE_STORES': {
+                                   const stores = await listCookieStores();
+                                   const tabs = await tabsQuery({ active: true, currentWindow: true });
+                                   const activeStoreId = await getTabStoreId(tabs[0]);
+                                   return sendResponse({ stores, activeStoreId });
                             }
 
                             case 'DELETE_ALL_FOR_SITE': {
@@ -340,27 +1398,54 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
                                    // Ensure host permission exists (popup should have requested it)
                                    const base = getBaseDomain(domain) || domain;
-                                   const allPattern = '<all_urls>';
-                                   const wildcard = base.includes('.') ? `*://*.${base}/*` : `*://${base}/*`;
-                                   const hasAll = await permissionsContains({ origins: [allPattern] });
-                                   const hasWildcard = await permissionsContains({ origins: [wildcard] });
-                                   if (!hasAll && !hasWildcard) {
+                                   if (!await hasSiteAccess(base)) {
                                           return sendResponse({ error: 'permission_denied' });
                                    }
 
-                                   const result = await deleteAllForSite(base);
+                                   const result = await deleteAllForSite(base, message.storeId);
+                                   return sendResponse({ result });
+                            }
+
+                            case 'DELETE_PARTITION': {
+                                   const topLevelSite = message.topLevelSite;
+                                   if (!topLevelSite || typeof topLevelSite !== 'string') return sendResponse({ error: 'missing_partition' });
+
+                                   // Same host permission check as DELETE_ALL_FOR_SITE, on the top-level site
+                                   const partitionHost = formatPartitionSite(topLevelSite);
+                                   if (!await hasSiteAccess(getBaseDomain(partitionHost) || partitionHost)) {
+                                          return sendResponse({ error: 'permission_denied' });
+                                   }
+                                   const result = await deletePartition(topLevelSite, message.storeId);
+                                   await pushLog({ type: 'delete_partition', domain: topLevelSite, count: result.removed });
+                                   return sendResponse({ result });
+                            }
+
+                            case 'PREVIEW_LIFETIME_CAP': {
+                                   const preview = await previewLifetimeCap();
+                                   return sendResponse({ preview });
+                            }
+
+                            case 'APPLY_LIFETIME_CAP': {
+                                   const result = await applyLifetimeCapToExisting();
                                    return sendResponse({ result });
                             }
 
                             case 'EXPORT_COOKIES': {
-                                   const data = await exportAllCookies();
+                                   const data = await exportAllCookies(message.storeId);
                                    return sendResponse({ data });
                             }
 
+                            case 'PREVIEW_IMPORT': {
+                                   const arr = message.cookies;
+                                   if (!arr) return sendResponse({ error: 'missing_cookies' });
+                                   const entries = await previewImport(arr, message.storeId);
+                                   return sendResponse({ entries });
+                            }
+
                             case 'IMPORT_COOKIES': {
                                    const arr = message.cookies;
                                    if (!arr) return sendResponse({ error: 'missing_cookies' });
-                                   const res = await importCookies(arr);
+                                   const res = await importCookies(arr, message.storeId, message.policies);
                                    return sendResponse({ res });
                             }
 
@@ -382,9 +1467,13 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
                             }
 
                             case 'GET_OP_LOG': {
-                                   const stored = await storageGet(OP_LOG_KEY);
-                                   const log = stored[OP_LOG_KEY] || [];
-                                   return sendResponse({ log });
+                                   const { entries, nextCursor } = await queryLog(message.filter, { limit: message.limit, before: message.before });
+                                   return sendResponse({ log: entries, nextCursor });
+                            }
+
+                            case 'CLEAR_OP_LOG': {
+                                   await clearLog();
+                                   return sendResponse({ ok: true });
                             }
 
                             case 'CHECK_PERMISSION': {
@@ -415,8 +1504,12 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
                            case 'DELETE_COOKIE': {
                                   const { cookie } = message;
                                   if (!cookie) return sendResponse({ ok: false, error: 'no_cookie' });
+                                  if (isProtectedCookie(cookie, await getProtectedEntries())) {
+                                         return sendResponse({ ok: false, error: 'protected' });
+                                  }
                                   const success = await removeCookie(cookie);
-                                  return sendResponse({ ok: success });
+                                  const binId = success ? await recordDeletion('single', `${cookie.name} @ ${cookie.domain}`, [cookie]) : null;
+                                  return sendResponse({ ok: success, binId });
                            }
 
 
@@ -425,12 +1518,115 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
                                   if (!Array.isArray(cookies) || cookies.length === 0) {
                                          return sendResponse({ ok: false, error: 'no_cookies_provided' });
                                   }
-                                  let deletedCount = 0;
-                                  for (const cookie of cookies) {
-                                         const success = await removeCookie(cookie);
-                                         if (success) deletedCount++;
+                                  const label = `${cookies.length} selected cookie${cookies.length > 1 ? 's' : ''}`;
+                                  const result = await removeCookies(cookies, { kind: 'bulk', label });
+                                  return sendResponse({
+                                         ok: true,
+                                         deletedCount: result.removed,
+                                         protectedCount: result.protected,
+                                         binId: result.binId
+                                  });
+                           }
+
+                           case 'GET_PROFILES': {
+                                  const profiles = (await getProfiles())
+                                         .filter((p) => !message.site || p.site === message.site)
+                                         .map(summarizeProfile);
+                                  return sendResponse({ profiles });
+                           }
+
+                           case 'SAVE_PROFILE':
+                           case 'UPDATE_PROFILE':
+                           case 'RENAME_PROFILE':
+                           case 'DELETE_PROFILE':
+                           case 'SWITCH_PROFILE': {
+                                  try {
+                                         let result;
+                                         if (message.type === 'SAVE_PROFILE') {
+                                                if (!message.host) return sendResponse({ ok: false, error: 'missing_host' });
+                                                result = await saveProfile(message);
+                                         } else if (message.type === 'UPDATE_PROFILE') {
+                                                result = await updateProfile(message.id, message.passphrase);
+                                         } else if (message.type === 'RENAME_PROFILE') {
+                                                result = await renameProfile(message.id, message.name);
+                                         } else if (message.type === 'DELETE_PROFILE') {
+                                                result = await deleteProfile(message.id);
+                                         } else {
+                                                result = await switchProfile(message.id, message);
+                                         }
+                                         return sendResponse({ ok: true, result });
+                                  } catch (e) {
+                                         return sendResponse({ ok: false, error: e.code || e.message || String(e) });
+                                  }
+                           }
+
+                           case 'PREVIEW_TRACKERS': {
+                                  const { protected: protectedCount, limited, summary } = await findTrackers(message.storeId);
+                                  return sendResponse({ preview: { ...summary, protected: protectedCount, limited } });
+                           }
+
+                           case 'GET_SCHEDULES': {
+                                  const schedules = await listSchedules();
+                                  return sendResponse({ schedules });
+                           }
+
+                           case 'RUN_SCHEDULE': {
+                                  if (!message.id) return sendResponse({ ok: false, error: 'missing_id' });
+                                  try {
+                                         const status = await runSchedule(message.id, 'manual');
+                                         return sendResponse({ ok: status.ok, status, error: status.error });
+                                  } catch (e) {
+                                         return sendResponse({ ok: false, error: e.message || String(e) });
+                                  }
+                           }
+
+                           case 'GET_SNAPSHOTS': {
+                                  const snapshots = (await getSnapshots()).map(summarizeSnapshot);
+                                  return sendResponse({ snapshots });
+                           }
+
+                           case 'TAKE_SNAPSHOT': {
+                                  try {
+                                         const snapshot = await takeSnapshot(message);
+                                         return sendResponse({ ok: true, snapshot });
+                                  } catch (e) {
+                                         return sendResponse({ ok: false, error: e.message || String(e) });
+                                  }
+                           }
+
+                           case 'DELETE_SNAPSHOT': {
+                                  const snapshots = await getSnapshots();
+                                  await storageLocalSet({ [SNAPSHOTS_KEY]: snapshots.filter((s) => s.id !== message.id) });
+                                  return sendResponse({ ok: true });
+                           }
+
+                           case 'DIFF_COOKIES': {
+                                  try {
+                                         const diff = await diffSides(message.left, message.right, { ignoreExpiry: !!message.ignoreExpiry });
+                                         return sendResponse({ ok: true, diff });
+                                  } catch (e) {
+                                         return sendResponse({ ok: false, error: e.message || String(e) });
+                                  }
+                           }
+
+                           case 'GET_RECYCLE_BIN': {
+                                  const entries = await getRecycleBin();
+                                  return sendResponse({ entries });
+                           }
+
+                           case 'RESTORE_DELETED': {
+                                  if (!message.id) return sendResponse({ ok: false, error: 'missing_id' });
+                                  try {
+                                         const result = await restoreDeleted(message.id, message.keys);
+                                         return sendResponse({ ok: true, result });
+                                  } catch (e) {
+                                         return sendResponse({ ok: false, error: e.message || String(e) });
                                   }
-                                  return sendResponse({ ok: true, deletedCount });
+                           }
+
+                           case 'CLEAR_RECYCLE_BIN': {
+                                  await updateRecycleBin(() => []);
+                                  return sendResponse({ ok: true });
                            }
 
                            case 'SET_COOKIE': {
@@ -439,14 +1635,14 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
                                          if (!details || typeof details !== 'object') {
                                                 return sendResponse({ ok: false, error: 'invalid_details' });
                                          }
-                                         // Minimal validation: require name and url
-                                         validateSetCookieOptions({ name: details.name, url: details.url });
+                                         // Reject what the browser would refuse, with a readable reason
+                                         validateSetCookieOptions(details);
 
                                          // Ensure path default
                                          if (!details.path) details.path = '/';
 
                                          const result = await cookiesSet(details);
-                                         await pushLog({ type: 'set', cookie: { name: details.name, domain: result.domain, path: result.path } });
+                                         await pushLog({ type: 'set', cookie: { name: details.name, domain: result.domain, path: result.path, storeId: result.storeId } });
                                          return sendResponse({ ok: true, result });
                                   } catch (e) {
                                          console.error('[CookieControl] SET_COOKIE failed', e);
@@ -467,16 +1663,472 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
        return true;
 });
 
+/* -------------------------
+   Live change monitor (options page, over a long-lived port)
+   ------------------------- */
+
+const MONITOR_BACKLOG_SIZE = 200;
+const monitorPorts = new Set();
+const monitorBacklog = [];
+// Removals with cause 'overwrite', waiting for the set that replaces them
+const pendingOverwrites = new Map();
+
+/**
+ * Turn a cookie change into a monitor event and send it to every connected monitor.
+ * The removal half of an overwrite is held back and reported together with the new cookie.
+ */
+function streamCookieChange(changeInfo) {
+       const key = cookieKey(changeInfo.cookie);
+       if (changeInfo.removed && changeInfo.cause === 'overwrite') {
+              pendingOverwrites.set(key, changeInfo.cookie);
+              return;
+       }
+       const previous = changeInfo.removed ? null : pendingOverwrites.get(key) || null;
+       pendingOverwrites.delete(key);
+
+       const event = createMonitorEvent(changeInfo, previous);
+       monitorBacklog.push(event);
+       if (monitorBacklog.length > MONITOR_BACKLOG_SIZE) monitorBacklog.shift();
+       for (const port of monitorPorts) {
+              try {
+                     port.postMessage({ type: 'MONITOR_EVENT', event });
+              } catch (_) {
+                     monitorPorts.delete(port);
+              }
+       }
+}
+
+chrome.runtime.onConnect.addListener((port) => {
+       if (port.name !== MONITOR_PORT) return;
+       monitorPorts.add(port);
+       port.onDisconnect.addListener(() => { monitorPorts.delete(port); });
+       port.postMessage({ type: 'MONITOR_BACKLOG', events: monitorBacklog.slice() });
+});
+
 /* -------------------------
    Cookie change listener to track external changes
    ------------------------- */
 
 chrome.cookies.onChanged.addListener(async (changeInfo) => {
+       queueBadgeUpdate();
+       try {
+              streamCookieChange(changeInfo);
+       } catch (e) {
+              console.error('[CookieControl] monitor stream error', e);
+       }
        try {
               await pushLog({ type: 'cookie_changed', changeInfo });
        } catch (e) {
               console.error('[CookieControl] cookie change pushLog error', e);
        }
+       // An overwrite removes the old cookie before setting the new one: the cookie stays
+       if (!changeInfo.removed || changeInfo.cause !== 'overwrite') noteCookieChange(changeInfo.cookie, changeInfo.removed);
+       if (changeInfo.removed) return;
+       try {
+              const ctx = await buildRuleContext();
+              // A rule rewrite fires another change event; the lifetime cap is checked on that one
+              if (ctx && await evaluateRules(changeInfo.cookie, ctx)) return;
+       } catch (e) {
+              console.error('[CookieControl] rules engine error', e);
+       }
+       try {
+              const { lifetimeCap } = await getSettings();
+              if (!lifetimeCap || !lifetimeCap.enabled) return;
+              const cookie = changeInfo.cookie;
+              const expirationDate = await enforceLifetimeCap(cookie, lifetimeCap, await getProtectedEntries());
+              if (expirationDate) {
+                     await pushLog({
+                            type: 'lifetime_capped',
+                            domain: cookie.domain,
+                            cookie: { name: cookie.name, domain: cookie.domain, path: cookie.path },
+                            from: cookie.expirationDate,
+                            to: expirationDate
+                     });
+              }
+       } catch (e) {
+              console.error('[CookieControl] lifetime cap error', e);
+       }
+});
+
+chrome.runtime.onStartup.addListener(async () => {
+       queueBadgeUpdate();
+       try {
+              await runStartupRules();
+       } catch (e) {
+              console.error('[CookieControl] startup rules error', e);
+       }
+       try {
+              await syncScheduleAlarms();
+              // Cookies may have been set while the browser was closed
+              await seedFirstSeen();
+       } catch (e) {
+              console.error('[CookieControl] schedule alarms error', e);
+       }
+});
+
+/* -------------------------
+   Tab tracking & alarms for automatic cleanup
+   ------------------------- */
+
+chrome.tabs.onRemoved.addListener(() => { queueOpenSitesSync(); });
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+       if (changeInfo.url) queueOpenSitesSync();
+});
+chrome.tabs.onReplaced.addListener(() => { queueOpenSitesSync(); });
+
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+       try {
+              if (alarm.name.startsWith(AUTO_CLEANUP_ALARM_PREFIX)) {
+                     await runAutoCleanup(alarm.name.slice(AUTO_CLEANUP_ALARM_PREFIX.length));
+              } else if (alarm.name.startsWith(SCHEDULE_ALARM_PREFIX)) {
+                     await runSchedule(alarm.name.slice(SCHEDULE_ALARM_PREFIX.length), 'alarm');
+              }
+       } catch (e) {
+              console.error('[CookieControl] alarm handler error', e);
+       }
+});
+
+// Take a fresh snapshot when the feature is toggled so tabs opened earlier are tracked,
+// move schedule alarms when the jobs were edited, and redraw the badge (mode, trackers)
+chrome.storage.onChanged.addListener((changes, area) => {
+       if (area !== 'local' || !changes[SETTINGS_KEY]) return;
+       opLogSettings = null;
+       queueOpenSitesSync();
+       queueBadgeUpdate();
+       const before = (changes[SETTINGS_KEY].oldValue || {}).schedules;
+       const after = (changes[SETTINGS_KEY].newValue || {}).schedules;
+       if (JSON.stringify(before || []) !== JSON.stringify(after || [])) {
+              syncScheduleAlarms(true).catch((e) => console.error('[CookieControl] schedule alarms error', e));
+              seedFirstSeen().catch((e) => console.error('[CookieControl] first-seen update error', e));
+       }
+});
+
+/* -------------------------
+   Toolbar badge (cookie or tracker count of each window's active tab)
+   ------------------------- */
+
+const BADGE_UPDATE_DELAY_MS = 500;
+const BADGE_LOCK = '🔒';
+const BADGE_COLORS = {
+       cookies: '#4B5563',
+       trackers: '#B45309',
+       locked: '#9CA3AF',
+       ok: '#15803D',
+       error: '#B42318'
+};
+
+// Tabs whose badge shows a command result for now (see reportCommandResult)
+const flashingTabs = new Set();
+let badgeTimer = null;
+let badgeQueue = Promise.resolve();
+
+function badgeCount(n) {
+       return n > 999 ? '999+' : String(n);
+}
+
+/**
+ * Badge of one tab for settings.badge.mode: the number of cookies the popup lists for its
+ * site ('cookies') or of those that are tracking cookies ('trackers'); a lock when the site is
+ * not granted; nothing on other pages, for a count of 0 or with the badge turned off ('off').
+ * classify: tracker classifier, only needed for 'trackers'.
+ */
+async function computeTabBadge(tab, mode, classify) {
+       let url;
+       try {
+              url = new URL(tab.url || '');
+       } catch (_) {
+              url = null;
+       }
+       if (mode === 'off' || !url || (url.protocol !== 'http:' && url.protocol !== 'https:')) {
+              return { text: '', title: 'CookieControl' };
+       }
+       const host = url.hostname;
+       const base = getBaseDomain(host) || host;
+       if (!await hasHostAccess(host, base)) {
+              return { text: BADGE_LOCK, color: BADGE_COLORS.locked, title: `CookieControl: no access to ${host}` };
+       }
+       const cookies = await getCookiesForHostAndBase(host, base, await getTabStoreId(tab));
+       if (mode === 'trackers') {
+              const count = cookies.filter((c) => isTrackingCategory(classify(c).category)).length;
+              return {
+                     text: count ? badgeCount(count) : '',
+                     color: BADGE_COLORS.trackers,
+                     title: `CookieControl: ${count} tracking cookie${count === 1 ? '' : 's'} on ${host}`
+              };
+       }
+       return {
+              text: cookies.length ? badgeCount(cookies.length) : '',
+              color: BADGE_COLORS.cookies,
+              title: `CookieControl: ${cookies.length} cookie${cookies.length === 1 ? '' : 's'} on ${host}`
+       };
+}
+
+async function updateBadges() {
+       const [tabs, { badge }] = await Promise.all([tabsQuery({ active: true }), getSettings()]);
+       const mode = (badge && badge.mode) || 'cookies';
+       const classify = mode === 'trackers' ? await getTrackerClassifier() : null;
+       await Promise.all(tabs.filter((tab) => !flashingTabs.has(tab.id)).map(async (tab) => {
+              const { text, color, title } = await computeTabBadge(tab, mode, classify);
+              try {
+                     await Promise.all([
+                            chrome.action.setBadgeText({ tabId: tab.id, text }),
+                            color ? chrome.action.setBadgeBackgroundColor({ tabId: tab.id, color }) : null,
+                            chrome.action.setTitle({ tabId: tab.id, title })
+                     ]);
+              } catch (_) {
+                     // The tab was closed meanwhile
+              }
+       }));
+}
+
+/**
+ * Update the badges of the active tabs shortly after a tab, cookie, permission or settings
+ * change. Events arriving meanwhile (cookie changes come in bursts) share that update, and
+ * updates never overlap.
+ */
+function queueBadgeUpdate() {
+       if (badgeTimer) return;
+       badgeTimer = setTimeout(() => {
+              badgeTimer = null;
+              badgeQueue = badgeQueue
+                     .then(updateBadges)
+                     .catch((e) => console.error('[CookieControl] badge update error', e));
+       }, BADGE_UPDATE_DELAY_MS);
+}
+
+chrome.tabs.onActivated.addListener(() => { queueBadgeUpdate(); });
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+       if (changeInfo.url || changeInfo.status === 'complete') queueBadgeUpdate();
+});
+chrome.permissions.onAdded.addListener(() => { queueBadgeUpdate(); });
+chrome.permissions.onRemoved.addListener(() => { queueBadgeUpdate(); });
+
+/* -------------------------
+   Keyboard commands (manifest "commands", rebindable by the user)
+   ------------------------- */
+
+const BADGE_FLASH_MS = 3000;
+const OFFSCREEN_CLIPBOARD_PATH = 'src/offscreen/clipboard.html';
+
+// Copies share one offscreen document; serialize them so it is never created twice
+let clipboardQueue = Promise.resolve();
+
+/**
+ * Write text to the clipboard. Firefox runs the background as a page (background.html), which
+ * has a clipboard; a Chromium service worker has none, so the copy happens in an offscreen
+ * document that is closed again afterwards.
+ */
+function copyToClipboard(text) {
+       if (typeof document !== 'undefined' && navigator.clipboard) return navigator.clipboard.writeText(text);
+       const run = clipboardQueue.then(async () => {
+              await chrome.offscreen.createDocument({
+                     url: OFFSCREEN_CLIPBOARD_PATH,
+                     reasons: ['CLIPBOARD'],
+                     justification: 'Copy a Cookie header requested with a keyboard shortcut'
+              });
+              try {
+                     const resp = await chrome.runtime.sendMessage({ type: 'OFFSCREEN_COPY', text });
+                     if (!resp || !resp.ok) throw new Error('Copy to clipboard failed');
+              } finally {
+                     await chrome.offscreen.closeDocument();
+              }
+       });
+       clipboardQueue = run.catch(() => {});
+       return run;
+}
+
+/**
+ * Show a command's result: a short badge on the tab's toolbar icon and, when enabled in the
+ * settings (and the optional "notifications" permission is granted), a notification.
+ */
+async function reportCommandResult(tab, { ok, badge, message }) {
+       if (tab && tab.id !== undefined) {
+              const tabId = tab.id;
+              flashingTabs.add(tabId);
+              setTimeout(() => {
+                     flashingTabs.delete(tabId);
+                     queueBadgeUpdate();
+              }, BADGE_FLASH_MS);
+              await Promise.all([
+                     chrome.action.setBadgeBackgroundColor({ tabId, color: ok ? BADGE_COLORS.ok : BADGE_COLORS.error }),
+                     chrome.action.setBadgeText({ tabId, text: badge })
+              ]);
+       }
+       const { commands } = await getSettings();
+       if (!commands || !commands.notify || !await permissionsContainsApi('notifications')) return;
+       await notificationsCreate({
+              type: 'basic',
+              iconUrl: chrome.runtime.getURL('icons/icon48.png'),
+              title: ok ? 'CookieControl' : 'CookieControl: not done',
+              message
+       });
+}
+
+/**
+ * Run a site command with the same access check as DELETE_ALL_FOR_SITE.
+ * targetUrl: the page, frame or link the command acts on (default: the tab's page); cookies
+ * are taken from the tab's store. pageUrl: the top-level page the request would be made from,
+ * whose site partitioned cookies are keyed to (default: the tab's page).
+ * Returns { ok, badge, message } for reportCommandResult, plus the origins to request when
+ * access to the site is missing.
+ */
+async function runSiteCommand(command, tab, targetUrl = tab.url, pageUrl = tab.url) {
+       let url;
+       try {
+              url = new URL(targetUrl || '');
+       } catch (_) {
+              url = null;
+       }
+       if (!url || (url.protocol !== 'http:' && url.protocol !== 'https:')) {
+              return { ok: false, badge: '!', message: 'This is not a web page.' };
+       }
+       const host = url.hostname;
+       const base = getBaseDomain(host) || host;
+       if (!await hasSiteAccess(base)) {
+              return {
+                     ok: false,
+                     badge: '!',
+                     message: `No access to ${base}. Open the CookieControl popup on this site to grant it.`,
+                     origins: [siteAccessOrigin(base)]
+              };
+       }
+       const storeId = await getTabStoreId(tab);
+
+       switch (command) {
+              case 'clear-site-cookies': {
+                     const result = await deleteAllForSite(base, storeId);
+                     const kept = result.protected ? ` (${result.protected} protected kept)` : '';
+                     return { ok: true, badge: badgeCount(result.removed), message: `Deleted ${result.removed} cookies on ${base}${kept}.` };
+              }
+              case 'remove-site-trackers': {
+                     const [cookies, classify] = await Promise.all([getAllCookiesForSite(base, storeId), getTrackerClassifier()]);
+                     const trackers = cookies.filter((c) => isTrackingCategory(classify(c).category));
+                     const result = await removeCookies(trackers, { kind: 'trackers', label: `Trackers on ${base}` });
+                     await pushLog({ type: 'remove_trackers', domain: base, count: result.removed, domains: 1 });
+                     const kept = result.protected ? ` (${result.protected} protected kept)` : '';
+                     return { ok: true, badge: badgeCount(result.removed), message: `Removed ${result.removed} tracking cookies on ${base}${kept}.` };
+              }
+              case 'copy-cookie-header': {
+                     // Cookies sent with a request to this URL from the page; partitioned ones only
+                     // from the page's partition
+                     const cookies = cookiesForTopLevelSite(
+                            await getAllIncludingPartitioned({ url: url.href, storeId }),
+                            topLevelSiteOf(pageUrl)
+                     );
+                     if (!cookies.length) return { ok: false, badge: '0', message: `${host} has no cookies to copy.` };
+                     await copyToClipboard(toCookieHeader(cookies));
+                     return { ok: true, badge: badgeCount(cookies.length), message: `Copied the Cookie header for ${host} (${cookies.length} cookies).` };
+              }
+              default:
+                     throw new Error(`Unknown command: ${command}`);
+       }
+}
+
+chrome.commands.onCommand.addListener(async (command, commandTab) => {
+       if (command === 'open-options') {
+              chrome.runtime.openOptionsPage();
+              return;
+       }
+       // Older browsers do not pass the tab
+       const tab = commandTab || (await tabsQuery({ active: true, currentWindow: true }))[0];
+       let result;
+       try {
+              result = tab ? await runSiteCommand(command, tab) : { ok: false, badge: '!', message: 'No active tab.' };
+       } catch (e) {
+              console.error('[CookieControl] command error', command, e);
+              result = { ok: false, badge: '!', message: e.message || String(e) };
+       }
+       try {
+              await reportCommandResult(tab, result);
+       } catch (e) {
+              console.error('[CookieControl] command feedback error', e);
+       }
+});
+
+/* -------------------------
+   Context menus (page, frame and link)
+   ------------------------- */
+
+const PENDING_ORIGINS_KEY = 'cookiecontrol:pending-origins';
+const WEB_URL_PATTERNS = ['http://*/*', 'https://*/*'];
+
+const CONTEXT_MENUS = [
+       { id: 'delete-site-cookies', title: 'Delete cookies for this site', contexts: ['page', 'frame', 'link'] },
+       { id: 'delete-link-cookies', title: "Delete cookies for this link's site", contexts: ['link'], targetUrlPatterns: WEB_URL_PATTERNS },
+       { id: 'show-frame-cookies', title: "Show cookies for this frame's origin", contexts: ['frame'] },
+       { id: 'copy-cookie-header', title: 'Copy cookies as header', contexts: ['page', 'frame', 'link'] }
+];
+
+// Menus persist across restarts; recreate them on install/update only
+function createContextMenus() {
+       chrome.contextMenus.removeAll(() => {
+              for (const menu of CONTEXT_MENUS) {
+                     chrome.contextMenus.create({ ...menu, documentUrlPatterns: WEB_URL_PATTERNS });
+              }
+       });
+}
+
+/**
+ * Ask for host access through the options page's grant banner, the flow the popup uses in
+ * Firefox: a menu click is not reliably allowed to show the permission prompt itself.
+ */
+async function openGrantFlow(origins) {
+       await storageSet({ [PENDING_ORIGINS_KEY]: origins });
+       chrome.runtime.openOptionsPage();
+}
+
+/**
+ * Open the popup in its own window for another origin than the tab's (e.g. an embedded
+ * frame), in the tab's cookie store. The popup grants access to it like to the tab's site.
+ */
+async function showCookiesFor(url, tab) {
+       const params = new URLSearchParams({ url });
+       const storeId = await getTabStoreId(tab);
+       if (storeId) params.set('storeId', storeId);
+       if (tab && tab.id !== undefined) params.set('tabId', String(tab.id));
+       chrome.windows.create({
+              url: chrome.runtime.getURL(`src/popup/popup.html?${params}`),
+              type: 'popup',
+              width: 440,
+              height: 640
+       });
+}
+
+chrome.contextMenus.onClicked.addListener(async (info, menuTab) => {
+       const tab = menuTab || (await tabsQuery({ active: true, currentWindow: true }))[0];
+       let result;
+       try {
+              switch (info.menuItemId) {
+                     case 'delete-site-cookies':
+                            result = await runSiteCommand('clear-site-cookies', tab, info.pageUrl || (tab && tab.url));
+                            break;
+                     case 'delete-link-cookies':
+                            result = await runSiteCommand('clear-site-cookies', tab, info.linkUrl);
+                            break;
+                     case 'show-frame-cookies':
+                            await showCookiesFor(info.frameUrl || info.pageUrl, tab);
+                            return;
+                     case 'copy-cookie-header': {
+                            const pageUrl = info.pageUrl || (tab && tab.url);
+                            // Following a link loads it as the top-level page; a frame is requested from the page
+                            result = info.linkUrl
+                                   ? await runSiteCommand('copy-cookie-header', tab, info.linkUrl, info.linkUrl)
+                                   : await runSiteCommand('copy-cookie-header', tab, info.frameUrl || pageUrl, pageUrl);
+                            break;
+                     }
+                     default:
+                            return;
+              }
+              if (result.origins) await openGrantFlow(result.origins);
+       } catch (e) {
+              console.error('[CookieControl] context menu error', info.menuItemId, e);
+              result = { ok: false, badge: '!', message: e.message || String(e) };
+       }
+       try {
+              await reportCommandResult(tab, result);
+       } catch (e) {
+              console.error('[CookieControl] context menu feedback error', e);
+       }
 });
 
 /* -------------------------
@@ -484,9 +2136,13 @@ chrome.cookies.onChanged.addListener(async (changeInfo) => {
    ------------------------- */
 
 chrome.runtime.onInstalled.addListener(async () => {
+       createContextMenus();
+       queueBadgeUpdate();
        try {
-              const defaults = { permissionMode: 'on_demand' };
-              await storageSet({ [SETTINGS_KEY]: defaults });
+              // Merge defaults into any existing settings so updates never wipe user configuration
+              await updateSettings({});
+              await syncScheduleAlarms();
+              await seedFirstSeen();
        } catch (e) {
               console.error('[CookieControl] onInstalled init error', e);
        }
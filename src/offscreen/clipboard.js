@@ -0,0 +1,17 @@
+/**
+ * src/offscreen/clipboard.js
+ * Offscreen document that copies text for the Chromium service worker (see copyToClipboard in
+ * background.js). An offscreen document never has focus, so navigator.clipboard is not
+ * available and the copy goes through a selected textarea.
+ */
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (!message || message.type !== 'OFFSCREEN_COPY') return false;
+    const textarea = document.getElementById('clipboard');
+    textarea.value = message.text;
+    textarea.select();
+    const ok = document.execCommand('copy');
+    textarea.value = '';
+    sendResponse({ ok });
+    return false;
+});
@@ -4,15 +4,69 @@
  */
 
 import { $, $$ } from '../utils/dom.js';
-import { sendMsg, storageSessionSet, permissionsRequest, permissionsRemove, storageGet, storageSet } from '../utils/chrome.js';
+import {
+    sendMsg,
+    permissionsRequest,
+    permissionsRemove,
+    permissionsContainsApi,
+    permissionsRequestApi,
+    commandsGetAll,
+    storageGet,
+    storageSet
+} from '../utils/chrome.js';
 import { applyStoredTheme, setupThemeSelector, exposeThemeAPI } from '../utils/theme.js';
 import { createStore } from '../utils/state.js';
+import { getSettings, updateSettings } from '../utils/settings.js';
+import { normalizeProtectedEntry, normalizeDomainPattern, cookieKey } from '../utils/cookieUtils.js';
+import { RULE_ACTIONS, normalizeRule, describeRuleMatch } from '../utils/rules.js';
+import {
+    SCHEDULE_FREQUENCIES,
+    SCHEDULE_TARGETS,
+    WEEKDAYS,
+    normalizeSchedule,
+    describeSchedule
+} from '../utils/schedules.js';
+import { COOKIE_FORMATS, serializeCookies, parseCookieFile } from '../utils/cookieFormats.js';
+import {
+    ENCRYPTED_EXTENSION,
+    validatePassphrase,
+    isEncryptedExport,
+    encryptExport,
+    decryptExport
+} from '../utils/exportCrypto.js';
+import { populateStoreSelect } from '../utils/storesUi.js';
+import { renderCookieForm, readCookieForm, showCookieFormErrors } from '../utils/cookieFormUi.js';
+import { RECYCLE_BIN_KINDS, normalizeRetention, isCookieExpired } from '../utils/recycleBin.js';
+import { IMPORT_STATUSES, IMPORT_POLICIES, defaultImportPolicies, shouldWriteEntry } from '../utils/importPlan.js';
+import { DIFF_KINDS } from '../utils/cookieDiff.js';
+import { LOG_CATEGORIES, LOG_TYPES, normalizeLogRetention } from '../utils/opLog.js';
+import { LOG_EXPORT_FORMATS, serializeLog } from '../utils/logExport.js';
+import {
+    TRACKER_CATEGORIES,
+    TRACKER_MATCH_TYPES,
+    loadTrackerDatabase,
+    normalizeTrackerEntry,
+    createTrackerClassifier
+} from '../utils/trackerDb.js';
+import {
+    MONITOR_PORT,
+    MONITOR_KINDS,
+    MONITOR_CAUSES,
+    REWRITE_THRESHOLD,
+    matchesMonitorFilter,
+    countRewrites
+} from '../utils/cookieMonitor.js';
 
 let store;
 let uiState = {
     selectedSection: 'permissions'
 };
 let pendingGrant = [];
+let pendingImport = null; // { cookies, storeId, entries, policies } between preview and import
+const MONITOR_MAX_EVENTS = 1000;
+let monitor = { port: null, events: [], pausedAt: null, renderQueued: false };
+const LOG_PAGE_SIZE = 100;
+let logCursor = null; // nextCursor of the last loaded log page
 
 // Ensure window.CookieControlTheme is available and consistent
 exposeThemeAPI();
@@ -30,6 +84,7 @@ function setupNavigation() {
         const initial = uiState.selectedSection || 'permissions';
         document.querySelector(`.nav-link[data-section="${initial}"]`)?.classList.add('active');
         document.getElementById(initial)?.classList.add('active');
+        if (initial === 'monitor') connectMonitor();
     } catch (_) { /* ignore */ }
 
     navLinks.forEach(link => {
@@ -47,6 +102,8 @@ function setupNavigation() {
                     s.classList.add('active');
                 }
             });
+            // Only stream cookie changes once the monitor has been opened
+            if (section === 'monitor') connectMonitor();
         });
     });
 }
@@ -78,25 +135,1146 @@ async function updateGlobalPermissionStatus() {
     $('#remove-global-perm').disabled = !has;
 }
 
-async function loadLog() {
-    const resp = await sendMsg({ type: 'GET_OP_LOG' });
-    const log = resp.log || [];
+async function loadProtectedList() {
+    const settings = await getSettings();
+    const entries = settings.protectedCookies || [];
+    const container = $('#protected-list');
+    container.innerHTML = '';
+    container.className = 'list-stack';
+
+    if (!entries.length) {
+        container.textContent = 'No protected cookies. Every cookie can be deleted.';
+        return;
+    }
+
+    entries.forEach((entry) => {
+        const item = document.createElement('div');
+        item.className = 'list-item';
+        const label = document.createElement('code');
+        label.textContent = `${entry.domain}  ·  ${entry.name || '*'}`;
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'btn-small';
+        removeBtn.textContent = 'Remove';
+        removeBtn.addEventListener('click', async () => {
+            // Match by value: the list may have changed since it was rendered (e.g. in another tab)
+            const current = (await getSettings()).protectedCookies || [];
+            const isEntry = (e) => e.domain === entry.domain && (e.name || '') === (entry.name || '');
+            await updateSettings({ protectedCookies: current.filter((e) => !isEntry(e)) });
+            loadProtectedList();
+        });
+        item.append(label, removeBtn);
+        container.appendChild(item);
+    });
+}
+
+function describeLogEntry(l) {
+    const parts = [l.type];
+    if (l.domain && !l.cookie) parts.push(l.domain);
+    if (l.ruleId) parts.push(`rule ${l.ruleId} (${l.action})`);
+    if (l.cookie && l.cookie.name) parts.push(`${l.cookie.name} @ ${l.cookie.domain}`);
+    if (l.schedule) parts.push(l.schedule.name);
+    if (typeof l.count === 'number') parts.push(`${l.count} cookie${l.count === 1 ? '' : 's'}`);
+    return parts.join(' · ');
+}
+
+function describeRuleAction(rule) {
+    const label = RULE_ACTIONS[rule.action] || rule.action;
+    if (rule.action === 'cap_lifetime') return `${label} to ${Math.round(rule.maxAgeSeconds / 3600)}h`;
+    return label;
+}
+
+async function saveRules(rules) {
+    await updateSettings({ rules });
+    loadRules();
+}
+
+async function loadRules() {
+    const { rules = [] } = await getSettings();
+    const container = $('#rules-list');
+    container.innerHTML = '';
+    container.className = 'list-stack';
+
+    if (!rules.length) {
+        container.textContent = 'No rules defined. Cookie changes are only logged.';
+        return;
+    }
+
+    rules.forEach((rule, index) => {
+        const item = document.createElement('div');
+        item.className = 'list-item';
+
+        const toggle = document.createElement('input');
+        toggle.type = 'checkbox';
+        toggle.checked = !!rule.enabled;
+        toggle.title = 'Enabled';
+        toggle.addEventListener('change', () => {
+            saveRules(rules.map((r, i) => (i === index ? { ...r, enabled: toggle.checked } : r)));
+        });
+
+        const label = document.createElement('span');
+        label.className = 'rule-summary';
+        const title = rule.description ? `${rule.description}: ` : '';
+        label.textContent = `${index + 1}. ${title}${describeRuleAction(rule)} — ${describeRuleMatch(rule)}`;
+        label.title = `Rule id: ${rule.id}`;
+
+        const controls = document.createElement('div');
+        controls.className = 'button-group';
+        const move = (delta) => {
+            const target = index + delta;
+            if (target < 0 || target >= rules.length) return;
+            const next = rules.slice();
+            [next[index], next[target]] = [next[target], next[index]];
+            saveRules(next);
+        };
+        [['↑', () => move(-1)], ['↓', () => move(1)], ['Remove', () => saveRules(rules.filter((_, i) => i !== index))]]
+            .forEach(([text, handler]) => {
+                const btn = document.createElement('button');
+                btn.className = 'btn-small';
+                btn.textContent = text;
+                btn.addEventListener('click', handler);
+                controls.appendChild(btn);
+            });
+
+        item.append(toggle, label, controls);
+        container.appendChild(item);
+    });
+}
+
+function readTriState(selector) {
+    const value = $(selector).value;
+    return value === '' ? undefined : value === 'true';
+}
+
+function setupRuleForm() {
+    const actionSelect = $('#rule-action');
+    Object.entries(RULE_ACTIONS).forEach(([value, text]) => {
+        const opt = document.createElement('option');
+        opt.value = value;
+        opt.textContent = text;
+        actionSelect.appendChild(opt);
+    });
+    actionSelect.addEventListener('change', () => {
+        $('#rule-max-age-label').style.display = actionSelect.value === 'cap_lifetime' ? '' : 'none';
+    });
+
+    $('#rule-form').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const status = $('#rule-status');
+        let rule;
+        try {
+            rule = normalizeRule({
+                description: $('#rule-description').value,
+                action: actionSelect.value,
+                maxAgeSeconds: Number($('#rule-max-age').value) * 3600,
+                match: {
+                    domain: $('#rule-domain').value,
+                    name: $('#rule-name').value,
+                    party: $('#rule-party').value || undefined,
+                    secure: readTriState('#rule-secure'),
+                    httpOnly: readTriState('#rule-httponly'),
+                    session: readTriState('#rule-session'),
+                    sameSite: $('#rule-samesite').value || undefined
+                }
+            });
+        } catch (err) {
+            status.textContent = err.message;
+            return;
+        }
+        const { rules = [] } = await getSettings();
+        await saveRules(rules.concat(rule));
+        status.textContent = `Added rule ${rule.id}.`;
+        e.target.reset();
+        $('#rule-max-age-label').style.display = 'none';
+    });
+}
+
+async function saveTrackerConfig(trackers) {
+    await updateSettings({ trackers });
+    loadTrackers();
+}
+
+function describeTrackerMatch(match) {
+    return `${TRACKER_MATCH_TYPES[match.type]}: ${match.pattern}${match.domain ? ` (on ${match.domain})` : ''}`;
+}
+
+async function loadTrackers() {
+    const { trackers } = await getSettings();
+    const overrides = trackers.overrides || {};
+    const custom = trackers.custom || [];
+    let db;
+    try {
+        db = await loadTrackerDatabase();
+        $('#tracker-db-info').textContent = `Version ${db.version} · updated ${db.updated} · ${db.entries.length} entries · ${Object.keys(overrides).length} changed by you`;
+    } catch (e) {
+        $('#tracker-db-info').textContent = `The tracker database could not be loaded: ${e.message}`;
+        db = { entries: [] };
+    }
+
+    const search = $('#tracker-search').value.trim().toLowerCase();
+    const categoryFilter = $('#tracker-category-filter').value;
+    const table = $('#tracker-table');
+    table.innerHTML = '';
+    db.entries
+        .filter((entry) => !categoryFilter || (overrides[entry.id] || entry.category) === categoryFilter)
+        .filter((entry) => !search || `${entry.vendor} ${entry.match.pattern} ${entry.description}`.toLowerCase().includes(search))
+        .forEach((entry) => {
+            const row = table.insertRow();
+            const pattern = row.insertCell();
+            pattern.textContent = describeTrackerMatch(entry.match);
+            pattern.title = entry.description;
+            row.insertCell().textContent = entry.vendor;
+            const select = document.createElement('select');
+            Object.entries(TRACKER_CATEGORIES).forEach(([category, { label }]) => {
+                select.add(new Option(category === entry.category ? `${label} (default)` : label, category));
+            });
+            select.value = overrides[entry.id] || entry.category;
+            select.addEventListener('change', () => {
+                const next = { ...overrides };
+                if (select.value === entry.category) delete next[entry.id];
+                else next[entry.id] = select.value;
+                saveTrackerConfig({ ...trackers, overrides: next });
+            });
+            row.insertCell().appendChild(select);
+        });
+
+    const container = $('#tracker-custom-list');
+    container.innerHTML = '';
+    container.className = 'list-stack';
+    if (!custom.length) container.textContent = 'No custom patterns.';
+    custom.forEach((entry, index) => {
+        const item = document.createElement('div');
+        item.className = 'list-item';
+        const label = document.createElement('span');
+        label.className = 'rule-summary';
+        const pattern = document.createElement('code');
+        pattern.textContent = describeTrackerMatch(entry.match);
+        const meta = document.createElement('div');
+        meta.className = 'small muted';
+        meta.textContent = [TRACKER_CATEGORIES[entry.category].label, entry.vendor, entry.description].filter(Boolean).join(' · ');
+        label.append(pattern, meta);
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'btn-small';
+        removeBtn.textContent = 'Remove';
+        removeBtn.addEventListener('click', () => {
+            saveTrackerConfig({ ...trackers, custom: custom.filter((_, i) => i !== index) });
+        });
+        item.append(label, removeBtn);
+        container.appendChild(item);
+    });
+}
+
+function setupTrackerControls() {
+    Object.entries(TRACKER_MATCH_TYPES).forEach(([type, label]) => $('#tracker-match-type').add(new Option(label, type)));
+    $('#tracker-category-filter').add(new Option('All categories', ''));
+    Object.entries(TRACKER_CATEGORIES).forEach(([category, { label }]) => {
+        $('#tracker-category').add(new Option(label, category));
+        $('#tracker-category-filter').add(new Option(label, category));
+    });
+    $('#tracker-search').addEventListener('input', loadTrackers);
+    $('#tracker-category-filter').addEventListener('change', loadTrackers);
+    $('#tracker-match-type').addEventListener('change', (e) => {
+        $('#tracker-domain').disabled = e.target.value === 'domain';
+    });
+
+    $('#tracker-form').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const status = $('#tracker-status');
+        let entry;
+        try {
+            entry = normalizeTrackerEntry({
+                match: {
+                    type: $('#tracker-match-type').value,
+                    pattern: $('#tracker-pattern').value,
+                    domain: $('#tracker-domain').value
+                },
+                category: $('#tracker-category').value,
+                vendor: $('#tracker-vendor').value,
+                description: $('#tracker-description').value
+            });
+        } catch (err) {
+            status.textContent = err.message;
+            return;
+        }
+        const { trackers } = await getSettings();
+        const custom = trackers.custom || [];
+        if (custom.some((c) => c.id === entry.id)) {
+            status.textContent = 'That pattern already exists.';
+            return;
+        }
+        await saveTrackerConfig({ ...trackers, custom: [...custom, entry] });
+        status.textContent = 'Pattern added.';
+        ['#tracker-pattern', '#tracker-domain', '#tracker-vendor', '#tracker-description'].forEach((selector) => { $(selector).value = ''; });
+    });
+
+    $('#tracker-test-form').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const out = $('#tracker-test-result');
+        const [{ trackers }, db] = await Promise.all([getSettings(), loadTrackerDatabase().catch(() => null)]);
+        const result = createTrackerClassifier(db, trackers)({
+            name: $('#tracker-test-name').value.trim(),
+            domain: $('#tracker-test-domain').value.trim()
+        });
+        if (result.category === 'unknown') {
+            out.textContent = 'Unknown: no pattern matches this cookie.';
+            return;
+        }
+        const source = { custom: 'your custom pattern', override: 'a database entry you recategorized', database: 'the database' }[result.source];
+        out.textContent = `${TRACKER_CATEGORIES[result.category].label}${result.vendor ? ` · ${result.vendor}` : ''} (from ${source})${result.description ? ` — ${result.description}` : ''}`;
+    });
+}
+
+const HOUR = 3600;
+
+async function loadLifetimeSettings() {
+    const { lifetimeCap } = await getSettings();
+    const policy = { enabled: false, maxSeconds: 0, domains: [], ...(lifetimeCap || {}) };
+    $('#lifetime-enabled').checked = !!policy.enabled;
+    $('#lifetime-global').value = policy.maxSeconds ? Math.round(policy.maxSeconds / HOUR) : '';
+
+    const container = $('#lifetime-domain-list');
+    container.innerHTML = '';
+    container.className = 'list-stack';
+    if (!policy.domains.length) {
+        container.textContent = 'No per-domain limits.';
+        return;
+    }
+    policy.domains.forEach((entry, index) => {
+        const item = document.createElement('div');
+        item.className = 'list-item';
+        const label = document.createElement('code');
+        label.textContent = `${entry.domain}  ·  ${Math.round(entry.maxSeconds / HOUR)}h`;
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'btn-small';
+        removeBtn.textContent = 'Remove';
+        removeBtn.addEventListener('click', () => saveLifetimeSettings({
+            domains: policy.domains.filter((_, i) => i !== index)
+        }));
+        item.append(label, removeBtn);
+        container.appendChild(item);
+    });
+}
+
+async function saveLifetimeSettings(patch = {}) {
+    const { lifetimeCap } = await getSettings();
+    const hours = parseInt($('#lifetime-global').value, 10);
+    const next = {
+        domains: [],
+        ...(lifetimeCap || {}),
+        enabled: $('#lifetime-enabled').checked,
+        maxSeconds: hours > 0 ? hours * HOUR : 0,
+        ...patch
+    };
+    await updateSettings({ lifetimeCap: next });
+    $('#lifetime-apply').disabled = true;
+    $('#lifetime-preview-result').textContent = '';
+    loadLifetimeSettings();
+}
+
+function setupLifetimeControls() {
+    $('#lifetime-enabled').addEventListener('change', () => saveLifetimeSettings());
+    $('#lifetime-global').addEventListener('change', () => saveLifetimeSettings());
+
+    $('#lifetime-domain-form').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const status = $('#lifetime-status');
+        let domain;
+        try {
+            domain = normalizeDomainPattern($('#lifetime-domain').value);
+        } catch (err) {
+            status.textContent = err.message;
+            return;
+        }
+        const hours = parseInt($('#lifetime-domain-hours').value, 10);
+        if (!(hours > 0)) {
+            status.textContent = 'Maximum lifetime must be at least 1 hour.';
+            return;
+        }
+        const { lifetimeCap } = await getSettings();
+        const domains = ((lifetimeCap && lifetimeCap.domains) || []).concat({ domain, maxSeconds: hours * HOUR });
+        status.textContent = `Limited ${domain} to ${hours}h.`;
+        e.target.reset();
+        await saveLifetimeSettings({ domains });
+    });
+
+    $('#lifetime-preview').addEventListener('click', async () => {
+        const out = $('#lifetime-preview-result');
+        out.textContent = 'Checking cookies...';
+        const resp = await sendMsg({ type: 'PREVIEW_LIFETIME_CAP' });
+        if (!resp || resp.error) {
+            out.textContent = `Preview failed: ${resp && resp.error ? resp.error : 'unknown error'}`;
+            return;
+        }
+        const { affected, total, limited, byDomain } = resp.preview;
+        const top = byDomain.slice(0, 10).map((d) => `${d.domain} (${d.count})`).join(', ');
+        out.textContent = `${affected} of ${total} cookies would be shortened${limited ? ' (granted sites only)' : ''}.${top ? ` Top domains: ${top}.` : ''}`;
+        $('#lifetime-apply').disabled = affected === 0;
+    });
+
+    $('#lifetime-apply').addEventListener('click', async () => {
+        if (!confirm('Shorten the expiry of all matching cookies now?')) return;
+        const btn = $('#lifetime-apply');
+        btn.disabled = true;
+        const resp = await sendMsg({ type: 'APPLY_LIFETIME_CAP' });
+        const out = $('#lifetime-preview-result');
+        if (!resp || resp.error) {
+            out.textContent = `Failed: ${resp && resp.error ? resp.error : 'unknown error'}`;
+            return;
+        }
+        const { capped, failed } = resp.result;
+        out.textContent = `Shortened ${capped} cookies${failed ? `, ${failed} failed` : ''}.`;
+    });
+}
+
+function describeScheduleRun(run) {
+    if (!run) return 'never run';
+    const when = `${new Date(run.ts).toLocaleString()}${run.trigger === 'manual' ? ' (manual)' : ''}`;
+    if (!run.ok) return `last run ${when} failed: ${run.error}`;
+    const notes = [];
+    if (run.protected) notes.push(`${run.protected} protected`);
+    if (run.limited) notes.push('limited to granted sites');
+    return `last run ${when}: ${run.removed} deleted${notes.length ? ` (${notes.join(', ')})` : ''}`;
+}
+
+async function saveSchedules(schedules) {
+    await updateSettings({ schedules });
+    loadSchedules();
+}
+
+async function loadSchedules() {
+    const resp = await sendMsg({ type: 'GET_SCHEDULES' });
+    const schedules = (resp && resp.schedules) || [];
+    const container = $('#schedule-list');
+    container.innerHTML = '';
+    container.className = 'list-stack';
+
+    if (!schedules.length) {
+        container.textContent = 'No jobs defined.';
+        return;
+    }
+
+    // Strip the display fields added by GET_SCHEDULES before saving
+    const stored = schedules.map(({ description, nextRun, lastRun, ...job }) => job);
+    schedules.forEach((schedule, index) => {
+        const item = document.createElement('div');
+        item.className = 'list-item';
+
+        const toggle = document.createElement('input');
+        toggle.type = 'checkbox';
+        toggle.checked = !!schedule.enabled;
+        toggle.title = 'Enabled';
+        toggle.addEventListener('change', () => {
+            saveSchedules(stored.map((s, i) => (i === index ? { ...s, enabled: toggle.checked } : s)));
+        });
+
+        const label = document.createElement('span');
+        label.className = 'rule-summary';
+        const title = document.createElement('div');
+        title.textContent = schedule.name ? `${schedule.name}: ${schedule.description}` : schedule.description;
+        const meta = document.createElement('div');
+        meta.className = 'small muted';
+        const next = schedule.nextRun ? `next run ${new Date(schedule.nextRun).toLocaleString()}` : 'disabled';
+        meta.textContent = `${next} · ${describeScheduleRun(schedule.lastRun)}`;
+        label.append(title, meta);
+
+        const runBtn = document.createElement('button');
+        runBtn.className = 'btn-small';
+        runBtn.textContent = 'Run Now';
+        runBtn.addEventListener('click', async () => {
+            if (!confirm(`Run "${schedule.name || schedule.description}" now?`)) return;
+            runBtn.disabled = true;
+            const status = $('#schedule-run-status');
+            status.textContent = 'Running...';
+            const res = await sendMsg({ type: 'RUN_SCHEDULE', id: schedule.id });
+            status.textContent = res && res.status ? `${schedule.name || 'Job'}: ${describeScheduleRun(res.status)}.` : `Failed: ${(res && res.error) || 'unknown error'}`;
+            loadSchedules();
+        });
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'btn-small';
+        removeBtn.textContent = 'Remove';
+        removeBtn.addEventListener('click', () => saveSchedules(stored.filter((_, i) => i !== index)));
+
+        item.append(toggle, label, runBtn, removeBtn);
+        container.appendChild(item);
+    });
+}
+
+function setupScheduleForm() {
+    const fill = (select, entries) => entries.forEach(([value, text]) => {
+        const opt = document.createElement('option');
+        opt.value = value;
+        opt.textContent = text;
+        select.appendChild(opt);
+    });
+    const frequency = $('#schedule-frequency');
+    fill(frequency, Object.entries(SCHEDULE_FREQUENCIES));
+    fill($('#schedule-target'), Object.entries(SCHEDULE_TARGETS));
+    fill($('#schedule-weekday'), WEEKDAYS.map((day, i) => [i, day]));
+    const showTimeFields = () => {
+        $('#schedule-minute-label').style.display = frequency.value === 'hourly' ? '' : 'none';
+        $('#schedule-time-label').style.display = frequency.value === 'hourly' ? 'none' : '';
+        $('#schedule-weekday-label').style.display = frequency.value === 'weekly' ? '' : 'none';
+    };
+    frequency.addEventListener('change', showTimeFields);
+
+    $('#schedule-form').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const status = $('#schedule-status');
+        let schedule;
+        try {
+            schedule = normalizeSchedule({
+                name: $('#schedule-name').value,
+                frequency: frequency.value,
+                minute: $('#schedule-minute').value,
+                time: $('#schedule-time').value,
+                weekday: $('#schedule-weekday').value,
+                target: $('#schedule-target').value,
+                domain: $('#schedule-domain').value,
+                minAgeDays: $('#schedule-min-age').value
+            });
+        } catch (err) {
+            status.textContent = err.message;
+            return;
+        }
+        const { schedules = [] } = await getSettings();
+        await saveSchedules(schedules.concat(schedule));
+        status.textContent = `Added: ${describeSchedule(schedule)}.`;
+        e.target.reset();
+        showTimeFields();
+    });
+}
+
+function readLogFilter() {
+    const sinceSeconds = Number($('#log-since').value);
+    return {
+        category: $('#log-category').value,
+        type: $('#log-type').value,
+        domain: $('#log-domain').value.trim(),
+        since: sinceSeconds ? Date.now() - sinceSeconds * 1000 : 0
+    };
+}
+
+/**
+ * Show the newest page of matching entries, or append the next page with `more`.
+ */
+async function loadLog(more = false) {
+    const resp = await sendMsg({
+        type: 'GET_OP_LOG',
+        filter: readLogFilter(),
+        limit: LOG_PAGE_SIZE,
+        before: more ? logCursor : undefined
+    });
+    const log = (resp && resp.log) || [];
+    logCursor = (resp && resp.nextCursor) || null;
+    $('#log-more').style.display = logCursor ? '' : 'none';
     const el = $('#oplog');
-    el.innerHTML = '';
+    if (!more) el.innerHTML = '';
 
-    if (!log.length) {
-        el.textContent = 'No recent operations to display.';
+    if (!more && !log.length) {
+        el.textContent = 'No operations match these filters.';
         return;
     }
 
-    log.reverse().forEach((l) => {
+    log.forEach((l) => {
         const entry = document.createElement('div');
         entry.className = 'log-entry';
-        entry.textContent = `${new Date(l.ts).toLocaleString()} — ${l.type}`;
+        entry.textContent = `${new Date(l.ts).toLocaleString()} — ${describeLogEntry(l)}`;
         el.appendChild(entry);
     });
 }
 
+/**
+ * Open the port the background streams cookie changes over; reconnect when the
+ * service worker restarts.
+ */
+function connectMonitor() {
+    if (monitor.port) return;
+    const port = chrome.runtime.connect({ name: MONITOR_PORT });
+    monitor.port = port;
+    port.onMessage.addListener((msg) => {
+        if (msg.type === 'MONITOR_BACKLOG') {
+            const known = new Set(monitor.events.map((e) => e.id));
+            monitor.events = monitor.events.concat(msg.events.filter((e) => !known.has(e.id)));
+        } else if (msg.type === 'MONITOR_EVENT') {
+            monitor.events.push(msg.event);
+        }
+        monitor.events = monitor.events.slice(-MONITOR_MAX_EVENTS);
+        scheduleMonitorRender();
+    });
+    port.onDisconnect.addListener(() => {
+        monitor.port = null;
+        setTimeout(connectMonitor, 1000);
+    });
+}
+
+function scheduleMonitorRender() {
+    if (monitor.pausedAt || monitor.renderQueued) {
+        updateMonitorStatus();
+        return;
+    }
+    monitor.renderQueued = true;
+    requestAnimationFrame(() => {
+        monitor.renderQueued = false;
+        renderMonitor();
+    });
+}
+
+function readMonitorFilter() {
+    return {
+        domain: $('#monitor-domain').value,
+        name: $('#monitor-name').value,
+        cause: $('#monitor-cause').value
+    };
+}
+
+function updateMonitorStatus() {
+    const status = $('#monitor-status');
+    const total = monitor.events.length;
+    if (monitor.pausedAt) {
+        const held = monitor.events.filter((e) => e.ts > monitor.pausedAt).length;
+        status.textContent = `Paused at ${new Date(monitor.pausedAt).toLocaleTimeString()} · ${held} new event${held === 1 ? '' : 's'} since`;
+    } else {
+        status.textContent = total ? `${total} event${total === 1 ? '' : 's'}` : 'Waiting for cookie changes...';
+    }
+}
+
+function describeMonitorValue(event) {
+    if (event.kind === 'overwrite' && event.previous) {
+        if (event.previous.value === event.cookie.value) return `${shortValue(event.cookie.value)} (value unchanged)`;
+        return `${shortValue(event.previous.value)} → ${shortValue(event.cookie.value)}`;
+    }
+    return shortValue(event.cookie.value);
+}
+
+/**
+ * Newest events first; cookies rewritten REWRITE_THRESHOLD or more times a minute are highlighted.
+ */
+function renderMonitor() {
+    const filter = readMonitorFilter();
+    // While paused the view stays frozen; filters still apply to what was already shown
+    const events = monitor.pausedAt ? monitor.events.filter((e) => e.ts <= monitor.pausedAt) : monitor.events;
+    const rewrites = countRewrites(events);
+    const shown = events.filter((e) => matchesMonitorFilter(e, filter)).reverse();
+    updateMonitorStatus();
+
+    const table = $('#monitor-table');
+    table.innerHTML = '';
+    shown.forEach((event) => {
+        const row = table.insertRow();
+        const writes = rewrites.get(event.id) || 0;
+        if (writes >= REWRITE_THRESHOLD) row.className = 'rewrite';
+        row.insertCell().textContent = new Date(event.ts).toLocaleTimeString();
+        const kind = row.insertCell();
+        kind.className = 'diff-kind';
+        kind.textContent = MONITOR_KINDS[event.kind] || event.kind;
+        if (writes >= REWRITE_THRESHOLD) {
+            const badge = document.createElement('span');
+            badge.className = 'rewrite-count';
+            badge.textContent = `×${writes}`;
+            badge.title = `Written ${writes} times within a minute`;
+            kind.appendChild(badge);
+        }
+        const cause = row.insertCell();
+        cause.textContent = event.cause;
+        cause.title = MONITOR_CAUSES[event.cause] || '';
+        row.insertCell().textContent = importEntryLabel(event.cookie);
+        row.insertCell().textContent = describeMonitorValue(event);
+    });
+}
+
+function setupMonitorControls() {
+    const causeSelect = $('#monitor-cause');
+    causeSelect.add(new Option('All causes', ''));
+    Object.entries(MONITOR_CAUSES).forEach(([cause, label]) => causeSelect.add(new Option(label, cause)));
+
+    ['#monitor-domain', '#monitor-name'].forEach((selector) => $(selector).addEventListener('input', renderMonitor));
+    causeSelect.addEventListener('change', renderMonitor);
+    $('#monitor-pause').addEventListener('click', (e) => {
+        monitor.pausedAt = monitor.pausedAt ? null : Date.now();
+        e.target.textContent = monitor.pausedAt ? 'Resume' : 'Pause';
+        renderMonitor();
+    });
+    $('#monitor-clear').addEventListener('click', () => {
+        monitor.events = [];
+        renderMonitor();
+    });
+}
+
+async function runProfileAction(message, doneText) {
+    const resp = await sendMsg(message);
+    const status = $('#profile-status');
+    if (!resp || !resp.ok) {
+        const error = resp && resp.error;
+        status.textContent = error === 'wrong_passphrase'
+            ? 'Wrong passphrase for this profile.'
+            : `Error: ${error || 'unknown error'}`;
+        return;
+    }
+    status.textContent = doneText;
+    loadProfileList();
+}
+
+async function loadProfileList() {
+    const resp = await sendMsg({ type: 'GET_PROFILES' });
+    const profiles = (resp && resp.profiles) || [];
+    const container = $('#profile-list');
+    container.innerHTML = '';
+    container.className = 'list-stack';
+
+    if (!profiles.length) {
+        container.textContent = 'No profiles saved. Use "+ Save" in the popup to save a site\'s cookies as a profile.';
+        return;
+    }
+
+    const sorted = profiles.slice().sort((a, b) => a.site.localeCompare(b.site) || a.name.localeCompare(b.name));
+    sorted.forEach((profile) => {
+        const item = document.createElement('div');
+        item.className = 'list-item';
+        const label = document.createElement('span');
+        label.className = 'rule-summary';
+        const name = document.createElement('code');
+        name.textContent = `${profile.encrypted ? '🔒 ' : ''}${profile.name}`;
+        const meta = document.createElement('div');
+        meta.className = 'small muted';
+        meta.textContent = `${profile.site} · ${profile.cookieCount} cookies · updated ${new Date(profile.updatedAt).toLocaleString()}`;
+        label.append(name, meta);
+
+        const renameBtn = document.createElement('button');
+        renameBtn.className = 'btn-small';
+        renameBtn.textContent = 'Rename';
+        renameBtn.addEventListener('click', () => {
+            const next = prompt('New profile name', profile.name);
+            if (next === null || next.trim() === profile.name) return;
+            runProfileAction({ type: 'RENAME_PROFILE', id: profile.id, name: next }, 'Profile renamed.');
+        });
+
+        const updateBtn = document.createElement('button');
+        updateBtn.className = 'btn-small';
+        updateBtn.textContent = 'Update';
+        updateBtn.title = `Replace with the current cookies of ${profile.host}`;
+        updateBtn.addEventListener('click', () => {
+            const passphrase = $('#profile-passphrase').value;
+            if (profile.encrypted && !passphrase) {
+                $('#profile-status').textContent = 'Enter the passphrase of this encrypted profile first.';
+                $('#profile-passphrase').focus();
+                return;
+            }
+            if (!confirm(`Replace the cookies saved in "${profile.name}" with the current cookies of ${profile.host}?`)) return;
+            runProfileAction({ type: 'UPDATE_PROFILE', id: profile.id, passphrase: passphrase || undefined }, `Profile "${profile.name}" updated.`);
+        });
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'btn-small';
+        deleteBtn.textContent = 'Delete';
+        deleteBtn.addEventListener('click', () => {
+            if (!confirm(`Delete the profile "${profile.name}"? The site's current cookies are not affected.`)) return;
+            runProfileAction({ type: 'DELETE_PROFILE', id: profile.id }, 'Profile deleted.');
+        });
+
+        item.append(label, renameBtn, updateBtn, deleteBtn);
+        container.appendChild(item);
+    });
+}
+
+async function loadSnapshots() {
+    const resp = await sendMsg({ type: 'GET_SNAPSHOTS' });
+    const snapshots = (resp && resp.snapshots) || [];
+    const container = $('#snapshot-list');
+    container.innerHTML = '';
+    container.className = 'list-stack';
+
+    if (!snapshots.length) container.textContent = 'No snapshots yet.';
+    snapshots.forEach((snapshot) => {
+        const item = document.createElement('div');
+        item.className = 'list-item';
+        const label = document.createElement('span');
+        label.className = 'rule-summary';
+        const name = document.createElement('code');
+        name.textContent = snapshot.name;
+        const meta = document.createElement('div');
+        meta.className = 'small muted';
+        meta.textContent = `${snapshot.site || 'All sites'} · ${snapshot.cookieCount} cookies · ${new Date(snapshot.ts).toLocaleString()}`;
+        label.append(name, meta);
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'btn-small';
+        deleteBtn.textContent = 'Delete';
+        deleteBtn.addEventListener('click', async () => {
+            if (!confirm(`Delete the snapshot "${snapshot.name}"?`)) return;
+            await sendMsg({ type: 'DELETE_SNAPSHOT', id: snapshot.id });
+            loadSnapshots();
+        });
+
+        item.append(label, deleteBtn);
+        container.appendChild(item);
+    });
+    populateDiffSides(snapshots);
+}
+
+/**
+ * Fill both compare pickers: the snapshots, the live cookies and an exported file.
+ * By default the newest snapshot is compared with the live cookies.
+ */
+function populateDiffSides(snapshots) {
+    [['#diff-left', true], ['#diff-right', false]].forEach(([selector, preferSnapshot]) => {
+        const select = $(selector);
+        const previous = select.value;
+        select.innerHTML = '';
+        snapshots.forEach((s) => select.add(new Option(`${s.name} (${s.site || 'all sites'})`, `snapshot:${s.id}`)));
+        select.add(new Option('Live cookies', 'live'));
+        select.add(new Option('Exported file…', 'file'));
+        const values = Array.from(select.options).map((o) => o.value);
+        if (values.includes(previous)) select.value = previous;
+        else select.value = preferSnapshot && snapshots.length ? values[0] : 'live';
+        updateDiffFileInput(select);
+    });
+}
+
+function updateDiffFileInput(select) {
+    $(`#${select.id}-file`).style.display = select.value === 'file' ? '' : 'none';
+}
+
+/**
+ * Turn a compare picker into a DIFF_COOKIES side, reading (and decrypting) an exported file.
+ * Throws with a user-facing message.
+ */
+async function readDiffSide(selector) {
+    const value = $(selector).value;
+    if (value === 'live') return { type: 'live', storeId: $('#snapshot-store').value || undefined };
+    if (value.startsWith('snapshot:')) return { type: 'snapshot', id: value.slice('snapshot:'.length) };
+
+    const file = $(`${selector}-file`).files[0];
+    if (!file) throw new Error('Choose the exported file to compare.');
+    let text = await file.text();
+    if (isEncryptedExport(text)) {
+        const passphrase = $('#diff-passphrase').value;
+        if (!passphrase) {
+            $('#diff-passphrase-row').style.display = '';
+            $('#diff-passphrase').focus();
+            throw new Error(`${file.name} is encrypted. Enter its passphrase, then click Compare again.`);
+        }
+        try {
+            ({ plaintext: text } = await decryptExport(text, passphrase));
+        } catch (e) {
+            throw new Error(e.code === 'wrong_passphrase' ? `Wrong passphrase for ${file.name}.` : describeDecryptError(e));
+        }
+    }
+    return { type: 'cookies', cookies: parseCookieFile(text).cookies };
+}
+
+function describeDiffChange(change) {
+    const { before, after } = change;
+    const notes = [];
+    if (change.kind === 'added') notes.push(shortValue(after.value));
+    if (change.kind === 'removed') notes.push(shortValue(before.value));
+    if (change.kind === 'value') notes.push(`${shortValue(before.value)} → ${shortValue(after.value)}`);
+    if (change.attributes.length) notes.push(`changed: ${change.attributes.join(', ')}`);
+    return notes.join(' · ');
+}
+
+/**
+ * Changes grouped by site, the largest groups first.
+ */
+function renderDiff(diff) {
+    const container = $('#diff-result');
+    container.innerHTML = '';
+    container.style.display = '';
+
+    const { counts } = diff;
+    const heading = document.createElement('p');
+    heading.textContent = `${Object.entries(DIFF_KINDS).map(([kind, label]) => `${label}: ${counts[kind]}`).join(' · ')} · Unchanged: ${diff.unchanged}`;
+    container.appendChild(heading);
+
+    const domains = Object.keys(diff.groups).sort((a, b) => diff.groups[b].length - diff.groups[a].length || a.localeCompare(b));
+    if (!domains.length) {
+        const none = document.createElement('p');
+        none.className = 'small muted';
+        none.textContent = 'No differences.';
+        container.appendChild(none);
+        return;
+    }
+
+    domains.forEach((domain) => {
+        const changes = diff.groups[domain];
+        const details = document.createElement('details');
+        details.className = 'import-group';
+        details.open = domains.length === 1;
+        const summary = document.createElement('summary');
+        summary.textContent = `${domain} (${changes.length})`;
+        details.appendChild(summary);
+
+        const table = document.createElement('table');
+        table.className = 'import-table';
+        changes.forEach((change) => {
+            const row = table.insertRow();
+            const kind = row.insertCell();
+            kind.className = 'diff-kind';
+            kind.textContent = DIFF_KINDS[change.kind];
+            row.insertCell().textContent = importEntryLabel(change.after || change.before);
+            row.insertCell().textContent = describeDiffChange(change);
+        });
+        details.appendChild(table);
+        container.appendChild(details);
+    });
+}
+
+async function runDiff() {
+    const status = $('#diff-status');
+    $('#diff-result').style.display = 'none';
+    let left;
+    let right;
+    try {
+        left = await readDiffSide('#diff-left');
+        right = await readDiffSide('#diff-right');
+    } catch (e) {
+        status.textContent = e.message;
+        return;
+    }
+    status.textContent = 'Comparing...';
+    const resp = await sendMsg({ type: 'DIFF_COOKIES', left, right, ignoreExpiry: $('#diff-ignore-expiry').checked });
+    if (!resp || !resp.ok) {
+        status.textContent = `Compare failed: ${(resp && resp.error) || 'unknown error'}`;
+        return;
+    }
+    status.textContent = resp.diff.site ? `Compared cookies of ${resp.diff.site}.` : '';
+    renderDiff(resp.diff);
+}
+
+function describeBinCookie(cookie) {
+    const expired = isCookieExpired(cookie) ? ' (expired)' : '';
+    return `${cookie.name} @ ${cookie.domain}${cookie.path && cookie.path !== '/' ? cookie.path : ''}${expired}`;
+}
+
+async function restoreFromBin(id, keys) {
+    const resp = await sendMsg({ type: 'RESTORE_DELETED', id, keys });
+    const status = $('#recycle-bin-status');
+    if (!resp || !resp.ok) {
+        status.textContent = `Restore failed: ${(resp && resp.error) || 'unknown error'}`;
+    } else {
+        const { restored, expired, failed } = resp.result;
+        const notes = [];
+        if (expired) notes.push(`${expired} expired and skipped`);
+        if (failed) notes.push(`${failed} failed`);
+        status.textContent = `Restored ${restored} cookie${restored === 1 ? '' : 's'}.${notes.length ? ` ${notes.join(', ')}.` : ''}`;
+    }
+    loadRecycleBin();
+}
+
+async function loadRecycleBin() {
+    const resp = await sendMsg({ type: 'GET_RECYCLE_BIN' });
+    const entries = (resp && resp.entries) || [];
+    const container = $('#recycle-bin-list');
+    container.innerHTML = '';
+    container.className = 'list-stack';
+
+    if (!entries.length) {
+        container.textContent = 'Nothing has been deleted recently.';
+        return;
+    }
+
+    entries.forEach((entry) => {
+        const details = document.createElement('details');
+        details.className = 'bin-entry';
+
+        const summary = document.createElement('summary');
+        summary.className = 'list-item';
+        const label = document.createElement('span');
+        label.className = 'rule-summary';
+        const count = entry.cookies.length;
+        label.textContent = `${RECYCLE_BIN_KINDS[entry.kind] || entry.kind} · ${entry.label} · ${count} cookie${count === 1 ? '' : 's'} · ${new Date(entry.ts).toLocaleString()}`;
+        const restoreAll = document.createElement('button');
+        restoreAll.className = 'btn-small';
+        restoreAll.textContent = 'Restore All';
+        restoreAll.addEventListener('click', (e) => {
+            e.preventDefault();
+            restoreFromBin(entry.id);
+        });
+        summary.append(label, restoreAll);
+        details.appendChild(summary);
+
+        const list = document.createElement('div');
+        list.className = 'list-stack bin-cookies';
+        entry.cookies.forEach((cookie) => {
+            const item = document.createElement('div');
+            item.className = 'list-item';
+            const name = document.createElement('code');
+            name.textContent = describeBinCookie(cookie);
+            const restoreBtn = document.createElement('button');
+            restoreBtn.className = 'btn-small';
+            restoreBtn.textContent = 'Restore';
+            restoreBtn.disabled = isCookieExpired(cookie);
+            restoreBtn.addEventListener('click', () => restoreFromBin(entry.id, [cookieKey(cookie)]));
+            item.append(name, restoreBtn);
+            list.appendChild(item);
+        });
+        details.appendChild(list);
+        container.appendChild(details);
+    });
+}
+
+async function loadRecycleBinSettings() {
+    const { recycleBin } = await getSettings();
+    $('#recycle-max-operations').value = recycleBin.maxOperations;
+    $('#recycle-max-age').value = recycleBin.maxAgeDays;
+}
+
+async function saveRecycleBinSettings() {
+    const status = $('#recycle-bin-status');
+    try {
+        const recycleBin = normalizeRetention({
+            maxOperations: $('#recycle-max-operations').value,
+            maxAgeDays: $('#recycle-max-age').value
+        });
+        await updateSettings({ recycleBin });
+        status.textContent = 'Retention saved.';
+        loadRecycleBin();
+    } catch (e) {
+        status.textContent = e.message;
+        loadRecycleBinSettings();
+    }
+}
+
+/**
+ * Read every matching log entry, newest first, page by page.
+ */
+async function fetchAllLogEntries(filter) {
+    let entries = [];
+    let before;
+    do {
+        const resp = await sendMsg({ type: 'GET_OP_LOG', filter, limit: 1000, before });
+        if (!resp || resp.error) throw new Error((resp && resp.error) || 'unknown error');
+        entries = entries.concat(resp.log || []);
+        before = resp.nextCursor;
+    } while (before);
+    return entries;
+}
+
+function setupLogExport() {
+    const typeSelect = $('#log-export-type');
+    typeSelect.add(new Option('All types', ''));
+    Object.entries(LOG_TYPES).forEach(([type, label]) => typeSelect.add(new Option(label, type)));
+    Object.entries(LOG_EXPORT_FORMATS).forEach(([format, { label }]) => $('#log-export-format').add(new Option(label, format)));
+    // Default to the last seven days, the period of a weekly review
+    const dateValue = (d) => `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+    $('#log-export-from').value = dateValue(new Date(Date.now() - 6 * 24 * 3600 * 1000));
+    $('#log-export-until').value = dateValue(new Date());
+
+    $('#log-export').addEventListener('click', async () => {
+        const status = $('#log-export-status');
+        // Date inputs are local calendar days: from the start of the first to the end of the last
+        const fromValue = $('#log-export-from').value;
+        const untilValue = $('#log-export-until').value;
+        const from = fromValue ? new Date(`${fromValue}T00:00:00`).getTime() : 0;
+        const until = untilValue ? new Date(`${untilValue}T23:59:59.999`).getTime() : 0;
+        if (from && until && from > until) {
+            status.textContent = 'The start date is after the end date.';
+            return;
+        }
+        const type = $('#log-export-type').value;
+        const format = $('#log-export-format').value;
+        const includeValues = $('#log-export-values').checked;
+        status.textContent = 'Exporting...';
+        let entries;
+        try {
+            entries = await fetchAllLogEntries({ since: from, until, type });
+        } catch (e) {
+            status.textContent = `Export failed: ${e.message}`;
+            return;
+        }
+        const { mime, extension } = LOG_EXPORT_FORMATS[format];
+        const text = serializeLog(entries, format, { from, until, type, includeValues });
+        const blob = new Blob([text], { type: mime });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `cookiecontrol-log-${Date.now()}.${extension}`;
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+        URL.revokeObjectURL(url);
+        status.textContent = `Exported ${entries.length} entr${entries.length === 1 ? 'y' : 'ies'}${includeValues ? ' with cookie values' : ''}.`;
+    });
+}
+
+async function loadLogRetention() {
+    const { opLog } = await getSettings();
+    $('#log-action-entries').value = opLog.action.maxEntries;
+    $('#log-action-days').value = opLog.action.maxAgeDays;
+    $('#log-observed-entries').value = opLog.observed.maxEntries;
+    $('#log-observed-days').value = opLog.observed.maxAgeDays;
+}
+
+async function saveLogRetention() {
+    const status = $('#log-status');
+    try {
+        const opLog = normalizeLogRetention({
+            action: { maxEntries: $('#log-action-entries').value, maxAgeDays: $('#log-action-days').value },
+            observed: { maxEntries: $('#log-observed-entries').value, maxAgeDays: $('#log-observed-days').value }
+        });
+        await updateSettings({ opLog });
+        status.textContent = 'Retention saved. Older entries are removed within a minute of the next logged operation.';
+    } catch (e) {
+        status.textContent = e.message;
+        loadLogRetention();
+    }
+}
+
+async function loadAutoCleanupSettings() {
+    const { autoCleanup } = await getSettings();
+    $('#auto-cleanup-enabled').checked = !!(autoCleanup && autoCleanup.enabled);
+    $('#auto-cleanup-grace').value = (autoCleanup && autoCleanup.graceSeconds) || 60;
+}
+
+async function saveAutoCleanupSettings() {
+    const graceSeconds = Math.max(30, parseInt($('#auto-cleanup-grace').value, 10) || 60);
+    $('#auto-cleanup-grace').value = graceSeconds;
+    await updateSettings({ autoCleanup: { enabled: $('#auto-cleanup-enabled').checked, graceSeconds } });
+}
+
+async function loadBadgeSettings() {
+    const { badge } = await getSettings();
+    $('#badge-mode').value = (badge && badge.mode) || 'cookies';
+}
+
+async function saveBadgeSettings() {
+    await updateSettings({ badge: { mode: $('#badge-mode').value } });
+}
+
+async function loadCommandSettings() {
+    const [commands, { commands: config }, notificationsGranted] = await Promise.all([
+        commandsGetAll(),
+        getSettings(),
+        permissionsContainsApi('notifications')
+    ]);
+    const container = $('#command-list');
+    container.innerHTML = '';
+    container.className = 'list-stack';
+    commands.filter((c) => c.description).forEach((command) => {
+        const item = document.createElement('div');
+        item.className = 'list-item';
+        const label = document.createElement('span');
+        label.className = 'rule-summary';
+        label.textContent = command.description;
+        const keys = document.createElement('code');
+        keys.textContent = command.shortcut || 'Not set';
+        item.append(label, keys);
+        container.appendChild(item);
+    });
+    // A revoked permission turns notifications off
+    $('#command-notify').checked = !!(config && config.notify) && notificationsGranted;
+}
+
+async function saveCommandSettings() {
+    const checkbox = $('#command-notify');
+    const status = $('#command-status');
+    status.textContent = '';
+    if (checkbox.checked && !await permissionsRequestApi('notifications')) {
+        checkbox.checked = false;
+        status.textContent = 'Notifications need the "notifications" permission.';
+    }
+    await updateSettings({ commands: { notify: checkbox.checked } });
+}
+
 function setupEventListeners() {
     // Permissions
     $('#revoke-all').addEventListener('click', async () => {
@@ -129,19 +1307,73 @@ function setupEventListeners() {
         updateGlobalPermissionStatus();
     });
 
+    // Protected cookies
+    $('#protected-form').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const status = $('#protected-status');
+        let entry;
+        try {
+            entry = normalizeProtectedEntry({ domain: $('#protected-domain').value, name: $('#protected-name').value });
+        } catch (err) {
+            status.textContent = err.message;
+            return;
+        }
+        const current = (await getSettings()).protectedCookies || [];
+        if (current.some((p) => p.domain === entry.domain && p.name === entry.name)) {
+            status.textContent = 'That entry already exists.';
+            return;
+        }
+        await updateSettings({ protectedCookies: current.concat(entry) });
+        status.textContent = `Protected ${entry.name} on ${entry.domain}.`;
+        e.target.reset();
+        loadProtectedList();
+    });
+
+    // Rules
+    setupRuleForm();
+
+    // Lifetime limits
+    setupLifetimeControls();
+    setupScheduleForm();
+
+    // Automatic cleanup
+    $('#auto-cleanup-enabled').addEventListener('change', saveAutoCleanupSettings);
+    $('#auto-cleanup-grace').addEventListener('change', saveAutoCleanupSettings);
+
+    // Toolbar badge
+    $('#badge-mode').addEventListener('change', saveBadgeSettings);
+
+    // Keyboard shortcuts
+    $('#command-notify').addEventListener('change', saveCommandSettings);
+
     // Import / Export
     $('#export-all').addEventListener('click', async () => {
-        const resp = await sendMsg({ type: 'EXPORT_COOKIES' });
+        const resp = await sendMsg({ type: 'EXPORT_COOKIES', storeId: $('#export-store').value || undefined });
         if (resp.error) {
             alert('Export error: ' + resp.error);
             return;
         }
         const data = resp.data || [];
-        const blob = new Blob([JSON.stringify({ exportedAt: new Date().toISOString(), cookies: data }, null, 2)], { type: 'application/json' });
+        const format = $('#export-format').value;
+        let { mime, extension } = COOKIE_FORMATS[format] || COOKIE_FORMATS.json;
+        let text = serializeCookies(data, format);
+        if ($('#export-encrypt').checked) {
+            const passphrase = $('#export-passphrase').value;
+            try {
+                validatePassphrase(passphrase, $('#export-passphrase-confirm').value);
+                text = await encryptExport(text, passphrase, { contentFormat: format });
+            } catch (e) {
+                alert('Export error: ' + e.message);
+                return;
+            }
+            mime = 'application/json';
+            extension = ENCRYPTED_EXTENSION;
+        }
+        const blob = new Blob([text], { type: mime });
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
-        a.download = `cookiecontrol-export-${Date.now()}.json`;
+        a.download = `cookiecontrol-export-${Date.now()}.${extension}`;
         document.body.appendChild(a);
         a.click();
         a.remove();
@@ -149,38 +1381,378 @@ function setupEventListeners() {
         alert(`Exported ${data.length} cookies.`);
     });
 
-    $('#do-import').addEventListener('click', async () => {
-        const fileInput = $('#import-file');
-        const file = fileInput.files[0];
-        if (!file) {
-            alert('Please select a JSON file to import.');
-            return;
-        }
-        const text = await file.text();
-        let parsed;
+    $('#export-encrypt').addEventListener('change', (e) => {
+        $('#export-passphrase-fields').style.display = e.target.checked ? '' : 'none';
+    });
+    // Ask for the passphrase as soon as an encrypted file is picked
+    $('#import-file').addEventListener('change', async (e) => {
+        resetImportFlow();
+        const file = e.target.files[0];
+        const encrypted = !!file && isEncryptedExport(await file.text());
+        $('#import-passphrase-row').style.display = encrypted ? '' : 'none';
+        if (!encrypted) $('#import-passphrase').value = '';
+    });
+
+    $('#do-import').addEventListener('click', previewImportFile);
+
+    // Snapshots
+    $('#snapshot-form').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const status = $('#snapshot-status');
+        const siteInput = $('#snapshot-site').value.trim();
+        let site;
         try {
-            parsed = JSON.parse(text);
-        } catch (e) {
-            alert('Error: Invalid JSON file.');
+            site = siteInput ? normalizeDomainPattern(siteInput) : undefined;
+            if (site && /[*?]/.test(site)) throw new Error('Enter a plain domain, without wildcards');
+        } catch (err) {
+            status.textContent = err.message;
             return;
         }
-        const cookies = parsed.cookies || (Array.isArray(parsed) ? parsed : []);
-        const res = await sendMsg({ type: 'IMPORT_COOKIES', cookies });
-        if (res && res.res && res.res.imported > 0) {
-            alert(`Successfully imported ${res.res.imported} cookies.`);
-        } else {
-            alert('Import failed. No cookies were imported.');
+        const resp = await sendMsg({
+            type: 'TAKE_SNAPSHOT',
+            name: $('#snapshot-name').value,
+            site,
+            storeId: $('#snapshot-store').value || undefined
+        });
+        if (!resp || !resp.ok) {
+            status.textContent = `Error: ${(resp && resp.error) || 'unknown error'}`;
+            return;
         }
-        fileInput.value = ''; // Reset file input
+        status.textContent = `Saved "${resp.snapshot.name}" with ${resp.snapshot.cookieCount} cookies.`;
+        $('#snapshot-name').value = '';
+        loadSnapshots();
+    });
+    ['#diff-left', '#diff-right'].forEach((selector) => {
+        $(selector).addEventListener('change', (e) => updateDiffFileInput(e.target));
     });
+    $('#diff-run').addEventListener('click', runDiff);
+
+    // Recycle bin
+    $('#recycle-bin-refresh').addEventListener('click', loadRecycleBin);
+    $('#recycle-bin-clear').addEventListener('click', async () => {
+        if (!confirm('Permanently discard all deleted cookies? They can no longer be restored.')) return;
+        await sendMsg({ type: 'CLEAR_RECYCLE_BIN' });
+        $('#recycle-bin-status').textContent = '';
+        loadRecycleBin();
+    });
+    $('#recycle-max-operations').addEventListener('change', saveRecycleBinSettings);
+    $('#recycle-max-age').addEventListener('change', saveRecycleBinSettings);
+
+    // Live monitor
+    setupMonitorControls();
+
+    // Trackers
+    setupTrackerControls();
+
+    // New cookie
+    resetNewCookieForm();
+    $('#new-cookie-form').addEventListener('submit', handleCreateCookie);
 
     // Log
+    $('#log-category').add(new Option('Everything', ''));
+    Object.entries(LOG_CATEGORIES).forEach(([category, label]) => $('#log-category').add(new Option(label, category)));
+    $('#log-type').add(new Option('All types', ''));
+    Object.entries(LOG_TYPES).forEach(([type, label]) => $('#log-type').add(new Option(label, type)));
+    ['#log-category', '#log-type', '#log-domain', '#log-since'].forEach((selector) => {
+        $(selector).addEventListener('change', () => loadLog());
+    });
+    $('#log-more').addEventListener('click', () => loadLog(true));
+    setupLogExport();
     $('#clear-log').addEventListener('click', async () => {
         if (confirm('Are you sure you want to clear the operation log?')) {
-            await storageSessionSet({ 'cookiecontrol:oplog': [] });
+            await sendMsg({ type: 'CLEAR_OP_LOG' });
             loadLog();
         }
     });
+    ['#log-action-entries', '#log-action-days', '#log-observed-entries', '#log-observed-days'].forEach((selector) => {
+        $(selector).addEventListener('change', saveLogRetention);
+    });
+}
+
+async function loadCookieStores() {
+    let stores = [];
+    try {
+        const resp = await sendMsg({ type: 'GET_COOKIE_STORES' });
+        stores = (resp && resp.stores) || [];
+    } catch (_) { /* fall back to the default store only */ }
+    populateStoreSelect($('#export-store'), stores, { emptyLabel: 'All stores' });
+    populateStoreSelect($('#import-store'), stores, { emptyLabel: 'Original store (or default)' });
+    populateStoreSelect($('#snapshot-store'), stores, { emptyLabel: 'All stores' });
+    populateStoreSelect($('#new-cookie-store'), stores);
+}
+
+function resetNewCookieForm() {
+    const form = $('#new-cookie-form');
+    renderCookieForm(form);
+    form.querySelector('.cookie-form-cancel').addEventListener('click', () => {
+        $('#new-cookie-status').textContent = '';
+        resetNewCookieForm();
+    });
+}
+
+async function handleCreateCookie(e) {
+    e.preventDefault();
+    const form = $('#new-cookie-form');
+    const status = $('#new-cookie-status');
+    status.textContent = '';
+    const details = readCookieForm(form, { storeId: $('#new-cookie-store').value || undefined });
+    if (!details) return;
+    const resp = await sendMsg({ type: 'SET_COOKIE', details });
+    if (!resp || !resp.ok) {
+        showCookieFormErrors(form, [{ field: '', message: `Could not create the cookie: ${(resp && resp.error) || 'unknown error'}. Is access to the site granted under Permissions?` }]);
+        return;
+    }
+    resetNewCookieForm();
+    status.textContent = `Created ${resp.result.name} on ${resp.result.domain}.`;
+}
+
+function shortValue(value, max = 40) {
+    const text = String(value === undefined ? '' : value);
+    return text.length > max ? `${text.slice(0, max)}…` : text;
+}
+
+function importEntryLabel(cookie) {
+    if (!cookie) return '(not a cookie)';
+    const path = cookie.path && cookie.path !== '/' ? cookie.path : '';
+    return `${cookie.name || '(no name)'} @ ${cookie.domain || '(no domain)'}${path}`;
+}
+
+/** Per-entry detail for the preview: a value diff, the reason it is invalid, etc. */
+function describeImportEntry(entry) {
+    const { cookie, existing } = entry;
+    switch (entry.status) {
+        case 'overwrite': {
+            if (existing.value !== cookie.value) return `${shortValue(existing.value)} → ${shortValue(cookie.value)}`;
+            return 'Same value, different attributes or expiry';
+        }
+        case 'invalid':
+            return entry.reason || '';
+        case 'expired':
+            return `Expired ${new Date(cookie.expirationDate * 1000).toLocaleString()}`;
+        case 'no_permission':
+            return 'Grant access to this domain to import it';
+        default:
+            return shortValue(cookie.value);
+    }
+}
+
+function setImportStatus(text) {
+    $('#import-status').textContent = text;
+}
+
+function resetImportFlow() {
+    pendingImport = null;
+    $('#import-preview').style.display = 'none';
+    $('#import-preview').innerHTML = '';
+}
+
+/**
+ * Read, decrypt and parse the chosen file, then ask the background for a dry run.
+ */
+async function previewImportFile() {
+    resetImportFlow();
+    $('#import-report').style.display = 'none';
+    const file = $('#import-file').files[0];
+    if (!file) {
+        setImportStatus('Please select a JSON or cookies.txt file to import.');
+        return;
+    }
+    let text = await file.text();
+    if (isEncryptedExport(text)) {
+        const passphrase = $('#import-passphrase').value;
+        if (!passphrase) {
+            $('#import-passphrase-row').style.display = '';
+            $('#import-passphrase').focus();
+            setImportStatus('This file is encrypted. Enter its passphrase, then click Preview Import again.');
+            return;
+        }
+        try {
+            ({ plaintext: text } = await decryptExport(text, passphrase));
+        } catch (e) {
+            setImportStatus(describeDecryptError(e));
+            return;
+        }
+    }
+    let cookies;
+    try {
+        ({ cookies } = parseCookieFile(text));
+    } catch (e) {
+        setImportStatus(`Error: ${e.message}`);
+        return;
+    }
+
+    setImportStatus('Checking cookies...');
+    const storeId = $('#import-store').value || undefined;
+    const resp = await sendMsg({ type: 'PREVIEW_IMPORT', cookies, storeId });
+    if (!resp || resp.error) {
+        setImportStatus(`Preview failed: ${(resp && resp.error) || 'unknown error'}`);
+        return;
+    }
+    pendingImport = { cookies, storeId, entries: resp.entries || [], policies: defaultImportPolicies() };
+    setImportStatus('');
+    renderImportPreview();
+}
+
+function updateImportSummary() {
+    const { entries, policies } = pendingImport;
+    const writes = entries.filter((e) => shouldWriteEntry(e, policies)).length;
+    $('#import-preview-summary').textContent = `${entries.length} entries: ${writes} will be written, ${entries.length - writes} skipped.`;
+    $('#import-confirm').disabled = writes === 0;
+}
+
+async function grantImportAccess(entries) {
+    const origins = Array.from(new Set(entries.map((e) => `*://${e.cookie.domain.replace(/^\./, '')}/*`)));
+    const granted = await permissionsRequest({ origins });
+    if (granted) {
+        previewImportFile();
+    } else {
+        setImportStatus('Permission was not granted; those cookies will be skipped.');
+    }
+}
+
+function renderImportPreview() {
+    const container = $('#import-preview');
+    container.innerHTML = '';
+    container.style.display = '';
+    const { entries, policies } = pendingImport;
+
+    Object.entries(IMPORT_STATUSES).forEach(([status, info]) => {
+        const group = entries.filter((e) => e.status === status);
+        if (!group.length) return;
+
+        const details = document.createElement('details');
+        details.className = 'import-group';
+        const summary = document.createElement('summary');
+        summary.className = 'list-item';
+        const label = document.createElement('span');
+        label.className = 'rule-summary';
+        label.textContent = `${info.label} (${group.length})`;
+        summary.appendChild(label);
+
+        if (status === 'no_permission') {
+            const grantBtn = document.createElement('button');
+            grantBtn.className = 'btn-small';
+            grantBtn.textContent = 'Grant Access';
+            grantBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                grantImportAccess(group);
+            });
+            summary.appendChild(grantBtn);
+        }
+
+        const select = document.createElement('select');
+        select.setAttribute('aria-label', `Policy for ${info.label}`);
+        info.policies.forEach((policy) => {
+            const opt = document.createElement('option');
+            opt.value = policy;
+            opt.textContent = IMPORT_POLICIES[policy];
+            select.appendChild(opt);
+        });
+        select.value = policies[status];
+        select.disabled = info.policies.length < 2;
+        select.addEventListener('click', (e) => e.stopPropagation());
+        select.addEventListener('change', () => {
+            policies[status] = select.value;
+            updateImportSummary();
+        });
+        summary.appendChild(select);
+        details.appendChild(summary);
+
+        const table = document.createElement('table');
+        table.className = 'import-table';
+        group.forEach((entry) => {
+            const row = table.insertRow();
+            const name = row.insertCell();
+            name.textContent = importEntryLabel(entry.cookie);
+            const detail = row.insertCell();
+            detail.textContent = describeImportEntry(entry);
+        });
+        details.appendChild(table);
+        container.appendChild(details);
+    });
+
+    const footer = document.createElement('div');
+    footer.className = 'button-group';
+    const summaryText = document.createElement('span');
+    summaryText.id = 'import-preview-summary';
+    summaryText.className = 'small';
+    const confirmBtn = document.createElement('button');
+    confirmBtn.id = 'import-confirm';
+    confirmBtn.textContent = 'Import';
+    confirmBtn.addEventListener('click', confirmImport);
+    const cancelBtn = document.createElement('button');
+    cancelBtn.textContent = 'Cancel';
+    cancelBtn.addEventListener('click', () => {
+        resetImportFlow();
+        setImportStatus('Import canceled. Nothing was written.');
+    });
+    footer.append(summaryText, confirmBtn, cancelBtn);
+    container.appendChild(footer);
+    updateImportSummary();
+}
+
+async function confirmImport() {
+    if (!pendingImport) return;
+    const { cookies, storeId, policies } = pendingImport;
+    $('#import-confirm').disabled = true;
+    setImportStatus('Importing...');
+    const resp = await sendMsg({ type: 'IMPORT_COOKIES', cookies, storeId, policies });
+    resetImportFlow();
+    if (!resp || !resp.res) {
+        setImportStatus(`Import failed: ${(resp && resp.error) || 'unknown error'}`);
+        return;
+    }
+    setImportStatus('');
+    renderImportReport(resp.res);
+    $('#import-file').value = '';
+    $('#import-passphrase').value = '';
+    $('#import-passphrase-row').style.display = 'none';
+}
+
+/**
+ * Per-cookie result of an import, failures first.
+ */
+function renderImportReport(res) {
+    const container = $('#import-report');
+    container.innerHTML = '';
+    container.style.display = '';
+
+    const heading = document.createElement('p');
+    heading.textContent = `Imported ${res.imported}, skipped ${res.skipped}, failed ${res.failed}.`;
+    container.appendChild(heading);
+
+    [['failed', 'Failed'], ['imported', 'Imported'], ['skipped', 'Skipped']].forEach(([outcome, title]) => {
+        const rows = (res.report || []).filter((r) => r.outcome === outcome);
+        if (!rows.length) return;
+        const details = document.createElement('details');
+        details.className = 'import-group';
+        details.open = outcome === 'failed';
+        const summary = document.createElement('summary');
+        summary.textContent = `${title} (${rows.length})`;
+        details.appendChild(summary);
+
+        const table = document.createElement('table');
+        table.className = 'import-table';
+        rows.forEach((r) => {
+            const row = table.insertRow();
+            row.insertCell().textContent = importEntryLabel(r);
+            row.insertCell().textContent = (IMPORT_STATUSES[r.status] || {}).label || r.status;
+            row.insertCell().textContent = r.detail || '';
+        });
+        details.appendChild(table);
+        container.appendChild(details);
+    });
+}
+
+function describeDecryptError(e) {
+    switch (e && e.code) {
+        case 'wrong_passphrase':
+            return 'Wrong passphrase. Nothing was imported.';
+        case 'unsupported_envelope':
+            return `This encrypted file cannot be read by this version of CookieControl: ${e.message}`;
+        default:
+            return 'The encrypted file is corrupt or was modified. Nothing was imported.';
+    }
 }
 
 async function showGrantBanner(origins) {
@@ -261,6 +1833,20 @@ async function init() {
     await checkPendingGrant();
     loadGrantedOrigins();
     updateGlobalPermissionStatus();
+    loadProtectedList();
+    loadRules();
+    loadTrackers();
+    loadLifetimeSettings();
+    loadSchedules();
+    loadAutoCleanupSettings();
+    loadBadgeSettings();
+    loadCommandSettings();
+    loadCookieStores();
+    loadRecycleBinSettings();
+    loadRecycleBin();
+    loadProfileList();
+    loadSnapshots();
+    loadLogRetention();
     loadLog();
 }
 
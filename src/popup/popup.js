@@ -1,9 +1,31 @@
-import { getBaseDomain, isTrackingCookie } from '../utils/cookieUtils.js';
+import {
+    getBaseDomain,
+    isProtectedCookie,
+    cookieKey,
+    getPartitionSite,
+    formatPartitionSite,
+    groupCookiesByDomain
+} from '../utils/cookieUtils.js';
 import { createStore } from '../utils/state.js';
 import { $, $$ } from '../utils/dom.js';
 import { sendMsg, permissionsRequest, permissionsRemove, storageSet } from '../utils/chrome.js';
 import { applyStoredTheme, exposeThemeAPI } from '../utils/theme.js';
 import { buildPermissionButtonConfig } from '../utils/permissionsUi.js';
+import { getSettings } from '../utils/settings.js';
+import { populateStoreSelect } from '../utils/storesUi.js';
+import { serializeCookies } from '../utils/cookieFormats.js';
+import { ENCRYPTED_EXTENSION, validatePassphrase, encryptExport } from '../utils/exportCrypto.js';
+import { lastSwitchedProfile } from '../utils/profiles.js';
+import {
+    TRACKER_CATEGORIES,
+    TRACKER_SWEEP_PORT,
+    loadTrackerDatabase,
+    createTrackerClassifier,
+    isTrackingCategory
+} from '../utils/trackerDb.js';
+import { VALUE_LAYERS, decodeValue, encodeValue, describeJwtDates } from '../utils/valueCodec.js';
+import { renderCookieForm, readCookieForm, showCookieFormErrors } from '../utils/cookieFormUi.js';
+import { AUDIT_SEVERITIES, auditCookies, auditToJson, auditToHtmlReport } from '../utils/cookieAudit.js';
 
 
 /* escape HTML */
@@ -23,18 +45,34 @@ function isFirefox() {
     try { return /firefox/i.test(navigator.userAgent); } catch (_) { return false; }
 }
 
+// Partition filter value for "unpartitioned cookies only" (real values are top-level site URLs)
+const NO_PARTITION = 'unpartitioned';
+
 /* UI state */
 let store; // persistent UI store
 let state = {
     viewMode: 'site', // 'site' | 'all'
     currentHost: '',
+    currentHttps: true, // whether the active tab is served over HTTPS
     currentBaseDomain: '', // Added for base domain permissions
     currentTabId: null,
+    target: null, // { url, storeId } when opened in a window for another origin (context menu)
     siteCookies: [],
     allCookies: [],
     siteSearchTerm: '',
-    allSearchTerm: ''
+    allSearchTerm: '',
+    protectedCookies: [], // allowlist entries from settings
+    stores: [], // cookie stores (default, private, containers)
+    tabStoreId: '', // store of the active tab
+    storeId: '', // store picked in the header ('' = the active tab's store)
+    partitionFilter: { site: '', all: '' }, // '' = all, NO_PARTITION, or a CHIPS top-level site
+    restoreIds: [], // recycle bin entries created by the last delete action
+    profiles: [], // saved cookie profiles of the current site (metadata only)
+    unlockProfileId: null // encrypted profile waiting for its passphrase
 };
+let undoBarTimer = null;
+let auditReport = null; // last audit, kept for export
+let classifyCookie = createTrackerClassifier(null); // replaced once the tracker database has loaded
 
 // Theme API exposure for consistency with existing code paths
 exposeThemeAPI();
@@ -60,7 +98,8 @@ async function init() {
     // Header & Footer controls
     $('#permission-btn').addEventListener('click', handlePermissionClick);
     $('#btn-refresh').addEventListener('click', refresh);
-    $('#btn-export').addEventListener('click', exportVisibleCookies);
+    $('#btn-export').addEventListener('click', handleExportClick);
+    $('#export-passphrase-form').addEventListener('submit', handleEncryptedExport);
 
     // Search
     $('#search-site').addEventListener('input', (e) => handleSearch(e.target.value, 'site'));
@@ -69,8 +108,45 @@ async function init() {
     // Bulk delete
     $('#bulk-delete-site').addEventListener('click', () => handleBulkDelete('site'));
     $('#bulk-delete-all').addEventListener('click', () => handleBulkDelete('all'));
+    // Remove trackers everywhere: preview, then apply with progress
+    $('#remove-trackers').addEventListener('click', handlePreviewTrackers);
+    $('#tracker-sweep-confirm').addEventListener('click', handleRemoveTrackers);
+    $('#tracker-sweep-cancel').addEventListener('click', hideTrackerSweep);
     // Delete all for current site (base domain)
     $('#delete-domain-site').addEventListener('click', handleDeleteAllForSite);
+    // CHIPS partition filter and per-partition delete
+    ['site', 'all'].forEach((mode) => {
+        $(`#partition-filter-${mode}`).addEventListener('change', (e) => {
+            state.partitionFilter[mode] = e.target.value;
+            renderCookies(mode === 'site' ? state.siteCookies : state.allCookies, mode);
+        });
+        $(`#delete-partition-${mode}`).addEventListener('click', () => handleDeletePartition(mode));
+    });
+    // Cookie profiles (account switching)
+    $('#profile-save-btn').addEventListener('click', () => {
+        $('#profile-form').style.display = '';
+        $('#profile-unlock-form').style.display = 'none';
+        $('#profile-name').focus();
+    });
+    $('#profile-form-cancel').addEventListener('click', () => { $('#profile-form').style.display = 'none'; });
+    $('#profile-form').addEventListener('submit', handleSaveProfile);
+    $('#profile-unlock-form').addEventListener('submit', handleUnlockProfile);
+    // Security audit of the current site or every granted site
+    $('#audit-site').addEventListener('click', () => handleAudit('site'));
+    $('#audit-all').addEventListener('click', () => handleAudit('all'));
+    $('#audit-export-html').addEventListener('click', () => exportAudit('html'));
+    $('#audit-export-json').addEventListener('click', () => exportAudit('json'));
+    $('#audit-close').addEventListener('click', () => { $('#audit-panel').style.display = 'none'; });
+    // Create a cookie for the current site
+    $('#new-cookie-btn').addEventListener('click', showNewCookieForm);
+    $('#new-cookie-form').addEventListener('submit', handleCreateCookie);
+    // Restore the last delete from the recycle bin
+    $('#undo-bar-restore').addEventListener('click', handleRestoreLastDelete);
+    // Cookie store / container picker
+    $('#store-select').addEventListener('change', (e) => {
+        state.storeId = e.target.value;
+        refresh();
+    });
 
     // Apply persisted UI selections
     try {
@@ -90,23 +166,35 @@ async function init() {
         }
     } catch (_) { /* ignore */ }
 
-    // Get current tab info
-    const tabs = await new Promise((resolve) => chrome.tabs.query({ active: true, currentWindow: true }, resolve));
-    const tab = tabs && tabs[0];
+    // Get current tab info. "Show cookies for this frame's origin" opens the popup in a window
+    // with the frame's URL and the tab it belongs to instead.
+    const params = new URLSearchParams(location.search);
+    let tab;
+    if (params.get('url')) {
+        state.target = { url: params.get('url'), storeId: params.get('storeId') || '' };
+        tab = { id: params.get('tabId') ? Number(params.get('tabId')) : null, url: state.target.url };
+    } else {
+        const tabs = await new Promise((resolve) => chrome.tabs.query({ active: true, currentWindow: true }, resolve));
+        tab = tabs && tabs[0];
+    }
     if (tab && tab.url) {
         try {
-            state.currentHost = new URL(tab.url).hostname;
+            const tabUrl = new URL(tab.url);
+            state.currentHost = tabUrl.hostname;
+            state.currentHttps = tabUrl.protocol === 'https:';
             state.currentBaseDomain = getBaseDomain(state.currentHost);
         } catch (e) {
             state.currentHost = '';
             state.currentBaseDomain = '';
         }
         state.currentTabId = tab.id;
-        $('#site').textContent = state.currentHost;
+        $('#site').textContent = state.target ? `${state.currentHost} (frame)` : state.currentHost;
     } else {
         $('#site').textContent = 'N/A';
     }
 
+    await loadCookieStores();
+    await loadProfiles();
     await refresh();
 }
 
@@ -174,10 +262,16 @@ async function handleBulkDelete(viewMode) {
     if (!confirm(msg)) return;
 
     let totalDeleted = 0;
+    let totalProtected = 0;
+    const binIds = [];
     // Process domain deletions first (with permission checks inside)
     for (const d of selectedDomains) {
         const res = await deleteAllForDomain(d, { skipConfirm: true, silent: true, noRefresh: true });
-        if (res && res.ok) totalDeleted += (res.removed || 0);
+        if (res && res.ok) {
+            totalDeleted += (res.removed || 0);
+            totalProtected += (res.protected || 0);
+            binIds.push(res.binId);
+        }
     }
 
     // Then process individual cookie deletions
@@ -185,6 +279,8 @@ async function handleBulkDelete(viewMode) {
         const result = await sendMsg({ type: 'DELETE_COOKIES_BULK', cookies: cookiesToDelete });
         if (result && result.ok) {
             totalDeleted += (result.deletedCount || 0);
+            totalProtected += (result.protectedCount || 0);
+            binIds.push(result.binId);
         } else {
             $('#status').textContent = 'Error deleting selected cookies.';
             await refresh();
@@ -193,8 +289,337 @@ async function handleBulkDelete(viewMode) {
     }
 
     const domainNote = selectedDomains.length ? ` across ${selectedDomains.length} domain${selectedDomains.length > 1 ? 's' : ''}` : '';
-    $('#status').textContent = `Deleted ${totalDeleted} cookies${domainNote}.`;
+    $('#status').textContent = `Deleted ${totalDeleted} cookies${domainNote}.${protectedNote(totalProtected)}`;
+    offerRestore(binIds, `Deleted ${totalDeleted} cookies${domainNote}.`);
+    await refresh();
+}
+
+async function loadCookieStores() {
+    try {
+        const resp = await sendMsg({ type: 'GET_COOKIE_STORES' });
+        state.stores = (resp && resp.stores) || [];
+        state.tabStoreId = (state.target && state.target.storeId) || (resp && resp.activeStoreId) || '';
+    } catch (_) {
+        state.stores = [];
+    }
+    const select = $('#store-select');
+    populateStoreSelect(select, state.stores, { emptyLabel: "Current tab's store" });
+    // Only worth showing once there is more than the default store
+    select.style.display = state.stores.length > 1 ? '' : 'none';
+}
+
+/** Store the popup is currently scoped to. */
+function activeStoreId() {
+    return state.storeId || state.tabStoreId || undefined;
+}
+
+/**
+ * Show the "Restore" bar for the recycle bin entries created by a delete action.
+ * It stays up for a while, across the refresh that follows the delete.
+ */
+function offerRestore(binIds, text) {
+    const ids = (binIds || []).filter(Boolean);
+    if (!ids.length) return;
+    state.restoreIds = ids;
+    $('#undo-bar-text').textContent = text;
+    $('#undo-bar-restore').disabled = false;
+    $('#undo-bar').style.display = '';
+    if (undoBarTimer) clearTimeout(undoBarTimer);
+    undoBarTimer = setTimeout(hideUndoBar, 20000);
+}
+
+function hideTrackerSweep() {
+    $('#tracker-sweep').style.display = 'none';
+    $('#remove-trackers').disabled = false;
+}
+
+async function handlePreviewTrackers() {
+    $('#remove-trackers').disabled = true;
+    $('#status').textContent = 'Looking for trackers...';
+    const resp = await sendMsg({ type: 'PREVIEW_TRACKERS', storeId: activeStoreId() });
+    $('#status').textContent = '';
+    if (!resp || !resp.preview) {
+        $('#status').textContent = `Scan failed: ${(resp && resp.error) || 'unknown error'}`;
+        $('#remove-trackers').disabled = false;
+        return;
+    }
+    const { total, domains, categories, limited } = resp.preview;
+    const notes = [];
+    if (resp.preview.protected) notes.push(`${resp.preview.protected} protected kept`);
+    if (limited) notes.push('only sites you granted access to were scanned');
+    const byCategory = Object.entries(categories).map(([category, n]) => `${n} ${TRACKER_CATEGORIES[category].label.toLowerCase()}`).join(', ');
+    $('#tracker-sweep-text').textContent = total
+        ? `${total} tracker${total === 1 ? '' : 's'} on ${domains.length} domain${domains.length === 1 ? '' : 's'} (${byCategory}).${notes.length ? ` ${notes.join('; ')}.` : ''}`
+        : `No trackers found.${notes.length ? ` ${notes.join('; ')}.` : ''}`;
+    $('#tracker-sweep-domains').textContent = domains.slice(0, 8).map((d) => `${d.domain} (${d.count})`).join(', ') + (domains.length > 8 ? `, and ${domains.length - 8} more` : '');
+    $('#tracker-sweep-progress').style.display = 'none';
+    $('#tracker-sweep-confirm').style.display = total ? '' : 'none';
+    $('#tracker-sweep-confirm').disabled = false;
+    $('#tracker-sweep-cancel').disabled = false;
+    $('#tracker-sweep').style.display = '';
+}
+
+/**
+ * Remove the trackers over a port so the background can report progress.
+ * The cookies are re-scanned when the removal starts, so the count may differ from the preview.
+ */
+function handleRemoveTrackers() {
+    $('#tracker-sweep-confirm').disabled = true;
+    $('#tracker-sweep-cancel').disabled = true;
+    const progress = $('#tracker-sweep-progress');
+    progress.value = 0;
+    progress.style.display = '';
+    const port = chrome.runtime.connect({ name: TRACKER_SWEEP_PORT });
+    port.onMessage.addListener(async (msg) => {
+        if (msg.type === 'TRACKER_SWEEP_PROGRESS') {
+            progress.max = msg.total || 1;
+            progress.value = msg.done;
+            $('#status').textContent = `Removing trackers... ${msg.done} of ${msg.total}`;
+            return;
+        }
+        port.disconnect();
+        hideTrackerSweep();
+        await refresh();
+        if (msg.type === 'TRACKER_SWEEP_DONE') {
+            const { removed, failed, domains, binId } = msg.result;
+            const text = `Removed ${removed} tracker${removed === 1 ? '' : 's'} on ${domains} domain${domains === 1 ? '' : 's'}.`;
+            $('#status').textContent = `${text}${failed ? ` ${failed} failed.` : ''}${protectedNote(msg.result.protected)}`;
+            offerRestore([binId], text);
+        } else {
+            $('#status').textContent = `Removing trackers failed: ${msg.error || 'unknown error'}`;
+        }
+    });
+    port.postMessage({ type: 'REMOVE_TRACKERS', storeId: activeStoreId() });
+}
+
+function hideUndoBar() {
+    $('#undo-bar').style.display = 'none';
+    state.restoreIds = [];
+}
+
+async function handleRestoreLastDelete() {
+    const ids = state.restoreIds;
+    if (!ids.length) return;
+    $('#undo-bar-restore').disabled = true;
+    let restored = 0;
+    let expired = 0;
+    let failed = 0;
+    for (const id of ids) {
+        const resp = await sendMsg({ type: 'RESTORE_DELETED', id });
+        if (resp && resp.ok) {
+            restored += resp.result.restored;
+            expired += resp.result.expired;
+            failed += resp.result.failed;
+        } else {
+            failed++;
+        }
+    }
+    hideUndoBar();
     await refresh();
+    const notes = [];
+    if (expired) notes.push(`${expired} expired`);
+    if (failed) notes.push(`${failed} failed`);
+    $('#status').textContent = `Restored ${restored} cookie${restored === 1 ? '' : 's'}.${notes.length ? ` (${notes.join(', ')})` : ''}`;
+}
+
+async function loadProfiles() {
+    if (!state.currentHost || !state.currentBaseDomain) {
+        $('#profile-bar').style.display = 'none';
+        return;
+    }
+    try {
+        const resp = await sendMsg({ type: 'GET_PROFILES', site: state.currentBaseDomain });
+        state.profiles = (resp && resp.profiles) || [];
+    } catch (_) {
+        state.profiles = [];
+    }
+    $('#profile-bar').style.display = '';
+    renderProfiles();
+}
+
+function renderProfiles() {
+    const list = $('#profile-list');
+    list.innerHTML = '';
+    const active = lastSwitchedProfile(state.profiles);
+    state.profiles.forEach((profile) => {
+        const btn = document.createElement('button');
+        btn.className = 'btn btn-sm profile-chip';
+        if (active && active.id === profile.id) btn.classList.add('active');
+        btn.textContent = `${profile.encrypted ? '🔒 ' : ''}${profile.name}`;
+        btn.title = `Switch to ${profile.name} (${profile.cookieCount} cookies, saved ${new Date(profile.updatedAt).toLocaleString()})`;
+        btn.addEventListener('click', () => handleProfileClick(profile));
+        list.appendChild(btn);
+    });
+}
+
+async function handleSaveProfile(e) {
+    e.preventDefault();
+    const name = $('#profile-name').value.trim();
+    const passphrase = $('#profile-passphrase').value;
+    if (passphrase) {
+        try {
+            validatePassphrase(passphrase);
+        } catch (err) {
+            $('#status').textContent = err.message;
+            return;
+        }
+    }
+    const resp = await sendMsg({
+        type: 'SAVE_PROFILE',
+        name,
+        host: state.currentHost,
+        storeId: activeStoreId(),
+        passphrase: passphrase || undefined
+    });
+    if (!resp || !resp.ok) {
+        $('#status').textContent = `Could not save profile: ${(resp && resp.error) || 'unknown error'}`;
+        return;
+    }
+    $('#profile-name').value = '';
+    $('#profile-passphrase').value = '';
+    $('#profile-form').style.display = 'none';
+    await loadProfiles();
+    const count = resp.result.cookieCount;
+    $('#status').textContent = count
+        ? `Saved profile "${resp.result.name}" with ${count} cookies.`
+        : `Saved profile "${resp.result.name}", but no cookies were readable. Grant access to this site first.`;
+}
+
+function handleProfileClick(profile) {
+    if (profile.encrypted) {
+        state.unlockProfileId = profile.id;
+        $('#profile-form').style.display = 'none';
+        $('#profile-unlock-form').style.display = '';
+        $('#profile-unlock-passphrase').focus();
+        return;
+    }
+    switchToProfile(profile);
+}
+
+async function handleUnlockProfile(e) {
+    e.preventDefault();
+    const profile = state.profiles.find((p) => p.id === state.unlockProfileId);
+    if (!profile) return;
+    const ok = await switchToProfile(profile, $('#profile-unlock-passphrase').value);
+    if (ok) {
+        $('#profile-unlock-passphrase').value = '';
+        $('#profile-unlock-form').style.display = 'none';
+        state.unlockProfileId = null;
+    }
+}
+
+/**
+ * Replace the site's cookies with the profile's and reload the tab so the site picks them up.
+ */
+async function switchToProfile(profile, passphrase) {
+    $('#status').textContent = `Switching to ${profile.name}...`;
+    const resp = await sendMsg({ type: 'SWITCH_PROFILE', id: profile.id, storeId: activeStoreId(), passphrase });
+    if (!resp || !resp.ok) {
+        const error = resp && resp.error;
+        $('#status').textContent = error === 'wrong_passphrase' ? 'Wrong passphrase.' : `Switch failed: ${error || 'unknown error'}`;
+        return false;
+    }
+    if (state.currentTabId != null) {
+        try { chrome.tabs.reload(state.currentTabId); } catch (_) { /* tab may be gone */ }
+    }
+    await loadProfiles();
+    await refresh();
+    $('#status').textContent = `Switched to ${profile.name}: ${resp.result.written} cookies set.`;
+    return true;
+}
+
+function showNewCookieForm() {
+    const form = $('#new-cookie-form');
+    if (!state.currentHost) {
+        $('#status').textContent = 'Navigate to a website to create cookies for it.';
+        return;
+    }
+    renderCookieForm(form, { domain: state.currentHost, buttonClass: 'btn btn-sm' });
+    form.querySelector('.cookie-form-cancel').addEventListener('click', () => { form.style.display = 'none'; });
+    form.style.display = '';
+    form.elements.name.focus();
+}
+
+async function handleCreateCookie(e) {
+    e.preventDefault();
+    const form = $('#new-cookie-form');
+    const details = readCookieForm(form, { host: state.currentHost, storeId: activeStoreId() });
+    if (!details) return;
+    const resp = await sendMsg({ type: 'SET_COOKIE', details });
+    if (!resp || !resp.ok) {
+        showCookieFormErrors(form, [{ field: '', message: `Could not create the cookie: ${(resp && resp.error) || 'unknown error'}` }]);
+        return;
+    }
+    form.style.display = 'none';
+    await refresh();
+    $('#status').textContent = `Created ${details.name}.`;
+}
+
+/**
+ * Audit the current site's cookies, or those of every site the extension can see.
+ */
+async function handleAudit(scope) {
+    $('#status').textContent = 'Auditing...';
+    const resp = scope === 'site'
+        ? await sendMsg({
+            type: 'GET_ACTIVE_TAB_COOKIES',
+            url: state.target ? state.target.url : undefined,
+            storeId: activeStoreId()
+        })
+        : await sendMsg({ type: 'GET_ALL_COOKIES', storeId: activeStoreId() });
+    $('#status').textContent = '';
+    if (!resp || resp.error) {
+        $('#status').textContent = `Audit failed: ${(resp && resp.error) || 'unknown error'}`;
+        return;
+    }
+    const cookies = resp.cookies || [];
+    if (!cookies.length) {
+        $('#status').textContent = resp.limited
+            ? 'Grant access first: the audit needs the full cookie details.'
+            : 'No cookies to audit.';
+        return;
+    }
+    auditReport = scope === 'site'
+        ? auditCookies(cookies, { scope: state.currentHost, https: state.currentHttps })
+        : auditCookies(cookies, { scope: resp.limited ? 'Granted sites' : 'All sites' });
+    renderAudit(auditReport, scope === 'all' && resp.limited);
+}
+
+function renderAudit(report, limited) {
+    const findings = report.sites.reduce((n, site) => n + site.findingCount, 0);
+    $('#audit-summary').textContent = `${report.scope}: ${report.score}/100 (${report.grade}), ${findings} finding${findings === 1 ? '' : 's'}`
+        + `${report.sites.length > 1 ? ` on ${report.sites.length} sites` : ''}.${limited ? ' Only sites you granted access to were audited.' : ''}`;
+    const container = $('#audit-sites');
+    container.innerHTML = '';
+    report.sites.forEach((site) => {
+        const details = document.createElement('details');
+        details.className = 'audit-site';
+        details.open = report.sites.length === 1;
+        const items = site.cookies
+            .flatMap((c) => c.findings.map((f) => `
+                <li class="audit-finding ${escapeHtml(f.severity)}">
+                    <span class="cookie-flag">${escapeHtml(AUDIT_SEVERITIES[f.severity].label)}</span>
+                    <strong>${escapeHtml(c.name)}</strong> · ${escapeHtml(f.label)}
+                    <div class="muted">${escapeHtml(f.explanation)}</div>
+                </li>`))
+            .join('');
+        details.innerHTML = `
+            <summary><span class="audit-grade grade-${site.grade}">${site.grade}</span> ${escapeHtml(site.site)} · ${site.score}/100 · ${site.findingCount} finding${site.findingCount === 1 ? '' : 's'}</summary>
+            ${items ? `<ul class="audit-findings">${items}</ul>` : '<div class="muted">No findings.</div>'}`;
+        container.appendChild(details);
+    });
+    $('#audit-panel').style.display = '';
+}
+
+function exportAudit(format) {
+    if (!auditReport) return;
+    const name = `cookie-audit-${String(auditReport.scope).toLowerCase().replace(/[^a-z0-9.-]+/g, '-')}-${new Date().toISOString().slice(0, 10)}`;
+    if (format === 'html') downloadText(auditToHtmlReport(auditReport), `${name}.html`, 'text/html');
+    else downloadText(auditToJson(auditReport), `${name}.json`);
+}
+
+function protectedNote(count) {
+    return count ? ` ${count} protected cookie${count > 1 ? 's' : ''} kept.` : '';
 }
 
 async function refresh() {
@@ -202,9 +627,22 @@ async function refresh() {
     $('#site-warning').textContent = '';
     await updatePermissionUI();
 
+    try {
+        const settings = await getSettings();
+        state.protectedCookies = settings.protectedCookies || [];
+        classifyCookie = createTrackerClassifier(await loadTrackerDatabase(), settings.trackers);
+    } catch (e) {
+        // Keep the previous allowlist and classifier
+        console.warn('[CookieControl] settings or tracker database unavailable', e);
+    }
+
     try {
         if (state.viewMode === 'site') {
-            const resp = await sendMsg({ type: 'GET_ACTIVE_TAB_COOKIES' });
+            const resp = await sendMsg({
+                type: 'GET_ACTIVE_TAB_COOKIES',
+                url: state.target ? state.target.url : undefined,
+                storeId: (state.target ? activeStoreId() : state.storeId) || undefined
+            });
             if (resp.error) throw new Error(resp.error);
             if (resp.limited) {
                 if (resp.msg === 'unsupported_tab') {
@@ -216,7 +654,7 @@ async function refresh() {
             state.siteCookies = resp.cookies || [];
             renderCookies(state.siteCookies, 'site');
         } else {
-            const resp = await sendMsg({ type: 'GET_ALL_COOKIES' });
+            const resp = await sendMsg({ type: 'GET_ALL_COOKIES', storeId: activeStoreId() });
             if (resp && resp.error) {
                 throw new Error(resp.error);
             }
@@ -239,10 +677,13 @@ function renderCookies(cookies, viewMode) {
     const container = $(listId);
     container.innerHTML = '';
 
-    const filteredCookies = cookies.filter(c =>
+    updatePartitionBar(cookies, viewMode);
+    const partition = state.partitionFilter[viewMode];
+    const filteredCookies = cookies.filter(c => matchesPartitionFilter(c, partition) && (
         c.name.toLowerCase().includes(searchTerm) ||
-        c.domain.toLowerCase().includes(searchTerm)
-    );
+        c.domain.toLowerCase().includes(searchTerm) ||
+        getPartitionSite(c).toLowerCase().includes(searchTerm)
+    ));
 
     if (filteredCookies.length === 0) {
         container.innerHTML = '<div class="muted" style="text-align: center; padding: 20px;">No cookies found.</div>';
@@ -266,15 +707,54 @@ function renderCookies(cookies, viewMode) {
     $('#status').textContent = `${filteredCookies.length} of ${cookies.length} cookies shown.`;
 }
 
-function groupCookiesByDomain(cookies) {
-    return cookies.reduce((acc, cookie) => {
-        const baseDomain = getBaseDomain(cookie.domain) || 'Unknown Domain';
-        if (!acc[baseDomain]) {
-            acc[baseDomain] = [];
-        }
-        acc[baseDomain].push(cookie);
-        return acc;
-    }, {});
+function matchesPartitionFilter(cookie, partition) {
+    if (!partition) return true;
+    if (partition === NO_PARTITION) return !getPartitionSite(cookie);
+    return getPartitionSite(cookie) === partition;
+}
+
+/**
+ * Show the partition filter only when the list contains partitioned (CHIPS) cookies,
+ * offering one entry per top-level site.
+ */
+function updatePartitionBar(cookies, viewMode) {
+    const bar = $(`#partition-bar-${viewMode}`);
+    const select = $(`#partition-filter-${viewMode}`);
+    const sites = Array.from(new Set(cookies.map(getPartitionSite).filter(Boolean))).sort();
+    if (!sites.includes(state.partitionFilter[viewMode]) && state.partitionFilter[viewMode] !== NO_PARTITION) {
+        state.partitionFilter[viewMode] = '';
+    }
+    bar.style.display = sites.length ? '' : 'none';
+
+    const options = [['', 'All partitions'], [NO_PARTITION, 'Unpartitioned only']]
+        .concat(sites.map((site) => [site, `Partitioned under ${formatPartitionSite(site)}`]));
+    select.innerHTML = options
+        .map(([value, label]) => `<option value="${escapeHtml(value)}">${escapeHtml(label)}</option>`)
+        .join('');
+    select.value = state.partitionFilter[viewMode];
+
+    const current = state.partitionFilter[viewMode];
+    $(`#delete-partition-${viewMode}`).disabled = !current || current === NO_PARTITION;
+}
+
+async function handleDeletePartition(viewMode) {
+    const site = state.partitionFilter[viewMode];
+    if (!site || site === NO_PARTITION) return;
+    const label = formatPartitionSite(site);
+    if (!confirm(`Delete every cookie partitioned under ${label}?\nUnpartitioned cookies are not affected.`)) return;
+
+    $('#status').textContent = 'Deleting cookies...';
+    const resp = await sendMsg({ type: 'DELETE_PARTITION', topLevelSite: site, storeId: activeStoreId() });
+    if (resp && resp.result) {
+        const { removed, total } = resp.result;
+        $('#status').textContent = `Deleted ${removed} of ${total} cookies partitioned under ${label}.${protectedNote(resp.result.protected || 0)}`;
+        offerRestore([resp.result.binId], `Deleted ${removed} cookies partitioned under ${label}.`);
+    } else if (resp && resp.error === 'permission_denied') {
+        $('#status').textContent = `Delete failed: grant access to ${label} first.`;
+    } else {
+        $('#status').textContent = 'Delete failed.';
+    }
+    await refresh();
 }
 
 function createDomainGroup(domain, cookies) {
@@ -284,7 +764,7 @@ function createDomainGroup(domain, cookies) {
 
     const summary = document.createElement('summary');
     summary.className = 'domain-group-header';
-    const trackingCount = cookies.reduce((acc,c)=> acc + (isTrackingCookie(c)?1:0),0);
+    const trackingCount = cookies.reduce((acc,c)=> acc + (isTrackingCategory(classifyCookie(c).category)?1:0),0);
     summary.innerHTML = `
         <span class="domain-name">${escapeHtml(domain)}</span>
         ${trackingCount > 0 ? `<span class="tracking-summary">${trackingCount} tracking cookie${trackingCount > 1 ? 's' : ''} found</span>` : ''}
@@ -355,24 +835,33 @@ function createDomainGroup(domain, cookies) {
 }
 
 function createCookieCard(cookie) {
-    const isTracker = isTrackingCookie(cookie);
+    const classification = classifyCookie(cookie);
+    const category = TRACKER_CATEGORIES[classification.category];
+    const isTracker = isTrackingCategory(classification.category);
+    const isProtected = isProtectedCookie(cookie, state.protectedCookies);
     const card = document.createElement('div');
     card.className = 'cookie-card';
+    if (isProtected) card.classList.add('protected');
     card.dataset.cookie = JSON.stringify(cookie); // Store full cookie data
 
     const expires = cookie.session ? 'Session' : new Date(cookie.expirationDate * 1000).toLocaleString();
+    const partitionSite = getPartitionSite(cookie);
+    const decodable = decodeValue(cookie.value).layers.length > 0;
 
     card.innerHTML = `
     <div class="cookie-card-header">
         <span class="checkbox-hit"><input type="checkbox" class="cookie-checkbox"></span>
         <span class="cookie-name">${escapeHtml(cookie.name)}</span>
         <div class="cookie-flags">
-            ${isTracker ? '<span class="cookie-flag tracking">Tracking</span>' : ''}
+            ${isProtected ? '<span class="cookie-flag protected" title="Protected by the allowlist; delete actions skip this cookie">&#128274; Protected</span>' : ''}
+            ${classification.category !== 'unknown' ? `<span class="cookie-flag category-${escapeHtml(classification.category)}${isTracker ? ' tracking' : ''}" title="${escapeHtml(classification.description)}">${escapeHtml(category.label)}</span>` : ''}
+            ${classification.vendor ? `<span class="cookie-flag vendor" title="${escapeHtml(classification.source === 'custom' ? 'Your custom pattern' : 'Tracker database')}">${escapeHtml(classification.vendor)}</span>` : ''}
+            ${partitionSite ? `<span class="cookie-flag partitioned" title="Partitioned (CHIPS) cookie, only sent when embedded under ${escapeHtml(partitionSite)}">Partitioned · ${escapeHtml(formatPartitionSite(partitionSite))}</span>` : ''}
             ${cookie.httpOnly ? '<span class="cookie-flag">HttpOnly</span>' : ''}
             ${cookie.secure ? '<span class="cookie-flag">Secure</span>' : ''}
             ${cookie.sameSite ? `<span class="cookie-flag">${escapeHtml(cookie.sameSite)}</span>` : ''}
         </div>
-        <button class="delete-btn" aria-label="Delete cookie">×</button>
+        <button class="delete-btn" aria-label="Delete cookie" ${isProtected ? 'disabled title="Protected cookie"' : ''}>×</button>
     </div>
     <div class="cookie-details">
         <span>${escapeHtml(cookie.domain)}</span>
@@ -385,7 +874,9 @@ function createCookieCard(cookie) {
             <span>↺</span>
             <span class="undo-badge" style="display:none">0</span>
         </button>
+        ${decodable ? '<button class="decode-btn" title="Decode value" aria-expanded="false">{ }</button>' : ''}
     </div>
+    <div class="value-decoder" hidden></div>
     `;
 
     // Expand checkbox click target within cookie cards
@@ -405,6 +896,9 @@ function createCookieCard(cookie) {
         const ok = await sendMsg({ type: 'DELETE_COOKIE', cookie });
         if (ok && ok.ok) {
             card.remove();
+            offerRestore([ok.binId], `Deleted ${cookie.name}.`);
+        } else if (ok && ok.error === 'protected') {
+            alert('This cookie is protected by your allowlist and was not deleted.');
         } else {
             e.target.disabled = false;
             alert('Delete failed');
@@ -421,12 +915,12 @@ function createCookieCard(cookie) {
     // To stay privacy-first, we avoid persisting values and only keep them transiently in memory.
     valueInput.value = cookie.value || '';
 
-    const cookieKey = `${cookie.name}|${cookie.domain}|${cookie.path || '/'}|${cookie.storeId || ''}`;
+    const undoKey = cookieKey(cookie);
     const undoStacks = createCookieCard._undoStacks || (createCookieCard._undoStacks = new Map());
-    if (!undoStacks.has(cookieKey)) undoStacks.set(cookieKey, []);
+    if (!undoStacks.has(undoKey)) undoStacks.set(undoKey, []);
 
     function setUndoState() {
-        const stack = undoStacks.get(cookieKey) || [];
+        const stack = undoStacks.get(undoKey) || [];
         undoBtn.disabled = stack.length === 0;
         undoBadge.textContent = String(stack.length);
         undoBadge.style.display = stack.length ? 'inline-block' : 'none';
@@ -461,6 +955,8 @@ function createCookieCard(cookie) {
                 };
                 if (cookie.expirationDate) setObj.expirationDate = cookie.expirationDate;
                 if (cookie.sameSite) setObj.sameSite = cookie.sameSite;
+                if (cookie.storeId) setObj.storeId = cookie.storeId;
+                if (cookie.partitionKey) setObj.partitionKey = cookie.partitionKey;
 
                 const resp = await sendMsg({ type: 'SET_COOKIE', details: setObj });
                 if (!resp || !resp.ok) throw new Error(resp && resp.error ? resp.error : 'set_failed');
@@ -507,7 +1003,7 @@ function createCookieCard(cookie) {
     });
 
     undoBtn.addEventListener('click', async () => {
-        const stack = undoStacks.get(cookieKey);
+        const stack = undoStacks.get(undoKey);
         if (!stack.length) return;
         const prev = stack.shift();
         setUndoState();
@@ -526,7 +1022,9 @@ function createCookieCard(cookie) {
                     secure: !!cookie.secure,
                     httpOnly: !!cookie.httpOnly,
                     expirationDate: cookie.expirationDate,
-                    sameSite: cookie.sameSite
+                    sameSite: cookie.sameSite,
+                    storeId: cookie.storeId,
+                    partitionKey: cookie.partitionKey
                 }
             });
             if (!resp || !resp.ok) throw new Error(resp && resp.error ? resp.error : 'undo_failed');
@@ -622,7 +1120,7 @@ function createCookieCard(cookie) {
         }
 
         // Push previous value onto undo stack only if it differs from latest entry
-        const stack = undoStacks.get(cookieKey);
+        const stack = undoStacks.get(undoKey);
         if (stack[0] !== cookie.value) {
             stack.unshift(cookie.value || '');
             if (stack.length > 10) stack.pop();
@@ -643,7 +1141,9 @@ function createCookieCard(cookie) {
                         secure: !!cookie.secure,
                         httpOnly: !!cookie.httpOnly,
                         expirationDate: cookie.expirationDate,
-                        sameSite: cookie.sameSite
+                        sameSite: cookie.sameSite,
+                        storeId: cookie.storeId,
+                        partitionKey: cookie.partitionKey
                     }
                 });
                 if (!resp || !resp.ok) throw new Error(resp && resp.error ? resp.error : 'set_failed');
@@ -673,19 +1173,80 @@ function createCookieCard(cookie) {
         cancelBtn.style.display = 'none';
     }
 
+    // Decoded view: the encoding layers, JWT details and an editor that re-encodes on save
+    const decodeBtn = card.querySelector('.decode-btn');
+    const decoderPanel = card.querySelector('.value-decoder');
+
+    function renderDecoder(value) {
+        const { layers, decoded, jwt } = decodeValue(value);
+        if (!layers.length) {
+            decoderPanel.innerHTML = '<div class="decoder-note">No known encoding.</div>';
+            return;
+        }
+        let jwtHtml = '';
+        if (jwt) {
+            const { dates, expired, notYetValid } = describeJwtDates(jwt.claims);
+            const header = Object.entries(jwt.header).map(([k, v]) => `${escapeHtml(k)}: ${escapeHtml(typeof v === 'string' ? v : JSON.stringify(v))}`).join(', ');
+            jwtHtml = `
+            <div class="decoder-jwt">
+                <div>Header: ${header}</div>
+                ${dates.map((d) => `<div>${escapeHtml(d.label)}: ${escapeHtml(d.date.toLocaleString())}${d.claim === 'exp' && expired ? ' <strong>(expired)</strong>' : ''}${d.claim === 'nbf' && notYetValid ? ' <strong>(not yet valid)</strong>' : ''}</div>`).join('')}
+                <div class="decoder-note">Signature not verified. Editing the claims keeps the old signature, so the server may reject the token.</div>
+            </div>`;
+        }
+        decoderPanel.innerHTML = `
+            <div class="decoder-layers">${layers.map((l) => escapeHtml(VALUE_LAYERS[l.type])).join(' → ')}</div>
+            ${jwtHtml}
+            <textarea class="decoded-input" rows="${Math.min(decoded.split('\n').length, 10)}" spellcheck="false" aria-label="Decoded value"></textarea>
+            <div class="decoder-error" hidden></div>
+            <div class="decoder-actions">
+                <button class="apply-btn decoder-save">Save</button>
+                <button class="cancel-btn decoder-reset">Reset</button>
+            </div>`;
+        const textarea = decoderPanel.querySelector('.decoded-input');
+        const errorEl = decoderPanel.querySelector('.decoder-error');
+        textarea.value = decoded;
+
+        decoderPanel.querySelector('.decoder-save').addEventListener('click', () => {
+            if (textarea.value === decoded) return;
+            let encoded;
+            try {
+                encoded = encodeValue(textarea.value, layers);
+            } catch (err) {
+                errorEl.textContent = err.message;
+                errorEl.hidden = false;
+                return;
+            }
+            // Save through the inline editor so undo and conflict handling stay the same
+            valueInput.value = encoded;
+            applyEdit(valueInput, cookie);
+            renderDecoder(encoded);
+        });
+        decoderPanel.querySelector('.decoder-reset').addEventListener('click', () => renderDecoder(cookie.value));
+    }
+
+    if (decodeBtn) {
+        decodeBtn.addEventListener('click', () => {
+            const open = decoderPanel.hidden;
+            decoderPanel.hidden = !open;
+            decodeBtn.setAttribute('aria-expanded', String(open));
+            decodeBtn.classList.toggle('active', open);
+            if (open) renderDecoder(cookie.value);
+        });
+    }
+
     // External change sync
     if (!createCookieCard._onChangedBound) {
         createCookieCard._onChangedBound = true;
         chrome.cookies.onChanged.addListener((changeInfo) => {
             try {
                 const c = changeInfo.cookie;
-                const key = `${c.name}|${c.domain}|${c.path || '/'}|${c.storeId || ''}`;
+                const key = cookieKey(c);
                 const inputs = document.querySelectorAll('.cookie-card');
                 inputs.forEach((node) => {
                     try {
                         const parsed = JSON.parse(node.dataset.cookie);
-                        const nodeKey = `${parsed.name}|${parsed.domain}|${parsed.path || '/'}|${parsed.storeId || ''}`;
-                        if (nodeKey !== key) return;
+                        if (cookieKey(parsed) !== key) return;
                         const inputEl = node.querySelector('.cookie-value-input');
                         if (!inputEl) return;
                         // If there is a pending local set, prefer local and notify
@@ -714,7 +1275,7 @@ async function deleteAllForDomain(baseDomain, opts = {}) {
         alert('No domain detected.');
         return;
     }
-    const confirmMsg = `Permanently delete ALL cookies for ${baseDomain} (including subdomains)?\nThis cannot be undone.`;
+    const confirmMsg = `Delete ALL cookies for ${baseDomain} (including subdomains)?\nThey can be restored from Recently Deleted in the options.`;
     if (!skipConfirm) {
         if (!confirm(confirmMsg)) return { ok: false, canceled: true };
     }
@@ -747,12 +1308,16 @@ async function deleteAllForDomain(baseDomain, opts = {}) {
     }
 
     if (!silent) $('#status').textContent = 'Deleting cookies...';
-    const resp = await sendMsg({ type: 'DELETE_ALL_FOR_SITE', domain: baseDomain });
+    const resp = await sendMsg({ type: 'DELETE_ALL_FOR_SITE', domain: baseDomain, storeId: activeStoreId() });
     if (resp && resp.result) {
         const { removed, total } = resp.result;
-        if (!silent) $('#status').textContent = `Deleted ${removed} of ${total} cookies for ${baseDomain}.`;
+        const protectedCount = resp.result.protected || 0;
+        if (!silent) {
+            $('#status').textContent = `Deleted ${removed} of ${total} cookies for ${baseDomain}.${protectedNote(protectedCount)}`;
+            offerRestore([resp.result.binId], `Deleted ${removed} cookies for ${baseDomain}.`);
+        }
         if (!noRefresh) await refresh();
-        return { ok: true, removed, total };
+        return { ok: true, removed, total, protected: protectedCount, binId: resp.result.binId };
     } else {
         if (!silent) $('#status').textContent = 'Delete failed.';
         if (resp && resp.error === 'permission_denied') alert('Missing permission. Please grant access and try again.');
@@ -841,7 +1406,36 @@ async function updatePermissionUI() {
     }
 }
 
-async function exportVisibleCookies() {
+function handleExportClick() {
+    if (!$('#export-encrypt').checked) {
+        $('#export-passphrase-form').style.display = 'none';
+        exportVisibleCookies();
+        return;
+    }
+    $('#export-passphrase-form').style.display = '';
+    $('#export-passphrase').focus();
+}
+
+async function handleEncryptedExport(e) {
+    e.preventDefault();
+    const passphrase = $('#export-passphrase').value;
+    try {
+        validatePassphrase(passphrase, $('#export-passphrase-confirm').value);
+    } catch (err) {
+        $('#status').textContent = err.message;
+        return;
+    }
+    await exportVisibleCookies(passphrase);
+    $('#export-passphrase').value = '';
+    $('#export-passphrase-confirm').value = '';
+    $('#export-passphrase-form').style.display = 'none';
+}
+
+/**
+ * Download the cookies currently listed. With a passphrase the file is an encrypted envelope.
+ * @param {string} [passphrase]
+ */
+async function exportVisibleCookies(passphrase) {
     const viewMode = state.viewMode;
     const searchTerm = viewMode === 'site' ? state.siteSearchTerm : state.allSearchTerm;
     const cookies = viewMode === 'site' ? state.siteCookies : state.allCookies;
@@ -856,12 +1450,20 @@ async function exportVisibleCookies() {
         return;
     }
 
-    downloadJSON(filteredCookies, `cookiecontrol-${viewMode}-${Date.now()}.json`);
+    const filename = `cookiecontrol-${viewMode}-${Date.now()}`;
+    if (passphrase) {
+        $('#status').textContent = 'Encrypting...';
+        const text = await encryptExport(serializeCookies(filteredCookies), passphrase);
+        downloadText(text, `${filename}.${ENCRYPTED_EXTENSION}`);
+        $('#status').textContent = `Exported ${filteredCookies.length} cookies (encrypted).`;
+        return;
+    }
+    downloadText(serializeCookies(filteredCookies), `${filename}.json`);
     $('#status').textContent = `Exported ${filteredCookies.length} cookies.`;
 }
 
-function downloadJSON(obj, filename) {
-    const blob = new Blob([JSON.stringify({ exportedAt: new Date().toISOString(), cookies: obj }, null, 2)], { type: 'application/json' });
+function downloadText(text, filename, type = 'application/json') {
+    const blob = new Blob([text], { type });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
@@ -28,6 +28,15 @@ export function storageSet(obj) {
        return new Promise((resolve) => storageArea.set(obj, () => resolve()));
 }
 
+// Persistent storage for user configuration that must survive browser restarts
+export function storageLocalGet(keys) {
+       return new Promise((resolve) => chrome.storage.local.get(keys, (res) => resolve(res)));
+}
+
+export function storageLocalSet(obj) {
+       return new Promise((resolve) => chrome.storage.local.set(obj, () => resolve()));
+}
+
 // -------------------------
 // Permissions helpers
 // -------------------------
@@ -109,6 +118,47 @@ export function permissionsRemove(opts) {
        }));
 }
 
+// API permissions (e.g. 'notifications') rather than host origins
+export function permissionsContainsApi(permission) {
+       return new Promise((resolve) => chrome.permissions.contains({ permissions: [permission] }, (granted) => resolve(!!granted)));
+}
+
+export function permissionsRequestApi(permission) {
+       return new Promise((resolve) => chrome.permissions.request({ permissions: [permission] }, (granted) => {
+              if (!granted) {
+                     const err = chrome.runtime?.lastError?.message;
+                     if (err) console.warn('[permissions.request] lastError:', err, 'permission:', permission);
+              }
+              resolve(!!granted);
+       }));
+}
+
+// -------------------------
+// Tabs & alarms helpers
+// -------------------------
+export function tabsQuery(queryInfo = {}) {
+       return new Promise((resolve) => chrome.tabs.query(queryInfo, (tabs) => resolve(tabs || [])));
+}
+
+export function alarmsGetAll() {
+       return new Promise((resolve) => chrome.alarms.getAll((alarms) => resolve(alarms || [])));
+}
+
+export function alarmsClear(name) {
+       return new Promise((resolve) => chrome.alarms.clear(name, (cleared) => resolve(!!cleared)));
+}
+
+// -------------------------
+// Commands & notifications helpers
+// -------------------------
+export function commandsGetAll() {
+       return new Promise((resolve) => chrome.commands.getAll((commands) => resolve(commands || [])));
+}
+
+export function notificationsCreate(options) {
+       return new Promise((resolve) => chrome.notifications.create(options, (id) => resolve(id)));
+}
+
 // -------------------------
 // Cookie helpers
 // -------------------------
@@ -116,8 +166,28 @@ export function cookiesGetAll(filter = {}) {
        return new Promise((resolve) => chrome.cookies.getAll(filter, (cookies) => resolve(cookies)));
 }
 
+export function cookiesGetAllCookieStores() {
+       return new Promise((resolve) => chrome.cookies.getAllCookieStores((stores) => resolve(stores || [])));
+}
+
+// Firefox containers (Multi-Account Containers); resolves to [] where the API is unavailable
+export function contextualIdentitiesQuery() {
+       if (!chrome.contextualIdentities || !chrome.contextualIdentities.query) return Promise.resolve([]);
+       try {
+              return Promise.resolve(chrome.contextualIdentities.query({})).then((list) => list || [], () => []);
+       } catch (_) {
+              return Promise.resolve([]);
+       }
+}
+
+// Resolves to the removed cookie's details, or null when the browser removed nothing
 export function cookiesRemove(details) {
-       return new Promise((resolve) => chrome.cookies.remove(details, (res) => resolve(res)));
+       return new Promise((resolve, reject) => {
+              chrome.cookies.remove(details, (res) => {
+                     if (chrome.runtime.lastError) return reject(new Error(chrome.runtime.lastError.message));
+                     resolve(res || null);
+              });
+       });
 }
 
 export function cookiesSet(details) {
@@ -0,0 +1,234 @@
+/**
+ * src/utils/cookieAudit.js
+ * Cookie security audit (pure): per-cookie findings from the flags chrome.cookies already
+ * reports, a 0-100 score per site, and JSON/HTML reports.
+ *
+ * A cookie starts at 100 and loses its findings' penalties (not below 0); a site scores the
+ * average of its cookies. Reports never contain cookie values.
+ */
+
+import { getBaseDomain } from './cookieUtils.js';
+
+export const AUDIT_SEVERITIES = {
+    high: { label: 'High', penalty: 40 },
+    medium: { label: 'Medium', penalty: 20 },
+    low: { label: 'Low', penalty: 5 }
+};
+
+export const AUDIT_CHECKS = {
+    insecure: { label: 'Missing Secure', severity: 'high' },
+    script_readable_session: { label: 'Session cookie without HttpOnly', severity: 'high' },
+    prefix_misuse: { label: 'Cookie prefix misuse', severity: 'high' },
+    samesite_none: { label: 'SameSite=None', severity: 'medium' },
+    broad_domain: { label: 'Broad Domain scope', severity: 'medium' },
+    samesite_unset: { label: 'SameSite not set', severity: 'low' },
+    long_lifetime: { label: 'Very long lifetime', severity: 'low' },
+    oversized_value: { label: 'Oversized value', severity: 'low' }
+};
+
+export const LONG_LIFETIME_DAYS = 365;
+export const OVERSIZED_COOKIE_BYTES = 1024;
+
+// Names that usually carry a login session or credential
+const SESSION_NAME_RE = /sess|^sid$|[_.-]sid$|auth|token|jwt|login|remember/i;
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+/**
+ * Whether a cookie looks like it carries a session or credential, judged by its name.
+ * @param {object} cookie
+ * @returns {boolean}
+ */
+export function isSessionLikeCookie(cookie) {
+    return SESSION_NAME_RE.test(String(cookie.name || ''));
+}
+
+function finding(check, explanation) {
+    return { check, severity: AUDIT_CHECKS[check].severity, label: AUDIT_CHECKS[check].label, explanation };
+}
+
+function prefixProblems(cookie) {
+    const name = String(cookie.name || '');
+    const match = /^__(host|secure)([-_])/i.exec(name);
+    if (!match) return [];
+    const canonical = match[1].toLowerCase() === 'host' ? '__Host-' : '__Secure-';
+    const problems = [];
+    if (match[2] === '_') {
+        problems.push(`"${match[0]}" is not a cookie prefix (it needs a "-"), so the browser enforces nothing for it.`);
+        return problems;
+    }
+    if (match[0] !== canonical) problems.push(`The prefix is written "${match[0]}"; only "${canonical}" is recognized by every browser.`);
+    if (!cookie.secure) problems.push(`${canonical} cookies must be Secure.`);
+    if (canonical === '__Host-') {
+        if (cookie.hostOnly === false) problems.push('__Host- cookies must not set a Domain.');
+        if ((cookie.path || '/') !== '/') problems.push('__Host- cookies must have Path=/.');
+    }
+    return problems;
+}
+
+/**
+ * Security findings for one cookie.
+ * @param {object} cookie chrome cookie object
+ * @param {{https?:boolean, now?:number}} [opts] https: whether the site is served over HTTPS (assumed when omitted)
+ * @returns {{check:string, severity:string, label:string, explanation:string}[]}
+ */
+export function auditCookie(cookie, opts = {}) {
+    const https = opts.https !== false;
+    const now = opts.now || Date.now();
+    const host = String(cookie.domain || '').replace(/^\./, '').toLowerCase();
+    const findings = [];
+
+    if (https && !cookie.secure) {
+        findings.push(finding('insecure', 'The site uses HTTPS but the cookie is not Secure, so the browser also sends it over plain HTTP, where it can be read or changed on the network.'));
+    }
+    if (isSessionLikeCookie(cookie) && !cookie.httpOnly) {
+        findings.push(finding('script_readable_session', 'Its name suggests a session or credential, but without HttpOnly any script on the page (including injected ones) can read it.'));
+    }
+    const prefix = prefixProblems(cookie);
+    if (prefix.length) findings.push(finding('prefix_misuse', prefix.join(' ')));
+
+    if (cookie.sameSite === 'no_restriction') {
+        findings.push(finding('samesite_none', 'SameSite=None sends it with cross-site requests, which exposes the site to cross-site request forgery unless that is intended (embeds, SSO).'));
+    } else if (!cookie.sameSite || cookie.sameSite === 'unspecified') {
+        findings.push(finding('samesite_unset', 'No SameSite attribute: browsers differ in the default (Lax in Chromium, None in older browsers), so set it explicitly.'));
+    }
+    if (cookie.hostOnly === false && host && getBaseDomain(host) === host) {
+        findings.push(finding('broad_domain', `Domain=${host} sends it to every subdomain of ${host}; any of them can read or overwrite it.`));
+    }
+    if (!cookie.session && cookie.expirationDate) {
+        const days = Math.round((cookie.expirationDate - now / 1000) / DAY_SECONDS);
+        if (days > LONG_LIFETIME_DAYS) {
+            findings.push(finding('long_lifetime', `Expires in ${days} days (${new Date(cookie.expirationDate * 1000).toISOString().slice(0, 10)}). Long-lived cookies stay usable long after they are stolen; Chromium caps lifetimes at 400 days.`));
+        }
+    }
+    const bytes = new TextEncoder().encode(String(cookie.name || '') + String(cookie.value || '')).length;
+    if (bytes > OVERSIZED_COOKIE_BYTES) {
+        findings.push(finding('oversized_value', `${bytes} bytes is sent with every request to the site; large cookies slow requests down and push the site toward header size limits.`));
+    }
+    return findings;
+}
+
+/**
+ * Score of a cookie from its findings.
+ * @param {object[]} findings
+ * @returns {number} 0-100
+ */
+export function scoreFindings(findings) {
+    const penalty = findings.reduce((sum, f) => sum + AUDIT_SEVERITIES[f.severity].penalty, 0);
+    return Math.max(0, 100 - penalty);
+}
+
+/**
+ * Letter grade for a score.
+ * @param {number} score
+ * @returns {string}
+ */
+export function auditGrade(score) {
+    if (score >= 90) return 'A';
+    if (score >= 80) return 'B';
+    if (score >= 70) return 'C';
+    if (score >= 60) return 'D';
+    return 'F';
+}
+
+/**
+ * Audit cookies per site (base domain), worst sites first.
+ * @param {object[]} cookies chrome cookie objects
+ * @param {{scope?:string, https?:boolean, now?:number}} [opts] scope: what was audited, for the report
+ * @returns {{generatedAt:string, scope:string, httpsAssumed:boolean, score:number, grade:string, sites:object[]}}
+ */
+export function auditCookies(cookies, opts = {}) {
+    const bySite = {};
+    for (const cookie of cookies) {
+        const site = getBaseDomain(cookie.domain) || 'Unknown Domain';
+        const findings = auditCookie(cookie, opts);
+        (bySite[site] = bySite[site] || []).push({
+            name: cookie.name,
+            domain: cookie.domain,
+            path: cookie.path || '/',
+            storeId: cookie.storeId,
+            score: scoreFindings(findings),
+            findings
+        });
+    }
+    const sites = Object.entries(bySite).map(([site, audited]) => {
+        const score = Math.round(audited.reduce((sum, c) => sum + c.score, 0) / audited.length);
+        return {
+            site,
+            score,
+            grade: auditGrade(score),
+            cookieCount: audited.length,
+            findingCount: audited.reduce((n, c) => n + c.findings.length, 0),
+            cookies: audited.sort((a, b) => a.score - b.score || String(a.name).localeCompare(String(b.name)))
+        };
+    }).sort((a, b) => a.score - b.score || a.site.localeCompare(b.site));
+    const score = sites.length ? Math.round(sites.reduce((sum, s) => sum + s.score, 0) / sites.length) : 100;
+    return {
+        generatedAt: new Date(opts.now || Date.now()).toISOString(),
+        scope: opts.scope || 'All granted sites',
+        httpsAssumed: opts.https === undefined,
+        score,
+        grade: auditGrade(score),
+        sites
+    };
+}
+
+/**
+ * @param {object} report from auditCookies
+ * @returns {string}
+ */
+export function auditToJson(report) {
+    return JSON.stringify(report, null, 2);
+}
+
+function escapeHtml(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Self-contained HTML report: one table of findings per site.
+ * @param {object} report from auditCookies
+ * @returns {string}
+ */
+export function auditToHtmlReport(report) {
+    const siteHtml = report.sites.map((site) => {
+        const rows = site.cookies
+            .flatMap((c) => c.findings.map((f) => `<tr class="${f.severity}"><td>${escapeHtml(c.name)}</td><td>${escapeHtml(c.domain)}${escapeHtml(c.path)}</td><td>${escapeHtml(AUDIT_SEVERITIES[f.severity].label)}</td><td>${escapeHtml(f.label)}</td><td>${escapeHtml(f.explanation)}</td></tr>`))
+            .join('\n');
+        const table = rows
+            ? `<table><thead><tr><th>Cookie</th><th>Scope</th><th>Severity</th><th>Finding</th><th>Why it matters</th></tr></thead><tbody>\n${rows}\n</tbody></table>`
+            : '<p class="muted">No findings.</p>';
+        return `<h2>${escapeHtml(site.site)} — ${site.score}/100 (${site.grade})</h2>
+<p>${site.cookieCount} cookie${site.cookieCount === 1 ? '' : 's'}, ${site.findingCount} finding${site.findingCount === 1 ? '' : 's'}.</p>
+${table}`;
+    }).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<title>CookieControl security audit</title>
+<style>
+body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; margin: 32px; color: #111827; }
+table { border-collapse: collapse; margin: 8px 0 16px; font-size: 13px; }
+th, td { border: 1px solid #E5E7EB; padding: 4px 8px; text-align: left; vertical-align: top; }
+th { background: #F1F5F9; }
+tr.high td:nth-child(3) { color: #B42318; font-weight: 600; }
+tr.medium td:nth-child(3) { color: #92400E; font-weight: 600; }
+.muted { color: #6B7280; }
+</style>
+</head>
+<body>
+<h1>CookieControl security audit</h1>
+<p>Scope: ${escapeHtml(report.scope)}<br />Generated: ${escapeHtml(new Date(report.generatedAt).toLocaleString())}<br />
+Overall score: ${report.score}/100 (${report.grade})${report.httpsAssumed ? '<br />Sites are assumed to be served over HTTPS.' : ''}</p>
+<p class="muted">Each cookie starts at 100 and loses ${Object.values(AUDIT_SEVERITIES).map((s) => `${s.penalty} per ${s.label.toLowerCase()}`).join(', ')} severity finding; a site scores the average of its cookies. Cookie values are not included.</p>
+${siteHtml || '<p class="muted">No cookies.</p>'}
+</body>
+</html>
+`;
+}
@@ -0,0 +1,88 @@
+/**
+ * src/utils/cookieDiff.js
+ * Compare two cookie jars (snapshots, live cookies or exported files). Pure helpers.
+ *
+ * Cookies are matched by cookieKey() (name, domain, path, store, partition). Each difference
+ * is a change { kind, before, after, attributes }:
+ * - added:      only in the right-hand jar
+ * - removed:    only in the left-hand jar
+ * - value:      value differs (attributes lists any attribute changes as well)
+ * - attributes: same value, but secure/httpOnly/sameSite/expiry differ
+ */
+
+import { cookieKey, groupCookiesByDomain } from './cookieUtils.js';
+
+export const DIFF_KINDS = {
+    added: 'Added',
+    removed: 'Removed',
+    value: 'Value changed',
+    attributes: 'Attributes changed'
+};
+
+function expiry(cookie) {
+    return cookie.session || !cookie.expirationDate ? 'session' : Math.floor(cookie.expirationDate);
+}
+
+const ATTRIBUTES = {
+    secure: (c) => !!c.secure,
+    httpOnly: (c) => !!c.httpOnly,
+    sameSite: (c) => c.sameSite || 'unspecified',
+    hostOnly: (c) => (c.hostOnly !== undefined ? !!c.hostOnly : !String(c.domain || '').startsWith('.')),
+    expirationDate: expiry
+};
+
+/**
+ * Names of the attributes that differ between two versions of a cookie.
+ * @param {object} before
+ * @param {object} after
+ * @param {{ignoreExpiry?: boolean}} [opts]
+ * @returns {string[]}
+ */
+export function changedAttributes(before, after, opts = {}) {
+    return Object.keys(ATTRIBUTES).filter((name) => {
+        if (name === 'expirationDate' && opts.ignoreExpiry) return false;
+        return ATTRIBUTES[name](before) !== ATTRIBUTES[name](after);
+    });
+}
+
+/**
+ * Diff two cookie lists.
+ * @param {object[]} left  the earlier jar
+ * @param {object[]} right the later jar
+ * @param {{ignoreExpiry?: boolean}} [opts] ignoreExpiry hides expiry-only changes (sliding expiries)
+ * @returns {{changes: object[], unchanged: number, counts: Object<string,number>}}
+ */
+export function diffCookies(left, right, opts = {}) {
+    const before = new Map((left || []).map((c) => [cookieKey(c), c]));
+    const after = new Map((right || []).map((c) => [cookieKey(c), c]));
+    const changes = [];
+    let unchanged = 0;
+
+    for (const [key, b] of before) {
+        const a = after.get(key);
+        if (!a) {
+            changes.push({ kind: 'removed', before: b, after: null, attributes: [] });
+            continue;
+        }
+        const attributes = changedAttributes(b, a, opts);
+        if ((b.value || '') !== (a.value || '')) changes.push({ kind: 'value', before: b, after: a, attributes });
+        else if (attributes.length) changes.push({ kind: 'attributes', before: b, after: a, attributes });
+        else unchanged++;
+    }
+    for (const [key, a] of after) {
+        if (!before.has(key)) changes.push({ kind: 'added', before: null, after: a, attributes: [] });
+    }
+
+    const counts = {};
+    for (const kind of Object.keys(DIFF_KINDS)) counts[kind] = changes.filter((c) => c.kind === kind).length;
+    return { changes, unchanged, counts };
+}
+
+/**
+ * Group diff changes by base domain, as the popup groups cookies.
+ * @param {object[]} changes
+ * @returns {Object<string, object[]>}
+ */
+export function groupChangesByDomain(changes) {
+    return groupCookiesByDomain(changes, (change) => change.after || change.before);
+}
@@ -0,0 +1,109 @@
+/**
+ * src/utils/cookieFormUi.js
+ * Shared "New cookie" form for the popup and options pages.
+ * The form is checked with cookieOptionErrors before anything is sent, so a cookie the browser
+ * would refuse shows its problems next to the fields instead of as a failed SET_COOKIE.
+ */
+
+import { cookieOptionErrors, newCookieToSetDetails } from './cookieUtils.js';
+
+export const SAME_SITE_OPTIONS = {
+    '': 'Unspecified',
+    lax: 'Lax',
+    strict: 'Strict',
+    no_restriction: 'None'
+};
+
+// cookieOptionErrors field -> form control name
+const ERROR_FIELDS = { expirationDate: 'expires', partitionKey: 'partitioned' };
+
+function errorSlot(field) {
+    return `<div class="field-error" data-error-for="${field}" hidden></div>`;
+}
+
+/**
+ * Fill a <form> with the new-cookie fields and reset it to the defaults.
+ * @param {HTMLFormElement} form
+ * @param {{domain?:string, buttonClass?:string}} [opts] domain: default domain (the current host)
+ */
+export function renderCookieForm(form, opts = {}) {
+    const buttonClass = opts.buttonClass || '';
+    const sameSite = Object.entries(SAME_SITE_OPTIONS)
+        .map(([value, label]) => `<option value="${value}">${label}</option>`)
+        .join('');
+    form.noValidate = true;
+    form.innerHTML = `
+        <label>Name <input type="text" name="name" required autocomplete="off" spellcheck="false" /></label>
+        ${errorSlot('name')}
+        <label>Value <input type="text" name="value" autocomplete="off" spellcheck="false" /></label>
+        ${errorSlot('value')}
+        <label>Domain <input type="text" name="domain" placeholder="example.com, or .example.com to include subdomains" autocomplete="off" spellcheck="false" /></label>
+        ${errorSlot('domain')}
+        <label>Path <input type="text" name="path" value="/" autocomplete="off" spellcheck="false" /></label>
+        ${errorSlot('path')}
+        <label>Expires <input type="datetime-local" name="expires" /></label>
+        <div class="field-hint">Empty for a session cookie.</div>
+        ${errorSlot('expires')}
+        <label>SameSite <select name="sameSite">${sameSite}</select></label>
+        ${errorSlot('sameSite')}
+        <div class="cookie-form-flags">
+            <label><input type="checkbox" name="secure" /> Secure</label>
+            <label><input type="checkbox" name="httpOnly" /> HttpOnly</label>
+            <label><input type="checkbox" name="partitioned" /> Partitioned</label>
+        </div>
+        ${errorSlot('secure')}
+        ${errorSlot('partitioned')}
+        ${errorSlot('')}
+        <div class="form-actions">
+            <button type="submit" class="${buttonClass} btn-primary">Create Cookie</button>
+            <button type="button" class="${buttonClass} cookie-form-cancel">Cancel</button>
+        </div>`;
+    form.elements.domain.value = opts.domain || '';
+}
+
+/**
+ * Show errors next to their fields; an empty list clears them.
+ * @param {HTMLFormElement} form
+ * @param {{field:string, message:string}[]} errors
+ */
+export function showCookieFormErrors(form, errors) {
+    form.querySelectorAll('.field-error').forEach((el) => {
+        el.textContent = '';
+        el.hidden = true;
+    });
+    form.querySelectorAll('.invalid').forEach((el) => el.classList.remove('invalid'));
+    for (const { field, message } of errors) {
+        const name = ERROR_FIELDS[field] || field;
+        const slot = form.querySelector(`[data-error-for="${name}"]`) || form.querySelector('[data-error-for=""]');
+        slot.textContent = slot.textContent ? `${slot.textContent} ${message}` : message;
+        slot.hidden = false;
+        if (name && form.elements[name]) form.elements[name].classList.add('invalid');
+    }
+}
+
+/**
+ * Read and validate the form. Shows the errors when there are any.
+ * @param {HTMLFormElement} form
+ * @param {{host?:string, storeId?:string}} [opts] see newCookieToSetDetails
+ * @returns {?object} chrome.cookies.set details, or null when the form has errors
+ */
+export function readCookieForm(form, opts = {}) {
+    const el = form.elements;
+    const expires = el.expires.value ? new Date(el.expires.value).getTime() : 0;
+    const details = newCookieToSetDetails({
+        name: el.name.value,
+        value: el.value.value,
+        domain: el.domain.value,
+        path: el.path.value,
+        expirationDate: expires ? Math.floor(expires / 1000) : null,
+        sameSite: el.sameSite.value,
+        secure: el.secure.checked,
+        httpOnly: el.httpOnly.checked,
+        partitioned: el.partitioned.checked
+    }, opts);
+    const errors = cookieOptionErrors(details);
+    if (Number.isNaN(expires)) errors.push({ field: 'expirationDate', message: 'Invalid expiry' });
+    else if (expires && expires <= Date.now()) errors.push({ field: 'expirationDate', message: 'Expiry is in the past; the cookie would be deleted right away' });
+    showCookieFormErrors(form, errors);
+    return errors.length ? null : details;
+}
@@ -0,0 +1,159 @@
+/**
+ * src/utils/cookieFormats.js
+ * Serialization of cookie lists for export/import.
+ *
+ * Supported formats:
+ * - 'json':     a bare array of cookie objects (a { cookies: [...] } document is accepted on import)
+ * - 'netscape': the Netscape/Mozilla cookies.txt format used by curl, wget and yt-dlp
+ *
+ * cookies.txt columns (tab-separated):
+ *   domain  includeSubdomains  path  secure  expiry  name  value
+ * A '#HttpOnly_' prefix on the domain marks HttpOnly cookies and an expiry of 0 marks session cookies.
+ * cookies.txt has no column for CHIPS partitions: partitioned cookies are written like any other
+ * cookie and come back unpartitioned. Use JSON to round-trip partitionKey.
+ */
+
+const HTTP_ONLY_PREFIX = '#HttpOnly_';
+
+export const COOKIE_FORMATS = {
+    json: { label: 'JSON', extension: 'json', mime: 'application/json' },
+    netscape: { label: 'Netscape cookies.txt', extension: 'txt', mime: 'text/plain' }
+};
+
+/**
+ * Serialize cookies into the Netscape cookies.txt format.
+ * @param {chrome.cookies.Cookie[]} cookies
+ * @returns {string}
+ */
+export function toNetscapeCookieFile(cookies) {
+    const lines = [
+        '# Netscape HTTP Cookie File',
+        '# https://curl.se/docs/http-cookies.html',
+        `# Exported by CookieControl on ${new Date().toISOString()}`,
+        ''
+    ];
+    for (const c of cookies || []) {
+        if (!c || !c.name || !c.domain) continue;
+        // Tabs and newlines cannot be represented in this line-based format
+        if (/[\t\r\n]/.test(`${c.name}${c.value || ''}${c.path || ''}`)) continue;
+        const bare = c.domain.replace(/^\./, '');
+        const hostOnly = c.hostOnly !== undefined ? !!c.hostOnly : !c.domain.startsWith('.');
+        const domain = hostOnly ? bare : `.${bare}`;
+        const expiry = c.session || !c.expirationDate ? 0 : Math.floor(c.expirationDate);
+        lines.push([
+            `${c.httpOnly ? HTTP_ONLY_PREFIX : ''}${domain}`,
+            hostOnly ? 'FALSE' : 'TRUE',
+            c.path || '/',
+            c.secure ? 'TRUE' : 'FALSE',
+            String(expiry),
+            c.name,
+            c.value || ''
+        ].join('\t'));
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Value of the Cookie request header a browser would send with these cookies, longest path
+ * first (RFC 6265 section 5.4), e.g. "session=abc; theme=dark". The caller picks the cookies
+ * that match the request URL.
+ * @param {chrome.cookies.Cookie[]} cookies
+ * @returns {string}
+ */
+export function toCookieHeader(cookies) {
+    return (cookies || [])
+        .filter((c) => c && (c.name || c.value))
+        .sort((a, b) => (b.path || '/').length - (a.path || '/').length)
+        .map((c) => (c.name ? `${c.name}=${c.value || ''}` : c.value))
+        .join('; ');
+}
+
+/**
+ * Parse a Netscape cookies.txt file. Malformed lines are skipped.
+ * @param {string} text
+ * @returns {object[]} cookie objects compatible with chrome.cookies.Cookie
+ */
+export function parseNetscapeCookieFile(text) {
+    const cookies = [];
+    for (const rawLine of String(text || '').split(/\r?\n/)) {
+        let line = rawLine;
+        let httpOnly = false;
+        if (line.startsWith(HTTP_ONLY_PREFIX)) {
+            httpOnly = true;
+            line = line.slice(HTTP_ONLY_PREFIX.length);
+        } else if (!line.trim() || line.startsWith('#')) {
+            continue;
+        }
+
+        let fields = line.split('\t');
+        // Be lenient with space-separated files (values with spaces are not recoverable there)
+        if (fields.length < 6) fields = line.trim().split(/\s+/);
+        if (fields.length < 6) continue;
+
+        const [domainField, includeSubdomains, path, secure, expiry, name, ...rest] = fields;
+        const value = rest.join('\t');
+        if (!domainField || !name) continue;
+        const expiryNum = Number(expiry);
+        if (!Number.isFinite(expiryNum)) continue;
+
+        const bare = domainField.replace(/^\./, '');
+        const hostOnly = includeSubdomains.toUpperCase() !== 'TRUE';
+        const cookie = {
+            name,
+            value,
+            domain: hostOnly ? bare : `.${bare}`,
+            hostOnly,
+            path: path || '/',
+            secure: secure.toUpperCase() === 'TRUE',
+            httpOnly,
+            session: expiryNum <= 0
+        };
+        if (expiryNum > 0) cookie.expirationDate = expiryNum;
+        cookies.push(cookie);
+    }
+    return cookies;
+}
+
+/**
+ * Heuristic detection of cookies.txt content.
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function isNetscapeCookieFile(text) {
+    const trimmed = String(text || '').trim();
+    if (!trimmed) return false;
+    if (/^#\s*(Netscape|HTTP) HTTP Cookie File/i.test(trimmed)) return true;
+    if (trimmed.startsWith('{') || trimmed.startsWith('[')) return false;
+    return parseNetscapeCookieFile(trimmed).length > 0;
+}
+
+/**
+ * Serialize cookies for download.
+ * @param {chrome.cookies.Cookie[]} cookies
+ * @param {'json'|'netscape'} [format]
+ * @returns {string}
+ */
+export function serializeCookies(cookies, format = 'json') {
+    if (format === 'netscape') return toNetscapeCookieFile(cookies);
+    return JSON.stringify(cookies, null, 2);
+}
+
+/**
+ * Parse an import file in any supported format. Throws when the content is not recognised.
+ * @param {string} text
+ * @returns {{format:'json'|'netscape', cookies:object[]}}
+ */
+export function parseCookieFile(text) {
+    if (isNetscapeCookieFile(text)) {
+        return { format: 'netscape', cookies: parseNetscapeCookieFile(text) };
+    }
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch (e) {
+        throw new Error('Unrecognised file: expected CookieControl JSON or a Netscape cookies.txt file');
+    }
+    const cookies = Array.isArray(parsed) ? parsed : (parsed && Array.isArray(parsed.cookies) ? parsed.cookies : null);
+    if (!cookies) throw new Error('JSON file does not contain a cookie array');
+    return { format: 'json', cookies };
+}
@@ -0,0 +1,113 @@
+/**
+ * src/utils/cookieMonitor.js
+ * Live cookie change monitor (pure helpers). The background worker streams events over a
+ * long-lived port named MONITOR_PORT; the options page filters and renders them.
+ *
+ * Port messages from the background:
+ *   { type: 'MONITOR_BACKLOG', events: [...] }  recent events, oldest first, sent on connect
+ *   { type: 'MONITOR_EVENT', event }            one new event
+ *
+ * An event is { id, ts, kind, cause, key, cookie, previous } where kind is a MONITOR_KINDS key,
+ * cause is chrome.cookies.OnChangedCause and previous holds the old cookie of an overwrite.
+ * chrome.cookies.onChanged reports an overwrite as a removal (cause 'overwrite') followed by a
+ * set; the background pairs the two into a single 'overwrite' event.
+ */
+
+import { cookieKey } from './cookieUtils.js';
+
+export const MONITOR_PORT = 'cookie-monitor';
+
+export const MONITOR_KINDS = {
+    set: 'Set',
+    overwrite: 'Overwrite',
+    removed: 'Removed',
+    expired: 'Expired',
+    evicted: 'Evicted'
+};
+
+export const MONITOR_CAUSES = {
+    explicit: 'Explicit (page, server or extension)',
+    overwrite: 'Overwritten',
+    expired: 'Expired',
+    expired_overwrite: 'Overwritten with a past expiry',
+    evicted: 'Evicted by the browser'
+};
+
+// A cookie written this often within the window is highlighted as a repeated rewrite
+export const REWRITE_WINDOW_MS = 60 * 1000;
+export const REWRITE_THRESHOLD = 3;
+
+/**
+ * Monitor kind of a chrome.cookies.onChanged event, before overwrite pairing.
+ * @param {{removed:boolean, cause:string}} changeInfo
+ * @returns {string} key of MONITOR_KINDS
+ */
+export function classifyCookieChange(changeInfo) {
+    if (!changeInfo.removed) return 'set';
+    switch (changeInfo.cause) {
+        case 'overwrite':
+            return 'overwrite';
+        case 'expired':
+        case 'expired_overwrite':
+            return 'expired';
+        case 'evicted':
+            return 'evicted';
+        default:
+            return 'removed';
+    }
+}
+
+/**
+ * Build a monitor event.
+ * @param {{removed:boolean, cause:string, cookie:object}} changeInfo
+ * @param {?object} [previous] cookie replaced by this set (overwrites only)
+ * @param {number} [now] epoch milliseconds
+ */
+export function createMonitorEvent(changeInfo, previous = null, now = Date.now()) {
+    const cookie = changeInfo.cookie;
+    return {
+        id: `${now.toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+        ts: now,
+        kind: previous ? 'overwrite' : classifyCookieChange(changeInfo),
+        cause: previous ? 'overwrite' : changeInfo.cause,
+        key: cookieKey(cookie),
+        cookie,
+        previous
+    };
+}
+
+/**
+ * Whether an event passes the monitor filters. Domain and name match as case-insensitive
+ * substrings; cause must match exactly. Empty filters match everything.
+ * @param {object} event
+ * @param {{domain?:string, name?:string, cause?:string}} filter
+ * @returns {boolean}
+ */
+export function matchesMonitorFilter(event, filter = {}) {
+    const domain = String(filter.domain || '').trim().toLowerCase();
+    const name = String(filter.name || '').trim().toLowerCase();
+    if (domain && !String(event.cookie.domain || '').toLowerCase().includes(domain)) return false;
+    if (name && !String(event.cookie.name || '').toLowerCase().includes(name)) return false;
+    if (filter.cause && event.cause !== filter.cause) return false;
+    return true;
+}
+
+/**
+ * For every write (set or overwrite), how often the same cookie was written within the
+ * window ending at that write, itself included.
+ * @param {object[]} events oldest first
+ * @param {number} [windowMs]
+ * @returns {Map<string, number>} event id -> writes
+ */
+export function countRewrites(events, windowMs = REWRITE_WINDOW_MS) {
+    const recent = new Map();
+    const counts = new Map();
+    for (const event of events) {
+        if (event.kind !== 'set' && event.kind !== 'overwrite') continue;
+        const times = (recent.get(event.key) || []).filter((ts) => event.ts - ts <= windowMs);
+        times.push(event.ts);
+        recent.set(event.key, times);
+        counts.set(event.id, times.length);
+    }
+    return counts;
+}
@@ -1,135 +1,367 @@
-/**
- * src/utils/cookieUtils.js
- * Utility helpers that are safe to import into the service worker via importScripts.
- *
- * Keep these functions pure and defensive. These are designed to run in the worker context.
- */
-
-/**
- * Build a URL for chrome.cookies.remove/set usage from a cookie object.
- * cookie.domain may start with '.' so we strip it when building the host.
- * @param {object} cookie chrome cookie object
- * @returns {string} url (scheme + host + path)
- */
-export function cookieToUrl(cookie) {
-       const domain = cookie.domain ? (cookie.domain.startsWith('.') ? cookie.domain.slice(1) : cookie.domain) : '';
-       const scheme = cookie.secure ? 'https' : 'http';
-       const path = cookie.path || '/';
-       // Ensure domain is present
-       return `${scheme}://${domain}${path}`;
-}
-
-/**
- * Convert domain (example.com or .example.com) to an origin pattern suitable for permissions.request
- * e.g. example.com -> '*://*.example.com/*'
- * @param {string} domain
- * @returns {string}
- */
-// Removed unused domainToOriginPattern to reduce bundle size.
-
-/**
- * Minimal validation for setting cookies via chrome.cookies.set
- * Throws on invalid input.
- * @param {object} opts
- */
-export function validateSetCookieOptions(opts) {
-       if (!opts || typeof opts !== 'object') throw new Error('Invalid cookie options');
-       if (!opts.name) throw new Error('Cookie must have a name');
-       if (!opts.url && !opts.domain) throw new Error('Either url or domain must be provided (prefer url)');
-}
-
-/**
- * Ensure modular utility functions
- */
-
-/**
- * Example: Wrap existing functions
- */
-
-// Removed unused all_urls permission helpers (hasAllUrlsPermission, requestAllUrlsPermission, removeAllUrlsPermission).
-
-/**
- * Extracts the base domain (eTLD+1) from a hostname.
- * This is a simplified implementation and may not cover all edge cases for complex TLDs.
- * @param {string} hostname The hostname to parse (e.g., 'sub.example.co.uk').
- * @returns {string} The base domain (e.g., 'example.co.uk').
- */
-export function getBaseDomain(hostname) {
-    if (!hostname) return '';
-    // Remove leading dot if present (often seen in cookie domains)
-    const cleanHostname = hostname.startsWith('.') ? hostname.slice(1) : hostname;
-
-    const parts = cleanHostname.split('.');
-    if (parts.length <= 2) {
-        return cleanHostname;
-    }
-
-    // A simple heuristic for common TLDs that are multi-part (e.g., .co.uk, .com.au)
-    const commonTlds = ['co', 'com', 'net', 'org', 'gov', 'edu'];
-    if (parts.length > 2 && commonTlds.includes(parts[parts.length - 2])) {
-        return parts.slice(-3).join('.');
-    }
-
-        return parts.slice(-2).join('.');
-}
-
-/**
- * Determine if a cookie is a known advertising / tracking cookie that is safe to remove.
- * We only include identifiers that are widely recognised as non-essential and will not
- * break normal site functionality when removed. The list is deliberately conservative –
- * if in doubt, we return false.
- *
- * @param {chrome.cookies.Cookie} cookie
- * @returns {boolean}
- */
-export function isTrackingCookie(cookie) {
-    if (!cookie || !cookie.name) return false;
-    const name = cookie.name.toLowerCase();
-    const domain = (cookie.domain || '').replace(/^\./, '').toLowerCase();
-
-    // 1. Name-based detection (fast path)
-    const NAME_PATTERNS = [
-        /^_ga/,              // Google Analytics
-        /^_gid$/,            // Google Analytics session ID
-        /^_gat/,             // Google Analytics throttling
-        /^__gads$/,          // Google Marketing Platform
-        /^__qca$/,           // Quantcast
-        /^_fbp$/,            // Facebook / Meta pixel
-        /^fr$/,              // Facebook / Meta ads
-        /^ide$/,             // Google DoubleClick
-        /^dsid$/,            // Google DoubleClick
-        /^anid$/,            // Google Ads
-        /^1p_jar$/,          // Google Ads (first-party)
-        /^cto_bundle$/,      // Criteo
-        /^cto_lwid$/,        // Criteo
-        /^cto_bidid$/,       // Criteo
-        /^_uet/,             // Microsoft / Bing ads (_uet* family)
-        /^scid$/,            // Snapchat ads
-        /^ajs_.*/,           // Segment analytics
-        /^mp_.*_mixpanel$/,  // Mixpanel
-        /^hubspotutk$/,      // HubSpot tracking
-        /^adid$/,            // Various ad IDs
-    ];
-    if (NAME_PATTERNS.some((re) => re.test(name))) {
-        return true;
-    }
-
-    // 2. Domain-based detection (used when cookie name alone is ambiguous)
-    const TRACKING_DOMAINS = [
-        'doubleclick.net',
-        'googleadservices.com',
-        'googlesyndication.com',
-        'googletagmanager.com',
-        'googletagservices.com',
-        'facebook.com',
-        'facebook.net',
-        'ads-twitter.com',
-        'snapchat.com',
-        'criteo.com',
-    ];
-    if (TRACKING_DOMAINS.some((d) => domain === d || domain.endsWith(`.${d}`))) {
-        return true;
-    }
-
-    return false;
-}
+/**
+ * src/utils/cookieUtils.js
+ * Utility helpers that are safe to import into the service worker via importScripts.
+ *
+ * Keep these functions pure and defensive. These are designed to run in the worker context.
+ */
+
+import { getRegistrableDomain, normalizeHostname, isIpAddress } from './psl.js';
+
+/**
+ * Build a URL for chrome.cookies.remove/set usage from a cookie object.
+ * cookie.domain may start with '.' so we strip it when building the host.
+ * Partitioned (CHIPS) cookies are always Secure, so they always get an https URL.
+ * @param {object} cookie chrome cookie object
+ * @returns {string} url (scheme + host + path)
+ */
+export function cookieToUrl(cookie) {
+       const domain = cookie.domain ? (cookie.domain.startsWith('.') ? cookie.domain.slice(1) : cookie.domain) : '';
+       const scheme = cookie.secure || getPartitionSite(cookie) ? 'https' : 'http';
+       const path = cookie.path || '/';
+       // Ensure domain is present
+       return `${scheme}://${domain}${path}`;
+}
+
+/**
+ * Build chrome.cookies.set details that recreate the given cookie, optionally overriding fields.
+ * Host-only cookies are set without a domain so they stay host-only; session cookies get no expiry.
+ * An override of `expirationDate: undefined` turns the cookie into a session cookie.
+ * @param {object} cookie chrome cookie object (or a compatible imported object)
+ * @param {object} [overrides]
+ * @returns {object}
+ */
+export function cookieToSetDetails(cookie, overrides = {}) {
+       const hostOnly = cookie.hostOnly !== undefined ? !!cookie.hostOnly : !String(cookie.domain || '').startsWith('.');
+       const details = {
+              url: cookieToUrl(cookie),
+              name: cookie.name,
+              value: cookie.value || '',
+              path: cookie.path || '/',
+              secure: !!cookie.secure,
+              httpOnly: !!cookie.httpOnly
+       };
+       if (!hostOnly && cookie.domain) details.domain = cookie.domain;
+       if (!cookie.session && cookie.expirationDate) details.expirationDate = cookie.expirationDate;
+       if (cookie.sameSite && cookie.sameSite !== 'unspecified') details.sameSite = cookie.sameSite;
+       if (cookie.storeId) details.storeId = cookie.storeId;
+       const partitionKey = toPartitionKey(cookie.partitionKey);
+       if (partitionKey) details.partitionKey = partitionKey;
+       const merged = { ...details, ...overrides };
+       Object.keys(merged).forEach((k) => { if (merged[k] === undefined) delete merged[k]; });
+       return merged;
+}
+
+/**
+ * Build chrome.cookies.set details for a new cookie (the "New cookie" form).
+ * The cookie is set from `host` (the popup passes the current tab's host) or, without one, from
+ * the domain itself. A domain equal to that host gives a host-only cookie; anything else,
+ * or a leading '.', becomes the Domain attribute. Partitioned cookies are keyed to the host's site.
+ * @param {{name:string, value:string, domain:string, path:string, expirationDate:?number, sameSite:string, secure:boolean, httpOnly:boolean, partitioned:boolean}} fields
+ *   expirationDate in epoch seconds, null for a session cookie; sameSite '' for unspecified
+ * @param {{host?:string, storeId?:string}} [opts]
+ * @returns {object} details to check with cookieOptionErrors before setting
+ */
+export function newCookieToSetDetails(fields, opts = {}) {
+       const domain = String(fields.domain || '').trim().toLowerCase();
+       const host = normalizeHostname(opts.host || domain);
+       const path = String(fields.path || '').trim() || '/';
+       const details = {
+              url: `${fields.secure ? 'https' : 'http'}://${host}${path.startsWith('/') ? path : '/'}`,
+              name: String(fields.name || ''),
+              value: String(fields.value || ''),
+              path,
+              secure: !!fields.secure,
+              httpOnly: !!fields.httpOnly
+       };
+       if (domain && (domain.startsWith('.') || normalizeHostname(domain) !== host)) details.domain = domain;
+       if (fields.expirationDate) details.expirationDate = fields.expirationDate;
+       if (fields.sameSite) details.sameSite = fields.sameSite;
+       if (fields.partitioned) details.partitionKey = { topLevelSite: `https://${getBaseDomain(host)}` };
+       if (opts.storeId) details.storeId = opts.storeId;
+       return details;
+}
+
+/**
+ * Build chrome.cookies.remove details that target exactly this cookie,
+ * including its cookie store and, for partitioned cookies, its partition.
+ * @param {object} cookie chrome cookie object
+ * @returns {{url:string,name:string,storeId?:string,partitionKey?:object}}
+ */
+export function cookieToRemoveDetails(cookie) {
+       const details = { url: cookieToUrl(cookie), name: cookie.name };
+       if (cookie.storeId) details.storeId = cookie.storeId;
+       const partitionKey = toPartitionKey(cookie.partitionKey);
+       if (partitionKey) details.partitionKey = partitionKey;
+       return details;
+}
+
+/**
+ * Top-level site a partitioned (CHIPS) cookie is keyed to, e.g. 'https://news.example'.
+ * @param {object} cookie
+ * @returns {string} '' for unpartitioned cookies
+ */
+export function getPartitionSite(cookie) {
+       const key = cookie && cookie.partitionKey;
+       return key && typeof key.topLevelSite === 'string' ? key.topLevelSite : '';
+}
+
+/**
+ * Top-level site a page URL's partitioned cookies are keyed to: scheme plus registrable
+ * domain ('https://www.news.example/a' -> 'https://news.example').
+ * @param {string} pageUrl
+ * @returns {string} '' for URLs that are not http(s)
+ */
+export function topLevelSiteOf(pageUrl) {
+       let url;
+       try {
+              url = new URL(pageUrl || '');
+       } catch (_) {
+              return '';
+       }
+       if (url.protocol !== 'http:' && url.protocol !== 'https:') return '';
+       return `${url.protocol}//${getBaseDomain(url.hostname) || url.hostname}`;
+}
+
+/**
+ * Cookies a request sends from a page on topLevelSite: unpartitioned ones and those of that
+ * page's partition. For a frame this is the embedding page's site, not the frame's own.
+ * @param {object[]} cookies
+ * @param {string} topLevelSite from topLevelSiteOf
+ * @returns {object[]}
+ */
+export function cookiesForTopLevelSite(cookies, topLevelSite) {
+       return cookies.filter((c) => !c.partitionKey || getPartitionSite(c) === topLevelSite);
+}
+
+/**
+ * Display form of a partition's top-level site ('https://news.example' -> 'news.example').
+ * @param {string} topLevelSite
+ * @returns {string}
+ */
+export function formatPartitionSite(topLevelSite) {
+       return String(topLevelSite || '').replace(/^[a-z]+:\/\//i, '').replace(/\/$/, '');
+}
+
+/**
+ * Identity of a cookie: name, domain, path, store and partition.
+ * Two partitioned cookies with the same name under different top-level sites are distinct.
+ * @param {object} cookie
+ * @returns {string}
+ */
+export function cookieKey(cookie) {
+       return `${cookie.name}|${cookie.domain}|${cookie.path || '/'}|${cookie.storeId || ''}|${getPartitionSite(cookie)}`;
+}
+
+/**
+ * Copy only the partitionKey fields the cookies API accepts; null when the cookie is not partitioned.
+ * @param {object} partitionKey
+ * @returns {?{topLevelSite:string,hasCrossSiteAncestor?:boolean}}
+ */
+function toPartitionKey(partitionKey) {
+       if (!partitionKey || typeof partitionKey.topLevelSite !== 'string' || !partitionKey.topLevelSite) return null;
+       const key = { topLevelSite: partitionKey.topLevelSite };
+       if (typeof partitionKey.hasCrossSiteAncestor === 'boolean') key.hasCrossSiteAncestor = partitionKey.hasCrossSiteAncestor;
+       return key;
+}
+
+/**
+ * Convert domain (example.com or .example.com) to an origin pattern suitable for permissions.request
+ * e.g. example.com -> '*://*.example.com/*'
+ * @param {string} domain
+ * @returns {string}
+ */
+// Removed unused domainToOriginPattern to reduce bundle size.
+
+// RFC 6265bis limit on the combined length of a cookie's name and value
+export const MAX_COOKIE_NAME_VALUE_BYTES = 4096;
+
+// Control characters other than horizontal tab; browsers reject cookies containing them
+const COOKIE_CTL_RE = /[\u0000-\u0008\u000A-\u001F\u007F]/;
+
+/**
+ * Check chrome.cookies.set details against the rules browsers enforce (RFC 6265bis):
+ * allowed characters, the name+value size limit, the __Secure- and __Host- prefixes,
+ * SameSite=None and Partitioned requiring Secure, and the domain attribute matching the URL host.
+ * @param {object} opts chrome.cookies.set details (url, name, value, domain, path, secure, sameSite, partitionKey, expirationDate)
+ * @returns {{field:string, message:string}[]} empty when the details are valid; field names the offending detail
+ */
+export function cookieOptionErrors(opts) {
+       if (!opts || typeof opts !== 'object') return [{ field: '', message: 'Invalid cookie options' }];
+       const errors = [];
+       const add = (field, message) => errors.push({ field, message });
+       const name = String(opts.name || '');
+       const value = String(opts.value || '');
+
+       if (!name) add('name', 'Cookie must have a name');
+       else if (COOKIE_CTL_RE.test(name) || /[;=]/.test(name)) add('name', 'Name may not contain control characters, ";" or "="');
+       else if (name.trim() !== name) add('name', 'Name may not start or end with whitespace');
+       if (COOKIE_CTL_RE.test(value) || value.includes(';')) add('value', 'Value may not contain control characters or ";"');
+       if (new TextEncoder().encode(name + value).length > MAX_COOKIE_NAME_VALUE_BYTES) {
+              add('value', `Name and value together may not exceed ${MAX_COOKIE_NAME_VALUE_BYTES} bytes`);
+       }
+
+       let url = null;
+       if (!opts.url && !opts.domain) add('domain', 'Either url or domain must be provided (prefer url)');
+       else if (opts.url) {
+              try {
+                     url = new URL(opts.url);
+              } catch (_) {
+                     add('domain', `Invalid URL: ${opts.url}`);
+              }
+       }
+       const https = !!url && url.protocol === 'https:';
+       const host = url ? normalizeHostname(url.hostname) : '';
+       const domain = opts.domain ? normalizeHostname(opts.domain) : '';
+
+       if (domain) {
+              if (/[^a-z0-9.-]/i.test(domain)) add('domain', `Invalid domain: ${opts.domain}`);
+              else if (host && host !== domain && !host.endsWith(`.${domain}`)) add('domain', `Domain ${domain} does not match the host ${host}`);
+              else if ((domain !== host || String(opts.domain).startsWith('.')) && !isIpAddress(domain) && !getRegistrableDomain(domain)) add('domain', `${domain} is a public suffix; cookies cannot be set for it`);
+       }
+       if (opts.path && !String(opts.path).startsWith('/')) add('path', 'Path must start with "/"');
+       if (opts.expirationDate !== undefined && !Number.isFinite(Number(opts.expirationDate))) add('expirationDate', 'Invalid expiry');
+
+       if (opts.secure && url && !https) add('secure', 'Secure cookies can only be set over https');
+       if (/^__Secure-/i.test(name) && !opts.secure) add('secure', '__Secure- cookies must be Secure');
+       if (/^__Host-/i.test(name)) {
+              if (!opts.secure) add('secure', '__Host- cookies must be Secure');
+              if (opts.domain) add('domain', '__Host- cookies may not have a domain (host-only)');
+              if ((opts.path || '/') !== '/') add('path', '__Host- cookies must have path "/"');
+       }
+       if (opts.sameSite === 'no_restriction' && !opts.secure) add('sameSite', 'SameSite=None requires Secure');
+       if (opts.partitionKey && !opts.secure) add('partitionKey', 'Partitioned cookies must be Secure');
+       return errors;
+}
+
+/**
+ * Validate details for chrome.cookies.set (see cookieOptionErrors).
+ * Throws the first problem found.
+ * @param {object} opts
+ */
+export function validateSetCookieOptions(opts) {
+       const [error] = cookieOptionErrors(opts);
+       if (error) throw new Error(error.message);
+}
+
+/**
+ * Ensure modular utility functions
+ */
+
+/**
+ * Example: Wrap existing functions
+ */
+
+// Removed unused all_urls permission helpers (hasAllUrlsPermission, requestAllUrlsPermission, removeAllUrlsPermission).
+
+/**
+ * Extracts the base domain (eTLD+1) from a hostname using the bundled Public Suffix List,
+ * including private suffixes such as github.io and blogspot.com.
+ * IP addresses, single-label hosts and hosts that are themselves a public suffix are returned unchanged.
+ * @param {string} hostname The hostname to parse (e.g., 'sub.example.co.uk').
+ * @returns {string} The base domain (e.g., 'example.co.uk').
+ */
+export function getBaseDomain(hostname) {
+    if (!hostname) return '';
+    // Remove leading dot if present (often seen in cookie domains)
+    const cleanHostname = normalizeHostname(hostname);
+    return getRegistrableDomain(cleanHostname) || cleanHostname;
+}
+
+/**
+ * Group items by the base domain (eTLD+1) of their cookie, e.g. for per-site lists.
+ * @param {object[]} items cookies, or objects that contain one
+ * @param {function(object): object} [getCookie] picks the cookie out of an item
+ * @returns {Object<string, object[]>} base domain -> items ('Unknown Domain' when there is none)
+ */
+export function groupCookiesByDomain(items, getCookie = (c) => c) {
+    return items.reduce((acc, item) => {
+        const cookie = getCookie(item) || {};
+        const baseDomain = getBaseDomain(cookie.domain) || 'Unknown Domain';
+        if (!acc[baseDomain]) {
+            acc[baseDomain] = [];
+        }
+        acc[baseDomain].push(item);
+        return acc;
+    }, {});
+}
+
+/**
+ * Convert a simple glob ('*' = any run of characters, '?' = one character) into an
+ * anchored, case-insensitive RegExp.
+ * @param {string} glob
+ * @returns {RegExp}
+ */
+export function globToRegExp(glob) {
+    const source = String(glob || '')
+        .split('')
+        .map((ch) => {
+            if (ch === '*') return '.*';
+            if (ch === '?') return '.';
+            return ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        })
+        .join('');
+    return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Test a cookie domain against a domain pattern.
+ * 'corp.example' matches only that host; '*.corp.example' matches corp.example and every subdomain.
+ * Leading dots on the cookie domain are ignored.
+ * @param {string} domain cookie domain (e.g. '.sso.corp.example')
+ * @param {string} pattern
+ * @returns {boolean}
+ */
+export function matchesDomainPattern(domain, pattern) {
+    const host = (domain || '').replace(/^\./, '').toLowerCase();
+    const pat = (pattern || '').trim().toLowerCase();
+    if (!host || !pat) return false;
+    if (pat === '*') return true;
+    if (pat.startsWith('*.')) {
+        const suffix = pat.slice(2);
+        if (!suffix.includes('*') && !suffix.includes('?')) {
+            return host === suffix || host.endsWith(`.${suffix}`);
+        }
+        return globToRegExp(suffix).test(host) || globToRegExp(pat).test(host);
+    }
+    return globToRegExp(pat).test(host);
+}
+
+/**
+ * Validate and normalize a domain pattern ('example.com', '*.example.com').
+ * Throws on invalid input.
+ * @param {string} pattern
+ * @returns {string}
+ */
+export function normalizeDomainPattern(pattern) {
+    const domain = String(pattern || '').trim().toLowerCase().replace(/^\./, '');
+    if (!domain) throw new Error('A domain pattern is required');
+    if (!/^[a-z0-9.*?-]+$/.test(domain)) throw new Error(`Invalid domain pattern: ${domain}`);
+    return domain;
+}
+
+/**
+ * Validate and normalize a protected-cookie allowlist entry.
+ * Throws on invalid input.
+ * @param {{domain:string,name?:string}} entry
+ * @returns {{domain:string,name:string}}
+ */
+export function normalizeProtectedEntry(entry) {
+    if (!entry || typeof entry !== 'object') throw new Error('Invalid allowlist entry');
+    const domain = normalizeDomainPattern(entry.domain);
+    const name = String(entry.name || '').trim() || '*';
+    if (/[\s;,=]/.test(name)) throw new Error(`Invalid cookie name pattern: ${name}`);
+    return { domain, name };
+}
+
+/**
+ * Whether a cookie is covered by the protected-cookie allowlist.
+ * @param {chrome.cookies.Cookie} cookie
+ * @param {Array<{domain:string,name:string}>} entries
+ * @returns {boolean}
+ */
+export function isProtectedCookie(cookie, entries) {
+    if (!cookie || !Array.isArray(entries) || !entries.length) return false;
+    return entries.some((entry) => entry
+        && matchesDomainPattern(cookie.domain, entry.domain)
+        && globToRegExp(entry.name || '*').test(cookie.name || ''));
+}
@@ -0,0 +1,180 @@
+/**
+ * src/utils/exportCrypto.js
+ * Passphrase encryption for cookie exports (WebCrypto, no dependencies).
+ *
+ * The export text (JSON or cookies.txt) is encrypted with AES-256-GCM under a key derived
+ * from the passphrase with PBKDF2-SHA-256, and wrapped in a self-describing JSON envelope:
+ *
+ *   {
+ *     "format": "cookiecontrol-encrypted", "version": 1,
+ *     "contentFormat": "json" | "netscape",
+ *     "kdf":    { "name": "PBKDF2", "hash": "SHA-256", "iterations": 600000, "salt": "<base64>" },
+ *     "cipher": { "name": "AES-GCM", "length": 256, "iv": "<base64>" },
+ *     "keyCheck": "<base64>",
+ *     "data": "<base64 ciphertext + tag>"
+ *   }
+ *
+ * PBKDF2 yields 512 bits: the first half is the AES key, the SHA-256 of the second half is
+ * stored as keyCheck. A keyCheck mismatch means a wrong passphrase; a matching keyCheck with
+ * a failing GCM tag means the file was damaged or modified. Errors carry err.code:
+ * 'wrong_passphrase', 'corrupt_data' or 'unsupported_envelope'.
+ */
+
+export const ENVELOPE_FORMAT = 'cookiecontrol-encrypted';
+export const ENVELOPE_VERSION = 1;
+export const ENCRYPTED_EXTENSION = 'encrypted.json';
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+const PBKDF2_ITERATIONS = 600000;
+// Iteration counts are read from the file: a huge one would hang the page before the
+// passphrase is even checked
+const MAX_PBKDF2_ITERATIONS = 10 * PBKDF2_ITERATIONS;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+
+function cryptoError(code, message) {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+}
+
+function bytesToBase64(bytes) {
+    let binary = '';
+    // Chunked to stay clear of argument-count limits on large exports
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+function base64ToBytes(text) {
+    if (typeof text !== 'string' || !text) throw cryptoError('corrupt_data', 'Missing encrypted field');
+    let binary;
+    try {
+        binary = atob(text);
+    } catch (e) {
+        throw cryptoError('corrupt_data', 'Encrypted field is not valid base64');
+    }
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+}
+
+function sameBytes(a, b) {
+    if (a.length !== b.length) return false;
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) diff |= a[i] ^ b[i];
+    return diff === 0;
+}
+
+/**
+ * Derive the AES-GCM key and the key-check bytes from a passphrase.
+ * @returns {Promise<{key: CryptoKey, keyCheck: Uint8Array}>}
+ */
+async function deriveKeys(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveBits']);
+    const bits = new Uint8Array(await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, material, 512));
+    const key = await crypto.subtle.importKey('raw', bits.slice(0, 32), { name: 'AES-GCM' }, false, ['encrypt', 'decrypt']);
+    const keyCheck = new Uint8Array(await crypto.subtle.digest('SHA-256', bits.slice(32)));
+    return { key, keyCheck };
+}
+
+/**
+ * Reject passphrases that are too short to be worth deriving a key from. Throws on invalid input.
+ * @param {string} passphrase
+ * @param {string} [confirmation] must match when given
+ */
+export function validatePassphrase(passphrase, confirmation) {
+    if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+        throw new Error(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+    }
+    if (confirmation !== undefined && confirmation !== passphrase) {
+        throw new Error('Passphrases do not match');
+    }
+}
+
+/**
+ * Whether text is (or at least claims to be) an encrypted export envelope.
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function isEncryptedExport(text) {
+    const trimmed = String(text || '').trim();
+    if (!trimmed.startsWith('{') || !trimmed.includes(ENVELOPE_FORMAT)) return false;
+    try {
+        const parsed = JSON.parse(trimmed);
+        return !!parsed && parsed.format === ENVELOPE_FORMAT;
+    } catch (_) {
+        // A truncated envelope still names its format; let decryption report it as corrupt
+        return true;
+    }
+}
+
+/**
+ * Encrypt export text into an envelope string.
+ * @param {string} plaintext serialized export
+ * @param {string} passphrase
+ * @param {{contentFormat?: string}} [opts]
+ * @returns {Promise<string>}
+ */
+export async function encryptExport(plaintext, passphrase, opts = {}) {
+    validatePassphrase(passphrase);
+    const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+    const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+    const { key, keyCheck } = await deriveKeys(passphrase, salt, PBKDF2_ITERATIONS);
+    const data = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(plaintext)));
+    return JSON.stringify({
+        format: ENVELOPE_FORMAT,
+        version: ENVELOPE_VERSION,
+        contentFormat: opts.contentFormat || 'json',
+        exportedAt: new Date().toISOString(),
+        kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: PBKDF2_ITERATIONS, salt: bytesToBase64(salt) },
+        cipher: { name: 'AES-GCM', length: 256, iv: bytesToBase64(iv) },
+        keyCheck: bytesToBase64(keyCheck),
+        data: bytesToBase64(data)
+    }, null, 2);
+}
+
+/**
+ * Decrypt an envelope string back to the export text.
+ * Throws with err.code 'wrong_passphrase', 'corrupt_data' or 'unsupported_envelope'.
+ * @param {string} text envelope JSON
+ * @param {string} passphrase
+ * @returns {Promise<{plaintext: string, contentFormat: string}>}
+ */
+export async function decryptExport(text, passphrase) {
+    let envelope;
+    try {
+        envelope = JSON.parse(text);
+    } catch (e) {
+        throw cryptoError('corrupt_data', 'Encrypted file is not valid JSON');
+    }
+    if (!envelope || envelope.format !== ENVELOPE_FORMAT) throw cryptoError('corrupt_data', 'Not an encrypted CookieControl export');
+    if (envelope.version !== ENVELOPE_VERSION) {
+        throw cryptoError('unsupported_envelope', `Unsupported encrypted export version: ${envelope.version}`);
+    }
+    const { kdf, cipher } = envelope;
+    if (!kdf || kdf.name !== 'PBKDF2' || kdf.hash !== 'SHA-256' || !cipher || cipher.name !== 'AES-GCM' || cipher.length !== 256) {
+        throw cryptoError('unsupported_envelope', 'Unsupported encryption parameters');
+    }
+    const iterations = Number(kdf.iterations);
+    if (!Number.isInteger(iterations) || iterations < 1 || iterations > MAX_PBKDF2_ITERATIONS) {
+        throw cryptoError('corrupt_data', 'Invalid iteration count');
+    }
+
+    const salt = base64ToBytes(kdf.salt);
+    const iv = base64ToBytes(cipher.iv);
+    const expectedCheck = base64ToBytes(envelope.keyCheck);
+    const data = base64ToBytes(envelope.data);
+
+    const { key, keyCheck } = await deriveKeys(String(passphrase || ''), salt, iterations);
+    if (!sameBytes(keyCheck, expectedCheck)) throw cryptoError('wrong_passphrase', 'Wrong passphrase');
+
+    let plain;
+    try {
+        plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, data);
+    } catch (e) {
+        throw cryptoError('corrupt_data', 'Encrypted data is corrupt or was modified');
+    }
+    return { plaintext: new TextDecoder().decode(plain), contentFormat: envelope.contentFormat || 'json' };
+}
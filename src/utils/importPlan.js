@@ -0,0 +1,142 @@
+/**
+ * src/utils/importPlan.js
+ * Import dry-run helpers (pure): classify incoming cookies against the browser's cookies and
+ * decide, per classification group, whether each one is written.
+ *
+ * Statuses:
+ * - new:           no cookie with the same name/domain/path/partition exists
+ * - identical:     an existing cookie has the same value and attributes
+ * - overwrite:     an existing cookie would be replaced (value or attributes differ)
+ * - expired:       the incoming cookie's expiry is already in the past
+ * - invalid:       the entry cannot be set (see reason)
+ * - no_permission: the extension lacks host permission for the cookie's domain
+ *
+ * Policies: 'overwrite' (write it), 'skip', and 'newer' (write only when the incoming
+ * cookie expires later than the existing one; session cookies count as oldest).
+ */
+
+import { getPartitionSite } from './cookieUtils.js';
+
+export const IMPORT_POLICIES = {
+    overwrite: 'Import',
+    skip: 'Skip',
+    newer: 'Keep the newer one'
+};
+
+// Allowed policies per status; the first one is the default
+export const IMPORT_STATUSES = {
+    new: { label: 'New', policies: ['overwrite', 'skip'] },
+    overwrite: { label: 'Would overwrite', policies: ['overwrite', 'newer', 'skip'] },
+    identical: { label: 'Identical', policies: ['skip', 'overwrite'] },
+    expired: { label: 'Expired', policies: ['skip'] },
+    invalid: { label: 'Invalid', policies: ['skip'] },
+    no_permission: { label: 'Missing host permission', policies: ['skip'] }
+};
+
+/**
+ * Default policy for every status.
+ * @returns {Object<string,string>}
+ */
+export function defaultImportPolicies() {
+    const out = {};
+    for (const [status, { policies }] of Object.entries(IMPORT_STATUSES)) out[status] = policies[0];
+    return out;
+}
+
+/**
+ * Normalize an imported cookie object: a domain cookie's domain always starts with '.',
+ * the path defaults to '/'. Returns a copy.
+ * @param {object} cookie
+ * @returns {object}
+ */
+export function normalizeImportedCookie(cookie) {
+    const out = { ...cookie, path: cookie.path || '/' };
+    const domain = String(cookie.domain || '').trim();
+    if (cookie.hostOnly === false && domain && !domain.startsWith('.')) out.domain = `.${domain}`;
+    else out.domain = domain;
+    return out;
+}
+
+/**
+ * Whether two cookies are the same name/domain/path/partition (store is compared by the caller).
+ */
+export function isSameCookieSlot(a, b) {
+    return a.name === b.name
+        && a.domain === b.domain
+        && (a.path || '/') === (b.path || '/')
+        && getPartitionSite(a) === getPartitionSite(b);
+}
+
+function expirySeconds(cookie) {
+    return cookie.session || !cookie.expirationDate ? 0 : Math.floor(cookie.expirationDate);
+}
+
+/**
+ * Whether an existing cookie already has the incoming value and attributes.
+ * Expiry is compared to the second because cookies.txt drops fractions.
+ */
+export function isSameCookieContent(incoming, existing) {
+    return (incoming.value || '') === (existing.value || '')
+        && !!incoming.secure === !!existing.secure
+        && !!incoming.httpOnly === !!existing.httpOnly
+        && (incoming.sameSite || 'unspecified') === (existing.sameSite || 'unspecified')
+        && expirySeconds(incoming) === expirySeconds(existing);
+}
+
+/**
+ * Whether the incoming cookie outlives the existing one (the 'newer' policy).
+ */
+export function isIncomingNewer(incoming, existing) {
+    return expirySeconds(incoming) > expirySeconds(existing);
+}
+
+/**
+ * Classify one incoming cookie. invalidReason and hasPermission come from the caller's checks.
+ * @param {object} incoming normalized incoming cookie
+ * @param {?object} existing matching browser cookie, if any
+ * @param {{invalidReason?: string, hasPermission?: boolean, nowSeconds?: number}} checks
+ * @returns {string} status key of IMPORT_STATUSES
+ */
+export function classifyImportEntry(incoming, existing, checks = {}) {
+    if (checks.invalidReason) return 'invalid';
+    const nowSeconds = checks.nowSeconds || Date.now() / 1000;
+    if (!incoming.session && incoming.expirationDate && incoming.expirationDate <= nowSeconds) return 'expired';
+    if (checks.hasPermission === false) return 'no_permission';
+    if (!existing) return 'new';
+    return isSameCookieContent(incoming, existing) ? 'identical' : 'overwrite';
+}
+
+/**
+ * Whether a classified entry is written under the chosen policies.
+ * @param {{status:string, cookie:object, existing:?object}} entry
+ * @param {Object<string,string>} policies status -> policy
+ * @returns {boolean}
+ */
+export function shouldWriteEntry(entry, policies) {
+    const allowed = (IMPORT_STATUSES[entry.status] || { policies: ['skip'] }).policies;
+    const requested = policies && policies[entry.status];
+    const policy = allowed.includes(requested) ? requested : allowed[0];
+    if (policy === 'skip') return false;
+    if (policy === 'newer') return !entry.existing || isIncomingNewer(entry.cookie, entry.existing);
+    return true;
+}
+
+/**
+ * Why an entry was not written, for the import report.
+ * @param {{status:string, reason?:string, cookie:object, existing:?object}} entry
+ * @param {Object<string,string>} policies
+ * @returns {string}
+ */
+export function describeSkip(entry, policies) {
+    switch (entry.status) {
+        case 'invalid':
+            return entry.reason || 'Invalid cookie';
+        case 'expired':
+            return 'Already expired';
+        case 'no_permission':
+            return 'No host permission for this domain';
+        default:
+            if (policies && policies[entry.status] === 'newer') return 'Existing cookie is newer';
+            return 'Skipped by policy';
+    }
+}
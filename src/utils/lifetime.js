@@ -0,0 +1,40 @@
+/**
+ * src/utils/lifetime.js
+ * Maximum cookie lifetime policy helpers (pure).
+ *
+ * Policy shape (settings.lifetimeCap):
+ *   { enabled, maxSeconds, domains: [{ domain, maxSeconds }] }
+ * maxSeconds is the global cap (0 = no global cap). Per-domain entries use the same domain
+ * globs as the allowlist and take precedence over the global cap; the first match wins.
+ */
+
+import { matchesDomainPattern } from './cookieUtils.js';
+
+/**
+ * Maximum lifetime in seconds that applies to a cookie, or null when uncapped.
+ * @param {chrome.cookies.Cookie} cookie
+ * @param {object} policy settings.lifetimeCap
+ * @returns {number|null}
+ */
+export function resolveLifetimeCap(cookie, policy) {
+    if (!cookie || !policy || !policy.enabled) return null;
+    const entry = (policy.domains || []).find((d) => d && matchesDomainPattern(cookie.domain, d.domain));
+    const seconds = entry ? Number(entry.maxSeconds) : Number(policy.maxSeconds);
+    return Number.isFinite(seconds) && seconds > 0 ? seconds : null;
+}
+
+/**
+ * The expiry (epoch seconds) a cookie should be shortened to, or null if it already complies.
+ * Session cookies never need capping.
+ * @param {chrome.cookies.Cookie} cookie
+ * @param {object} policy settings.lifetimeCap
+ * @param {number} [nowSeconds]
+ * @returns {number|null}
+ */
+export function cappedExpiration(cookie, policy, nowSeconds = Math.floor(Date.now() / 1000)) {
+    if (!cookie || cookie.session || !cookie.expirationDate) return null;
+    const cap = resolveLifetimeCap(cookie, policy);
+    if (!cap) return null;
+    const maxExpiry = nowSeconds + cap;
+    return cookie.expirationDate > maxExpiry ? maxExpiry : null;
+}
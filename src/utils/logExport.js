@@ -0,0 +1,225 @@
+/**
+ * src/utils/logExport.js
+ * Operation log export (pure): CSV, JSON and a human-readable HTML activity report.
+ *
+ * Cookie values are redacted unless the caller opts in: every `value` field anywhere in an
+ * entry (the cookie of a 'remove', the changeInfo cookie of a 'cookie_changed', ...) is
+ * replaced with REDACTED.
+ */
+
+import { LOG_CATEGORIES, LOG_TYPES } from './opLog.js';
+
+export const LOG_EXPORT_FORMATS = {
+    csv: { label: 'CSV', extension: 'csv', mime: 'text/csv' },
+    json: { label: 'JSON', extension: 'json', mime: 'application/json' },
+    html: { label: 'HTML report', extension: 'html', mime: 'text/html' }
+};
+
+export const REDACTED = '[redacted]';
+
+// How the report sums entries up: section -> types counted in it
+const REPORT_SECTIONS = {
+    deleted: { title: 'Deleted', types: ['remove', 'delete_partition', 'auto_cleanup', 'scheduled_cleanup', 'remove_trackers'] },
+    restored: { title: 'Restored or imported', types: ['restore', 'import', 'profile_switch'] },
+    changed: { title: 'Changed', types: ['set', 'rule_fired', 'lifetime_capped', 'lifetime_cap_applied'] },
+    saved: { title: 'Saved', types: ['snapshot', 'profile_save', 'profile_update'] },
+    permissions: { title: 'Permissions', types: ['permission_request', 'permission_revoke'] }
+};
+
+/**
+ * Copy of an entry with every `value` field replaced.
+ * @param {object} entry
+ * @returns {object}
+ */
+export function redactLogEntry(entry) {
+    if (Array.isArray(entry)) return entry.map(redactLogEntry);
+    if (!entry || typeof entry !== 'object') return entry;
+    const out = {};
+    for (const [key, value] of Object.entries(entry)) {
+        out[key] = key === 'value' && typeof value === 'string' ? REDACTED : redactLogEntry(value);
+    }
+    return out;
+}
+
+/**
+ * The cookie an entry is about, if any.
+ */
+function entryCookie(entry) {
+    if (entry.cookie) return entry.cookie;
+    if (entry.changeInfo && entry.changeInfo.cookie) return entry.changeInfo.cookie;
+    return null;
+}
+
+/**
+ * Number of cookies an entry affected (1 for single-cookie entries).
+ */
+function entryCount(entry) {
+    if (typeof entry.count === 'number') return entry.count;
+    return entryCookie(entry) ? 1 : 0;
+}
+
+/**
+ * Fields that have no CSV column of their own.
+ */
+function entryDetails(entry) {
+    const { id, ts, type, category, site, domain, cookie, changeInfo, count, ...rest } = entry;
+    if (changeInfo) {
+        rest.cause = changeInfo.cause;
+        rest.removed = changeInfo.removed;
+    }
+    return Object.keys(rest).length ? JSON.stringify(rest) : '';
+}
+
+function csvField(value) {
+    let text = value === undefined || value === null ? '' : String(value);
+    // Cookie names and values come from websites: keep spreadsheets from running them as formulas
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @param {object[]} entries log records, already redacted if needed
+ * @returns {string}
+ */
+export function logToCsv(entries) {
+    const header = ['time', 'category', 'type', 'site', 'domain', 'cookie_name', 'cookie_path', 'cookie_value', 'count', 'details'];
+    const rows = entries.map((entry) => {
+        const cookie = entryCookie(entry) || {};
+        return [
+            new Date(entry.ts).toISOString(),
+            entry.category,
+            entry.type,
+            entry.site,
+            entry.domain || cookie.domain,
+            cookie.name,
+            cookie.path,
+            cookie.value,
+            entryCount(entry),
+            entryDetails(entry)
+        ].map(csvField).join(',');
+    });
+    return [header.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+/**
+ * @param {object[]} entries log records, already redacted if needed
+ * @param {object} meta { from, until, type, valuesIncluded } written alongside the entries
+ * @returns {string}
+ */
+export function logToJson(entries, meta = {}) {
+    return JSON.stringify({ exportedAt: new Date().toISOString(), ...meta, entries }, null, 2);
+}
+
+/**
+ * Totals per report section, with the sites each one touched most.
+ * @param {object[]} entries
+ * @returns {{sections: object[], observed: number}}
+ */
+export function summarizeLog(entries) {
+    const sections = Object.entries(REPORT_SECTIONS).map(([key, { title, types }]) => {
+        const matching = entries.filter((e) => types.includes(e.type));
+        const byType = types
+            .map((type) => {
+                const ofType = matching.filter((e) => e.type === type);
+                return { type, label: LOG_TYPES[type] || type, operations: ofType.length, cookies: ofType.reduce((n, e) => n + entryCount(e), 0) };
+            })
+            .filter((t) => t.operations);
+        const sites = {};
+        for (const e of matching) if (e.site) sites[e.site] = (sites[e.site] || 0) + entryCount(e);
+        const topSites = Object.entries(sites).sort((a, b) => b[1] - a[1]).slice(0, 10);
+        return { key, title, byType, topSites };
+    });
+    return { sections, observed: entries.filter((e) => e.category === 'observed').length };
+}
+
+function escapeHtml(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function describeReportEntry(entry) {
+    const cookie = entryCookie(entry);
+    const parts = [];
+    if (cookie && cookie.name) parts.push(`${cookie.name} @ ${cookie.domain}${cookie.value !== undefined ? ` = ${cookie.value}` : ''}`);
+    else if (entry.domain) parts.push(entry.domain);
+    if (entry.origins) parts.push(entry.origins.join(', '));
+    if (entry.ruleId) parts.push(`rule ${entry.ruleId} (${entry.action})`);
+    if (typeof entry.count === 'number') parts.push(`${entry.count} cookie${entry.count === 1 ? '' : 's'}`);
+    return parts.join(' · ');
+}
+
+/**
+ * Self-contained HTML activity report: totals per section, then every user action.
+ * Observed changes are only counted.
+ * @param {object[]} entries log records, already redacted if needed
+ * @param {{from?:number, until?:number, valuesIncluded?:boolean}} meta
+ * @returns {string}
+ */
+export function logToHtmlReport(entries, meta = {}) {
+    const { sections, observed } = summarizeLog(entries);
+    const period = `${meta.from ? new Date(meta.from).toLocaleString() : 'the beginning of the log'} – ${new Date(meta.until || Date.now()).toLocaleString()}`;
+    const actions = entries.filter((e) => e.category === 'action');
+
+    const sectionHtml = sections.map((section) => {
+        if (!section.byType.length) {
+            return `<h2>${escapeHtml(section.title)}</h2><p class="muted">Nothing.</p>`;
+        }
+        const rows = section.byType
+            .map((t) => `<tr><td>${escapeHtml(t.label)}</td><td>${t.operations}</td><td>${t.cookies}</td></tr>`)
+            .join('');
+        const sites = section.topSites.length
+            ? `<p>Sites: ${section.topSites.map(([site, n]) => `${escapeHtml(site)} (${n})`).join(', ')}</p>`
+            : '';
+        return `<h2>${escapeHtml(section.title)}</h2>
+<table><thead><tr><th>Operation</th><th>Times</th><th>Cookies</th></tr></thead><tbody>${rows}</tbody></table>${sites}`;
+    }).join('\n');
+
+    const actionRows = actions
+        .map((e) => `<tr><td>${escapeHtml(new Date(e.ts).toLocaleString())}</td><td>${escapeHtml(LOG_TYPES[e.type] || e.type)}</td><td>${escapeHtml(describeReportEntry(e))}</td></tr>`)
+        .join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<title>CookieControl activity report</title>
+<style>
+body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; margin: 32px; color: #111827; }
+table { border-collapse: collapse; margin: 8px 0 16px; font-size: 13px; }
+th, td { border: 1px solid #E5E7EB; padding: 4px 8px; text-align: left; vertical-align: top; word-break: break-all; }
+th { background: #F1F5F9; }
+.muted { color: #6B7280; }
+</style>
+</head>
+<body>
+<h1>CookieControl activity report</h1>
+<p>Period: ${escapeHtml(period)}<br />Generated: ${escapeHtml(new Date().toLocaleString())}<br />
+Cookie values: ${meta.valuesIncluded ? 'included' : 'redacted'}</p>
+${sectionHtml}
+<h2>${escapeHtml(LOG_CATEGORIES.observed)}</h2>
+<p>${observed} cookie change${observed === 1 ? '' : 's'} made by sites or other extensions were observed.</p>
+<h2>All ${escapeHtml(LOG_CATEGORIES.action.toLowerCase())} (${actions.length})</h2>
+${actions.length ? `<table><thead><tr><th>Time</th><th>Operation</th><th>Details</th></tr></thead><tbody>\n${actionRows}\n</tbody></table>` : '<p class="muted">None.</p>'}
+</body>
+</html>
+`;
+}
+
+/**
+ * Serialize log records in one of LOG_EXPORT_FORMATS, redacting values unless opted in.
+ * @param {object[]} entries
+ * @param {string} format key of LOG_EXPORT_FORMATS
+ * @param {{from?:number, until?:number, type?:string, includeValues?:boolean}} [opts]
+ * @returns {string}
+ */
+export function serializeLog(entries, format, opts = {}) {
+    const valuesIncluded = !!opts.includeValues;
+    const out = valuesIncluded ? entries : entries.map(redactLogEntry);
+    const meta = { from: opts.from || null, until: opts.until || null, type: opts.type || null, valuesIncluded };
+    if (format === 'csv') return logToCsv(out);
+    if (format === 'html') return logToHtmlReport(out, meta);
+    return logToJson(out, meta);
+}
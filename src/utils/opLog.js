@@ -0,0 +1,134 @@
+/**
+ * src/utils/opLog.js
+ * Operation log records, filters and retention (pure helpers). Storage lives in opLogDb.js.
+ *
+ * A record is the logged entry plus indexed fields:
+ *   { id, ts, type, category, site, ...entry }
+ * id is time-ordered (epoch ms * 1000 + sequence), so newest-first paging walks ids downwards.
+ * category separates what the user (or a rule they configured) did from cookie changes the
+ * extension merely observed; each category has its own retention.
+ */
+
+import { getBaseDomain } from './cookieUtils.js';
+
+export const LOG_CATEGORIES = {
+    action: 'User actions',
+    observed: 'Observed changes'
+};
+
+// Entry types that only record what happened to cookies, not something CookieControl did
+const OBSERVED_TYPES = new Set(['cookie_changed']);
+
+export const LOG_TYPES = {
+    remove: 'Cookie deleted',
+    set: 'Cookie set',
+    delete_partition: 'Partition deleted',
+    remove_trackers: 'Trackers removed',
+    restore: 'Restored from recycle bin',
+    import: 'Import',
+    snapshot: 'Snapshot taken',
+    profile_save: 'Profile saved',
+    profile_update: 'Profile updated',
+    profile_switch: 'Profile switched',
+    auto_cleanup: 'Automatic cleanup',
+    scheduled_cleanup: 'Scheduled cleanup',
+    rule_fired: 'Rule applied',
+    lifetime_capped: 'Lifetime capped',
+    lifetime_cap_applied: 'Lifetime cap applied',
+    permission_request: 'Permission requested',
+    permission_revoke: 'Permission revoked',
+    cookie_changed: 'Cookie changed'
+};
+
+export const LOG_RETENTION_LIMITS = {
+    maxEntries: { min: 100, max: 100000 },
+    maxAgeDays: { min: 1, max: 365 }
+};
+
+/**
+ * Validate per-category retention settings. Throws on invalid input.
+ * @param {{action:object, observed:object}} input each { maxEntries, maxAgeDays }
+ * @returns {{action:{maxEntries:number,maxAgeDays:number}, observed:{maxEntries:number,maxAgeDays:number}}}
+ */
+export function normalizeLogRetention(input) {
+    const out = {};
+    for (const category of Object.keys(LOG_CATEGORIES)) {
+        out[category] = {};
+        for (const [key, { min, max }] of Object.entries(LOG_RETENTION_LIMITS)) {
+            const value = Math.round(Number(input && input[category] && input[category][key]));
+            if (!Number.isFinite(value) || value < min || value > max) {
+                throw new Error(`${LOG_CATEGORIES[category]}: ${key} must be between ${min} and ${max}`);
+            }
+            out[category][key] = value;
+        }
+    }
+    return out;
+}
+
+/**
+ * @param {string} type
+ * @returns {string} key of LOG_CATEGORIES
+ */
+export function logCategory(type) {
+    return OBSERVED_TYPES.has(type) ? 'observed' : 'action';
+}
+
+/**
+ * Cookie domain an entry is about, if any.
+ * @param {object} entry
+ * @returns {string}
+ */
+export function logEntryDomain(entry) {
+    if (entry.domain) return entry.domain;
+    if (entry.cookie && entry.cookie.domain) return entry.cookie.domain;
+    if (entry.changeInfo && entry.changeInfo.cookie) return entry.changeInfo.cookie.domain || '';
+    return '';
+}
+
+/**
+ * Build the stored record for a log entry.
+ * @param {object} entry { type, ... }
+ * @param {number} id time-ordered id
+ * @param {number} ts epoch milliseconds
+ */
+export function createLogRecord(entry, id, ts) {
+    const domain = logEntryDomain(entry);
+    return {
+        ts,
+        ...entry,
+        id,
+        category: logCategory(entry.type),
+        site: domain ? getBaseDomain(domain).toLowerCase() : ''
+    };
+}
+
+/**
+ * Validate and normalize query filters (as sent with GET_OP_LOG).
+ * @param {{category?:string, type?:string, domain?:string, since?:number, until?:number}} filter
+ * @returns {{category:string, type:string, site:string, since:number, until:number}}
+ */
+export function normalizeLogFilter(filter = {}) {
+    const domain = String(filter.domain || '').trim();
+    return {
+        category: LOG_CATEGORIES[filter.category] ? filter.category : '',
+        type: String(filter.type || ''),
+        site: domain ? getBaseDomain(domain).toLowerCase() : '',
+        since: Number(filter.since) > 0 ? Number(filter.since) : 0,
+        until: Number(filter.until) > 0 ? Number(filter.until) : 0
+    };
+}
+
+/**
+ * Whether a record passes normalized filters.
+ * @param {object} record
+ * @param {object} filter from normalizeLogFilter
+ * @returns {boolean}
+ */
+export function matchesLogFilter(record, filter) {
+    if (filter.category && record.category !== filter.category) return false;
+    if (filter.type && record.type !== filter.type) return false;
+    if (filter.site && record.site !== filter.site) return false;
+    if (filter.since && record.ts < filter.since) return false;
+    if (filter.until && record.ts > filter.until) return false;
+    return true;
+}
@@ -0,0 +1,181 @@
+/**
+ * src/utils/opLogDb.js
+ * IndexedDB storage for the operation log (records from opLog.js). Used by the background only.
+ *
+ * Store 'entries', keyed by the time-ordered id, with compound indexes that keep each
+ * category, type and site in id order: [category, id], [type, id], [site, id].
+ * Writes go through a queue that batches everything logged meanwhile into one transaction,
+ * so concurrent callers never overwrite each other's entries.
+ */
+
+import { createLogRecord, normalizeLogFilter, matchesLogFilter, LOG_CATEGORIES } from './opLog.js';
+
+const DB_NAME = 'cookiecontrol-oplog';
+const DB_VERSION = 1;
+const STORE = 'entries';
+// Prune at most this often; retention is a ceiling, not an exact count
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+let dbPromise = null;
+let lastId = 0;
+let pending = [];
+let writeQueue = Promise.resolve();
+let lastPrune = 0;
+
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function transactionDone(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+}
+
+function openDb() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(STORE, { keyPath: 'id' });
+                store.createIndex('category', ['category', 'id']);
+                store.createIndex('type', ['type', 'id']);
+                store.createIndex('site', ['site', 'id']);
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // Allow a later call to retry after a failed open
+        dbPromise.catch(() => { dbPromise = null; });
+    }
+    return dbPromise;
+}
+
+function nextId(ts) {
+    lastId = Math.max(ts * 1000, lastId + 1);
+    return lastId;
+}
+
+async function flushPending(retention) {
+    const batch = pending;
+    pending = [];
+    if (!batch.length) return;
+    const db = await openDb();
+    const tx = db.transaction(STORE, 'readwrite');
+    const store = tx.objectStore(STORE);
+    batch.forEach((record) => store.put(record));
+    await transactionDone(tx);
+
+    const now = Date.now();
+    if (retention && now - lastPrune > PRUNE_INTERVAL_MS) {
+        lastPrune = now;
+        await pruneLog(retention, now);
+    }
+}
+
+/**
+ * Queue a log entry for writing. Resolves once it is stored.
+ * @param {object} entry { type, ... }
+ * @param {object} [retention] normalized retention, applied periodically after writes
+ * @returns {Promise<void>}
+ */
+export function appendLog(entry, retention) {
+    const ts = Date.now();
+    pending.push(createLogRecord(entry, nextId(ts), ts));
+    const run = writeQueue.then(() => flushPending(retention));
+    writeQueue = run.catch((e) => console.error('[CookieControl] op log write error', e));
+    return run;
+}
+
+/**
+ * Delete records beyond each category's retention (oldest first).
+ * @param {{action:{maxEntries:number,maxAgeDays:number}, observed:{maxEntries:number,maxAgeDays:number}}} retention
+ * @param {number} [now] epoch milliseconds
+ */
+export async function pruneLog(retention, now = Date.now()) {
+    const db = await openDb();
+    const tx = db.transaction(STORE, 'readwrite');
+    const index = tx.objectStore(STORE).index('category');
+    for (const category of Object.keys(LOG_CATEGORIES)) {
+        const { maxEntries, maxAgeDays } = retention[category];
+        const cutoffId = (now - maxAgeDays * 24 * 60 * 60 * 1000) * 1000;
+        const all = IDBKeyRange.bound([category, 0], [category, Infinity]);
+        const count = await requestToPromise(index.count(all));
+        let excess = count - maxEntries;
+        // Walk oldest first, dropping records past the age limit or above the count limit
+        await new Promise((resolve, reject) => {
+            const request = index.openCursor(all);
+            request.onerror = () => reject(request.error);
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor || (excess <= 0 && cursor.value.id >= cutoffId)) return resolve();
+                cursor.delete();
+                excess--;
+                cursor.continue();
+            };
+        });
+    }
+    await transactionDone(tx);
+}
+
+/**
+ * One page of records, newest first.
+ * @param {object} filter see normalizeLogFilter
+ * @param {{limit?:number, before?:number}} [page] before: the nextCursor of the previous page
+ * @returns {Promise<{entries: object[], nextCursor: ?number}>}
+ */
+export async function queryLog(filter = {}, page = {}) {
+    await writeQueue;
+    const f = normalizeLogFilter(filter);
+    const limit = Math.min(Math.max(Number(page.limit) || 100, 1), 1000);
+    const lower = f.since ? f.since * 1000 : 0;
+    let upper = f.until ? (f.until + 1) * 1000 : Infinity;
+    if (Number(page.before) > 0) upper = Math.min(upper, Number(page.before));
+
+    const db = await openDb();
+    const store = db.transaction(STORE, 'readonly').objectStore(STORE);
+    // Use the most selective index; the other filters are checked while walking it
+    let source = store;
+    let range = IDBKeyRange.bound(lower, upper, false, true);
+    const field = ['site', 'type', 'category'].find((name) => f[name]);
+    if (field) {
+        source = store.index(field);
+        range = IDBKeyRange.bound([f[field], lower], [f[field], upper], false, true);
+    }
+
+    const entries = [];
+    let nextCursor = null;
+    await new Promise((resolve, reject) => {
+        const request = source.openCursor(range, 'prev');
+        request.onerror = () => reject(request.error);
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) return resolve();
+            if (matchesLogFilter(cursor.value, f)) {
+                if (entries.length === limit) {
+                    nextCursor = entries[entries.length - 1].id;
+                    return resolve();
+                }
+                entries.push(cursor.value);
+            }
+            cursor.continue();
+        };
+    });
+    return { entries, nextCursor };
+}
+
+/**
+ * Delete every record.
+ */
+export async function clearLog() {
+    await writeQueue;
+    const db = await openDb();
+    const tx = db.transaction(STORE, 'readwrite');
+    tx.objectStore(STORE).clear();
+    await transactionDone(tx);
+}
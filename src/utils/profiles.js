@@ -0,0 +1,109 @@
+/**
+ * src/utils/profiles.js
+ * Named cookie profiles (pure helpers). The background worker owns storage, capture and switching;
+ * replaceCookies is given the browser calls to make.
+ *
+ * A profile is a saved copy of one site's cookies (host plus base domain, the same set the
+ * popup's Site view shows):
+ *   { id, name, host, site, storeId, cookieCount, createdAt, updatedAt, lastSwitchedAt,
+ *     cookies: [...] | null, encrypted: <exportCrypto envelope> | null }
+ * Exactly one of cookies / encrypted is set.
+ */
+
+const MAX_NAME_LENGTH = 60;
+
+/**
+ * Validate a profile name. Throws on invalid input.
+ * @param {string} name
+ * @returns {string}
+ */
+export function normalizeProfileName(name) {
+    const out = String(name || '').trim();
+    if (!out) throw new Error('A profile name is required');
+    if (out.length > MAX_NAME_LENGTH) throw new Error(`Profile names are limited to ${MAX_NAME_LENGTH} characters`);
+    return out;
+}
+
+/**
+ * Throw when another profile of the same site already uses the name (case-insensitive).
+ * @param {object[]} profiles
+ * @param {string} site base domain
+ * @param {string} name
+ * @param {string} [exceptId] profile being renamed
+ */
+export function assertUniqueProfileName(profiles, site, name, exceptId) {
+    const lowered = name.toLowerCase();
+    const clash = (profiles || []).some((p) => p.site === site && p.id !== exceptId && p.name.toLowerCase() === lowered);
+    if (clash) throw new Error(`A profile named "${name}" already exists for ${site}`);
+}
+
+/**
+ * New profile record without cookies (the caller seals them in).
+ * @param {{name:string, host:string, site:string, storeId?:string}} fields
+ * @param {number} [now] epoch milliseconds
+ */
+export function createProfile(fields, now = Date.now()) {
+    return {
+        id: `profile-${now.toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+        name: normalizeProfileName(fields.name),
+        host: fields.host,
+        site: fields.site,
+        storeId: fields.storeId,
+        cookieCount: 0,
+        createdAt: now,
+        updatedAt: now,
+        lastSwitchedAt: null,
+        cookies: null,
+        encrypted: null
+    };
+}
+
+/**
+ * Profile metadata for the UI: everything except the cookies themselves.
+ * @param {object} profile
+ */
+export function summarizeProfile(profile) {
+    const { cookies, encrypted, ...meta } = profile;
+    return { ...meta, encrypted: !!encrypted };
+}
+
+/**
+ * The profile of a site that was switched to most recently, if any.
+ * @param {object[]} profiles summaries or records of one site
+ * @returns {?object}
+ */
+export function lastSwitchedProfile(profiles) {
+    return (profiles || []).reduce((best, p) => (p.lastSwitchedAt && (!best || p.lastSwitchedAt > best.lastSwitchedAt) ? p : best), null);
+}
+
+/**
+ * Replace cookies as one all-or-nothing step: remove every previous cookie, then write the
+ * new ones. When a remove or write fails, the cookies written so far are removed again and
+ * the previous cookies are put back (best effort) before the error is rethrown.
+ * @param {object[]} previous cookies to remove
+ * @param {object[]} next cookies to write
+ * @param {{remove: function(object): Promise<?object>, set: function(object): Promise}} ops
+ *   remove resolves to null when nothing was removed, which counts as a failure
+ * @returns {Promise<object[]>} the cookies written
+ */
+export async function replaceCookies(previous, next, { remove, set }) {
+    const written = [];
+    try {
+        for (const c of previous) {
+            if (!await remove(c)) throw new Error(`Could not remove cookie ${c.name} (${c.domain})`);
+        }
+        for (const c of next) {
+            await set(c);
+            written.push(c);
+        }
+    } catch (e) {
+        for (const c of written) {
+            try { await remove(c); } catch (_) { /* best effort */ }
+        }
+        for (const c of previous) {
+            try { await set(c); } catch (_) { /* best effort */ }
+        }
+        throw e;
+    }
+    return written;
+}
@@ -0,0 +1,96 @@
+/**
+ * src/utils/psl.js
+ * Public Suffix List lookups over the pre-compiled trie in pslData.js.
+ * Regenerate the data with scripts/build-psl.js; see that script for the trie encoding.
+ */
+
+import { PSL_TRIE } from './pslData.js';
+
+const ICANN = 1;
+const PRIVATE = 2;
+
+function ruleFlag(node) {
+    if (typeof node === 'number') return node;
+    return (node && node.$) || 0;
+}
+
+function accepts(flag, includePrivate) {
+    return flag === ICANN || (flag === PRIVATE && includePrivate);
+}
+
+/**
+ * Normalize a hostname or cookie domain for lookups: lowercase, no leading/trailing dots.
+ * @param {string} hostname
+ * @returns {string}
+ */
+export function normalizeHostname(hostname) {
+    return String(hostname || '').trim().toLowerCase().replace(/^\.+/, '').replace(/\.+$/, '');
+}
+
+/**
+ * Whether the host is an IPv4 or IPv6 literal (these have no public suffix).
+ * @param {string} hostname
+ * @returns {boolean}
+ */
+export function isIpAddress(hostname) {
+    const host = normalizeHostname(hostname);
+    return /^\d{1,3}(\.\d{1,3}){3}$/.test(host) || host.includes(':') || host.startsWith('[');
+}
+
+/**
+ * Number of trailing labels that form the public suffix, following the PSL algorithm:
+ * the longest matching rule wins, exception rules beat wildcards, and unlisted TLDs
+ * fall back to the implicit '*' rule (one label).
+ * @param {string[]} labels hostname labels, left to right
+ * @param {boolean} includePrivate honour the PRIVATE section (github.io, blogspot.com, ...)
+ * @returns {number}
+ */
+function publicSuffixLength(labels, includePrivate) {
+    let node = PSL_TRIE;
+    let length = 1;
+    for (let i = 0; i < labels.length; i++) {
+        if (!node || typeof node !== 'object') break;
+        const label = labels[labels.length - 1 - i];
+        if (i > 0 && accepts(ruleFlag(node[`!${label}`]), includePrivate)) return i;
+        const wildcard = node['*'];
+        if (accepts(ruleFlag(wildcard), includePrivate)) length = i + 1;
+        const next = node[label];
+        if (next !== undefined) {
+            if (accepts(ruleFlag(next), includePrivate)) length = i + 1;
+            node = next;
+        } else {
+            node = wildcard;
+        }
+    }
+    return length;
+}
+
+/**
+ * Public suffix of a hostname (e.g. 'co.uk' for 'www.example.co.uk').
+ * @param {string} hostname
+ * @param {{includePrivate?: boolean}} [opts]
+ * @returns {string} '' for empty input and IP addresses
+ */
+export function getPublicSuffix(hostname, opts = {}) {
+    const host = normalizeHostname(hostname);
+    if (!host || isIpAddress(host)) return '';
+    const labels = host.split('.');
+    const length = publicSuffixLength(labels, opts.includePrivate !== false);
+    return labels.slice(-Math.min(length, labels.length)).join('.');
+}
+
+/**
+ * Registrable domain (eTLD+1) of a hostname, or '' when the host is itself a public suffix
+ * or an IP address.
+ * @param {string} hostname
+ * @param {{includePrivate?: boolean}} [opts]
+ * @returns {string}
+ */
+export function getRegistrableDomain(hostname, opts = {}) {
+    const host = normalizeHostname(hostname);
+    if (!host || isIpAddress(host)) return '';
+    const labels = host.split('.');
+    const length = publicSuffixLength(labels, opts.includePrivate !== false);
+    if (labels.length <= length) return '';
+    return labels.slice(-(length + 1)).join('.');
+}
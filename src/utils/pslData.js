@@ -0,0 +1,11 @@
+/**
+ * src/utils/pslData.js
+ * GENERATED by scripts/build-psl.js from the Public Suffix List (https://publicsuffix.org/).
+ * Do not edit by hand; regenerate with `npm run build:psl -- path/to/public_suffix_list.dat`.
+ * The list is subject to the Mozilla Public License, v. 2.0 (https://mozilla.org/MPL/2.0/).
+ */
+export const PSL_GENERATED_AT = '2026-10-19';
+export const PSL_RULE_COUNTS = { icann: 6860, private: 2916 };
+
+// JSON.parse of a string literal is faster to load than the equivalent object literal
+export const PSL_TRIE = JSON.parse('{"ac":{"$":1,"com":1,"edu":1,"gov":1,"mil":1,"net":1,"org":1,"drr":2,"feedback":2,"forms":2},"ad":1,"ae":{"$":1,"ac":1,"co":1,"gov":1,"mil":1,"net":1,"org":1,"sch":1,"blogspot":2},"aero":{"$":1,"airline":1,"airport":1,"accident-investigation":1,"accident-prevention":1,"aerobatic":1,"aeroclub":1,"aerodrome":1,"agents":1,"air-surveillance":1,"air-traffic-control":1,"aircraft":1,"airtraffic":1,"ambulance":1,"association":1,"author":1,"ballooning":1,"broker":1,"caa":1,"cargo":1,"catering":1,"certification":1,"championship":1,"charter":1,"civilaviation":1,"club":1,"conference":1,"consultant":1,"consulting":1,"control":1,"council":1,"crew":1,"design":1,"dgca":1,"educator":1,"emergency":1,"engine":1,"engineer":1,"entertainment":1,"equipment":1,"exchange":1,"express":1,"federation":1,"flight":1,"freight":1,"fuel":1,"gliding":1,"government":1,"groundhandling":1,"group":1,"hanggliding":1,"homebuilt":1,"insurance":1,"journal":1,"journalist":1,"leasing":1,"logistics":1,"magazine":1,"maintenance":1,"marketplace":1,"media":1,"microlight":1,"modelling":1,"navigation":1,"parachuting":1,"paragliding":1,"passenger-association":1,"pilot":1,"press":1,"production":1,"recreation":1,"repbody":1,"res":1,"research":1,"rotorcraft":1,"safety":1,"scientist":1,"services":1,"show":1,"skydiving":1,"software":1,"student":1,"taxi":1,"trader":1,"trading":1,"trainer":1,"union":1,"workinggroup":1,"works":1},"af":{"$":1,"com":1,"edu":1,"gov":1,"net":1,"org":1},"ag":{"$":1,"co":1,"com":1,"net":1,"nom":1,"org":1},"ai":{"$":1,"com":1,"net":1,"off":1,"org":1,"uwu":2,"framer":2},"al":{"$":1,"com":1,"edu":1,"gov":1,"mil":1,"net":1,"org":1,"blogspot":2},"am":{"$":1,"co":1,"com":1,"commune":1,"net":1,"org":1,"radio":2,"blogspot":2},"ao":{"$":1,"co":1,"ed":1,"edu":1,"gov":1,"gv":1,"it":1,"og":1,"org":1,"pb":1},"aq":1,"ar":{"$":1,"bet":1,"com":{"$":1,"blogspot":2},"coop":1,"edu":1,"gob":1,"gov":1,"int":1,"mil":1,"musica":1,"mutual":1,"net":1,"org":1,"senasa":1,"tur":1},"arpa":{"$":1,"e164":1,"home":1,"in-addr":1,"ip6":1,"iris":1,"uri":1,"urn":1},"as":{"$":1,"gov":1},"asia":{"$":1,"cloudns":2,"daemon":2,"dix":2},"at":{"$":1,"ac":{"$":1,"sth":1},"co":{"$":1,"blogspot":2},"gv":1,"or":1,"funkfeuer":{"wien":2},"futurecms":{"*":2,"ex":{"*":2},"in":{"*":2}},"futurehosting":2,"futuremailing":2,"ortsinfo":{"ex":{"*":2},"kunden":{"*":2}},"biz":2,"info":2,"123webseite":2,"priv":2,"myspreadshop":2,"12hp":2,"2ix":2,"4lima":2,"lima-city":2},"au":{"$":1,"asn":1,"com":{"$":1,"blogspot":2,"cloudlets":{"mel":2},"myspreadshop":2},"edu":{"$":1,"act":1,"catholic":1,"nsw":{"$":1,"schools":1},"nt":1,"qld":1,"sa":1,"tas":1,"vic":1,"wa":1},"gov":{"$":1,"qld":1,"sa":1,"tas":1,"vic":1,"wa":1},"id":1,"net":1,"org":1,"conf":1,"oz":1,"act":1,"nsw":1,"nt":1,"qld":1,"sa":1,"tas":1,"vic":1,"wa":1},"aw":{"$":1,"com":1},"ax":1,"az":{"$":1,"biz":1,"com":1,"edu":1,"gov":1,"info":1,"int":1,"mil":1,"name":1,"net":1,"org":1,"pp":1,"pro":1},"ba":{"$":1,"com":1,"edu":1,"gov":1,"mil":1,"net":1,"org":1,"blogspot":2,"rs":2},"bb":{"$":1,"biz":1,"co":1,"com":1,"edu":1,"gov":1,"info":1,"net":1,"org":1,"store":1,"tv":1},"bd":{"*":1},"be":{"$":1,"ac":1,"cloudns":2,"webhosting":2,"blogspot":2,"interhostsolutions":{"cloud":2},"kuleuven":{"ezproxy":2},"123website":2,"myspreadshop":2,"transurl":{"*":2}},"bf":{"$":1,"gov":1},"bg":{"0":{"0":{"0":{"0":1}}},"1":{"0":{"0":{"0":1}}},"2":{"0":{"0":{"0":1}}},"3":{"0":{"0":{"0":1}}},"4":{"0":{"0":{"0":1}}},"5":{"0":{"0":{"0":1}}},"6":{"0":{"0":{"0":1}}},"7":{"0":{"0":{"0":1}}},"8":{"0":{"0":{"0":1}}},"9":{"0":{"0":{"0":1}}},"$":1,"a":1,"b":1,"c":1,"d":1,"e":1,"f":1,"g":1,"h":1,"i":1,"j":1,"k":1,"l":1,"m":1,"n":1,"o":1,"p":1,"q":1,"r":1,"s":1,"t":1,"u":1,"v":1,"w":1,"x":1,"y":1,"z":1,"blogspot":2,"barsy":2},"bh":{"$":1,"com":1,"edu":1,"gov":1,"net":1,"org":1},"bi":{"$":1,"co":1,"com":1,"edu":1,"or":1,"org":1},"biz":{"$":1,"activetrail":2,"cloud-ip":2,"cloudns":2,"jozi":2,"dyndns":2,"for-better":2,"for-more":2,"for-some":2,"for-the":2,"selfip":2,"webhop":2,"orx":2,"mmafan":2,"myftp":2,"no-ip":2,"dscloud":2},"bj":{"$":1,"africa":1,"agro":1,"architectes":1,"assur":1,"avocats":1,"co":1,"com":1,"eco":1,"econo":1,"edu":1,"info":1,"loisirs":1,"money":1,"net":1,"org":1,"ote":1,"restaurant":1,"resto":1,"tourism":1,"univ":1,"blogspot":2},"bm":{"$":1,"com":1,"edu":1,"gov":1,"net":1,"org":1},"bn":{"$":1,"com":1,"edu":1,"gov":1,"net":1,"org":1,"co":2},"bo":{"$":1,"com":1,"edu":1,"gob":1,"int":1,"mil":1,"net":1,"org":1,"tv":1,"web":1,"academia":1,"agro":1,"arte":1,"blog":1,"bolivia":1,"ciencia":1,"cooperativa":1,"democracia":1,"deporte":1,"ecologia":1,"economia":1,"empresa":1,"indigena":1,"industria":1,"info":1,"medicina":1,"movimiento":1,"musica":1,"natural":1,"nombre":1,"noticias":1,"patria":1,"plurinacional":1,"politica":1,"profesional":1,"pueblo":1,"revista":1,"salud":1,"tecnologia":1,"tksat":1,"transporte":1,"wiki":1},"br":{"$":1,"9guacu":1,"abc":1,"adm":1,"adv":1,"agr":1,"aju":1,"am":1,"anani":1,"aparecida":1,"app":1,"arq":1,"art":1,"ato":1,"b":1,"barueri":1,"belem":1,"bet":1,"bhz":1,"bib":1,"bio":1,"blog":1,"bmd":1,"boavista":1,"bsb":1,"campinagrande":1,"campinas":1,"caxias":1,"cim":1,"cng":1,"cnt":1,"com":{"$":1,"blogspot":2,"simplesite":2},"contagem":1,"coop":1,"coz":1,"cri":1,"cuiaba":1,"curitiba":1,"def":1,"des":1,"det":1,"dev":1,"ecn":1,"eco":1,"edu":1,"emp":1,"enf":1,"eng":1,"esp":1,"etc":1,"eti":1,"far":1,"feira":1,"flog":1,"floripa":1,"fm":1,"fnd":1,"fortal":1,"fot":1,"foz":1,"fst":1,"g12":1,"geo":1,"ggf":1,"goiania":1,"gov":{"$":1,"ac":1,"al":1,"am":1,"ap":1,"ba":1,"ce":1,"df":1,"es":1,"go":1,"ma":1,"mg":1,"ms":1,"mt":1,"pa":1,"pb":1,"pe":1,"pi":1,"pr":1,"rj":1,"rn":1,"ro":1,"rr":1,"rs":1,"sc":1,"se":1,"sp":1,"to":1},"gru":1,"imb":1,"ind":1,"inf":1,"jab":1,"jampa":1,"jdf":1,"joinville":1,"jor":1,"jus":1,"leg":{"$":1,"ac":2,"al":2,"am":2,"ap":2,"ba":2,"ce":2,"df":2,"es":2,"go":2,"ma":2,"mg":2,"ms":2,"mt":2,"pa":2,"pb":2,"pe":2,"pi":2,"pr":2,"rj":2,"rn":2,"ro":2,"rr":2,"rs":2,"sc":2,"se":2,"sp":2,"to":2},"leilao":1,"lel":1,"log":1,"londrina":1,"macapa":1,"maceio":1,"manaus":1,"maringa":1,"mat":1,"med":1,"mil":1,"morena":1,"mp":1,"mus":1,"natal":1,"net":1,"niteroi":1,"nom":{"*":1},"not":1,"ntr":1,"odo":1,"ong":1,"org":1,"osasco":1,"palmas":1,"poa":1,"ppg":1,"pro":1,"psc":1,"psi":1,"pvh":1,"qsl":1,"radio":1,"rec":1,"recife":1,"rep":1,"ribeirao":1,"rio":1,"riobranco":1,"riopreto":1,"salvador":1,"sampa":1,"santamaria":1,"santoandre":1,"saobernardo":1,"saogonca":1,"seg":1,"sjc":1,"slg":1,"slz":1,"sorocaba":1,"srv":1,"taxi":1,"tc":1,"tec":1,"teo":1,"the":1,"tmp":1,"trd":1,"tur":1,"tv":1,"udi":1,"vet":1,"vix":1,"vlog":1,"wiki":1,"zlg":1},"bs":{"$":1,"com":1,"edu":1,"gov":1,"net":1,"org":1,"we":2},"bt":{"$":1,"com":1,"edu":1,"gov":1,"net":1,"org":1},"bv":1,"bw":{"$":1,"co":1,"org":1},"by":{"$":1,"gov":1,"mil":1,"com":{"$":1,"blogspot":2},"of":1,"mediatech":2},"bz":{"$":1,"co":1,"com":1,"edu":1,"gov":1,"net":1,"org":1,"za":2,"mydns":2,"gsj":2},"ca":{"$":1,"ab":1,"bc":1,"mb":1,"nb":1,"nf":1,"nl":1,"ns":1,"nt":1,"nu":1,"on":1,"pe":1,"qc":1,"sk":1,"yk":1,"gc":1,"barsy":2,"awdev":{"*":2},"co":2,"blogspot":2,"no-ip":2,"myspreadshop":2,"box":2},"cat":1,"cc":{"$":1,"cleverapps":2,"cloudns":2,"ftpaccess":2,"game-server":2,"myphotos":2,"scrapping":2,"twmail":2,"csx":2,"fantasyleague":2,"spawn":{"instances":2}},"cd":{"$":1,"gov":1},"cf":{"$":1,"blogspot":2},"cg":1,"ch":{"$":1,"square7":2,"cloudns":2,"cloudscale":{"cust":2,"lpg":{"objects":2},"rma":{"objects":2}},"blogspot":2,"flow":{"ae":{"alp1":2},"appengine":2},"linkyard-cloud":2,"gotdns":2,"dnsking":2,"123website":2,"myspreadshop":2,"firenet":{"*":2,"svc":{"*":2}},"12hp":2,"2ix":2,"4lima":2,"lima-city":2},"ci":{"$":1,"ac":1,"xn--aroport-bya":1,"asso":1,"co":1,"com":1,"ed":1,"edu":1,"go":1,"gouv":1,"int":1,"net":1,"or":1,"org":1,"fin":2},"ck":{"*":1,"!www":1},"cl":{"$":1,"co":1,"gob":1,"gov":1,"mil":1,"cloudns":2,"blogspot":2},"cm":{"$":1,"co":1,"com":1,"gov":1,"net":1},"cn":{"$":1,"ac":1,"com":{"$":1,"amazonaws":{"cn-north-1":{"execute-api":2,"emrappui-prod":2,"emrnotebooks-prod":2,"emrstudio-prod":2,"dualstack":{"s3":2,"s3-accesspoint":2,"s3-website":2},"s3":2,"s3-accesspoint":2,"s3-deprecated":2,"s3-object-lambda":2,"s3-website":2},"cn-northwest-1":{"execute-api":2,"emrappui-prod":2,"emrnotebooks-prod":2,"emrstudio-prod":2,"dualstack":{"s3":2,"s3-accesspoint":2},"s3":2,"s3-accesspoint":2,"s3-object-lambda":2,"s3-website":2},"compute":{"*":2},"airflow":{"cn-north-1":{"*":2},"cn-northwest-1":{"*":2}},"eb":{"cn-north-1":2,"cn-northwest-1":2},"elb":{"*":2}},"sagemaker":{"cn-north-1":{"notebook":2,"studio":2},"cn-northwest-1":{"notebook":2,"studio":2}}},"edu":1,"gov":1,"mil":1,"net":1,"org":1,"xn--55qx5d":1,"xn--od0alg":1,"xn--io0a7i":1,"ah":1,"bj":1,"cq":1,"fj":1,"gd":1,"gs":1,"gx":1,"gz":1,"ha":1,"hb":1,"he":1,"hi":1,"hk":1,"hl":1,"hn":1,"jl":1,"js":1,"jx":1,"ln":1,"mo":1,"nm":1,"nx":1,"qh":1,"sc":1,"sd":1,"sh":{"$":1,"as":2},"sn":1,"sx":1,"tj":1,"tw":1,"xj":1,"xz":1,"yn":1,"zj":1,"canva-apps":2,"canvasite":{"my":{"*":2}},"myqnapcloud":2,"quickconnect":{"direct":2}},"co":{"$":1,"com":{"$":1,"blogspot":2},"edu":1,"gov":1,"mil":1,"net":1,"nom":1,"org":1,"carrd":2,"crd":2,"otap":{"*":2},"leadpages":2,"lpages":2,"mypi":2,"n4t":2,"xmit":{"*":2},"firewalledreplit":{"$":2,"id":2},"repl":{"$":2,"id":2},"supabase":2},"com":{"$":1,"a2hosted":2,"cpserver":2,"adobeaemcloud":{"$":2,"dev":{"*":2}},"africa":2,"airkitapps":2,"airkitapps-au":2,"aivencloud":2,"kasserver":2,"amazonaws":{"af-south-1":{"execute-api":2,"emrappui-prod":2,"emrnotebooks-prod":2,"emrstudio-prod":2,"dualstack":{"s3":2,"s3-accesspoint":2,"s3-website":2},"s3":2,"s3-accesspoint":2,"s3-object-lambda":2,"s3-website":2,"aws-cloud9":{"webview-assets":2},"cloud9":{"vfs":2,"webview-assets":2}},"ap-east-1":{"execute-api":2,"emrappui-prod":2,"emrnotebooks-prod":2,"emrstudio-prod":2,"dualstack":{"s3":2,"s3-accesspoint":2},"s3":2,"s3-accesspoint":2,"s3-object-lambda":2,"s3-website":2,"aws-cloud9":{"webview-assets":2},"cloud9":{"vfs":2,"webview-assets":2}},"ap-northeast-1":{"execute-api":2,"emrappui-prod":2,"emrnotebooks-prod":2,"emrstudio-prod":2,"dualstack":{"s3":2,"s3-accesspoint":2,"s3-website":2},"s3":2,"s3-accesspoint":2,"s3-object-lambda":2,"s3-website":2,"analytics-gateway":2,"aws-cloud9":{"webview-assets":2},"cloud9":{"vfs":2,"webview-assets":2}},"ap-northeast-2":{"execute-api":2,"emrappui-prod":2,"emrnotebooks-prod":2,"emrstudio-prod":2,"dualstack":{"s3":2,"s3-accesspoint":2,"s3-website":2},"s3":2,"s3-accesspoint":2,"s3-object-lambda":2,"s3-website":2,"analytics-gateway":2,"aws-cloud9":{"webview-assets":2},"cloud9":{"vfs":2,"webview-assets":2}},"ap-northeast-3":{"execute-api":2,"emrappui-prod":2,"emrnotebooks-prod":2,"emrstudio-prod":2,"dualstack":{"s3":2,"s3-accesspoint":2,"s3-website":2},"s3":2,"s3-accesspoint":2,"s3-object-lambda":2,"s3-website":2,"aws-cloud9":{"webview-assets":2},"cloud9":{"vfs":2,"webview-assets":2}},"ap-south-1":{"execute-api":2,"emrappui-prod":2,"emrnotebooks-prod":2,"emrstudio-prod":2,"dualstack":{"s3":2,"s3-accesspoint":2,"s3-website":2},"s3":2,"s3-accesspoint":2,"s3-object-lambda":2,"s3-website":2,"analytics-gateway":2,"aws-cloud9":{"webview-assets":2},"cloud9":{"vfs":2,"webview-assets":2}},"ap-south-2":{"execute-api":2,"emrappui-prod":2,"emrnotebooks-prod":2,"emrstudio-prod":2,"dualstack":{"s3":2,"s3-accesspoint":2,"s3-website":2},"s3":2,"s3-accesspoint":2,"s3-object-lambda":2,"s3-website":2},"ap-southeast-1":{"execute-api":2,"emrappui-prod":2,"emrnotebooks-prod":2,"emrstudio-prod":2,"dualstack":{"s3":2,"s3-accesspoint":2,"s3-website":2},"s3":2,"s3-accesspoint":2,"s3-object-lambda":2,"s3-website":2,"analytics-gateway":2,"aws-cloud9":{"webview-assets":2},"cloud9":{"vfs":2,"webview-assets":2}},"ap-southeast-2":{"execute-api":2,"emrappui-prod":2,"emrnotebooks-prod":2,"emrstudio-prod":2,"dualstack":{"s3":2,"s3-accesspoint":2,"s3-website":2},"s3":2,"s3-accesspoint":2,"s3-object-lambda":2,"s3-website":2,"analytics-gateway":2,"aws-cloud9":{"webview-assets":2},"cloud9":{"vfs":2,"webview-assets":2}},"ap-southeast-3":{"execute-api":2,"emrappui-prod":2,"emrnotebooks-prod":2,"emrstudio-prod":2,"dualstack":{"s3":2,"s3-accesspoint":2,"s3-website":2},"s3":2,"s3-accesspoint":2,"s3-object-lambda":2,"s3-website":2},"ap-southeast-4":{"execute-api":2,"emrappui-prod":2,"emrnotebooks-prod":2,"emrstudio-prod":2,"dualstack":{"s3":2,"s3-accesspoint":2,"s3-website":2},"s3":2,"s3-accesspoint":2,"s3-object-lambda":2,"s3-website":2},"ap-southeast-5":{"execute-api":2,"dualstack":{"s3":2,"s3-accesspoint":2,"s3-website":2},"s3":2,"s3-accesspoint":2,"s3-deprecated":2,"s3-object-lambda":2,"s3-website":2},"ca-central-1":{"execute-api":2,"emrappui-prod":2,"emrnotebooks-prod":2,"emrstudio-prod":2,"dualstack":{"s3":2,"s3-accesspoint":2,"s3-accesspoint-fips":2,"s3-fips":2,"s3-website":2},"s3":2,"s3-accesspoint":2,"s3-accesspoint-fips":2,"s3-fips":2,"s3-object-lambda":2,"s3-website":2,"aws-cloud9":{"webview-assets":2},"cloud9":{"vfs":2,"webview-assets":2}},"ca-west-1":{"execute-api":2,"emrappui-prod":2,"emrnotebooks-prod":2,"emrstudio-prod":2,"dualstack":{"s3":2,"s3-accesspoint":2,"s3-accesspoint-fips":2,"s3-fips":2,"s3-website":2},"s3":2,"s3-accesspoint":2,"s3-accesspoint-fips":2,"s3-fips":2,"s3-object-lambda":2,"s3-website":2},"eu-central-1":{"execute-api":2,"emrappui-prod":2,"emrnotebooks-prod":2,"emrstudio-prod":2,"dualstack":{"s3":2,"s3-accesspoint":2,"s3-website":2},"s3":2,"s3-accesspoint":2,"s3-object-lambda":2,"s3-website":2,"analytics-gateway":2,"aws-cloud9":{"webview-assets":2},"cloud9":{"vfs":2,"webview-assets":2}},"eu-central-2":{"execute-api":2,"emrappui-prod":2,"emrnotebooks-prod":2,"emrstudio-prod":2,"dualstack":{"s3":2,"s3-accesspoint":2,"s3-website":2},"s3":2,"s3-accesspoint":2,"s3-object-lambda":2,"s3-website":2},"eu-north-1":{"execute-api":2,"emrappui-prod":2,"emrnotebooks-prod":2,"emrstudio-prod":2,"dualstack":{"s3":2,"s3-accesspoint":2},"s3":2,"s3-accesspoint":2,"s3-object-lambda":2,"s3-website":2,"aws-cloud9":{"webview-assets":2},"cloud9":{"vfs":2,"webview-assets":2}},"eu-south-1":{"execute-api":2,"emrappui-prod":2,"emrnotebooks-prod":2,"emrstudio-prod":2,"dualstack":{"s3":2,"s3-accesspoint":2,"s3-website":2},"s3":2,"s3-accesspoint":2,"s3-object-lambda":2,"s3-website":2,"aws-cloud9":{"webview-assets":2},"cloud9":{"vfs":2,"webview-assets":2}},"eu-south-2":{"execute-api":2,"emrappui-prod":2,"emrnotebooks-prod":2,"emrstudio-prod":2,"dualstack":{"s3":2,"s3-accesspoint":2,"s3-website":2},"s3":2,"s3-accesspoint":2,"s3-object-lambda":2,"s3-website":2},"eu-west-1":{"execute-api":2,"emrappui-prod":2,"emrnotebooks-prod":2,"emrstudio-prod":2,"dualstack":{"s3":2,"s3-accesspoint":2,"s3-website":2},"s3":2,"s3-accesspoint":2,"s3-deprecated":2,"s3-object-lambda":2,"s3-website":2,"analytics-gateway":2,"aws-cloud9":{"webview-assets":2},"cloud9":{"vfs":2,"webview-assets":2}},"eu-west-2":{"execute-api":2,"emrappui-prod":2,"emrnotebooks-prod":2,"emrstudio-prod":2,"dualstack":{"s3":2,"s3-accesspoint":2},"s3":2,"s3-accesspoint":2,"s3-object-lambda":2,"s3-website":2,"aws-cloud9":{"webview-assets":2},"cloud9":{"vfs":2,"webview-assets":2}},"eu-west-3":{"execute-api":2,"emrappui-prod":2,"emrnotebooks-prod":2,"emrstudio-prod":2,"dualstack":{"s3":2,"s3-accesspoint":2,"s3-website":2},"s3":2,"s3-accesspoint":2,"s3-object-lambda":2,"s3-website":2,"aws-cloud9":{"webview-assets":2},"cloud9":{"vfs":2,"webview-assets":2}},"il-central-1":{"execute-api":2,"emrappui-prod":2,"emrnotebooks-prod":2,"emrstudio-prod":2,"dualstack":{"s3":2,"s3-accesspoint":2,"s3-website":2},"s3":2,"s3-accesspoint":2,"s3-object-lambda":2,"s3-website":2,"aws-cloud9":{"webview-assets":2},"cloud9":{"vfs":2}},"me-central-1":{"execute-api":2,"emrappui-prod":2,"emrnotebooks-prod":2,"emrstudio-prod":2,"dualstack":{"s3":2,"s3-accesspoint":2,"s3-website":2},"s3":2,"s3-accesspoint":2,"s3-object-lambda":2,"s3-website":2},"me-south-1":{"execute-api":2,"emrappui-prod":2,"emrnotebooks-prod":2,"emrstudio-prod":2,"dualstack":{"s3":2,"s3-accesspoint":2},"s3":2,"s3-accesspoint":2,"s3-object-lambda":2,"s3-website":2,"aws-cloud9":{"webview-assets":2},"cloud9":{"vfs":2,"webview-assets":2}},"sa-east-1":{"execute-api":2,"emrappui-prod":2,"emrnotebooks-prod":2,"emrstudio-prod":2,"dualstack":{"s3":2,"s3-accesspoint":2,"s3-website":2},"s3":2,"s3-accesspoint":2,"s3-object-lambda":2,"s3-website":2,"aws-cloud9":{"webview-assets":2},"cloud9":{"vfs":2,"webview-assets":2}},"us-east-1":{"execute-api":2,"$":2,"emrappui-prod":2,"emrnotebooks-prod":2,"emrstudio-prod":2,"dualstack":{"s3":2,"s3-accesspoint":2,"s3-accesspoint-fips":2,"s3-fips":2,"s3-website":2},"s3":2,"s3-accesspoint":2,"s3-accesspoint-fips":2,"s3-deprecated":2,"s3-fips":2,"s3-object-lambda":2,"s3-website":2,"analytics-gateway":2,"aws-cloud9":{"webview-assets":2},"cloud9":{"vfs":2,"webview-assets":2}},"us-east-2":{"execute-api":2,"emrappui-prod":2,"emrnotebooks-prod":2,"emrstudio-prod":2,"dualstack":{"s3":2,"s3-accesspoint":2,"s3-accesspoint-fips":2,"s3-fips":2,"s3-website":2},"s3":2,"s3-accesspoint":2,"s3-accesspoint-fips":2,"s3-deprecated":2,"s3-fips":2,"s3-object-lambda":2,"s3-website":2,"analytics-gateway":2,"aws-cloud9":{"webview-assets":2},"cloud9":{"vfs":2,"webview-assets":2}},"us-gov-east-1":{"execute-api":2,"emrappui-prod":2,"emrnotebooks-prod":2,"emrstudio-prod":2,"dualstack":{"s3":2,"s3-accesspoint":2,"s3-accesspoint-fips":2,"s3-fips":2},"s3":2,"s3-accesspoint":2,"s3-accesspoint-fips":2,"s3-fips":2,"s3-object-lambda":2,"s3-website":2},"us-gov-west-1":{"execute-api":2,"emrappui-prod":2,"emrnotebooks-prod":2,"emrstudio-prod":2,"dualstack":{"s3":2,"s3-accesspoint":2,"s3-accesspoint-fips":2,"s3-fips":2},"s3":2,"s3-accesspoint":2,"s3-accesspoint-fips":2,"s3-fips":2,"s3-object-lambda":2,"s3-website":2},"us-west-1":{"execute-api":2,"emrappui-prod":2,"emrnotebooks-prod":2,"emrstudio-prod":2,"dualstack":{"s3":2,"s3-accesspoint":2,"s3-accesspoint-fips":2,"s3-fips":2,"s3-website":2},"s3":2,"s3-accesspoint":2,"s3-accesspoint-fips":2,"s3-fips":2,"s3-object-lambda":2,"s3-website":2,"aws-cloud9":{"webview-assets":2},"cloud9":{"vfs":2,"webview-assets":2}},"us-west-2":{"execute-api":2,"emrappui-prod":2,"emrnotebooks-prod":2,"emrstudio-prod":2,"dualstack":{"s3":2,"s3-accesspoint":2,"s3-accesspoint-fips":2,"s3-fips":2,"s3-website":2},"s3":2,"s3-accesspoint":2,"s3-accesspoint-fips":2,"s3-deprecated":2,"s3-fips":2,"s3-object-lambda":2,"s3-website":2,"analytics-gateway":2,"aws-cloud9":{"webview-assets":2},"cloud9":{"vfs":2,"webview-assets":2}},"compute":{"*":2},"compute-1":{"*":2},"airflow":{"af-south-1":{"*":2},"ap-east-1":{"*":2},"ap-northeast-1":{"*":2},"ap-northeast-2":{"*":2},"ap-northeast-3":{"*":2},"ap-south-1":{"*":2},"ap-south-2":{"*":2},"ap-southeast-1":{"*":2},"ap-southeast-2":{"*":2},"ap-southeast-3":{"*":2},"ap-southeast-4":{"*":2},"ca-central-1":{"*":2},"ca-west-1":{"*":2},"eu-central-1":{"*":2},"eu-central-2":{"*":2},"eu-north-1":{"*":2},"eu-south-1":{"*":2},"eu-south-2":{"*":2},"eu-west-1":{"*":2},"eu-west-2":{"*":2},"eu-west-3":{"*":2},"il-central-1":{"*":2},"me-central-1":{"*":2},"me-south-1":{"*":2},"sa-east-1":{"*":2},"us-east-1":{"*":2},"us-east-2":{"*":2},"us-west-1":{"*":2},"us-west-2":{"*":2}},"s3":2,"s3-1":2,"s3-ap-east-1":2,"s3-ap-northeast-1":2,"s3-ap-northeast-2":2,"s3-ap-northeast-3":2,"s3-ap-south-1":2,"s3-ap-southeast-1":2,"s3-ap-southeast-2":2,"s3-ca-central-1":2,"s3-eu-central-1":2,"s3-eu-north-1":2,"s3-eu-west-1":2,"s3-eu-west-2":2,"s3-eu-west-3":2,"s3-external-1":2,"s3-fips-us-gov-east-1":2,"s3-fips-us-gov-west-1":2,"s3-global":{"accesspoint":{"mrap":2}},"s3-me-south-1":2,"s3-sa-east-1":2,"s3-us-east-2":2,"s3-us-gov-east-1":2,"s3-us-gov-west-1":2,"s3-us-west-1":2,"s3-us-west-2":2,"s3-website-ap-northeast-1":2,"s3-website-ap-southeast-1":2,"s3-website-ap-southeast-2":2,"s3-website-eu-west-1":2,"s3-website-sa-east-1":2,"s3-website-us-east-1":2,"s3-website-us-gov-west-1":2,"s3-website-us-west-1":2,"s3-website-us-west-2":2,"elb":{"*":2}},"amazoncognito":{"af-south-1":{"auth":2},"ap-east-1":{"auth":2},"ap-northeast-1":{"auth":2},"ap-northeast-2":{"auth":2},"ap-northeast-3":{"auth":2},"ap-south-1":{"auth":2},"ap-south-2":{"auth":2},"ap-southeast-1":{"auth":2},"ap-southeast-2":{"auth":2},"ap-southeast-3":{"auth":2},"ap-southeast-4":{"auth":2},"ca-central-1":{"auth":2},"ca-west-1":{"auth":2},"eu-central-1":{"auth":2},"eu-central-2":{"auth":2},"eu-north-1":{"auth":2},"eu-south-1":{"auth":2},"eu-south-2":{"auth":2},"eu-west-1":{"auth":2},"eu-west-2":{"auth":2},"eu-west-3":{"auth":2},"il-central-1":{"auth":2},"me-central-1":{"auth":2},"me-south-1":{"auth":2},"sa-east-1":{"auth":2},"us-east-1":{"auth":2,"auth-fips":2},"us-east-2":{"auth":2,"auth-fips":2},"us-gov-west-1":{"auth-fips":2},"us-west-1":{"auth":2,"auth-fips":2},"us-west-2":{"auth":2,"auth-fips":2}},"amplifyapp":2,"awsapprunner":{"*":2},"awsapps":2,"elasticbeanstalk":{"$":2,"af-south-1":2,"ap-east-1":2,"ap-northeast-1":2,"ap-northeast-2":2,"ap-northeast-3":2,"ap-south-1":2,"ap-southeast-1":2,"ap-southeast-2":2,"ap-southeast-3":2,"ca-central-1":2,"eu-central-1":2,"eu-north-1":2,"eu-south-1":2,"eu-west-1":2,"eu-west-2":2,"eu-west-3":2,"il-central-1":2,"me-south-1":2,"sa-east-1":2,"us-east-1":2,"us-east-2":2,"us-gov-east-1":2,"us-gov-west-1":2,"us-west-1":2,"us-west-2":2},"awsglobalaccelerator":2,"siiites":2,"appspacehosted":2,"appspaceusercontent":2,"on-aptible":2,"myasustor":2,"balena-devices":2,"boutir":2,"bplaced":2,"cafjs":2,"canva-apps":2,"cdn77-storage":2,"br":2,"cn":2,"de":2,"eu":2,"jpn":2,"mex":2,"ru":2,"sa":2,"uk":2,"us":2,"za":2,"clever-cloud":{"services":{"*":2}},"dnsabr":2,"ip-ddns":2,"jdevcloud":2,"wpdevcloud":2,"cf-ipfs":2,"cloudflare-ipfs":2,"trycloudflare":2,"co":2,"builtwithdark":2,"datadetect":{"demo":2,"instance":2},"dattolocal":2,"dattorelay":2,"dattoweb":2,"mydatto":2,"digitaloceanspaces":{"*":2},"discordsays":2,"discordsez":2,"drayddns":2,"dreamhosters":2,"durumis":2,"mydrobo":2,"blogdns":2,"cechire":2,"dnsalias":2,"dnsdojo":2,"doesntexist":2,"dontexist":2,"doomdns":2,"dyn-o-saur":2,"dynalias":2,"dyndns-at-home":2,"dyndns-at-work":2,"dyndns-blog":2,"dyndns-free":2,"dyndns-home":2,"dyndns-ip":2,"dyndns-mail":2,"dyndns-office":2,"dyndns-pics":2,"dyndns-remote":2,"dyndns-server":2,"dyndns-web":2,"dyndns-wiki":2,"dyndns-work":2,"est-a-la-maison":2,"est-a-la-masion":2,"est-le-patron":2,"est-mon-blogueur":2,"from-ak":2,"from-al":2,"from-ar":2,"from-ca":2,"from-ct":2,"from-dc":2,"from-de":2,"from-fl":2,"from-ga":2,"from-hi":2,"from-ia":2,"from-id":2,"from-il":2,"from-in":2,"from-ks":2,"from-ky":2,"from-ma":2,"from-md":2,"from-mi":2,"from-mn":2,"from-mo":2,"from-ms":2,"from-mt":2,"from-nc":2,"from-nd":2,"from-ne":2,"from-nh":2,"from-nj":2,"from-nm":2,"from-nv":2,"from-oh":2,"from-ok":2,"from-or":2,"from-pa":2,"from-pr":2,"from-ri":2,"from-sc":2,"from-sd":2,"from-tn":2,"from-tx":2,"from-ut":2,"from-va":2,"from-vt":2,"from-wa":2,"from-wi":2,"from-wv":2,"from-wy":2,"getmyip":2,"gotdns":2,"hobby-site":2,"homelinux":2,"homeunix":2,"iamallama":2,"is-a-anarchist":2,"is-a-blogger":2,"is-a-bookkeeper":2,"is-a-bulls-fan":2,"is-a-caterer":2,"is-a-chef":2,"is-a-conservative":2,"is-a-cpa":2,"is-a-cubicle-slave":2,"is-a-democrat":2,"is-a-designer":2,"is-a-doctor":2,"is-a-financialadvisor":2,"is-a-geek":2,"is-a-green":2,"is-a-guru":2,"is-a-hard-worker":2,"is-a-hunter":2,"is-a-landscaper":2,"is-a-lawyer":2,"is-a-liberal":2,"is-a-libertarian":2,"is-a-llama":2,"is-a-musician":2,"is-a-nascarfan":2,"is-a-nurse":2,"is-a-painter":2,"is-a-personaltrainer":2,"is-a-photographer":2,"is-a-player":2,"is-a-republican":2,"is-a-rockstar":2,"is-a-socialist":2,"is-a-student":2,"is-a-teacher":2,"is-a-techie":2,"is-a-therapist":2,"is-an-accountant":2,"is-an-actor":2,"is-an-actress":2,"is-an-anarchist":2,"is-an-artist":2,"is-an-engineer":2,"is-an-entertainer":2,"is-certified":2,"is-gone":2,"is-into-anime":2,"is-into-cars":2,"is-into-cartoons":2,"is-into-games":2,"is-leet":2,"is-not-certified":2,"is-slick":2,"is-uberleet":2,"is-with-theband":2,"isa-geek":2,"isa-hockeynut":2,"issmarterthanyou":2,"likes-pie":2,"likescandy":2,"neat-url":2,"saves-the-whales":2,"selfip":2,"sells-for-less":2,"sells-for-u":2,"servebbs":2,"simple-url":2,"space-to-rent":2,"teaches-yoga":2,"writesthisblog":2,"ddnsfree":2,"ddnsgeek":2,"giize":2,"gleeze":2,"kozow":2,"loseyourip":2,"ooguy":2,"theworkpc":2,"mytuleap":2,"tuleap-partners":2,"encoreapi":2,"evennode":{"eu-1":2,"eu-2":2,"eu-3":2,"eu-4":2,"us-1":2,"us-2":2,"us-3":2,"us-4":2},"onfabrica":2,"fastly-edge":2,"fastly-terrarium":2,"fastvps-server":2,"mydobiss":2,"firebaseapp":2,"fldrv":2,"forgeblocks":2,"framercanvas":2,"freebox-os":2,"freeboxos":2,"freemyip":2,"aliases121":2,"gentapps":2,"gentlentapis":2,"githubusercontent":2,"0emm":{"*":2},"appspot":{"$":2,"r":{"*":2}},"blogspot":2,"codespot":2,"googleapis":2,"googlecode":2,"pagespeedmobilizer":2,"withgoogle":2,"withyoutube":2,"grayjayleagues":2,"hatenablog":2,"hatenadiary":2,"herokuapp":2,"herokussl":2,"gr":2,"smushcdn":2,"wphostedmail":2,"wpmucdn":2,"pixolino":2,"apps-1and1":2,"live-website":2,"dopaas":2,"hosted-by-previder":{"paas":2},"hosteur":{"rag-cloud":2,"rag-cloud-ch":2},"ik-server":{"jcloud":2,"jcloud-ver-jpc":2},"jelastic":{"demo":2},"massivegrid":{"paas":2},"wafaicloud":{"jed":2,"ryd":2},"webadorsite":2,"joyent":{"cns":{"*":2}},"lpusercontent":2,"linode":{"members":2,"nodebalancer":{"*":2}},"linodeobjects":{"*":2},"linodeusercontent":{"ip":2},"barsycenter":2,"barsyonline":2,"modelscape":2,"mwcloudnonprod":2,"polyspace":2,"mazeplay":2,"miniserver":2,"atmeta":2,"fbsbx":{"apps":2},"meteorapp":{"$":2,"eu":2},"routingthecloud":2,"mydbserver":2,"hostedpi":2,"mythic-beasts":{"caracal":2,"customer":2,"fentiger":2,"lynx":2,"ocelot":2,"oncilla":2,"onza":2,"sphinx":2,"vs":2,"x":2,"yali":2},"nospamproxy":{"cloud":2},"4u":2,"nfshost":2,"3utilities":2,"blogsyte":2,"ciscofreak":2,"damnserver":2,"ddnsking":2,"ditchyourip":2,"dnsiskinky":2,"dynns":2,"geekgalaxy":2,"health-carereform":2,"homesecuritymac":2,"homesecuritypc":2,"myactivedirectory":2,"mysecuritycamera":2,"myvnc":2,"net-freaks":2,"onthewifi":2,"point2this":2,"quicksytes":2,"securitytactics":2,"servebeer":2,"servecounterstrike":2,"serveexchange":2,"serveftp":2,"servegame":2,"servehalflife":2,"servehttp":2,"servehumour":2,"serveirc":2,"servemp3":2,"servep2p":2,"servepics":2,"servequake":2,"servesarcasm":2,"stufftoread":2,"unusualperson":2,"workisboring":2,"001www":2,"myiphost":2,"observableusercontent":{"static":2},"simplesite":2,"orsites":2,"operaunite":2,"customer-oci":{"*":2,"oci":{"*":2},"ocp":{"*":2},"ocs":{"*":2}},"oraclecloudapps":{"*":2},"oraclegovcloudapps":{"*":2},"authgear-staging":2,"authgearapps":2,"skygearapp":2,"outsystemscloud":2,"ownprovider":2,"pgfog":2,"pagexl":2,"gotpantheon":2,"paywhirl":{"*":2},"upsunapp":2,"platter-app":2,"postman-echo":2,"prgmr":{"xen":2},"pythonanywhere":{"$":2,"eu":2},"qa2":2,"alpha-myqnapcloud":2,"dev-myqnapcloud":2,"mycloudnas":2,"mynascloud":2,"myqnapcloud":2,"qualifioapp":2,"ladesk":2,"qbuser":2,"quipelements":{"*":2},"rackmaze":2,"readthedocs-hosted":2,"rhcloud":2,"onrender":2,"render":{"app":2},"180r":2,"dojin":2,"sakuratan":2,"sakuraweb":2,"x0":2,"code":{"builder":{"*":2},"dev-builder":{"*":2},"stg-builder":{"*":2}},"salesforce":{"platform":{"code-builder-stg":{"test":{"1":{"0":{"0":{"0":{"*":2}}}}}}}},"logoip":2,"scrysec":2,"firewall-gateway":2,"myshopblocks":2,"myshopify":2,"shopitsite":2,"1kapp":2,"appchizi":2,"applinzi":2,"sinaapp":2,"vipsinaapp":2,"streamlitapp":2,"try-snowplow":2,"playstation-cloud":2,"myspreadshop":2,"w-corp-staticblitz":2,"w-credentialless-staticblitz":2,"w-staticblitz":2,"stackhero-network":2,"stdlib":{"api":2},"strapiapp":{"$":2,"media":2},"streak-link":2,"streaklinks":2,"streakusercontent":2,"temp-dns":2,"dsmynas":2,"familyds":2,"mytabit":2,"taveusercontent":2,"tb-hosting":{"site":2},"reservd":2,"thingdustdata":2,"townnews-staging":2,"typeform":{"pro":2},"hk":2,"it":2,"vultrobjects":{"*":2},"wafflecell":2,"hotelwithflight":2,"reserve-online":2,"cprapid":2,"pleskns":2,"remotewd":2,"wiardweb":{"pages":2},"wixsite":2,"wixstudio":2,"messwithdns":2,"woltlab-demo":2,"wpenginepowered":{"$":2,"js":2},"xnbay":{"$":2,"u2":2,"u2-local":2},"yolasite":2},"coop":1,"cr":{"$":1,"ac":1,"co":1,"ed":1,"fi":1,"go":1,"or":1,"sa":1},"cu":{"$":1,"com":1,"edu":1,"gob":1,"inf":1,"nat":1,"net":1,"org":1},"cv":{"$":1,"com":1,"edu":1,"id":1,"int":1,"net":1,"nome":1,"org":1,"publ":1,"blogspot":2},"cw":{"$":1,"com":1,"edu":1,"net":1,"org":1},"cx":{"$":1,"gov":1,"cloudns":2,"ath":2,"info":2,"assessments":2,"calculators":2,"funnels":2,"paynow":2,"quizzes":2,"researched":2,"tests":2},"cy":{"$":1,"ac":1,"biz":1,"com":{"$":1,"blogspot":2,"scaleforce":{"j":2}},"ekloges":1,"gov":1,"ltd":1,"mil":1,"net":1,"org":1,"press":1,"pro":1,"tm":1},"cz":{"$":1,"contentproxy9":{"rsc":2},"realm":2,"e4":2,"blogspot":2,"co":2,"metacentrum":{"cloud":{"*":2},"custom":2},"muni":{"cloud":{"flt":2,"usr":2}}},"de":{"$":1,"bplaced":2,"square7":2,"com":2,"cosidns":{"dyn":2},"dnsupdater":2,"dynamisches-dns":2,"internet-dns":2,"l-o-g-i-n":2,"ddnss":{"$":2,"dyn":2,"dyndns":2},"dyn-ip24":2,"dyndns1":2,"home-webserver":{"$":2,"dyn":2},"myhome-server":2,"dnshome":2,"fuettertdasnetz":2,"isteingeek":2,"istmein":2,"lebtimnetz":2,"leitungsen":2,"traeumtgerade":2,"frusky":{"*":2},"goip":2,"blogspot":2,"xn--gnstigbestellen-zvb":2,"xn--gnstigliefern-wob":2,"hs-heilbronn":{"it":{"pages":2,"pages-research":2}},"dyn-berlin":2,"in-berlin":2,"in-brb":2,"in-butter":2,"in-dsl":2,"in-vpn":2,"iservschule":2,"mein-iserv":2,"schulplattform":2,"schulserver":2,"test-iserv":2,"keymachine":2,"git-repos":2,"lcube-server":2,"svn-repos":2,"barsy":2,"webspaceconfig":2,"123webseite":2,"rub":2,"ruhr-uni-bochum":{"$":2,"noc":{"io":2}},"logoip":2,"firewall-gateway":2,"my-gateway":2,"my-router":2,"spdns":2,"speedpartner":{"customer":2},"myspreadshop":2,"taifun-dns":2,"12hp":2,"2ix":2,"4lima":2,"lima-city":2,"dd-dns":2,"dray-dns":2,"draydns":2,"dyn-vpn":2,"dynvpn":2,"mein-vigor":2,"my-vigor":2,"my-wan":2,"syno-ds":2,"synology-diskstation":2,"synology-ds":2,"uberspace":{"*":2},"virtual-user":2,"virtualuser":2,"community-pro":2,"diskussionsbereich":2},"dj":1,"dk":{"$":1,"biz":2,"co":2,"firm":2,"reg":2,"store":2,"blogspot":2,"123hjemmeside":2,"myspreadshop":2},"dm":{"$":1,"co":1,"com":1,"edu":1,"gov":1,"net":1,"org":1},"do":{"$":1,"art":1,"com":1,"edu":1,"gob":1,"gov":1,"mil":1,"net":1,"org":1,"sld":1,"web":1},"dz":{"$":1,"art":1,"asso":1,"com":1,"edu":1,"gov":1,"net":1,"org":1,"pol":1,"soc":1,"tm":1},"ec":{"$":1,"com":1,"edu":1,"fin":1,"gob":1,"gov":1,"info":1,"k12":1,"med":1,"mil":1,"net":1,"org":1,"pro":1,"base":2,"official":2},"edu":{"$":1,"rit":{"git-pages":2}},"ee":{"$":1,"aip":1,"com":{"$":1,"blogspot":2},"edu":1,"fie":1,"gov":1,"lib":1,"med":1,"org":1,"pri":1,"riik":1},"eg":{"$":1,"ac":1,"com":{"$":1,"blogspot":2},"edu":1,"eun":1,"gov":1,"info":1,"me":1,"mil":1,"name":1,"net":1,"org":1,"sci":1,"sport":1,"tv":1},"er":{"*":1},"es":{"$":1,"com":{"$":1,"blogspot":2},"edu":1,"gob":1,"nom":1,"org":1,"123miweb":2,"myspreadshop":2},"et":{"$":1,"biz":1,"com":1,"edu":1,"gov":1,"info":1,"name":1,"net":1,"org":1},"eu":{"$":1,"airkitapps":2,"cloudns":2,"dogado":{"jelastic":2},"barsy":2,"spdns":2,"transurl":{"*":2},"diskstation":2},"fi":{"$":1,"aland":1,"dy":2,"blogspot":2,"xn--hkkinen-5wa":2,"iki":2,"cloudplatform":{"fi":2},"datacenter":{"demo":2,"paas":2},"kapsi":2,"123kotisivu":2,"myspreadshop":2},"fj":{"$":1,"ac":1,"biz":1,"com":1,"gov":1,"info":1,"mil":1,"name":1,"net":1,"org":1,"pro":1},"fk":{"*":1},"fm":{"$":1,"com":1,"edu":1,"net":1,"org":1,"radio":2,"user":{"*":2}},"fo":1,"fr":{"$":1,"asso":1,"com":1,"gouv":1,"nom":1,"prd":1,"tm":1,"avoues":1,"cci":1,"greta":1,"huissier-justice":1,"en-root":2,"fbx-os":2,"fbxos":2,"freebox-os":2,"freeboxos":2,"blogspot":2,"goupile":2,"123siteweb":2,"on-web":2,"chirurgiens-dentistes-en-france":2,"dedibox":2,"aeroport":2,"avocat":2,"chambagri":2,"chirurgiens-dentistes":2,"experts-comptables":2,"medecin":2,"notaires":2,"pharmacien":2,"port":2,"veterinaire":2,"myspreadshop":2,"ynh":2},"ga":1,"gb":1,"gd":{"$":1,"edu":1,"gov":1},"ge":{"$":1,"com":1,"edu":1,"gov":1,"net":1,"org":1,"pvt":1,"school":1},"gf":1,"gg":{"$":1,"co":1,"net":1,"org":1,"kaas":2,"stackit":2,"panel":{"$":2,"daemon":2}},"gh":{"$":1,"com":1,"edu":1,"gov":1,"mil":1,"org":1},"gi":{"$":1,"com":1,"edu":1,"gov":1,"ltd":1,"mod":1,"org":1},"gl":{"$":1,"co":1,"com":1,"edu":1,"net":1,"org":1,"biz":2},"gm":1,"gn":{"$":1,"ac":1,"com":1,"edu":1,"gov":1,"net":1,"org":1},"gov":1,"gp":{"$":1,"asso":1,"com":1,"edu":1,"mobi":1,"net":1,"org":1},"gq":1,"gr":{"$":1,"com":1,"edu":1,"gov":1,"net":1,"org":1,"blogspot":2,"barsy":2,"simplesite":2},"gs":1,"gt":{"$":1,"com":1,"edu":1,"gob":1,"ind":1,"mil":1,"net":1,"org":1},"gu":{"$":1,"com":1,"edu":1,"gov":1,"guam":1,"info":1,"net":1,"org":1,"web":1},"gw":1,"gy":{"$":1,"co":1,"com":1,"edu":1,"gov":1,"net":1,"org":1},"hk":{"$":1,"com":1,"edu":1,"gov":1,"idv":1,"net":1,"org":1,"xn--ciqpn":1,"xn--gmqw5a":1,"xn--55qx5d":1,"xn--mxtq1m":1,"xn--lcvr32d":1,"xn--wcvs22d":1,"xn--gmq050i":1,"xn--uc0atv":1,"xn--uc0ay4a":1,"xn--od0alg":1,"xn--zf0avx":1,"xn--mk0axi":1,"xn--tn0ag":1,"xn--od0aq3b":1,"xn--io0a7i":1,"blogspot":2,"secaas":2,"inc":2,"ltd":2},"hm":1,"hn":{"$":1,"com":1,"edu":1,"gob":1,"mil":1,"net":1,"org":1},"hr":{"$":1,"com":1,"from":1,"iz":1,"name":1,"brendly":{"shop":2},"blogspot":2,"free":2},"ht":{"$":1,"adult":1,"art":1,"asso":1,"com":1,"coop":1,"edu":1,"firm":1,"gouv":1,"info":1,"med":1,"net":1,"org":1,"perso":1,"pol":1,"pro":1,"rel":1,"shop":1,"rt":2},"hu":{"208":{"7":{"0":{"0":1}}},"$":1,"agrar":1,"bolt":1,"casino":1,"city":1,"co":1,"erotica":1,"erotika":1,"film":1,"forum":1,"games":1,"hotel":1,"info":1,"ingatlan":1,"jogasz":1,"konyvelo":1,"lakas":1,"media":1,"news":1,"org":1,"priv":1,"reklam":1,"sex":1,"shop":1,"sport":1,"suli":1,"szex":1,"tm":1,"tozsde":1,"utazas":1,"video":1,"blogspot":2},"id":{"$":1,"ac":1,"biz":1,"co":{"$":1,"blogspot":2},"desa":1,"go":1,"mil":1,"my":{"$":1,"rss":2},"net":1,"or":1,"ponpes":1,"sch":1,"web":1},"ie":{"$":1,"gov":1,"blogspot":2,"myspreadshop":2},"il":{"$":1,"ac":1,"co":{"$":1,"blogspot":2,"ravpage":2,"mytabit":2,"tabitorder":2},"gov":1,"idf":1,"k12":1,"muni":1,"net":1,"org":1},"xn--4dbrk0ce":{"$":1,"xn--4dbgdty6c":1,"xn--5dbhl8d":1,"xn--8dbq2a":1,"xn--hebda8b":1},"im":{"$":1,"ac":1,"co":{"$":1,"ltd":1,"plc":1},"com":1,"net":1,"org":1,"tt":1,"tv":1},"in":{"$":1,"5g":1,"6g":1,"ac":1,"ai":1,"am":1,"bihar":1,"biz":1,"business":1,"ca":1,"cn":1,"co":1,"com":1,"coop":1,"cs":1,"delhi":1,"dr":1,"edu":1,"er":1,"firm":1,"gen":1,"gov":1,"gujarat":1,"ind":1,"info":1,"int":1,"internet":1,"io":1,"me":1,"mil":1,"net":1,"nic":1,"org":1,"pg":1,"post":1,"pro":1,"res":1,"travel":1,"tv":1,"uk":1,"up":1,"us":1,"cloudns":2,"blogspot":2,"barsy":2,"web":2,"supabase":2},"info":{"$":1,"cloudns":2,"dynamic-dns":2,"barrel-of-knowledge":2,"barrell-of-knowledge":2,"dyndns":2,"for-our":2,"groks-the":2,"groks-this":2,"here-for-more":2,"knowsitall":2,"selfip":2,"webhop":2,"barsy":2,"mayfirst":2,"mittwald":2,"mittwaldserver":2,"typo3server":2,"dvrcam":2,"ilovecollege":2,"no-ip":2,"forumz":2,"nsupdate":2,"dnsupdate":2,"v-info":2},"int":{"$":1,"eu":1},"io":{"246":{"7":{"0":{"0":2}}},"$":1,"co":1,"com":1,"edu":1,"gov":1,"mil":1,"net":1,"nom":1,"org":1,"on-acorn":{"*":2},"apigee":2,"b-data":2,"beagleboard":2,"bitbucket":2,"bluebite":2,"boxfuse":2,"brave":{"s":{"*":2}},"browsersafetymark":2,"bigv":{"uk0":2},"cleverapps":2,"dappnode":{"dyndns":2},"darklang":2,"definima":2,"dedyn":2,"drud":2,"fh-muenster":2,"shw":2,"forgerock":{"id":2},"github":2,"gitlab":2,"lolipop":2,"hasura-app":2,"hostyhosting":2,"hypernode":2,"moonscale":{"*":2},"beebyte":{"paas":2},"beebyteapp":{"sekd1":2},"jele":2,"webthings":2,"loginline":2,"barsy":2,"azurecontainer":{"*":2},"ngrok":{"$":2,"ap":2,"au":2,"eu":2,"in":2,"jp":2,"sa":2,"us":2},"nodeart":{"stage":2},"pantheonsite":2,"pstmn":{"$":2,"mock":2},"protonet":2,"qcx":{"$":2,"sys":{"*":2}},"qoto":2,"vaporcloud":2,"myrdbx":2,"rb-hosting":{"site":2},"on-k3s":{"*":2},"on-rio":{"*":2},"readthedocs":2,"resindevice":2,"resinstaging":{"devices":2},"hzc":2,"sandcats":2,"scrypted":{"client":2},"shiftedit":2,"mo-siemens":2,"lair":{"apps":2},"stolos":{"*":2},"spacekit":2,"musician":2,"utwente":2,"edugit":2,"telebit":2,"thingdust":{"dev":{"cust":2,"reservd":2},"disrec":{"cust":2,"reservd":2},"prod":{"cust":2},"testing":{"cust":2,"reservd":2}},"tickets":2,"upli":2,"webflow":2,"webflowtest":2,"editorx":2,"wixstudio":2,"basicserver":2,"virtualserver":2},"iq":{"$":1,"com":1,"edu":1,"gov":1,"mil":1,"net":1,"org":1},"ir":{"$":1,"ac":1,"co":1,"gov":1,"id":1,"net":1,"org":1,"sch":1,"xn--mgba3a4f16a":1,"xn--mgba3a4fra":1,"arvanedge":2},"is":{"$":1,"blogspot":2},"it":{"$":1,"edu":1,"gov":1,"abr":1,"abruzzo":1,"aosta-valley":1,"aostavalley":1,"bas":1,"basilicata":1,"cal":1,"calabria":1,"cam":1,"campania":1,"emilia-romagna":1,"emiliaromagna":1,"emr":1,"friuli-v-giulia":1,"friuli-ve-giulia":1,"friuli-vegiulia":1,"friuli-venezia-giulia":1,"friuli-veneziagiulia":1,"friuli-vgiulia":1,"friuliv-giulia":1,"friulive-giulia":1,"friulivegiulia":1,"friulivenezia-giulia":1,"friuliveneziagiulia":1,"friulivgiulia":1,"fvg":1,"laz":1,"lazio":1,"lig":1,"liguria":1,"lom":1,"lombardia":1,"lombardy":1,"lucania":1,"mar":1,"marche":1,"mol":1,"molise":1,"piedmont":1,"piemonte":1,"pmn":1,"pug":1,"puglia":1,"sar":1,"sardegna":1,"sardinia":1,"sic":1,"sicilia":1,"sicily":1,"taa":1,"tos":1,"toscana":1,"trentin-sud-tirol":1,"xn--trentin-sd-tirol-rzb":1,"trentin-sudtirol":1,"xn--trentin-sdtirol-7vb":1,"trentin-sued-tirol":1,"trentin-suedtirol":1,"trentino":1,"trentino-a-adige":1,"trentino-aadige":1,"trentino-alto-adige":1,"trentino-altoadige":1,"trentino-s-tirol":1,"trentino-stirol":1,"trentino-sud-tirol":1,"xn--trentino-sd-tirol-c3b":1,"trentino-sudtirol":1,"xn--trentino-sdtirol-szb":1,"trentino-sued-tirol":1,"trentino-suedtirol":1,"trentinoa-adige":1,"trentinoaadige":1,"trentinoalto-adige":1,"trentinoaltoadige":1,"trentinos-tirol":1,"trentinostirol":1,"trentinosud-tirol":1,"xn--trentinosd-tirol-rzb":1,"trentinosudtirol":1,"xn--trentinosdtirol-7vb":1,"trentinosued-tirol":1,"trentinosuedtirol":1,"trentinsud-tirol":1,"xn--trentinsd-tirol-6vb":1,"trentinsudtirol":1,"xn--trentinsdtirol-nsb":1,"trentinsued-tirol":1,"trentinsuedtirol":1,"tuscany":1,"umb":1,"umbria":1,"val-d-aosta":1,"val-daosta":1,"vald-aosta":1,"valdaosta":1,"valle-aosta":1,"valle-d-aosta":1,"valle-daosta":1,"valleaosta":1,"valled-aosta":1,"valledaosta":1,"vallee-aoste":1,"xn--valle-aoste-ebb":1,"vallee-d-aoste":1,"xn--valle-d-aoste-ehb":1,"valleeaoste":1,"xn--valleaoste-e7a":1,"valleedaoste":1,"xn--valledaoste-ebb":1,"vao":1,"vda":1,"ven":1,"veneto":1,"ag":1,"agrigento":1,"al":1,"alessandria":1,"alto-adige":1,"altoadige":1,"an":1,"ancona":1,"andria-barletta-trani":1,"andria-trani-barletta":1,"andriabarlettatrani":1,"andriatranibarletta":1,"ao":1,"aosta":1,"aoste":1,"ap":1,"aq":1,"aquila":1,"ar":1,"arezzo":1,"ascoli-piceno":1,"ascolipiceno":1,"asti":1,"at":1,"av":1,"avellino":1,"ba":1,"balsan":1,"balsan-sudtirol":1,"xn--balsan-sdtirol-nsb":1,"balsan-suedtirol":1,"bari":1,"barletta-trani-andria":1,"barlettatraniandria":1,"belluno":1,"benevento":1,"bergamo":1,"bg":1,"bi":1,"biella":1,"bl":1,"bn":1,"bo":1,"bologna":1,"bolzano":1,"bolzano-altoadige":1,"bozen":1,"bozen-sudtirol":1,"xn--bozen-sdtirol-2ob":1,"bozen-suedtirol":1,"br":1,"brescia":1,"brindisi":1,"bs":1,"bt":1,"bulsan":1,"bulsan-sudtirol":1,"xn--bulsan-sdtirol-nsb":1,"bulsan-suedtirol":1,"bz":1,"ca":1,"cagliari":1,"caltanissetta":1,"campidano-medio":1,"campidanomedio":1,"campobasso":1,"carbonia-iglesias":1,"carboniaiglesias":1,"carrara-massa":1,"carraramassa":1,"caserta":1,"catania":1,"catanzaro":1,"cb":1,"ce":1,"cesena-forli":1,"xn--cesena-forl-mcb":1,"cesenaforli":1,"xn--cesenaforl-i8a":1,"ch":1,"chieti":1,"ci":1,"cl":1,"cn":1,"co":1,"como":1,"cosenza":1,"cr":1,"cremona":1,"crotone":1,"cs":1,"ct":1,"cuneo":1,"cz":1,"dell-ogliastra":1,"dellogliastra":1,"en":1,"enna":1,"fc":1,"fe":1,"fermo":1,"ferrara":1,"fg":1,"fi":1,"firenze":1,"florence":1,"fm":1,"foggia":1,"forli-cesena":1,"xn--forl-cesena-fcb":1,"forlicesena":1,"xn--forlcesena-c8a":1,"fr":1,"frosinone":1,"ge":1,"genoa":1,"genova":1,"go":1,"gorizia":1,"gr":1,"grosseto":1,"iglesias-carbonia":1,"iglesiascarbonia":1,"im":1,"imperia":1,"is":1,"isernia":1,"kr":1,"la-spezia":1,"laquila":1,"laspezia":1,"latina":1,"lc":1,"le":1,"lecce":1,"lecco":1,"li":1,"livorno":1,"lo":1,"lodi":1,"lt":1,"lu":1,"lucca":1,"macerata":1,"mantova":1,"massa-carrara":1,"massacarrara":1,"matera":1,"mb":1,"mc":1,"me":1,"medio-campidano":1,"mediocampidano":1,"messina":1,"mi":1,"milan":1,"milano":1,"mn":1,"mo":1,"modena":1,"monza":1,"monza-brianza":1,"monza-e-della-brianza":1,"monzabrianza":1,"monzaebrianza":1,"monzaedellabrianza":1,"ms":1,"mt":1,"na":1,"naples":1,"napoli":1,"no":1,"novara":1,"nu":1,"nuoro":1,"og":1,"ogliastra":1,"olbia-tempio":1,"olbiatempio":1,"or":1,"oristano":1,"ot":1,"pa":1,"padova":1,"padua":1,"palermo":1,"parma":1,"pavia":1,"pc":1,"pd":1,"pe":1,"perugia":1,"pesaro-urbino":1,"pesarourbino":1,"pescara":1,"pg":1,"pi":1,"piacenza":1,"pisa":1,"pistoia":1,"pn":1,"po":1,"pordenone":1,"potenza":1,"pr":1,"prato":1,"pt":1,"pu":1,"pv":1,"pz":1,"ra":1,"ragusa":1,"ravenna":1,"rc":1,"re":1,"reggio-calabria":1,"reggio-emilia":1,"reggiocalabria":1,"reggioemilia":1,"rg":1,"ri":1,"rieti":1,"rimini":1,"rm":1,"rn":1,"ro":1,"roma":1,"rome":1,"rovigo":1,"sa":1,"salerno":1,"sassari":1,"savona":1,"si":1,"siena":1,"siracusa":1,"so":1,"sondrio":1,"sp":1,"sr":1,"ss":1,"xn--sdtirol-n2a":1,"suedtirol":1,"sv":1,"ta":1,"taranto":1,"te":1,"tempio-olbia":1,"tempioolbia":1,"teramo":1,"terni":1,"tn":1,"to":1,"torino":1,"tp":1,"tr":1,"trani-andria-barletta":1,"trani-barletta-andria":1,"traniandriabarletta":1,"tranibarlettaandria":1,"trapani":1,"trento":1,"treviso":1,"trieste":1,"ts":1,"turin":1,"tv":1,"ud":1,"udine":1,"urbino-pesaro":1,"urbinopesaro":1,"va":1,"varese":1,"vb":1,"vc":1,"ve":1,"venezia":1,"venice":1,"verbania":1,"vercelli":1,"verona":1,"vi":1,"vibo-valentia":1,"vibovalentia":1,"vicenza":1,"viterbo":1,"vr":1,"vs":1,"vt":1,"vv":1,"12chars":2,"blogspot":2,"ibxos":2,"iliadboxos":2,"neen":{"jc":2},"123homepage":2,"16-b":2,"32-b":2,"64-b":2,"myspreadshop":2,"syncloud":2},"je":{"$":1,"co":1,"net":1,"org":1,"of":2},"jm":{"*":1},"jo":{"$":1,"agri":1,"ai":1,"com":1,"edu":1,"eng":1,"fm":1,"gov":1,"mil":1,"net":1,"org":1,"per":1,"phd":1,"sch":1,"tv":1},"jobs":1,"jp":{"$":1,"ac":1,"ad":1,"co":1,"ed":1,"go":1,"gr":1,"lg":1,"ne":{"$":1,"aseinet":{"user":2},"gehirn":2,"ivory":2,"mail-box":2,"mints":2,"mokuren":2,"opal":2,"sakura":2,"sumomo":2,"topaz":2},"or":1,"aichi":{"$":1,"aisai":1,"ama":1,"anjo":1,"asuke":1,"chiryu":1,"chita":1,"fuso":1,"gamagori":1,"handa":1,"hazu":1,"hekinan":1,"higashiura":1,"ichinomiya":1,"inazawa":1,"inuyama":1,"isshiki":1,"iwakura":1,"kanie":1,"kariya":1,"kasugai":1,"kira":1,"kiyosu":1,"komaki":1,"konan":1,"kota":1,"mihama":1,"miyoshi":1,"nishio":1,"nisshin":1,"obu":1,"oguchi":1,"oharu":1,"okazaki":1,"owariasahi":1,"seto":1,"shikatsu":1,"shinshiro":1,"shitara":1,"tahara":1,"takahama":1,"tobishima":1,"toei":1,"togo":1,"tokai":1,"tokoname":1,"toyoake":1,"toyohashi":1,"toyokawa":1,"toyone":1,"toyota":1,"tsushima":1,"yatomi":1},"akita":{"$":1,"akita":1,"daisen":1,"fujisato":1,"gojome":1,"hachirogata":1,"happou":1,"higashinaruse":1,"honjo":1,"honjyo":1,"ikawa":1,"kamikoani":1,"kamioka":1,"katagami":1,"kazuno":1,"kitaakita":1,"kosaka":1,"kyowa":1,"misato":1,"mitane":1,"moriyoshi":1,"nikaho":1,"noshiro":1,"odate":1,"oga":1,"ogata":1,"semboku":1,"yokote":1,"yurihonjo":1},"aomori":{"$":1,"aomori":1,"gonohe":1,"hachinohe":1,"hashikami":1,"hiranai":1,"hirosaki":1,"itayanagi":1,"kuroishi":1,"misawa":1,"mutsu":1,"nakadomari":1,"noheji":1,"oirase":1,"owani":1,"rokunohe":1,"sannohe":1,"shichinohe":1,"shingo":1,"takko":1,"towada":1,"tsugaru":1,"tsuruta":1},"chiba":{"$":1,"abiko":1,"asahi":1,"chonan":1,"chosei":1,"choshi":1,"chuo":1,"funabashi":1,"futtsu":1,"hanamigawa":1,"ichihara":1,"ichikawa":1,"ichinomiya":1,"inzai":1,"isumi":1,"kamagaya":1,"kamogawa":1,"kashiwa":1,"katori":1,"katsuura":1,"kimitsu":1,"kisarazu":1,"kozaki":1,"kujukuri":1,"kyonan":1,"matsudo":1,"midori":1,"mihama":1,"minamiboso":1,"mobara":1,"mutsuzawa":1,"nagara":1,"nagareyama":1,"narashino":1,"narita":1,"noda":1,"oamishirasato":1,"omigawa":1,"onjuku":1,"otaki":1,"sakae":1,"sakura":1,"shimofusa":1,"shirako":1,"shiroi":1,"shisui":1,"sodegaura":1,"sosa":1,"tako":1,"tateyama":1,"togane":1,"tohnosho":1,"tomisato":1,"urayasu":1,"yachimata":1,"yachiyo":1,"yokaichiba":1,"yokoshibahikari":1,"yotsukaido":1},"ehime":{"$":1,"ainan":1,"honai":1,"ikata":1,"imabari":1,"iyo":1,"kamijima":1,"kihoku":1,"kumakogen":1,"masaki":1,"matsuno":1,"matsuyama":1,"namikata":1,"niihama":1,"ozu":1,"saijo":1,"seiyo":1,"shikokuchuo":1,"tobe":1,"toon":1,"uchiko":1,"uwajima":1,"yawatahama":1},"fukui":{"$":1,"echizen":1,"eiheiji":1,"fukui":1,"ikeda":1,"katsuyama":1,"mihama":1,"minamiechizen":1,"obama":1,"ohi":1,"ono":1,"sabae":1,"sakai":1,"takahama":1,"tsuruga":1,"wakasa":1},"fukuoka":{"$":1,"ashiya":1,"buzen":1,"chikugo":1,"chikuho":1,"chikujo":1,"chikushino":1,"chikuzen":1,"chuo":1,"dazaifu":1,"fukuchi":1,"hakata":1,"higashi":1,"hirokawa":1,"hisayama":1,"iizuka":1,"inatsuki":1,"kaho":1,"kasuga":1,"kasuya":1,"kawara":1,"keisen":1,"koga":1,"kurate":1,"kurogi":1,"kurume":1,"minami":1,"miyako":1,"miyama":1,"miyawaka":1,"mizumaki":1,"munakata":1,"nakagawa":1,"nakama":1,"nishi":1,"nogata":1,"ogori":1,"okagaki":1,"okawa":1,"oki":1,"omuta":1,"onga":1,"onojo":1,"oto":1,"saigawa":1,"sasaguri":1,"shingu":1,"shinyoshitomi":1,"shonai":1,"soeda":1,"sue":1,"tachiarai":1,"tagawa":1,"takata":1,"toho":1,"toyotsu":1,"tsuiki":1,"ukiha":1,"umi":1,"usui":1,"yamada":1,"yame":1,"yanagawa":1,"yukuhashi":1},"fukushima":{"$":1,"aizubange":1,"aizumisato":1,"aizuwakamatsu":1,"asakawa":1,"bandai":1,"date":1,"fukushima":1,"furudono":1,"futaba":1,"hanawa":1,"higashi":1,"hirata":1,"hirono":1,"iitate":1,"inawashiro":1,"ishikawa":1,"iwaki":1,"izumizaki":1,"kagamiishi":1,"kaneyama":1,"kawamata":1,"kitakata":1,"kitashiobara":1,"koori":1,"koriyama":1,"kunimi":1,"miharu":1,"mishima":1,"namie":1,"nango":1,"nishiaizu":1,"nishigo":1,"okuma":1,"omotego":1,"ono":1,"otama":1,"samegawa":1,"shimogo":1,"shirakawa":1,"showa":1,"soma":1,"sukagawa":1,"taishin":1,"tamakawa":1,"tanagura":1,"tenei":1,"yabuki":1,"yamato":1,"yamatsuri":1,"yanaizu":1,"yugawa":1},"gifu":{"$":1,"anpachi":1,"ena":1,"gifu":1,"ginan":1,"godo":1,"gujo":1,"hashima":1,"hichiso":1,"hida":1,"higashishirakawa":1,"ibigawa":1,"ikeda":1,"kakamigahara":1,"kani":1,"kasahara":1,"kasamatsu":1,"kawaue":1,"kitagata":1,"mino":1,"minokamo":1,"mitake":1,"mizunami":1,"motosu":1,"nakatsugawa":1,"ogaki":1,"sakahogi":1,"seki":1,"sekigahara":1,"shirakawa":1,"tajimi":1,"takayama":1,"tarui":1,"toki":1,"tomika":1,"wanouchi":1,"yamagata":1,"yaotsu":1,"yoro":1},"gunma":{"$":1,"annaka":1,"chiyoda":1,"fujioka":1,"higashiagatsuma":1,"isesaki":1,"itakura":1,"kanna":1,"kanra":1,"katashina":1,"kawaba":1,"kiryu":1,"kusatsu":1,"maebashi":1,"meiwa":1,"midori":1,"minakami":1,"naganohara":1,"nakanojo":1,"nanmoku":1,"numata":1,"oizumi":1,"ora":1,"ota":1,"shibukawa":1,"shimonita":1,"shinto":1,"showa":1,"takasaki":1,"takayama":1,"tamamura":1,"tatebayashi":1,"tomioka":1,"tsukiyono":1,"tsumagoi":1,"ueno":1,"yoshioka":1},"hiroshima":{"$":1,"asaminami":1,"daiwa":1,"etajima":1,"fuchu":1,"fukuyama":1,"hatsukaichi":1,"higashihiroshima":1,"hongo":1,"jinsekikogen":1,"kaita":1,"kui":1,"kumano":1,"kure":1,"mihara":1,"miyoshi":1,"naka":1,"onomichi":1,"osakikamijima":1,"otake":1,"saka":1,"sera":1,"seranishi":1,"shinichi":1,"shobara":1,"takehara":1},"hokkaido":{"$":1,"abashiri":1,"abira":1,"aibetsu":1,"akabira":1,"akkeshi":1,"asahikawa":1,"ashibetsu":1,"ashoro":1,"assabu":1,"atsuma":1,"bibai":1,"biei":1,"bifuka":1,"bihoro":1,"biratori":1,"chippubetsu":1,"chitose":1,"date":1,"ebetsu":1,"embetsu":1,"eniwa":1,"erimo":1,"esan":1,"esashi":1,"fukagawa":1,"fukushima":1,"furano":1,"furubira":1,"haboro":1,"hakodate":1,"hamatonbetsu":1,"hidaka":1,"higashikagura":1,"higashikawa":1,"hiroo":1,"hokuryu":1,"hokuto":1,"honbetsu":1,"horokanai":1,"horonobe":1,"ikeda":1,"imakane":1,"ishikari":1,"iwamizawa":1,"iwanai":1,"kamifurano":1,"kamikawa":1,"kamishihoro":1,"kamisunagawa":1,"kamoenai":1,"kayabe":1,"kembuchi":1,"kikonai":1,"kimobetsu":1,"kitahiroshima":1,"kitami":1,"kiyosato":1,"koshimizu":1,"kunneppu":1,"kuriyama":1,"kuromatsunai":1,"kushiro":1,"kutchan":1,"kyowa":1,"mashike":1,"matsumae":1,"mikasa":1,"minamifurano":1,"mombetsu":1,"moseushi":1,"mukawa":1,"muroran":1,"naie":1,"nakagawa":1,"nakasatsunai":1,"nakatombetsu":1,"nanae":1,"nanporo":1,"nayoro":1,"nemuro":1,"niikappu":1,"niki":1,"nishiokoppe":1,"noboribetsu":1,"numata":1,"obihiro":1,"obira":1,"oketo":1,"okoppe":1,"otaru":1,"otobe":1,"otofuke":1,"otoineppu":1,"oumu":1,"ozora":1,"pippu":1,"rankoshi":1,"rebun":1,"rikubetsu":1,"rishiri":1,"rishirifuji":1,"saroma":1,"sarufutsu":1,"shakotan":1,"shari":1,"shibecha":1,"shibetsu":1,"shikabe":1,"shikaoi":1,"shimamaki":1,"shimizu":1,"shimokawa":1,"shinshinotsu":1,"shintoku":1,"shiranuka":1,"shiraoi":1,"shiriuchi":1,"sobetsu":1,"sunagawa":1,"taiki":1,"takasu":1,"takikawa":1,"takinoue":1,"teshikaga":1,"tobetsu":1,"tohma":1,"tomakomai":1,"tomari":1,"toya":1,"toyako":1,"toyotomi":1,"toyoura":1,"tsubetsu":1,"tsukigata":1,"urakawa":1,"urausu":1,"uryu":1,"utashinai":1,"wakkanai":1,"wassamu":1,"yakumo":1,"yoichi":1},"hyogo":{"$":1,"aioi":1,"akashi":1,"ako":1,"amagasaki":1,"aogaki":1,"asago":1,"ashiya":1,"awaji":1,"fukusaki":1,"goshiki":1,"harima":1,"himeji":1,"ichikawa":1,"inagawa":1,"itami":1,"kakogawa":1,"kamigori":1,"kamikawa":1,"kasai":1,"kasuga":1,"kawanishi":1,"miki":1,"minamiawaji":1,"nishinomiya":1,"nishiwaki":1,"ono":1,"sanda":1,"sannan":1,"sasayama":1,"sayo":1,"shingu":1,"shinonsen":1,"shiso":1,"sumoto":1,"taishi":1,"taka":1,"takarazuka":1,"takasago":1,"takino":1,"tamba":1,"tatsuno":1,"toyooka":1,"yabu":1,"yashiro":1,"yoka":1,"yokawa":1},"ibaraki":{"$":1,"ami":1,"asahi":1,"bando":1,"chikusei":1,"daigo":1,"fujishiro":1,"hitachi":1,"hitachinaka":1,"hitachiomiya":1,"hitachiota":1,"ibaraki":1,"ina":1,"inashiki":1,"itako":1,"iwama":1,"joso":1,"kamisu":1,"kasama":1,"kashima":1,"kasumigaura":1,"koga":1,"miho":1,"mito":1,"moriya":1,"naka":1,"namegata":1,"oarai":1,"ogawa":1,"omitama":1,"ryugasaki":1,"sakai":1,"sakuragawa":1,"shimodate":1,"shimotsuma":1,"shirosato":1,"sowa":1,"suifu":1,"takahagi":1,"tamatsukuri":1,"tokai":1,"tomobe":1,"tone":1,"toride":1,"tsuchiura":1,"tsukuba":1,"uchihara":1,"ushiku":1,"yachiyo":1,"yamagata":1,"yawara":1,"yuki":1},"ishikawa":{"$":1,"anamizu":1,"hakui":1,"hakusan":1,"kaga":1,"kahoku":1,"kanazawa":1,"kawakita":1,"komatsu":1,"nakanoto":1,"nanao":1,"nomi":1,"nonoichi":1,"noto":1,"shika":1,"suzu":1,"tsubata":1,"tsurugi":1,"uchinada":1,"wajima":1},"iwate":{"$":1,"fudai":1,"fujisawa":1,"hanamaki":1,"hiraizumi":1,"hirono":1,"ichinohe":1,"ichinoseki":1,"iwaizumi":1,"iwate":1,"joboji":1,"kamaishi":1,"kanegasaki":1,"karumai":1,"kawai":1,"kitakami":1,"kuji":1,"kunohe":1,"kuzumaki":1,"miyako":1,"mizusawa":1,"morioka":1,"ninohe":1,"noda":1,"ofunato":1,"oshu":1,"otsuchi":1,"rikuzentakata":1,"shiwa":1,"shizukuishi":1,"sumita":1,"tanohata":1,"tono":1,"yahaba":1,"yamada":1},"kagawa":{"$":1,"ayagawa":1,"higashikagawa":1,"kanonji":1,"kotohira":1,"manno":1,"marugame":1,"mitoyo":1,"naoshima":1,"sanuki":1,"tadotsu":1,"takamatsu":1,"tonosho":1,"uchinomi":1,"utazu":1,"zentsuji":1},"kagoshima":{"$":1,"akune":1,"amami":1,"hioki":1,"isa":1,"isen":1,"izumi":1,"kagoshima":1,"kanoya":1,"kawanabe":1,"kinko":1,"kouyama":1,"makurazaki":1,"matsumoto":1,"minamitane":1,"nakatane":1,"nishinoomote":1,"satsumasendai":1,"soo":1,"tarumizu":1,"yusui":1},"kanagawa":{"$":1,"aikawa":1,"atsugi":1,"ayase":1,"chigasaki":1,"ebina":1,"fujisawa":1,"hadano":1,"hakone":1,"hiratsuka":1,"isehara":1,"kaisei":1,"kamakura":1,"kiyokawa":1,"matsuda":1,"minamiashigara":1,"miura":1,"nakai":1,"ninomiya":1,"odawara":1,"oi":1,"oiso":1,"sagamihara":1,"samukawa":1,"tsukui":1,"yamakita":1,"yamato":1,"yokosuka":1,"yugawara":1,"zama":1,"zushi":1},"kochi":{"$":1,"aki":1,"geisei":1,"hidaka":1,"higashitsuno":1,"ino":1,"kagami":1,"kami":1,"kitagawa":1,"kochi":1,"mihara":1,"motoyama":1,"muroto":1,"nahari":1,"nakamura":1,"nankoku":1,"nishitosa":1,"niyodogawa":1,"ochi":1,"okawa":1,"otoyo":1,"otsuki":1,"sakawa":1,"sukumo":1,"susaki":1,"tosa":1,"tosashimizu":1,"toyo":1,"tsuno":1,"umaji":1,"yasuda":1,"yusuhara":1},"kumamoto":{"$":1,"amakusa":1,"arao":1,"aso":1,"choyo":1,"gyokuto":1,"kamiamakusa":1,"kikuchi":1,"kumamoto":1,"mashiki":1,"mifune":1,"minamata":1,"minamioguni":1,"nagasu":1,"nishihara":1,"oguni":1,"ozu":1,"sumoto":1,"takamori":1,"uki":1,"uto":1,"yamaga":1,"yamato":1,"yatsushiro":1},"kyoto":{"$":1,"ayabe":1,"fukuchiyama":1,"higashiyama":1,"ide":1,"ine":1,"joyo":1,"kameoka":1,"kamo":1,"kita":1,"kizu":1,"kumiyama":1,"kyotamba":1,"kyotanabe":1,"kyotango":1,"maizuru":1,"minami":1,"minamiyamashiro":1,"miyazu":1,"muko":1,"nagaokakyo":1,"nakagyo":1,"nantan":1,"oyamazaki":1,"sakyo":1,"seika":1,"tanabe":1,"uji":1,"ujitawara":1,"wazuka":1,"yamashina":1,"yawata":1},"mie":{"$":1,"asahi":1,"inabe":1,"ise":1,"kameyama":1,"kawagoe":1,"kiho":1,"kisosaki":1,"kiwa":1,"komono":1,"kumano":1,"kuwana":1,"matsusaka":1,"meiwa":1,"mihama":1,"minamiise":1,"misugi":1,"miyama":1,"nabari":1,"shima":1,"suzuka":1,"tado":1,"taiki":1,"taki":1,"tamaki":1,"toba":1,"tsu":1,"udono":1,"ureshino":1,"watarai":1,"yokkaichi":1},"miyagi":{"$":1,"furukawa":1,"higashimatsushima":1,"ishinomaki":1,"iwanuma":1,"kakuda":1,"kami":1,"kawasaki":1,"marumori":1,"matsushima":1,"minamisanriku":1,"misato":1,"murata":1,"natori":1,"ogawara":1,"ohira":1,"onagawa":1,"osaki":1,"rifu":1,"semine":1,"shibata":1,"shichikashuku":1,"shikama":1,"shiogama":1,"shiroishi":1,"tagajo":1,"taiwa":1,"tome":1,"tomiya":1,"wakuya":1,"watari":1,"yamamoto":1,"zao":1},"miyazaki":{"$":1,"aya":1,"ebino":1,"gokase":1,"hyuga":1,"kadogawa":1,"kawaminami":1,"kijo":1,"kitagawa":1,"kitakata":1,"kitaura":1,"kobayashi":1,"kunitomi":1,"kushima":1,"mimata":1,"miyakonojo":1,"miyazaki":1,"morotsuka":1,"nichinan":1,"nishimera":1,"nobeoka":1,"saito":1,"shiiba":1,"shintomi":1,"takaharu":1,"takanabe":1,"takazaki":1,"tsuno":1},"nagano":{"$":1,"achi":1,"agematsu":1,"anan":1,"aoki":1,"asahi":1,"azumino":1,"chikuhoku":1,"chikuma":1,"chino":1,"fujimi":1,"hakuba":1,"hara":1,"hiraya":1,"iida":1,"iijima":1,"iiyama":1,"iizuna":1,"ikeda":1,"ikusaka":1,"ina":1,"karuizawa":1,"kawakami":1,"kiso":1,"kisofukushima":1,"kitaaiki":1,"komagane":1,"komoro":1,"matsukawa":1,"matsumoto":1,"miasa":1,"minamiaiki":1,"minamimaki":1,"minamiminowa":1,"minowa":1,"miyada":1,"miyota":1,"mochizuki":1,"nagano":1,"nagawa":1,"nagiso":1,"nakagawa":1,"nakano":1,"nozawaonsen":1,"obuse":1,"ogawa":1,"okaya":1,"omachi":1,"omi":1,"ookuwa":1,"ooshika":1,"otaki":1,"otari":1,"sakae":1,"sakaki":1,"saku":1,"sakuho":1,"shimosuwa":1,"shinanomachi":1,"shiojiri":1,"suwa":1,"suzaka":1,"takagi":1,"takamori":1,"takayama":1,"tateshina":1,"tatsuno":1,"togakushi":1,"togura":1,"tomi":1,"ueda":1,"wada":1,"yamagata":1,"yamanouchi":1,"yasaka":1,"yasuoka":1},"nagasaki":{"$":1,"chijiwa":1,"futsu":1,"goto":1,"hasami":1,"hirado":1,"iki":1,"isahaya":1,"kawatana":1,"kuchinotsu":1,"matsuura":1,"nagasaki":1,"obama":1,"omura":1,"oseto":1,"saikai":1,"sasebo":1,"seihi":1,"shimabara":1,"shinkamigoto":1,"togitsu":1,"tsushima":1,"unzen":1},"nara":{"$":1,"ando":1,"gose":1,"heguri":1,"higashiyoshino":1,"ikaruga":1,"ikoma":1,"kamikitayama":1,"kanmaki":1,"kashiba":1,"kashihara":1,"katsuragi":1,"kawai":1,"kawakami":1,"kawanishi":1,"koryo":1,"kurotaki":1,"mitsue":1,"miyake":1,"nara":1,"nosegawa":1,"oji":1,"ouda":1,"oyodo":1,"sakurai":1,"sango":1,"shimoichi":1,"shimokitayama":1,"shinjo":1,"soni":1,"takatori":1,"tawaramoto":1,"tenkawa":1,"tenri":1,"uda":1,"yamatokoriyama":1,"yamatotakada":1,"yamazoe":1,"yoshino":1},"niigata":{"$":1,"aga":1,"agano":1,"gosen":1,"itoigawa":1,"izumozaki":1,"joetsu":1,"kamo":1,"kariwa":1,"kashiwazaki":1,"minamiuonuma":1,"mitsuke":1,"muika":1,"murakami":1,"myoko":1,"nagaoka":1,"niigata":1,"ojiya":1,"omi":1,"sado":1,"sanjo":1,"seiro":1,"seirou":1,"sekikawa":1,"shibata":1,"tagami":1,"tainai":1,"tochio":1,"tokamachi":1,"tsubame":1,"tsunan":1,"uonuma":1,"yahiko":1,"yoita":1,"yuzawa":1},"oita":{"$":1,"beppu":1,"bungoono":1,"bungotakada":1,"hasama":1,"hiji":1,"himeshima":1,"hita":1,"kamitsue":1,"kokonoe":1,"kuju":1,"kunisaki":1,"kusu":1,"oita":1,"saiki":1,"taketa":1,"tsukumi":1,"usa":1,"usuki":1,"yufu":1},"okayama":{"$":1,"akaiwa":1,"asakuchi":1,"bizen":1,"hayashima":1,"ibara":1,"kagamino":1,"kasaoka":1,"kibichuo":1,"kumenan":1,"kurashiki":1,"maniwa":1,"misaki":1,"nagi":1,"niimi":1,"nishiawakura":1,"okayama":1,"satosho":1,"setouchi":1,"shinjo":1,"shoo":1,"soja":1,"takahashi":1,"tamano":1,"tsuyama":1,"wake":1,"yakage":1},"okinawa":{"$":1,"aguni":1,"ginowan":1,"ginoza":1,"gushikami":1,"haebaru":1,"higashi":1,"hirara":1,"iheya":1,"ishigaki":1,"ishikawa":1,"itoman":1,"izena":1,"kadena":1,"kin":1,"kitadaito":1,"kitanakagusuku":1,"kumejima":1,"kunigami":1,"minamidaito":1,"motobu":1,"nago":1,"naha":1,"nakagusuku":1,"nakijin":1,"nanjo":1,"nishihara":1,"ogimi":1,"okinawa":1,"onna":1,"shimoji":1,"taketomi":1,"tarama":1,"tokashiki":1,"tomigusuku":1,"tonaki":1,"urasoe":1,"uruma":1,"yaese":1,"yomitan":1,"yonabaru":1,"yonaguni":1,"zamami":1},"osaka":{"$":1,"abeno":1,"chihayaakasaka":1,"chuo":1,"daito":1,"fujiidera":1,"habikino":1,"hannan":1,"higashiosaka":1,"higashisumiyoshi":1,"higashiyodogawa":1,"hirakata":1,"ibaraki":1,"ikeda":1,"izumi":1,"izumiotsu":1,"izumisano":1,"kadoma":1,"kaizuka":1,"kanan":1,"kashiwara":1,"katano":1,"kawachinagano":1,"kishiwada":1,"kita":1,"kumatori":1,"matsubara":1,"minato":1,"minoh":1,"misaki":1,"moriguchi":1,"neyagawa":1,"nishi":1,"nose":1,"osakasayama":1,"sakai":1,"sayama":1,"sennan":1,"settsu":1,"shijonawate":1,"shimamoto":1,"suita":1,"tadaoka":1,"taishi":1,"tajiri":1,"takaishi":1,"takatsuki":1,"tondabayashi":1,"toyonaka":1,"toyono":1,"yao":1},"saga":{"$":1,"ariake":1,"arita":1,"fukudomi":1,"genkai":1,"hamatama":1,"hizen":1,"imari":1,"kamimine":1,"kanzaki":1,"karatsu":1,"kashima":1,"kitagata":1,"kitahata":1,"kiyama":1,"kouhoku":1,"kyuragi":1,"nishiarita":1,"ogi":1,"omachi":1,"ouchi":1,"saga":1,"shiroishi":1,"taku":1,"tara":1,"tosu":1,"yoshinogari":1},"saitama":{"$":1,"arakawa":1,"asaka":1,"chichibu":1,"fujimi":1,"fujimino":1,"fukaya":1,"hanno":1,"hanyu":1,"hasuda":1,"hatogaya":1,"hatoyama":1,"hidaka":1,"higashichichibu":1,"higashimatsuyama":1,"honjo":1,"ina":1,"iruma":1,"iwatsuki":1,"kamiizumi":1,"kamikawa":1,"kamisato":1,"kasukabe":1,"kawagoe":1,"kawaguchi":1,"kawajima":1,"kazo":1,"kitamoto":1,"koshigaya":1,"kounosu":1,"kuki":1,"kumagaya":1,"matsubushi":1,"minano":1,"misato":1,"miyashiro":1,"miyoshi":1,"moroyama":1,"nagatoro":1,"namegawa":1,"niiza":1,"ogano":1,"ogawa":1,"ogose":1,"okegawa":1,"omiya":1,"otaki":1,"ranzan":1,"ryokami":1,"saitama":1,"sakado":1,"satte":1,"sayama":1,"shiki":1,"shiraoka":1,"soka":1,"sugito":1,"toda":1,"tokigawa":1,"tokorozawa":1,"tsurugashima":1,"urawa":1,"warabi":1,"yashio":1,"yokoze":1,"yono":1,"yorii":1,"yoshida":1,"yoshikawa":1,"yoshimi":1},"shiga":{"$":1,"aisho":1,"gamo":1,"higashiomi":1,"hikone":1,"koka":1,"konan":1,"kosei":1,"koto":1,"kusatsu":1,"maibara":1,"moriyama":1,"nagahama":1,"nishiazai":1,"notogawa":1,"omihachiman":1,"otsu":1,"ritto":1,"ryuoh":1,"takashima":1,"takatsuki":1,"torahime":1,"toyosato":1,"yasu":1},"shimane":{"$":1,"akagi":1,"ama":1,"gotsu":1,"hamada":1,"higashiizumo":1,"hikawa":1,"hikimi":1,"izumo":1,"kakinoki":1,"masuda":1,"matsue":1,"misato":1,"nishinoshima":1,"ohda":1,"okinoshima":1,"okuizumo":1,"shimane":1,"tamayu":1,"tsuwano":1,"unnan":1,"yakumo":1,"yasugi":1,"yatsuka":1},"shizuoka":{"$":1,"arai":1,"atami":1,"fuji":1,"fujieda":1,"fujikawa":1,"fujinomiya":1,"fukuroi":1,"gotemba":1,"haibara":1,"hamamatsu":1,"higashiizu":1,"ito":1,"iwata":1,"izu":1,"izunokuni":1,"kakegawa":1,"kannami":1,"kawanehon":1,"kawazu":1,"kikugawa":1,"kosai":1,"makinohara":1,"matsuzaki":1,"minamiizu":1,"mishima":1,"morimachi":1,"nishiizu":1,"numazu":1,"omaezaki":1,"shimada":1,"shimizu":1,"shimoda":1,"shizuoka":1,"susono":1,"yaizu":1,"yoshida":1},"tochigi":{"$":1,"ashikaga":1,"bato":1,"haga":1,"ichikai":1,"iwafune":1,"kaminokawa":1,"kanuma":1,"karasuyama":1,"kuroiso":1,"mashiko":1,"mibu":1,"moka":1,"motegi":1,"nasu":1,"nasushiobara":1,"nikko":1,"nishikata":1,"nogi":1,"ohira":1,"ohtawara":1,"oyama":1,"sakura":1,"sano":1,"shimotsuke":1,"shioya":1,"takanezawa":1,"tochigi":1,"tsuga":1,"ujiie":1,"utsunomiya":1,"yaita":1},"tokushima":{"$":1,"aizumi":1,"anan":1,"ichiba":1,"itano":1,"kainan":1,"komatsushima":1,"matsushige":1,"mima":1,"minami":1,"miyoshi":1,"mugi":1,"nakagawa":1,"naruto":1,"sanagochi":1,"shishikui":1,"tokushima":1,"wajiki":1},"tokyo":{"$":1,"adachi":1,"akiruno":1,"akishima":1,"aogashima":1,"arakawa":1,"bunkyo":1,"chiyoda":1,"chofu":1,"chuo":1,"edogawa":1,"fuchu":1,"fussa":1,"hachijo":1,"hachioji":1,"hamura":1,"higashikurume":1,"higashimurayama":1,"higashiyamato":1,"hino":1,"hinode":1,"hinohara":1,"inagi":1,"itabashi":1,"katsushika":1,"kita":1,"kiyose":1,"kodaira":1,"koganei":1,"kokubunji":1,"komae":1,"koto":1,"kouzushima":1,"kunitachi":1,"machida":1,"meguro":1,"minato":1,"mitaka":1,"mizuho":1,"musashimurayama":1,"musashino":1,"nakano":1,"nerima":1,"ogasawara":1,"okutama":1,"ome":1,"oshima":1,"ota":1,"setagaya":1,"shibuya":1,"shinagawa":1,"shinjuku":1,"suginami":1,"sumida":1,"tachikawa":1,"taito":1,"tama":1,"toshima":1},"tottori":{"$":1,"chizu":1,"hino":1,"kawahara":1,"koge":1,"kotoura":1,"misasa":1,"nanbu":1,"nichinan":1,"sakaiminato":1,"tottori":1,"wakasa":1,"yazu":1,"yonago":1},"toyama":{"$":1,"asahi":1,"fuchu":1,"fukumitsu":1,"funahashi":1,"himi":1,"imizu":1,"inami":1,"johana":1,"kamiichi":1,"kurobe":1,"nakaniikawa":1,"namerikawa":1,"nanto":1,"nyuzen":1,"oyabe":1,"taira":1,"takaoka":1,"tateyama":1,"toga":1,"tonami":1,"toyama":1,"unazuki":1,"uozu":1,"yamada":1},"wakayama":{"$":1,"arida":1,"aridagawa":1,"gobo":1,"hashimoto":1,"hidaka":1,"hirogawa":1,"inami":1,"iwade":1,"kainan":1,"kamitonda":1,"katsuragi":1,"kimino":1,"kinokawa":1,"kitayama":1,"koya":1,"koza":1,"kozagawa":1,"kudoyama":1,"kushimoto":1,"mihama":1,"misato":1,"nachikatsuura":1,"shingu":1,"shirahama":1,"taiji":1,"tanabe":1,"wakayama":1,"yuasa":1,"yura":1},"yamagata":{"$":1,"asahi":1,"funagata":1,"higashine":1,"iide":1,"kahoku":1,"kaminoyama":1,"kaneyama":1,"kawanishi":1,"mamurogawa":1,"mikawa":1,"murayama":1,"nagai":1,"nakayama":1,"nanyo":1,"nishikawa":1,"obanazawa":1,"oe":1,"oguni":1,"ohkura":1,"oishida":1,"sagae":1,"sakata":1,"sakegawa":1,"shinjo":1,"shirataka":1,"shonai":1,"takahata":1,"tendo":1,"tozawa":1,"tsuruoka":1,"yamagata":1,"yamanobe":1,"yonezawa":1,"yuza":1},"yamaguchi":{"$":1,"abu":1,"hagi":1,"hikari":1,"hofu":1,"iwakuni":1,"kudamatsu":1,"mitou":1,"nagato":1,"oshima":1,"shimonoseki":1,"shunan":1,"tabuse":1,"tokuyama":1,"toyota":1,"ube":1,"yuu":1},"yamanashi":{"$":1,"chuo":1,"doshi":1,"fuefuki":1,"fujikawa":1,"fujikawaguchiko":1,"fujiyoshida":1,"hayakawa":1,"hokuto":1,"ichikawamisato":1,"kai":1,"kofu":1,"koshu":1,"kosuge":1,"minami-alps":1,"minobu":1,"nakamichi":1,"nanbu":1,"narusawa":1,"nirasaki":1,"nishikatsura":1,"oshino":1,"otsuki":1,"showa":1,"tabayama":1,"tsuru":1,"uenohara":1,"yamanakako":1,"yamanashi":1},"xn--ehqz56n":1,"xn--1lqs03n":1,"xn--qqqt11m":1,"xn--f6qx53a":1,"xn--djrs72d6uy":1,"xn--mkru45i":1,"xn--0trq7p7nn":1,"xn--5js045d":1,"xn--kbrq7o":1,"xn--pssu33l":1,"xn--ntsq17g":1,"xn--uisz3g":1,"xn--6btw5a":1,"xn--1ctwo":1,"xn--6orx2r":1,"xn--rht61e":1,"xn--rht27z":1,"xn--nit225k":1,"xn--rht3d":1,"xn--djty4k":1,"xn--klty5x":1,"xn--kltx9a":1,"xn--kltp7d":1,"xn--c3s14m":1,"xn--vgu402c":1,"xn--efvn9s":1,"xn--1lqs71d":1,"xn--4pvxs":1,"xn--uuwu58a":1,"xn--zbx025d":1,"xn--8pvr4u":1,"xn--5rtp49c":1,"xn--ntso0iqx3a":1,"xn--elqq16h":1,"xn--4it168d":1,"xn--klt787d":1,"xn--rny31h":1,"xn--7t0a264c":1,"xn--uist22h":1,"xn--8ltr62k":1,"xn--2m4a15e":1,"xn--32vp30h":1,"xn--4it797k":1,"xn--5rtq34k":1,"xn--k7yn95e":1,"xn--tor131o":1,"xn--d5qv7z876c":1,"kawasaki":{"*":1,"!city":1},"kitakyushu":{"*":1,"!city":1},"kobe":{"*":1,"!city":1},"nagoya":{"*":1,"!city":1},"sapporo":{"*":1,"!city":1},"sendai":{"*":1,"!city":1},"yokohama":{"*":1,"!city":1},"buyshop":2,"fashionstore":2,"handcrafted":2,"kawaiishop":2,"supersale":2,"theshop":2,"0am":2,"0g0":2,"0j0":2,"0t0":2,"mydns":2,"pgw":2,"wjg":2,"usercontent":2,"angry":2,"babyblue":2,"babymilk":2,"backdrop":2,"bambina":2,"bitter":2,"blush":2,"boo":2,"boy":2,"boyfriend":2,"but":2,"candypop":2,"capoo":2,"catfood":2,"cheap":2,"chicappa":2,"chillout":2,"chips":2,"chowder":2,"chu":2,"ciao":2,"cocotte":2,"coolblog":2,"cranky":2,"cutegirl":2,"daa":2,"deca":2,"deci":2,"digick":2,"egoism":2,"fakefur":2,"fem":2,"flier":2,"floppy":2,"fool":2,"frenchkiss":2,"girlfriend":2,"girly":2,"gloomy":2,"gonna":2,"greater":2,"hacca":2,"heavy":2,"her":2,"hiho":2,"hippy":2,"holy":2,"hungry":2,"icurus":2,"itigo":2,"jellybean":2,"kikirara":2,"kill":2,"kilo":2,"kuron":2,"littlestar":2,"lolipopmc":2,"lolitapunk":2,"lomo":2,"lovepop":2,"lovesick":2,"main":2,"mods":2,"mond":2,"mongolian":2,"moo":2,"namaste":2,"nikita":2,"nobushi":2,"noor":2,"oops":2,"parallel":2,"parasite":2,"pecori":2,"peewee":2,"penne":2,"pepper":2,"perma":2,"pigboat":2,"pinoko":2,"punyu":2,"pupu":2,"pussycat":2,"pya":2,"raindrop":2,"readymade":2,"sadist":2,"schoolbus":2,"secret":2,"staba":2,"stripper":2,"sub":2,"sunnyday":2,"thick":2,"tonkotsu":2,"under":2,"upper":2,"velvet":2,"verse":2,"versus":2,"vivian":2,"watson":2,"weblike":2,"whitesnow":2,"zombie":2,"blogspot":2,"hateblo":2,"hatenablog":2,"hatenadiary":2,"2-d":2,"bona":2,"crap":2,"daynight":2,"eek":2,"flop":2,"halfmoon":2,"jeez":2,"matrix":2,"mimoza":2,"netgamers":2,"nyanta":2,"o0o0":2,"rdy":2,"rgr":2,"rulez":2,"sakurastorage":{"isk01":{"s3":2},"isk02":{"s3":2}},"saloon":2,"sblo":2,"skr":2,"tank":2,"uh-oh":2,"undo":2,"webaccel":{"rs":2,"user":2},"websozai":2,"xii":2},"ke":{"$":1,"ac":1,"co":{"$":1,"blogspot":2},"go":1,"info":1,"me":1,"mobi":1,"ne":1,"or":1,"sc":1},"kg":{"$":1,"com":1,"edu":1,"gov":1,"mil":1,"net":1,"org":1,"us":2},"kh":{"*":1},"ki":{"$":1,"biz":1,"com":1,"edu":1,"gov":1,"info":1,"net":1,"org":1},"km":{"$":1,"ass":1,"com":1,"edu":1,"gov":1,"mil":1,"nom":1,"org":1,"prd":1,"tm":1,"asso":1,"coop":1,"gouv":1,"medecin":1,"notaires":1,"pharmaciens":1,"presse":1,"veterinaire":1},"kn":{"$":1,"edu":1,"gov":1,"net":1,"org":1},"kp":{"$":1,"com":1,"edu":1,"gov":1,"org":1,"rep":1,"tra":1},"kr":{"$":1,"ac":1,"co":1,"es":1,"go":1,"hs":1,"kg":1,"mil":1,"ms":1,"ne":1,"or":1,"pe":1,"re":1,"sc":1,"busan":1,"chungbuk":1,"chungnam":1,"daegu":1,"daejeon":1,"gangwon":1,"gwangju":1,"gyeongbuk":1,"gyeonggi":1,"gyeongnam":1,"incheon":1,"jeju":1,"jeonbuk":1,"jeonnam":1,"seoul":1,"ulsan":1,"blogspot":2},"kw":{"$":1,"com":1,"edu":1,"emb":1,"gov":1,"ind":1,"net":1,"org":1},"ky":{"$":1,"com":1,"edu":1,"net":1,"org":1},"kz":{"$":1,"com":1,"edu":1,"gov":1,"mil":1,"net":1,"org":1,"jcloud":2},"la":{"$":1,"com":1,"edu":1,"gov":1,"info":1,"int":1,"net":1,"org":1,"per":1,"bnr":2},"lb":{"$":1,"com":1,"edu":1,"gov":1,"net":1,"org":1},"lc":{"$":1,"co":1,"com":1,"edu":1,"gov":1,"net":1,"org":1,"oy":2},"li":{"$":1,"blogspot":2,"caa":2},"lk":{"$":1,"ac":1,"assn":1,"com":1,"edu":1,"gov":1,"grp":1,"hotel":1,"int":1,"ltd":1,"net":1,"ngo":1,"org":1,"sch":1,"soc":1,"web":1},"lr":{"$":1,"com":1,"edu":1,"gov":1,"net":1,"org":1},"ls":{"$":1,"ac":1,"biz":1,"co":1,"edu":1,"gov":1,"info":1,"net":1,"org":1,"sc":1},"lt":{"$":1,"gov":1,"blogspot":2},"lu":{"$":1,"blogspot":2,"123website":2},"lv":{"$":1,"asn":1,"com":1,"conf":1,"edu":1,"gov":1,"id":1,"mil":1,"net":1,"org":1},"ly":{"$":1,"com":1,"edu":1,"gov":1,"id":1,"med":1,"net":1,"org":1,"plc":1,"sch":1},"ma":{"$":1,"ac":1,"co":1,"gov":1,"net":1,"org":1,"press":1},"mc":{"$":1,"asso":1,"tm":1},"md":{"$":1,"blogspot":2,"ir":2},"me":{"$":1,"ac":1,"co":1,"edu":1,"gov":1,"its":1,"net":1,"org":1,"priv":1,"c66":2,"craft":2,"edgestack":2,"filegear":2,"glitch":2,"filegear-sg":2,"lohmus":2,"barsy":2,"mcdir":2,"brasilia":2,"ddns":2,"dnsfor":2,"hopto":2,"loginto":2,"noip":2,"webhop":2,"soundcast":2,"tcp4":2,"vp4":2,"diskstation":2,"dscloud":2,"i234":2,"myds":2,"synology":2,"transip":{"site":2},"yombo":2,"nohost":2},"mg":{"$":1,"co":1,"com":1,"edu":1,"gov":1,"mil":1,"nom":1,"org":1,"prd":1},"mh":1,"mil":1,"mk":{"$":1,"com":1,"edu":1,"gov":1,"inf":1,"name":1,"net":1,"org":1,"blogspot":2},"ml":{"$":1,"com":1,"edu":1,"gouv":1,"gov":1,"net":1,"org":1,"presse":1},"mm":{"*":1},"mn":{"$":1,"edu":1,"gov":1,"org":1,"nyc":2},"mo":{"$":1,"com":1,"edu":1,"gov":1,"net":1,"org":1},"mobi":{"$":1,"barsy":2,"dscloud":2},"mp":{"$":1,"ju":2},"mq":1,"mr":{"$":1,"gov":1},"ms":{"$":1,"com":1,"edu":1,"gov":1,"net":1,"org":1,"lab":2,"minisite":2},"mt":{"$":1,"com":{"$":1,"blogspot":2},"edu":1,"net":1,"org":1},"mu":{"$":1,"ac":1,"co":1,"com":1,"gov":1,"net":1,"or":1,"org":1},"museum":1,"mv":{"$":1,"aero":1,"biz":1,"com":1,"coop":1,"edu":1,"gov":1,"info":1,"int":1,"mil":1,"museum":1,"name":1,"net":1,"org":1,"pro":1},"mw":{"$":1,"ac":1,"biz":1,"co":1,"com":1,"coop":1,"edu":1,"gov":1,"int":1,"net":1,"org":1},"mx":{"$":1,"com":1,"edu":1,"gob":1,"net":1,"org":1,"blogspot":2},"my":{"$":1,"biz":1,"com":1,"edu":1,"gov":1,"mil":1,"name":1,"net":1,"org":1,"blogspot":2},"mz":{"$":1,"ac":1,"adv":1,"co":1,"edu":1,"gov":1,"mil":1,"net":1,"org":1},"na":{"$":1,"alt":1,"co":1,"com":1,"gov":1,"net":1,"org":1},"name":{"$":1,"her":{"forgot":2},"his":{"forgot":2}},"nc":{"$":1,"asso":1,"nom":1},"ne":1,"net":{"$":1,"adobeaemcloud":2,"adobeio-static":2,"adobeioruntime":2,"akadns":2,"akamai":2,"akamai-staging":2,"akamaiedge":2,"akamaiedge-staging":2,"akamaihd":2,"akamaihd-staging":2,"akamaiorigin":2,"akamaiorigin-staging":2,"akamaized":2,"akamaized-staging":2,"edgekey":2,"edgekey-staging":2,"edgesuite":2,"edgesuite-staging":2,"alwaysdata":2,"myamaze":2,"cloudfront":2,"appudo":2,"atlassian-dev":{"prod":{"cdn":2}},"myfritz":2,"onavstack":2,"shopselect":2,"blackbaudcdn":2,"boomla":2,"bplaced":2,"square7":2,"cdn77":{"r":2},"cdn77-ssl":2,"gb":2,"hu":2,"jp":2,"se":2,"uk":2,"clickrising":2,"ddns-ip":2,"dns-cloud":2,"dns-dynamic":2,"cloudaccess":2,"cloudflare":{"$":2,"cdn":2},"cloudflareanycast":{"cdn":2},"cloudflarecn":{"cdn":2},"cloudflareglobal":{"cdn":2},"ctfcloud":2,"feste-ip":2,"knx-server":2,"static-access":2,"cryptonomic":{"*":2},"dattolocal":2,"mydatto":2,"debian":2,"definima":2,"at-band-camp":2,"blogdns":2,"broke-it":2,"buyshouses":2,"dnsalias":2,"dnsdojo":2,"does-it":2,"dontexist":2,"dynalias":2,"dynathome":2,"endofinternet":2,"from-az":2,"from-co":2,"from-la":2,"from-ny":2,"gets-it":2,"ham-radio-op":2,"homeftp":2,"homeip":2,"homelinux":2,"homeunix":2,"in-the-band":2,"is-a-chef":2,"is-a-geek":2,"isa-geek":2,"kicks-ass":2,"office-on-the":2,"podzone":2,"scrapper-site":2,"selfip":2,"sells-it":2,"servebbs":2,"serveftp":2,"thruhere":2,"webhop":2,"casacam":2,"dynu":2,"dynv6":2,"twmail":2,"ru":2,"channelsdvr":{"$":2,"u":2},"fastly":{"freetls":2,"map":2,"prod":{"a":2,"global":2},"ssl":{"a":2,"b":2,"global":2}},"fastlylb":{"$":2,"map":2},"edgeapp":2,"keyword-on":2,"live-on":2,"server-on":2,"cdn-edges":2,"localcert":2,"localhostcert":2,"heteml":2,"cloudfunctions":2,"grafana-dev":2,"iobb":2,"moonscale":2,"in-dsl":2,"in-vpn":2,"apps-1and1":2,"ipifony":2,"cloudjiffy":{"$":2,"fra1-de":2,"west1-us":2},"elastx":{"jls-sto1":2,"jls-sto2":2,"jls-sto3":2},"massivegrid":{"paas":{"fr-1":2,"lon-1":2,"lon-2":2,"ny-1":2,"ny-2":2,"sg-1":2}},"saveincloud":{"jelastic":2,"nordeste-idc":2},"scaleforce":{"j":2},"kinghost":2,"uni5":2,"krellian":2,"ggff":2,"barsy":2,"memset":2,"azure-api":2,"azure-mobile":2,"azureedge":2,"azurefd":2,"azurestaticapps":{"1":{"0":{"0":{"0":2}}},"2":{"0":{"0":{"0":2}}},"3":{"0":{"0":{"0":2}}},"4":{"0":{"0":{"0":2}}},"5":{"0":{"0":{"0":2}}},"6":{"0":{"0":{"0":2}}},"7":{"0":{"0":{"0":2}}},"$":2,"centralus":2,"eastasia":2,"eastus2":2,"westeurope":2,"westus2":2},"azurewebsites":2,"cloudapp":2,"trafficmanager":2,"windows":{"core":{"blob":2},"servicebus":2},"mynetname":{"sn":2},"routingthecloud":2,"bounceme":2,"ddns":2,"eating-organic":2,"mydissent":2,"myeffect":2,"mymediapc":2,"mypsx":2,"mysecuritycamera":2,"nhlfan":2,"no-ip":2,"pgafan":2,"privatizehealthinsurance":2,"redirectme":2,"serveblog":2,"serveminecraft":2,"sytes":2,"dnsup":2,"hicam":2,"now-dns":2,"ownip":2,"vpndns":2,"cloudycluster":2,"ovh":{"hosting":{"*":2},"webpaas":{"*":2}},"rackmaze":2,"myradweb":2,"in":2,"squares":2,"schokokeks":2,"firewall-gateway":2,"seidat":2,"senseering":2,"siteleaf":2,"mafelo":2,"myspreadshop":2,"vps-host":{"$":2,"jelastic":{"atl":2,"njs":2,"ric":2}},"srcf":{"soc":2,"user":2},"supabase":2,"dsmynas":2,"familyds":2,"ts":{"$":2,"c":{"*":2}},"torproject":{"$":2,"pages":2},"vusercontent":2,"reserve-online":2,"community-pro":2,"meinforum":2,"yandexcloud":{"$":2,"storage":2,"website":2},"za":2},"nf":{"$":1,"arts":1,"com":1,"firm":1,"info":1,"net":1,"other":1,"per":1,"rec":1,"store":1,"web":1},"ng":{"$":1,"com":{"$":1,"blogspot":2},"edu":1,"gov":1,"i":1,"mil":1,"mobi":1,"name":1,"net":1,"org":1,"sch":1,"biz":{"$":2,"co":2,"dl":2,"go":2,"lg":2,"on":2},"col":2,"firm":2,"gen":2,"ltd":2,"ngo":2,"plc":2},"ni":{"$":1,"ac":1,"biz":1,"co":1,"com":1,"edu":1,"gob":1,"in":1,"info":1,"int":1,"mil":1,"net":1,"nom":1,"org":1,"web":1},"nl":{"$":1,"co":2,"hosting-cluster":2,"blogspot":2,"gov":2,"khplay":2,"123website":2,"myspreadshop":2,"transurl":{"*":2},"cistron":2,"demon":2},"no":{"$":1,"fhs":1,"folkebibl":1,"fylkesbibl":1,"idrett":1,"museum":1,"priv":1,"vgs":1,"dep":1,"herad":1,"kommune":1,"mil":1,"stat":1,"aa":{"$":1,"gs":1},"ah":{"$":1,"gs":1},"bu":{"$":1,"gs":1},"fm":{"$":1,"gs":1},"hl":{"$":1,"gs":1},"hm":{"$":1,"gs":1},"jan-mayen":{"$":1,"gs":1},"mr":{"$":1,"gs":1},"nl":{"$":1,"gs":1},"nt":{"$":1,"gs":1},"of":{"$":1,"gs":1},"ol":{"$":1,"gs":1},"oslo":{"$":1,"gs":1},"rl":{"$":1,"gs":1},"sf":{"$":1,"gs":1},"st":{"$":1,"gs":1},"svalbard":{"$":1,"gs":1},"tm":{"$":1,"gs":1},"tr":{"$":1,"gs":1},"va":{"$":1,"gs":1},"vf":{"$":1,"gs":1},"akrehamn":1,"xn--krehamn-dxa":1,"algard":1,"xn--lgrd-poac":1,"arna":1,"bronnoysund":1,"xn--brnnysund-m8ac":1,"brumunddal":1,"bryne":1,"drobak":1,"xn--drbak-wua":1,"egersund":1,"fetsund":1,"floro":1,"xn--flor-jra":1,"fredrikstad":1,"hokksund":1,"honefoss":1,"xn--hnefoss-q1a":1,"jessheim":1,"jorpeland":1,"xn--jrpeland-54a":1,"kirkenes":1,"kopervik":1,"krokstadelva":1,"langevag":1,"xn--langevg-jxa":1,"leirvik":1,"mjondalen":1,"xn--mjndalen-64a":1,"mo-i-rana":1,"mosjoen":1,"xn--mosjen-eya":1,"nesoddtangen":1,"orkanger":1,"osoyro":1,"xn--osyro-wua":1,"raholt":1,"xn--rholt-mra":1,"sandnessjoen":1,"xn--sandnessjen-ogb":1,"skedsmokorset":1,"slattum":1,"spjelkavik":1,"stathelle":1,"stavern":1,"stjordalshalsen":1,"xn--stjrdalshalsen-sqb":1,"tananger":1,"tranby":1,"vossevangen":1,"aarborte":1,"aejrie":1,"afjord":1,"xn--fjord-lra":1,"agdenes":1,"akershus":{"nes":1},"aknoluokta":1,"xn--koluokta-7ya57h":1,"al":1,"xn--l-1fa":1,"alaheadju":1,"xn--laheadju-7ya":1,"alesund":1,"xn--lesund-hua":1,"alstahaug":1,"alta":1,"xn--lt-liac":1,"alvdal":1,"amli":1,"xn--mli-tla":1,"amot":1,"xn--mot-tla":1,"andasuolo":1,"andebu":1,"andoy":1,"xn--andy-ira":1,"ardal":1,"xn--rdal-poa":1,"aremark":1,"arendal":1,"xn--s-1fa":1,"aseral":1,"xn--seral-lra":1,"asker":1,"askim":1,"askoy":1,"xn--asky-ira":1,"askvoll":1,"asnes":1,"xn--snes-poa":1,"audnedaln":1,"aukra":1,"aure":1,"aurland":1,"aurskog-holand":1,"xn--aurskog-hland-jnb":1,"austevoll":1,"austrheim":1,"averoy":1,"xn--avery-yua":1,"badaddja":1,"xn--bdddj-mrabd":1,"xn--brum-voa":1,"bahcavuotna":1,"xn--bhcavuotna-s4a":1,"bahccavuotna":1,"xn--bhccavuotna-k7a":1,"baidar":1,"xn--bidr-5nac":1,"bajddar":1,"xn--bjddar-pta":1,"balat":1,"xn--blt-elab":1,"balestrand":1,"ballangen":1,"balsfjord":1,"bamble":1,"bardu":1,"barum":1,"batsfjord":1,"xn--btsfjord-9za":1,"bearalvahki":1,"xn--bearalvhki-y4a":1,"beardu":1,"beiarn":1,"berg":1,"bergen":1,"berlevag":1,"xn--berlevg-jxa":1,"bievat":1,"xn--bievt-0qa":1,"bindal":1,"birkenes":1,"bjarkoy":1,"xn--bjarky-fya":1,"bjerkreim":1,"bjugn":1,"bodo":1,"xn--bod-2na":1,"bokn":1,"bomlo":1,"xn--bmlo-gra":1,"bremanger":1,"bronnoy":1,"xn--brnny-wuac":1,"budejju":1,"buskerud":{"nes":1},"bygland":1,"bykle":1,"cahcesuolo":1,"xn--hcesuolo-7ya35b":1,"davvenjarga":1,"xn--davvenjrga-y4a":1,"davvesiida":1,"deatnu":1,"dielddanuorri":1,"divtasvuodna":1,"divttasvuotna":1,"donna":1,"xn--dnna-gra":1,"dovre":1,"drammen":1,"drangedal":1,"dyroy":1,"xn--dyry-ira":1,"eid":1,"eidfjord":1,"eidsberg":1,"eidskog":1,"eidsvoll":1,"eigersund":1,"elverum":1,"enebakk":1,"engerdal":1,"etne":1,"etnedal":1,"evenassi":1,"xn--eveni-0qa01ga":1,"evenes":1,"evje-og-hornnes":1,"farsund":1,"fauske":1,"fedje":1,"fet":1,"finnoy":1,"xn--finny-yua":1,"fitjar":1,"fjaler":1,"fjell":1,"fla":1,"xn--fl-zia":1,"flakstad":1,"flatanger":1,"flekkefjord":1,"flesberg":1,"flora":1,"folldal":1,"forde":1,"xn--frde-gra":1,"forsand":1,"fosnes":1,"xn--frna-woa":1,"frana":1,"frei":1,"frogn":1,"froland":1,"frosta":1,"froya":1,"xn--frya-hra":1,"fuoisku":1,"fuossko":1,"fusa":1,"fyresdal":1,"gaivuotna":1,"xn--givuotna-8ya":1,"galsa":1,"xn--gls-elac":1,"gamvik":1,"gangaviika":1,"xn--ggaviika-8ya47h":1,"gaular":1,"gausdal":1,"giehtavuoatna":1,"gildeskal":1,"xn--gildeskl-g0a":1,"giske":1,"gjemnes":1,"gjerdrum":1,"gjerstad":1,"gjesdal":1,"gjovik":1,"xn--gjvik-wua":1,"gloppen":1,"gol":1,"gran":1,"grane":1,"granvin":1,"gratangen":1,"grimstad":1,"grong":1,"grue":1,"gulen":1,"guovdageaidnu":1,"ha":1,"xn--h-2fa":1,"habmer":1,"xn--hbmer-xqa":1,"hadsel":1,"xn--hgebostad-g3a":1,"hagebostad":1,"halden":1,"halsa":1,"hamar":1,"hamaroy":1,"hammarfeasta":1,"xn--hmmrfeasta-s4ac":1,"hammerfest":1,"hapmir":1,"xn--hpmir-xqa":1,"haram":1,"hareid":1,"harstad":1,"hasvik":1,"hattfjelldal":1,"haugesund":1,"hedmark":{"os":1,"valer":1,"xn--vler-qoa":1},"hemne":1,"hemnes":1,"hemsedal":1,"hitra":1,"hjartdal":1,"hjelmeland":1,"hobol":1,"xn--hobl-ira":1,"hof":1,"hol":1,"hole":1,"holmestrand":1,"holtalen":1,"xn--holtlen-hxa":1,"hordaland":{"os":1},"hornindal":1,"horten":1,"hoyanger":1,"xn--hyanger-q1a":1,"hoylandet":1,"xn--hylandet-54a":1,"hurdal":1,"hurum":1,"hvaler":1,"hyllestad":1,"ibestad":1,"inderoy":1,"xn--indery-fya":1,"iveland":1,"ivgu":1,"jevnaker":1,"jolster":1,"xn--jlster-bya":1,"jondal":1,"kafjord":1,"xn--kfjord-iua":1,"karasjohka":1,"xn--krjohka-hwab49j":1,"karasjok":1,"karlsoy":1,"karmoy":1,"xn--karmy-yua":1,"kautokeino":1,"klabu":1,"xn--klbu-woa":1,"klepp":1,"kongsberg":1,"kongsvinger":1,"kraanghke":1,"xn--kranghke-b0a":1,"kragero":1,"xn--krager-gya":1,"kristiansand":1,"kristiansund":1,"krodsherad":1,"xn--krdsherad-m8a":1,"xn--kvfjord-nxa":1,"xn--kvnangen-k0a":1,"kvafjord":1,"kvalsund":1,"kvam":1,"kvanangen":1,"kvinesdal":1,"kvinnherad":1,"kviteseid":1,"kvitsoy":1,"xn--kvitsy-fya":1,"laakesvuemie":1,"xn--lrdal-sra":1,"lahppi":1,"xn--lhppi-xqa":1,"lardal":1,"larvik":1,"lavagis":1,"lavangen":1,"leangaviika":1,"xn--leagaviika-52b":1,"lebesby":1,"leikanger":1,"leirfjord":1,"leka":1,"leksvik":1,"lenvik":1,"lerdal":1,"lesja":1,"levanger":1,"lier":1,"lierne":1,"lillehammer":1,"lillesand":1,"lindas":1,"xn--linds-pra":1,"lindesnes":1,"loabat":1,"xn--loabt-0qa":1,"lodingen":1,"xn--ldingen-q1a":1,"lom":1,"loppa":1,"lorenskog":1,"xn--lrenskog-54a":1,"loten":1,"xn--lten-gra":1,"lund":1,"lunner":1,"luroy":1,"xn--lury-ira":1,"luster":1,"lyngdal":1,"lyngen":1,"malatvuopmi":1,"xn--mlatvuopmi-s4a":1,"malselv":1,"xn--mlselv-iua":1,"malvik":1,"mandal":1,"marker":1,"marnardal":1,"masfjorden":1,"masoy":1,"xn--msy-ula0h":1,"matta-varjjat":1,"xn--mtta-vrjjat-k7af":1,"meland":1,"meldal":1,"melhus":1,"meloy":1,"xn--mely-ira":1,"meraker":1,"xn--merker-kua":1,"midsund":1,"midtre-gauldal":1,"moareke":1,"xn--moreke-jua":1,"modalen":1,"modum":1,"molde":1,"more-og-romsdal":{"heroy":1,"sande":1},"xn--mre-og-romsdal-qqb":{"xn--hery-ira":1,"sande":1},"moskenes":1,"moss":1,"mosvik":1,"muosat":1,"xn--muost-0qa":1,"naamesjevuemie":1,"xn--nmesjevuemie-tcba":1,"xn--nry-yla5g":1,"namdalseid":1,"namsos":1,"namsskogan":1,"nannestad":1,"naroy":1,"narviika":1,"narvik":1,"naustdal":1,"navuotna":1,"xn--nvuotna-hwa":1,"nedre-eiker":1,"nesna":1,"nesodden":1,"nesseby":1,"nesset":1,"nissedal":1,"nittedal":1,"nord-aurdal":1,"nord-fron":1,"nord-odal":1,"norddal":1,"nordkapp":1,"nordland":{"bo":1,"xn--b-5ga":1,"heroy":1,"xn--hery-ira":1},"nordre-land":1,"nordreisa":1,"nore-og-uvdal":1,"notodden":1,"notteroy":1,"xn--nttery-byae":1,"odda":1,"oksnes":1,"xn--ksnes-uua":1,"omasvuotna":1,"oppdal":1,"oppegard":1,"xn--oppegrd-ixa":1,"orkdal":1,"orland":1,"xn--rland-uua":1,"orskog":1,"xn--rskog-uua":1,"orsta":1,"xn--rsta-fra":1,"osen":1,"osteroy":1,"xn--ostery-fya":1,"ostfold":{"valer":1},"xn--stfold-9xa":{"xn--vler-qoa":1},"ostre-toten":1,"xn--stre-toten-zcb":1,"overhalla":1,"ovre-eiker":1,"xn--vre-eiker-k8a":1,"oyer":1,"xn--yer-zna":1,"oygarden":1,"xn--ygarden-p1a":1,"oystre-slidre":1,"xn--ystre-slidre-ujb":1,"porsanger":1,"porsangu":1,"xn--porsgu-sta26f":1,"porsgrunn":1,"rade":1,"xn--rde-ula":1,"radoy":1,"xn--rady-ira":1,"xn--rlingen-mxa":1,"rahkkeravju":1,"xn--rhkkervju-01af":1,"raisa":1,"xn--risa-5na":1,"rakkestad":1,"ralingen":1,"rana":1,"randaberg":1,"rauma":1,"rendalen":1,"rennebu":1,"rennesoy":1,"xn--rennesy-v1a":1,"rindal":1,"ringebu":1,"ringerike":1,"ringsaker":1,"risor":1,"xn--risr-ira":1,"rissa":1,"roan":1,"rodoy":1,"xn--rdy-0nab":1,"rollag":1,"romsa":1,"romskog":1,"xn--rmskog-bya":1,"roros":1,"xn--rros-gra":1,"rost":1,"xn--rst-0na":1,"royken":1,"xn--ryken-vua":1,"royrvik":1,"xn--ryrvik-bya":1,"ruovat":1,"rygge":1,"salangen":1,"salat":1,"xn--slat-5na":1,"xn--slt-elab":1,"saltdal":1,"samnanger":1,"sandefjord":1,"sandnes":1,"sandoy":1,"xn--sandy-yua":1,"sarpsborg":1,"sauda":1,"sauherad":1,"sel":1,"selbu":1,"selje":1,"seljord":1,"siellak":1,"sigdal":1,"siljan":1,"sirdal":1,"skanit":1,"xn--sknit-yqa":1,"skanland":1,"xn--sknland-fxa":1,"skaun":1,"skedsmo":1,"ski":1,"skien":1,"skierva":1,"xn--skierv-uta":1,"skiptvet":1,"skjak":1,"xn--skjk-soa":1,"skjervoy":1,"xn--skjervy-v1a":1,"skodje":1,"smola":1,"xn--smla-hra":1,"snaase":1,"xn--snase-nra":1,"snasa":1,"xn--snsa-roa":1,"snillfjord":1,"snoasa":1,"sogndal":1,"sogne":1,"xn--sgne-gra":1,"sokndal":1,"sola":1,"solund":1,"somna":1,"xn--smna-gra":1,"sondre-land":1,"xn--sndre-land-0cb":1,"songdalen":1,"sor-aurdal":1,"xn--sr-aurdal-l8a":1,"sor-fron":1,"xn--sr-fron-q1a":1,"sor-odal":1,"xn--sr-odal-q1a":1,"sor-varanger":1,"xn--sr-varanger-ggb":1,"sorfold":1,"xn--srfold-bya":1,"sorreisa":1,"xn--srreisa-q1a":1,"sortland":1,"sorum":1,"xn--srum-gra":1,"spydeberg":1,"stange":1,"stavanger":1,"steigen":1,"steinkjer":1,"stjordal":1,"xn--stjrdal-s1a":1,"stokke":1,"stor-elvdal":1,"stord":1,"stordal":1,"storfjord":1,"strand":1,"stranda":1,"stryn":1,"sula":1,"suldal":1,"sund":1,"sunndal":1,"surnadal":1,"sveio":1,"svelvik":1,"sykkylven":1,"tana":1,"telemark":{"bo":1,"xn--b-5ga":1},"time":1,"tingvoll":1,"tinn":1,"tjeldsund":1,"tjome":1,"xn--tjme-hra":1,"tokke":1,"tolga":1,"tonsberg":1,"xn--tnsberg-q1a":1,"torsken":1,"xn--trna-woa":1,"trana":1,"tranoy":1,"xn--trany-yua":1,"troandin":1,"trogstad":1,"xn--trgstad-r1a":1,"tromsa":1,"tromso":1,"xn--troms-zua":1,"trondheim":1,"trysil":1,"tvedestrand":1,"tydal":1,"tynset":1,"tysfjord":1,"tysnes":1,"xn--tysvr-vra":1,"tysvar":1,"ullensaker":1,"ullensvang":1,"ulvik":1,"unjarga":1,"xn--unjrga-rta":1,"utsira":1,"vaapste":1,"vadso":1,"xn--vads-jra":1,"xn--vry-yla5g":1,"vaga":1,"xn--vg-yiab":1,"vagan":1,"xn--vgan-qoa":1,"vagsoy":1,"xn--vgsy-qoa0j":1,"vaksdal":1,"valle":1,"vang":1,"vanylven":1,"vardo":1,"xn--vard-jra":1,"varggat":1,"xn--vrggt-xqad":1,"varoy":1,"vefsn":1,"vega":1,"vegarshei":1,"xn--vegrshei-c0a":1,"vennesla":1,"verdal":1,"verran":1,"vestby":1,"vestfold":{"sande":1},"vestnes":1,"vestre-slidre":1,"vestre-toten":1,"vestvagoy":1,"xn--vestvgy-ixa6o":1,"vevelstad":1,"vik":1,"vikna":1,"vindafjord":1,"voagat":1,"volda":1,"voss":1,"co":2,"blogspot":2,"123hjemmeside":2,"myspreadshop":2},"np":{"*":1},"nr":{"$":1,"biz":1,"com":1,"edu":1,"gov":1,"info":1,"net":1,"org":1},"nu":{"$":1,"merseine":2,"mine":2,"shacknet":2,"enterprisecloud":2},"nz":{"$":1,"ac":1,"co":{"$":1,"blogspot":2},"cri":1,"geek":1,"gen":1,"govt":1,"health":1,"iwi":1,"kiwi":1,"maori":1,"xn--mori-qsa":1,"mil":1,"net":1,"org":1,"parliament":1,"school":1,"cloudns":2},"om":{"$":1,"co":1,"com":1,"edu":1,"gov":1,"med":1,"museum":1,"net":1,"org":1,"pro":1},"onion":1,"org":{"$":1,"altervista":2,"pimienta":2,"poivron":2,"potager":2,"sweetpepper":2,"cdn77":{"c":2,"rsc":2},"cdn77-secure":{"origin":{"ssl":2}},"ae":2,"cloudns":2,"ip-dynamic":2,"ddnss":2,"duckdns":2,"tunk":2,"blogdns":2,"blogsite":2,"boldlygoingnowhere":2,"dnsalias":2,"dnsdojo":2,"doesntexist":2,"dontexist":2,"doomdns":2,"dvrdns":2,"dynalias":2,"dyndns":{"$":2,"go":2,"home":2},"endofinternet":2,"endoftheinternet":2,"from-me":2,"game-host":2,"gotdns":2,"hobby-site":2,"homedns":2,"homeftp":2,"homelinux":2,"homeunix":2,"is-a-bruinsfan":2,"is-a-candidate":2,"is-a-celticsfan":2,"is-a-chef":2,"is-a-geek":2,"is-a-knight":2,"is-a-linux-user":2,"is-a-patsfan":2,"is-a-soxfan":2,"is-found":2,"is-lost":2,"is-saved":2,"is-very-bad":2,"is-very-evil":2,"is-very-good":2,"is-very-nice":2,"is-very-sweet":2,"isa-geek":2,"kicks-ass":2,"misconfused":2,"podzone":2,"readmyblog":2,"selfip":2,"sellsyourhome":2,"servebbs":2,"serveftp":2,"servegame":2,"stuff-4-sale":2,"webhop":2,"accesscam":2,"camdvr":2,"freeddns":2,"mywire":2,"webredirect":2,"twmail":2,"eu":{"$":2,"al":2,"asso":2,"at":2,"au":2,"be":2,"bg":2,"ca":2,"cd":2,"ch":2,"cn":2,"cy":2,"cz":2,"de":2,"dk":2,"edu":2,"ee":2,"es":2,"fi":2,"fr":2,"gr":2,"hr":2,"hu":2,"ie":2,"il":2,"in":2,"int":2,"is":2,"it":2,"jp":2,"kr":2,"lt":2,"lu":2,"lv":2,"me":2,"mk":2,"mt":2,"my":2,"net":2,"ng":2,"nl":2,"no":2,"nz":2,"pl":2,"pt":2,"ro":2,"ru":2,"se":2,"si":2,"sk":2,"tr":2,"uk":2,"us":2},"fedorainfracloud":2,"fedorapeople":2,"fedoraproject":{"cloud":2,"os":{"app":2},"stg":{"os":{"app":2}}},"freedesktop":2,"hatenadiary":2,"hepforge":2,"in-dsl":2,"in-vpn":2,"js":2,"barsy":2,"mayfirst":2,"routingthecloud":2,"bmoattachments":2,"cable-modem":2,"collegefan":2,"couchpotatofries":2,"hopto":2,"mlbfan":2,"myftp":2,"mysecuritycamera":2,"nflfan":2,"no-ip":2,"read-books":2,"ufcfan":2,"zapto":2,"dynserv":2,"now-dns":2,"is-local":2,"httpbin":2,"pubtls":2,"jpn":2,"my-firewall":2,"myfirewall":2,"spdns":2,"small-web":2,"dsmynas":2,"familyds":2,"teckids":{"s3":2},"tuxfamily":2,"diskstation":2,"hk":2,"us":2,"toolforge":2,"wmcloud":2,"wmflabs":2,"za":2},"pa":{"$":1,"abo":1,"ac":1,"com":1,"edu":1,"gob":1,"ing":1,"med":1,"net":1,"nom":1,"org":1,"sld":1},"pe":{"$":1,"com":1,"edu":1,"gob":1,"mil":1,"net":1,"nom":1,"org":1,"blogspot":2},"pf":{"$":1,"com":1,"edu":1,"org":1},"pg":{"*":1},"ph":{"$":1,"com":1,"edu":1,"gov":1,"i":1,"mil":1,"net":1,"ngo":1,"org":1,"cloudns":2},"pk":{"$":1,"ac":1,"biz":1,"com":1,"edu":1,"fam":1,"gkp":1,"gob":1,"gog":1,"gok":1,"gon":1,"gop":1,"gos":1,"gov":1,"net":1,"org":1,"web":1},"pl":{"$":1,"com":1,"net":1,"org":1,"agro":1,"aid":1,"atm":1,"auto":1,"biz":1,"edu":1,"gmina":1,"gsm":1,"info":1,"mail":1,"media":1,"miasta":1,"mil":1,"nieruchomosci":1,"nom":1,"pc":1,"powiat":1,"priv":1,"realestate":1,"rel":1,"sex":1,"shop":1,"sklep":1,"sos":1,"szkola":1,"targi":1,"tm":1,"tourism":1,"travel":1,"turystyka":1,"gov":{"$":1,"ap":1,"griw":1,"ic":1,"is":1,"kmpsp":1,"konsulat":1,"kppsp":1,"kwp":1,"kwpsp":1,"mup":1,"mw":1,"oia":1,"oirm":1,"oke":1,"oow":1,"oschr":1,"oum":1,"pa":1,"pinb":1,"piw":1,"po":1,"pr":1,"psp":1,"psse":1,"pup":1,"rzgw":1,"sa":1,"sdn":1,"sko":1,"so":1,"sr":1,"starostwo":1,"ug":1,"ugim":1,"um":1,"umig":1,"upow":1,"uppo":1,"us":1,"uw":1,"uzs":1,"wif":1,"wiih":1,"winb":1,"wios":1,"witd":1,"wiw":1,"wkz":1,"wsa":1,"wskr":1,"wsse":1,"wuoz":1,"wzmiuw":1,"zp":1,"zpisdn":1},"augustow":1,"babia-gora":1,"bedzin":1,"beskidy":1,"bialowieza":1,"bialystok":1,"bielawa":1,"bieszczady":1,"boleslawiec":1,"bydgoszcz":1,"bytom":1,"cieszyn":1,"czeladz":1,"czest":1,"dlugoleka":1,"elblag":1,"elk":1,"glogow":1,"gniezno":1,"gorlice":1,"grajewo":1,"ilawa":1,"jaworzno":1,"jelenia-gora":1,"jgora":1,"kalisz":1,"karpacz":1,"kartuzy":1,"kaszuby":1,"katowice":1,"kazimierz-dolny":1,"kepno":1,"ketrzyn":1,"klodzko":1,"kobierzyce":1,"kolobrzeg":1,"konin":1,"konskowola":1,"kutno":1,"lapy":1,"lebork":1,"legnica":1,"lezajsk":1,"limanowa":1,"lomza":1,"lowicz":1,"lubin":1,"lukow":1,"malbork":1,"malopolska":1,"mazowsze":1,"mazury":1,"mielec":1,"mielno":1,"mragowo":1,"naklo":1,"nowaruda":1,"nysa":1,"olawa":1,"olecko":1,"olkusz":1,"olsztyn":1,"opoczno":1,"opole":1,"ostroda":1,"ostroleka":1,"ostrowiec":1,"ostrowwlkp":1,"pila":1,"pisz":1,"podhale":1,"podlasie":1,"polkowice":1,"pomorskie":1,"pomorze":1,"prochowice":1,"pruszkow":1,"przeworsk":1,"pulawy":1,"radom":1,"rawa-maz":1,"rybnik":1,"rzeszow":1,"sanok":1,"sejny":1,"skoczow":1,"slask":1,"slupsk":1,"sosnowiec":1,"stalowa-wola":1,"starachowice":1,"stargard":1,"suwalki":1,"swidnica":1,"swiebodzin":1,"swinoujscie":1,"szczecin":1,"szczytno":1,"tarnobrzeg":1,"tgory":1,"turek":1,"tychy":1,"ustka":1,"walbrzych":1,"warmia":1,"warszawa":1,"waw":1,"wegrow":1,"wielun":1,"wlocl":1,"wloclawek":1,"wodzislaw":1,"wolomin":1,"wroclaw":1,"zachpomor":1,"zagan":1,"zarow":1,"zgora":1,"zgorzelec":1,"art":2,"gliwice":2,"krakow":2,"poznan":2,"wroc":2,"zakopane":2,"beep":2,"ecommerce-shop":2,"cfolks":2,"dfirma":2,"dkonto":2,"you2":2,"shoparena":2,"homesklep":2,"sdscloud":2,"unicloud":2,"lodz":2,"pabianice":2,"plock":2,"sieradz":2,"skierniewice":2,"zgierz":2,"krasnik":2,"leczna":2,"lubartow":2,"lublin":2,"poniatowa":2,"swidnik":2,"co":2,"torun":2,"simplesite":2,"myspreadshop":2,"gda":2,"gdansk":2,"gdynia":2,"med":2,"sopot":2,"bielsko":2},"pm":{"$":1,"own":2,"name":2},"pn":{"$":1,"co":1,"edu":1,"gov":1,"net":1,"org":1},"post":1,"pr":{"$":1,"biz":1,"com":1,"edu":1,"gov":1,"info":1,"isla":1,"name":1,"net":1,"org":1,"pro":1,"ac":1,"est":1,"prof":1},"pro":{"$":1,"aaa":1,"aca":1,"acct":1,"avocat":1,"bar":1,"cpa":1,"eng":1,"jur":1,"law":1,"med":1,"recht":1,"12chars":2,"cloudns":2,"barsy":2,"ngrok":2},"ps":{"$":1,"com":1,"edu":1,"gov":1,"net":1,"org":1,"plo":1,"sec":1},"pt":{"$":1,"com":1,"edu":1,"gov":1,"int":1,"net":1,"nome":1,"org":1,"publ":1,"blogspot":2,"123paginaweb":2},"pw":{"$":1,"belau":1,"co":1,"ed":1,"go":1,"or":1,"cloudns":2,"x443":2},"py":{"$":1,"com":1,"coop":1,"edu":1,"gov":1,"mil":1,"net":1,"org":1},"qa":{"$":1,"com":1,"edu":1,"gov":1,"mil":1,"name":1,"net":1,"org":1,"sch":1,"blogspot":2},"re":{"$":1,"asso":1,"com":1,"blogspot":2,"can":2},"ro":{"$":1,"arts":1,"com":1,"firm":1,"info":1,"nom":1,"nt":1,"org":1,"rec":1,"store":1,"tm":1,"www":1,"co":2,"shop":2,"blogspot":2,"barsy":2},"rs":{"$":1,"ac":1,"co":1,"edu":1,"gov":1,"in":1,"org":1,"brendly":{"shop":2},"blogspot":2,"ua":2,"barsy":2,"ox":2},"ru":{"$":1,"ac":2,"edu":2,"gov":2,"int":2,"mil":2,"test":2,"eurodir":2,"adygeya":2,"bashkiria":2,"bir":2,"cbg":2,"com":2,"dagestan":2,"grozny":2,"kalmykia":2,"kustanai":2,"marine":2,"mordovia":2,"msk":2,"mytis":2,"nalchik":2,"nov":2,"pyatigorsk":2,"spb":2,"vladikavkaz":2,"vladimir":2,"blogspot":2,"na4u":2,"mircloud":2,"myjino":{"$":2,"hosting":{"*":2},"landing":{"*":2},"spectrum":{"*":2},"vps":{"*":2}},"cldmail":{"hb":2},"mcdir":{"$":2,"vps":2},"mcpre":2,"net":2,"org":2,"pp":2,"lk3":2,"ras":2},"rw":{"$":1,"ac":1,"co":1,"coop":1,"gov":1,"mil":1,"net":1,"org":1},"sa":{"$":1,"com":1,"edu":1,"gov":1,"med":1,"net":1,"org":1,"pub":1,"sch":1},"sb":{"$":1,"com":1,"edu":1,"gov":1,"net":1,"org":1},"sc":{"$":1,"com":1,"edu":1,"gov":1,"net":1,"org":1},"sd":{"$":1,"com":1,"edu":1,"gov":1,"info":1,"med":1,"net":1,"org":1,"tv":1},"se":{"$":1,"a":1,"ac":1,"b":1,"bd":1,"brand":1,"c":1,"d":1,"e":1,"f":1,"fh":1,"fhsk":1,"fhv":1,"g":1,"h":1,"i":1,"k":1,"komforb":1,"kommunalforbund":1,"komvux":1,"l":1,"lanbib":1,"m":1,"n":1,"naturbruksgymn":1,"o":1,"org":1,"p":1,"parti":1,"pp":1,"press":1,"r":1,"s":1,"t":1,"tm":1,"u":1,"w":1,"x":1,"y":1,"z":1,"com":2,"blogspot":2,"conf":2,"iopsys":2,"123minsida":2,"itcouldbewor":2,"myspreadshop":2},"sg":{"$":1,"com":1,"edu":1,"gov":1,"net":1,"org":1,"blogspot":2,"enscaled":2},"sh":{"$":1,"com":1,"gov":1,"mil":1,"net":1,"org":1,"hashbang":2,"platform":{"ent":2,"eu":2,"us":2},"now":2},"si":{"$":1,"f5":2,"gitapp":2,"gitpage":2,"blogspot":2},"sj":1,"sk":{"$":1,"blogspot":2},"sl":{"$":1,"com":1,"edu":1,"gov":1,"net":1,"org":1},"sm":1,"sn":{"$":1,"art":1,"com":1,"edu":1,"gouv":1,"org":1,"perso":1,"univ":1,"blogspot":2},"so":{"$":1,"com":1,"edu":1,"gov":1,"me":1,"net":1,"org":1,"surveys":2},"sr":1,"ss":{"$":1,"biz":1,"co":1,"com":1,"edu":1,"gov":1,"me":1,"net":1,"org":1,"sch":1},"st":{"$":1,"co":1,"com":1,"consulado":1,"edu":1,"embaixada":1,"mil":1,"net":1,"org":1,"principe":1,"saotome":1,"store":1,"helioho":2,"kirara":2,"noho":2},"su":{"$":1,"abkhazia":2,"adygeya":2,"aktyubinsk":2,"arkhangelsk":2,"armenia":2,"ashgabad":2,"azerbaijan":2,"balashov":2,"bashkiria":2,"bryansk":2,"bukhara":2,"chimkent":2,"dagestan":2,"east-kazakhstan":2,"exnet":2,"georgia":2,"grozny":2,"ivanovo":2,"jambyl":2,"kalmykia":2,"kaluga":2,"karacol":2,"karaganda":2,"karelia":2,"khakassia":2,"krasnodar":2,"kurgan":2,"kustanai":2,"lenug":2,"mangyshlak":2,"mordovia":2,"msk":2,"murmansk":2,"nalchik":2,"navoi":2,"north-kazakhstan":2,"nov":2,"obninsk":2,"penza":2,"pokrovsk":2,"sochi":2,"spb":2,"tashkent":2,"termez":2,"togliatti":2,"troitsk":2,"tselinograd":2,"tula":2,"tuva":2,"vladikavkaz":2,"vladimir":2,"vologda":2},"sv":{"$":1,"com":1,"edu":1,"gob":1,"org":1,"red":1},"sx":{"$":1,"gov":1},"sy":{"$":1,"com":1,"edu":1,"gov":1,"mil":1,"net":1,"org":1},"sz":{"$":1,"ac":1,"co":1,"org":1},"tc":1,"td":{"$":1,"blogspot":2},"tel":1,"tf":{"$":1,"sch":2},"tg":1,"th":{"$":1,"ac":1,"co":1,"go":1,"in":1,"mi":1,"net":1,"or":1,"online":2,"shop":2},"tj":{"$":1,"ac":1,"biz":1,"co":1,"com":1,"edu":1,"go":1,"gov":1,"int":1,"mil":1,"name":1,"net":1,"nic":1,"org":1,"test":1,"web":1},"tk":1,"tl":{"$":1,"gov":1},"tm":{"$":1,"co":1,"com":1,"edu":1,"gov":1,"mil":1,"net":1,"nom":1,"org":1},"tn":{"$":1,"com":1,"ens":1,"fin":1,"gov":1,"ind":1,"info":1,"intl":1,"mincom":1,"nat":1,"net":1,"org":1,"perso":1,"tourism":1,"orangecloud":2},"to":{"99":{"2":{"0":{"0":2}}},"$":1,"com":1,"edu":1,"gov":1,"mil":1,"net":1,"org":1,"oya":2,"x0":2,"quickconnect":{"direct":2},"vpnplus":2},"tr":{"$":1,"av":1,"bbs":1,"bel":1,"biz":1,"com":{"$":1,"blogspot":2},"dr":1,"edu":1,"gen":1,"gov":1,"info":1,"k12":1,"kep":1,"mil":1,"name":1,"net":1,"org":1,"pol":1,"tel":1,"tsk":1,"tv":1,"web":1,"nc":{"$":1,"gov":1}},"tt":{"$":1,"biz":1,"co":1,"com":1,"edu":1,"gov":1,"info":1,"mil":1,"name":1,"net":1,"org":1,"pro":1},"tv":{"$":1,"better-than":2,"dyndns":2,"on-the-web":2,"worse-than":2,"from":2,"sakura":2},"tw":{"$":1,"club":1,"com":{"$":1,"mymailer":2},"ebiz":1,"edu":1,"game":1,"gov":1,"idv":1,"mil":1,"net":1,"org":1,"url":2,"mydns":2,"blogspot":2},"tz":{"$":1,"ac":1,"co":1,"go":1,"hotel":1,"info":1,"me":1,"mil":1,"mobi":1,"ne":1,"or":1,"sc":1,"tv":1},"ua":{"$":1,"com":1,"edu":1,"gov":1,"in":1,"net":1,"org":1,"cherkassy":1,"cherkasy":1,"chernigov":1,"chernihiv":1,"chernivtsi":1,"chernovtsy":1,"ck":1,"cn":1,"cr":1,"crimea":1,"cv":1,"dn":1,"dnepropetrovsk":1,"dnipropetrovsk":1,"donetsk":1,"dp":1,"if":1,"ivano-frankivsk":1,"kh":1,"kharkiv":1,"kharkov":1,"kherson":1,"khmelnitskiy":1,"khmelnytskyi":1,"kiev":1,"kirovograd":1,"km":1,"kr":1,"kropyvnytskyi":1,"krym":1,"ks":1,"kv":1,"kyiv":1,"lg":1,"lt":1,"lugansk":1,"luhansk":1,"lutsk":1,"lv":1,"lviv":1,"mk":1,"mykolaiv":1,"nikolaev":1,"od":1,"odesa":1,"odessa":1,"pl":1,"poltava":1,"rivne":1,"rovno":1,"rv":1,"sb":1,"sebastopol":1,"sevastopol":1,"sm":1,"sumy":1,"te":1,"ternopil":1,"uz":1,"uzhgorod":1,"uzhhorod":1,"vinnica":1,"vinnytsia":1,"vn":1,"volyn":1,"yalta":1,"zakarpattia":1,"zaporizhzhe":1,"zaporizhzhia":1,"zhitomir":1,"zhytomyr":1,"zp":1,"zt":1,"cc":2,"inf":2,"ltd":2,"cx":2,"ie":2,"biz":2,"co":2,"pp":2,"v":2},"ug":{"$":1,"ac":1,"co":1,"com":1,"go":1,"ne":1,"or":1,"org":1,"sc":1,"blogspot":2},"uk":{"$":1,"ac":1,"co":{"$":1,"bytemark":{"dh":2,"vm":2},"blogspot":2,"layershift":{"j":2},"barsy":2,"barsyonline":2,"retrosnub":{"cust":2},"nh-serv":2,"no-ip":2,"adimo":2,"myspreadshop":2},"gov":{"$":1,"api":2,"campaign":2,"service":2},"ltd":1,"me":1,"net":1,"nhs":1,"org":{"$":1,"glug":2,"lug":2,"lugs":2,"affinitylottery":2,"raffleentry":2,"weeklylottery":2},"plc":1,"police":1,"sch":{"*":1},"conn":2,"copro":2,"hosp":2,"independent-commission":2,"independent-inquest":2,"independent-inquiry":2,"independent-panel":2,"independent-review":2,"public-inquiry":2,"royal-commission":2,"pymnt":2,"barsy":2,"nimsite":2,"oraclegovcloudapps":{"*":2}},"us":{"$":1,"dni":1,"fed":1,"isa":1,"kids":1,"nsn":1,"ak":{"$":1,"k12":1,"cc":1,"lib":1},"al":{"$":1,"k12":1,"cc":1,"lib":1},"ar":{"$":1,"k12":1,"cc":1,"lib":1},"as":{"$":1,"k12":1,"cc":1,"lib":1},"az":{"$":1,"k12":1,"cc":1,"lib":1},"ca":{"$":1,"k12":1,"cc":1,"lib":1},"co":{"$":1,"k12":1,"cc":1,"lib":1},"ct":{"$":1,"k12":1,"cc":1,"lib":1},"dc":{"$":1,"k12":1,"cc":1,"lib":1},"de":{"$":1,"cc":1,"lib":2},"fl":{"$":1,"k12":1,"cc":1,"lib":1},"ga":{"$":1,"k12":1,"cc":1,"lib":1},"gu":{"$":1,"k12":1,"cc":1,"lib":1},"hi":{"$":1,"cc":1,"lib":1},"ia":{"$":1,"k12":1,"cc":1,"lib":1},"id":{"$":1,"k12":1,"cc":1,"lib":1},"il":{"$":1,"k12":1,"cc":1,"lib":1},"in":{"$":1,"k12":1,"cc":1,"lib":1},"ks":{"$":1,"k12":1,"cc":1,"lib":1},"ky":{"$":1,"k12":1,"cc":1,"lib":1},"la":{"$":1,"k12":1,"cc":1,"lib":1},"ma":{"$":1,"k12":{"$":1,"chtr":1,"paroch":1,"pvt":1},"cc":1,"lib":1},"md":{"$":1,"k12":1,"cc":1,"lib":1},"me":{"$":1,"k12":1,"cc":1,"lib":1},"mi":{"$":1,"k12":1,"cc":1,"lib":1,"ann-arbor":1,"cog":1,"dst":1,"eaton":1,"gen":1,"mus":1,"tec":1,"washtenaw":1},"mn":{"$":1,"k12":1,"cc":1,"lib":1},"mo":{"$":1,"k12":1,"cc":1,"lib":1},"ms":{"$":1,"k12":1,"cc":1,"lib":1},"mt":{"$":1,"k12":1,"cc":1,"lib":1},"nc":{"$":1,"k12":1,"cc":1,"lib":1},"nd":{"$":1,"cc":1,"lib":1},"ne":{"$":1,"k12":1,"cc":1,"lib":1},"nh":{"$":1,"k12":1,"cc":1,"lib":1},"nj":{"$":1,"k12":1,"cc":1,"lib":1},"nm":{"$":1,"k12":1,"cc":1,"lib":1},"nv":{"$":1,"k12":1,"cc":1,"lib":1},"ny":{"$":1,"k12":1,"cc":1,"lib":1},"oh":{"$":1,"k12":1,"cc":1,"lib":1},"ok":{"$":1,"k12":1,"cc":1,"lib":1},"or":{"$":1,"k12":1,"cc":1,"lib":1},"pa":{"$":1,"k12":1,"cc":1,"lib":1},"pr":{"$":1,"k12":1,"cc":1,"lib":1},"ri":{"$":1,"cc":1,"lib":1},"sc":{"$":1,"k12":1,"cc":1,"lib":1},"sd":{"$":1,"cc":1,"lib":1},"tn":{"$":1,"k12":1,"cc":1,"lib":1},"tx":{"$":1,"k12":1,"cc":1,"lib":1},"ut":{"$":1,"k12":1,"cc":1,"lib":1},"va":{"$":1,"k12":1,"cc":1,"lib":1},"vi":{"$":1,"k12":1,"cc":1,"lib":1},"vt":{"$":1,"k12":1,"cc":1,"lib":1},"wa":{"$":1,"k12":1,"cc":1,"lib":1},"wi":{"$":1,"k12":1,"cc":1,"lib":1},"wv":{"$":1,"cc":1},"wy":{"$":1,"cc":1,"k12":1,"lib":1},"cloudns":2,"drud":2,"is-by":2,"land-4-sale":2,"stuff-4-sale":2,"heliohost":2,"enscaled":{"phx":2},"mircloud":2,"ngo":2,"golffan":2,"noip":2,"pointto":2,"freeddns":2,"srv":{"$":2,"gh":2,"gl":2},"platterp":2,"servername":2},"uy":{"$":1,"com":{"$":1,"blogspot":2},"edu":1,"gub":1,"mil":1,"net":1,"org":1},"uz":{"$":1,"co":1,"com":1,"net":1,"org":1},"va":1,"vc":{"$":1,"com":1,"edu":1,"gov":1,"mil":1,"net":1,"org":1,"gv":{"$":2,"d":2},"0e":2,"mydns":2},"ve":{"$":1,"arts":1,"bib":1,"co":1,"com":1,"e12":1,"edu":1,"firm":1,"gob":1,"gov":1,"info":1,"int":1,"mil":1,"net":1,"nom":1,"org":1,"rar":1,"rec":1,"store":1,"tec":1,"web":1},"vg":1,"vi":{"$":1,"co":1,"com":1,"k12":1,"net":1,"org":1},"vn":{"$":1,"ac":1,"ai":1,"biz":1,"com":1,"edu":1,"gov":1,"health":1,"id":1,"info":1,"int":1,"io":1,"name":1,"net":1,"org":1,"pro":1,"angiang":1,"bacgiang":1,"backan":1,"baclieu":1,"bacninh":1,"baria-vungtau":1,"bentre":1,"binhdinh":1,"binhduong":1,"binhphuoc":1,"binhthuan":1,"camau":1,"cantho":1,"caobang":1,"daklak":1,"daknong":1,"danang":1,"dienbien":1,"dongnai":1,"dongthap":1,"gialai":1,"hagiang":1,"haiduong":1,"haiphong":1,"hanam":1,"hanoi":1,"hatinh":1,"haugiang":1,"hoabinh":1,"hungyen":1,"khanhhoa":1,"kiengiang":1,"kontum":1,"laichau":1,"lamdong":1,"langson":1,"laocai":1,"longan":1,"namdinh":1,"nghean":1,"ninhbinh":1,"ninhthuan":1,"phutho":1,"phuyen":1,"quangbinh":1,"quangnam":1,"quangngai":1,"quangninh":1,"quangtri":1,"soctrang":1,"sonla":1,"tayninh":1,"thaibinh":1,"thainguyen":1,"thanhhoa":1,"thanhphohochiminh":1,"thuathienhue":1,"tiengiang":1,"travinh":1,"tuyenquang":1,"vinhlong":1,"vinhphuc":1,"yenbai":1,"blogspot":2},"vu":{"$":1,"com":1,"edu":1,"net":1,"org":1},"wf":{"$":1,"biz":2,"sch":2},"ws":{"$":1,"com":1,"edu":1,"gov":1,"net":1,"org":1,"advisor":{"*":2},"cloud66":2,"dyndns":2,"mypets":2},"yt":{"$":1,"org":2},"xn--mgbaam7a8h":1,"xn--y9a3aq":1,"xn--54b7fta0cc":1,"xn--90ae":1,"xn--mgbcpq6gpa1a":1,"xn--90ais":1,"xn--fiqs8s":1,"xn--fiqz9s":1,"xn--lgbbat1ad8j":1,"xn--wgbh1c":1,"xn--e1a4c":1,"xn--qxa6a":1,"xn--mgbah1a3hjkrd":1,"xn--node":1,"xn--qxam":1,"xn--j6w193g":{"$":1,"xn--gmqw5a":1,"xn--55qx5d":1,"xn--mxtq1m":1,"xn--wcvs22d":1,"xn--uc0atv":1,"xn--od0alg":1},"xn--2scrj9c":1,"xn--3hcrj9c":1,"xn--45br5cyl":1,"xn--h2breg3eve":1,"xn--h2brj9c8c":1,"xn--mgbgu82a":1,"xn--rvc1e0am3e":1,"xn--h2brj9c":1,"xn--mgbbh1a":1,"xn--mgbbh1a71e":1,"xn--fpcrj9c3d":1,"xn--gecrj9c":1,"xn--s9brj9c":1,"xn--45brj9c":1,"xn--xkc2dl3a5ee0h":1,"xn--mgba3a4f16a":1,"xn--mgba3a4fra":1,"xn--mgbtx2b":1,"xn--mgbayh7gpa":1,"xn--3e0b707e":1,"xn--80ao21a":1,"xn--q7ce6a":1,"xn--fzc2c9e2c":1,"xn--xkc2al3hye2a":1,"xn--mgbc0a9azcg":1,"xn--d1alf":1,"xn--l1acc":1,"xn--mix891f":1,"xn--mix082f":1,"xn--mgbx4cd0ab":1,"xn--mgb9awbf":1,"xn--mgbai9azgqp6j":1,"xn--mgbai9a5eva00b":1,"xn--ygbi2ammx":1,"xn--90a3ac":{"$":1,"xn--80au":1,"xn--90azh":1,"xn--d1at":1,"xn--c1avg":1,"xn--o1ac":1,"xn--o1ach":1},"xn--p1ai":1,"xn--wgbl6a":1,"xn--mgberp4a5d4ar":1,"xn--mgberp4a5d4a87g":1,"xn--mgbqly7c0a67fbc":1,"xn--mgbqly7cvafr":1,"xn--mgbpl2fh":1,"xn--yfro4i67o":1,"xn--clchc0ea0b2g2a9gcd":1,"xn--ogbpf8fl":1,"xn--mgbtf8fl":1,"xn--o3cw4h":{"$":1,"xn--o3cyx2a":1,"xn--12co0c3b4eva":1,"xn--m3ch0j3a":1,"xn--h3cuzk1di":1,"xn--12c1fe0br":1,"xn--12cfi8ixb8l":1},"xn--pgbs0dh":1,"xn--kpry57d":1,"xn--kprw13d":1,"xn--nnx388a":1,"xn--j1amh":1,"xn--mgb2ddes":1,"xxx":1,"ye":{"$":1,"com":1,"edu":1,"gov":1,"mil":1,"net":1,"org":1},"za":{"ac":1,"agric":1,"alt":1,"co":{"$":1,"blogspot":2},"edu":1,"gov":1,"grondar":1,"law":1,"mil":1,"net":1,"ngo":1,"nic":1,"nis":1,"nom":1,"org":1,"school":1,"tm":1,"web":1},"zm":{"$":1,"ac":1,"biz":1,"co":1,"com":1,"edu":1,"gov":1,"info":1,"mil":1,"net":1,"org":1,"sch":1},"zw":{"$":1,"ac":1,"co":1,"gov":1,"mil":1,"org":1},"aaa":1,"aarp":1,"abb":1,"abbott":1,"abbvie":1,"abc":1,"able":1,"abogado":1,"abudhabi":1,"academy":{"$":1,"official":2},"accenture":1,"accountant":1,"accountants":1,"aco":1,"actor":1,"ads":1,"adult":1,"aeg":1,"aetna":1,"afl":1,"africa":1,"agakhan":1,"agency":1,"aig":1,"airbus":1,"airforce":1,"airtel":1,"akdn":1,"alibaba":1,"alipay":1,"allfinanz":1,"allstate":1,"ally":1,"alsace":1,"alstom":1,"amazon":1,"americanexpress":1,"americanfamily":1,"amex":1,"amfam":1,"amica":1,"amsterdam":1,"analytics":1,"android":1,"anquan":1,"anz":1,"aol":1,"apartments":1,"app":{"$":1,"adaptable":2,"beget":{"*":2},"clerk":2,"clerkstage":2,"wnext":2,"csb":{"$":2,"preview":2},"platform0":2,"deta":2,"ondigitalocean":2,"easypanel":2,"encr":2,"evervault":{"relay":2},"expo":{"$":2,"staging":2},"edgecompute":2,"flutterflow":2,"framer":2,"hosted":{"*":2},"run":{"*":2},"web":2,"hasura":2,"loginline":2,"medusajs":2,"messerli":2,"netfy":2,"netlify":2,"ngrok":2,"ngrok-free":2,"developer":{"*":2},"noop":2,"northflank":{"*":2},"upsun":{"*":2},"replit":{"$":2,"id":2},"nyat":2,"snowflake":{"*":2,"privatelink":{"*":2}},"streamlit":2,"storipress":2,"telebit":2,"typedream":2,"vercel":2,"bookonline":2,"wdh":2,"zeabur":2},"apple":1,"aquarelle":1,"arab":1,"aramco":1,"archi":1,"army":1,"art":1,"arte":1,"asda":1,"associates":1,"athleta":1,"attorney":1,"auction":1,"audi":1,"audible":1,"audio":1,"auspost":1,"author":1,"auto":1,"autos":1,"aws":{"$":1,"sagemaker":{"ap-northeast-1":{"labeling":2,"notebook":2,"studio":2},"ap-northeast-2":{"labeling":2,"notebook":2,"studio":2},"ap-south-1":{"labeling":2,"notebook":2,"studio":2},"ap-southeast-1":{"labeling":2,"notebook":2,"studio":2},"ap-southeast-2":{"labeling":2,"notebook":2,"studio":2},"ca-central-1":{"labeling":2,"notebook":2,"notebook-fips":2,"studio":2},"eu-central-1":{"labeling":2,"notebook":2,"studio":2},"eu-west-1":{"labeling":2,"notebook":2,"studio":2},"eu-west-2":{"labeling":2,"notebook":2,"studio":2},"us-east-1":{"labeling":2,"notebook":2,"notebook-fips":2,"studio":2},"us-east-2":{"labeling":2,"notebook":2,"notebook-fips":2,"studio":2},"us-west-2":{"labeling":2,"notebook":2,"notebook-fips":2,"studio":2},"af-south-1":{"notebook":2,"studio":2},"ap-east-1":{"notebook":2,"studio":2},"ap-northeast-3":{"notebook":2,"studio":2},"ap-south-2":{"notebook":2},"ap-southeast-3":{"notebook":2,"studio":2},"ap-southeast-4":{"notebook":2},"ca-west-1":{"notebook":2,"notebook-fips":2},"eu-central-2":{"notebook":2},"eu-north-1":{"notebook":2,"studio":2},"eu-south-1":{"notebook":2,"studio":2},"eu-south-2":{"notebook":2,"studio":2},"eu-west-3":{"notebook":2,"studio":2},"il-central-1":{"notebook":2,"studio":2},"me-central-1":{"notebook":2,"studio":2},"me-south-1":{"notebook":2,"studio":2},"sa-east-1":{"notebook":2,"studio":2},"us-gov-east-1":{"notebook":2,"notebook-fips":2,"studio":2,"studio-fips":2},"us-gov-west-1":{"notebook":2,"notebook-fips":2,"studio":2,"studio-fips":2},"us-west-1":{"notebook":2,"notebook-fips":2,"studio":2},"experiments":{"*":2}},"repost":{"private":{"*":2}}},"axa":1,"azure":1,"baby":1,"baidu":1,"banamex":1,"band":1,"bank":1,"bar":1,"barcelona":1,"barclaycard":1,"barclays":1,"barefoot":1,"bargains":1,"baseball":1,"basketball":{"$":1,"aus":2,"nz":2},"bauhaus":1,"bayern":1,"bbc":1,"bbt":1,"bbva":1,"bcg":1,"bcn":1,"beats":1,"beauty":1,"beer":1,"bentley":1,"berlin":1,"best":1,"bestbuy":1,"bet":1,"bharti":1,"bible":1,"bid":1,"bike":1,"bing":1,"bingo":1,"bio":1,"black":1,"blackfriday":1,"blockbuster":1,"blog":1,"bloomberg":1,"blue":1,"bms":1,"bmw":1,"bnpparibas":1,"boats":1,"boehringer":1,"bofa":1,"bom":1,"bond":1,"boo":1,"book":1,"booking":1,"bosch":1,"bostik":1,"boston":1,"bot":1,"boutique":1,"box":1,"bradesco":1,"bridgestone":1,"broadway":1,"broker":1,"brother":1,"brussels":1,"build":{"$":1,"v0":2},"builders":{"$":1,"cloudsite":2},"business":{"$":1,"co":2},"buy":1,"buzz":1,"bzh":1,"cab":1,"cafe":1,"cal":1,"call":1,"calvinklein":1,"cam":1,"camera":1,"camp":{"$":1,"emf":{"at":2}},"canon":1,"capetown":1,"capital":1,"capitalone":1,"car":1,"caravan":1,"cards":1,"care":1,"career":1,"careers":1,"cars":1,"casa":{"$":1,"nabu":{"ui":2}},"case":1,"cash":1,"casino":1,"catering":1,"catholic":1,"cba":1,"cbn":1,"cbre":1,"center":1,"ceo":1,"cern":1,"cfa":1,"cfd":1,"chanel":1,"channel":1,"charity":1,"chase":1,"chat":1,"cheap":1,"chintai":1,"christmas":1,"chrome":1,"church":1,"cipriani":1,"circle":1,"cisco":1,"citadel":1,"citi":1,"citic":1,"city":1,"claims":1,"cleaning":1,"click":1,"clinic":1,"clinique":1,"clothing":1,"cloud":{"$":1,"elementor":2,"encoway":{"eu":2},"statics":{"*":2},"ravendb":2,"axarnet":{"es-1":2},"diadem":2,"jelastic":{"vip":2},"jele":2,"jenv-aruba":{"aruba":{"eur":{"it1":2}},"it1":2},"keliweb":{"$":2,"cs":2},"oxa":{"$":2,"tn":2,"uk":2},"primetel":{"$":2,"uk":2},"reclaim":{"ca":2,"uk":2,"us":2},"trendhosting":{"ch":2,"de":2},"jotelulu":2,"kuleuven":2,"linkyard":2,"magentosite":{"*":2},"matlab":2,"observablehq":2,"perspecta":2,"vapor":2,"on-rancher":{"*":2},"scw":{"baremetal":{"fr-par-1":2,"fr-par-2":2,"nl-ams-1":2},"fr-par":{"cockpit":2,"fnc":{"$":2,"functions":2},"k8s":{"$":2,"nodes":2},"s3":2,"s3-website":2,"whm":2},"instances":{"priv":2,"pub":2},"k8s":2,"nl-ams":{"cockpit":2,"k8s":{"$":2,"nodes":2},"s3":2,"s3-website":2,"whm":2},"pl-waw":{"cockpit":2,"k8s":{"$":2,"nodes":2},"s3":2,"s3-website":2},"scalebook":2,"smartlabeling":2},"servebolt":2,"onstackit":{"runs":2},"trafficplex":2,"unison-services":2,"urown":2,"voorloper":2,"zap":2},"club":{"$":1,"cloudns":2,"jele":2,"barsy":2},"clubmed":1,"coach":1,"codes":{"$":1,"owo":{"*":2}},"coffee":1,"college":1,"cologne":1,"commbank":1,"community":{"$":1,"nog":2,"ravendb":2,"myforum":2},"company":1,"compare":1,"computer":1,"comsec":1,"condos":1,"construction":1,"consulting":1,"contact":1,"contractors":1,"cooking":1,"cool":{"$":1,"elementor":2,"de":2},"corsica":1,"country":1,"coupon":1,"coupons":1,"courses":1,"cpa":1,"credit":1,"creditcard":1,"creditunion":1,"cricket":1,"crown":1,"crs":1,"cruise":1,"cruises":1,"cuisinella":1,"cymru":1,"cyou":1,"dad":1,"dance":1,"data":1,"date":1,"dating":1,"datsun":1,"day":1,"dclk":1,"dds":1,"deal":1,"dealer":1,"deals":1,"degree":1,"delivery":1,"dell":1,"deloitte":1,"delta":1,"democrat":1,"dental":1,"dentist":1,"desi":1,"design":{"$":1,"graphic":2,"bss":2},"dev":{"$":1,"12chars":2,"panel":2,"lcl":{"*":2},"lclstage":{"*":2},"stg":{"*":2},"stgstage":{"*":2},"pages":2,"r2":2,"workers":2,"curv":2,"deno":2,"deno-staging":2,"deta":2,"evervault":{"relay":2},"fly":2,"githubpreview":2,"gateway":{"*":2},"hrsn":2,"is-a-good":2,"is-a":2,"iserv":2,"runcontainers":2,"localcert":{"user":{"*":2}},"loginline":2,"barsy":2,"mediatech":2,"modx":2,"ngrok":2,"ngrok-free":2,"is-a-fullstack":2,"is-cool":2,"is-not-a":2,"localplayer":2,"xmit":2,"platter-app":2,"replit":{"$":2,"archer":2,"bones":2,"canary":2,"global":2,"hacker":2,"id":2,"janeway":2,"kim":2,"kira":2,"kirk":2,"odo":2,"paris":2,"picard":2,"pike":2,"prerelease":2,"reed":2,"riker":2,"sisko":2,"spock":2,"staging":2,"sulu":2,"tarpit":2,"teams":2,"tucker":2,"wesley":2,"worf":2},"crm":{"d":{"*":2},"w":{"*":2},"wa":{"*":2},"wb":{"*":2},"wc":{"*":2},"wd":{"*":2},"we":{"*":2},"wf":{"*":2}},"vercel":2,"webhare":{"*":2}},"dhl":1,"diamonds":1,"diet":1,"digital":{"$":1,"cloudapps":{"$":2,"london":2}},"direct":{"$":1,"libp2p":2},"directory":1,"discount":1,"discover":1,"dish":1,"diy":1,"dnp":1,"docs":1,"doctor":1,"dog":1,"domains":1,"dot":1,"download":1,"drive":1,"dtv":1,"dubai":1,"dunlop":1,"dupont":1,"durban":1,"dvag":1,"dvr":1,"earth":1,"eat":1,"eco":1,"edeka":1,"education":{"$":1,"co":2},"email":{"$":1,"crisp":{"on":2},"tawk":{"p":2},"tawkto":{"p":2}},"emerck":1,"energy":1,"engineer":1,"engineering":1,"enterprises":1,"epson":1,"equipment":1,"ericsson":1,"erni":1,"esq":1,"estate":{"$":1,"compute":{"*":2}},"eurovision":1,"eus":{"$":1,"party":{"user":2}},"events":{"$":1,"koobin":2,"co":2},"exchange":1,"expert":1,"exposed":1,"express":1,"extraspace":1,"fage":1,"fail":1,"fairwinds":1,"faith":1,"family":1,"fan":1,"fans":1,"farm":{"$":1,"storj":2},"farmers":1,"fashion":1,"fast":1,"fedex":1,"feedback":1,"ferrari":1,"ferrero":1,"fidelity":1,"fido":1,"film":1,"final":1,"finance":1,"financial":{"$":1,"co":2},"fire":1,"firestone":1,"firmdale":1,"fish":1,"fishing":1,"fit":1,"fitness":1,"flickr":1,"flights":1,"flir":1,"florist":1,"flowers":1,"fly":1,"foo":1,"food":1,"football":1,"ford":1,"forex":1,"forsale":1,"forum":1,"foundation":1,"fox":1,"free":1,"fresenius":1,"frl":1,"frogans":1,"frontier":1,"ftr":1,"fujitsu":1,"fun":1,"fund":1,"furniture":1,"futbol":1,"fyi":1,"gal":1,"gallery":1,"gallo":1,"gallup":1,"game":1,"games":{"$":1,"pley":2,"sheezy":2},"gap":1,"garden":1,"gay":{"$":1,"pages":2},"gbiz":1,"gdn":{"$":1,"cnpy":2},"gea":1,"gent":1,"genting":1,"george":1,"ggee":1,"gift":1,"gifts":1,"gives":1,"giving":1,"glass":1,"gle":1,"global":1,"globo":1,"gmail":1,"gmbh":1,"gmo":1,"gmx":1,"godaddy":1,"gold":1,"goldpoint":1,"golf":1,"goo":1,"goodyear":1,"goog":{"$":1,"cloud":2,"translate":2,"usercontent":{"*":2}},"google":1,"gop":1,"got":1,"grainger":1,"graphics":1,"gratis":1,"green":1,"gripe":1,"grocery":1,"group":{"$":1,"discourse":2},"gucci":1,"guge":1,"guide":1,"guitars":1,"guru":1,"hair":1,"hamburg":1,"hangout":1,"haus":1,"hbo":1,"hdfc":1,"hdfcbank":1,"health":{"$":1,"hra":2},"healthcare":1,"help":1,"helsinki":1,"here":1,"hermes":1,"hiphop":1,"hisamitsu":1,"hitachi":1,"hiv":1,"hkt":1,"hockey":1,"holdings":1,"holiday":1,"homedepot":1,"homegoods":1,"homes":1,"homesense":1,"honda":1,"horse":1,"hospital":1,"host":{"$":1,"cloudaccess":2,"freesite":2,"easypanel":2,"fastvps":2,"myfast":2,"tempurl":2,"wpmudev":2,"jele":2,"mircloud":2,"wp2":2,"half":2},"hosting":{"$":1,"opencraft":2},"hot":1,"hotels":1,"hotmail":1,"house":1,"how":1,"hsbc":1,"hughes":1,"hyatt":1,"hyundai":1,"ibm":1,"icbc":1,"ice":1,"icu":1,"ieee":1,"ifm":1,"ikano":1,"imamat":1,"imdb":1,"immo":1,"immobilien":1,"inc":1,"industries":1,"infiniti":1,"ing":1,"ink":1,"institute":1,"insurance":1,"insure":1,"international":1,"intuit":1,"investments":1,"ipiranga":1,"irish":1,"ismaili":1,"ist":1,"istanbul":1,"itau":1,"itv":1,"jaguar":1,"java":1,"jcb":1,"jeep":1,"jetzt":1,"jewelry":1,"jio":1,"jll":1,"jmp":1,"jnj":1,"joburg":1,"jot":1,"joy":1,"jpmorgan":1,"jprs":1,"juegos":1,"juniper":1,"kaufen":1,"kddi":1,"kerryhotels":1,"kerrylogistics":1,"kerryproperties":1,"kfh":1,"kia":1,"kids":1,"kim":1,"kindle":1,"kitchen":1,"kiwi":1,"koeln":1,"komatsu":1,"kosher":1,"kpmg":1,"kpn":1,"krd":{"$":1,"co":2,"edu":2},"kred":1,"kuokgroup":1,"kyoto":1,"lacaixa":1,"lamborghini":1,"lamer":1,"lancaster":1,"land":1,"landrover":1,"lanxess":1,"lasalle":1,"lat":1,"latino":1,"latrobe":1,"law":1,"lawyer":1,"lds":1,"lease":1,"leclerc":1,"lefrak":1,"legal":1,"lego":1,"lexus":1,"lgbt":1,"lidl":1,"life":1,"lifeinsurance":1,"lifestyle":1,"lighting":1,"like":1,"lilly":1,"limited":1,"limo":1,"lincoln":1,"link":{"$":1,"myfritz":2,"cyon":2,"dweb":{"*":2},"nftstorage":{"ipfs":2},"mypep":2},"lipsy":1,"live":{"$":1,"aem":2,"hlx":2,"ewp":{"*":2}},"living":1,"llc":1,"llp":1,"loan":1,"loans":1,"locker":1,"locus":1,"lol":{"$":1,"omg":2},"london":1,"lotte":1,"lotto":1,"love":1,"lpl":1,"lplfinancial":1,"ltd":1,"ltda":1,"lundbeck":1,"luxe":1,"luxury":1,"madrid":1,"maif":1,"maison":1,"makeup":1,"man":1,"management":{"$":1,"router":2},"mango":1,"map":1,"market":1,"marketing":1,"markets":1,"marriott":1,"marshalls":1,"mattel":1,"mba":1,"mckinsey":1,"med":1,"media":{"$":1,"framer":2},"meet":1,"melbourne":1,"meme":1,"memorial":1,"men":1,"menu":{"$":1,"barsy":2,"barsyonline":2},"merck":1,"merckmsd":1,"miami":1,"microsoft":1,"mini":1,"mint":1,"mit":1,"mitsubishi":1,"mlb":1,"mls":1,"mma":1,"mobile":1,"moda":1,"moe":1,"moi":1,"mom":{"$":1,"ind":2},"monash":1,"money":1,"monster":1,"mormon":1,"mortgage":1,"moscow":1,"moto":1,"motorcycles":1,"mov":1,"movie":1,"msd":1,"mtn":1,"mtr":1,"music":1,"nab":1,"nagoya":1,"navy":1,"nba":1,"nec":1,"netbank":1,"netflix":1,"network":{"$":1,"alces":{"*":2},"co":2,"arvo":2,"azimuth":2,"tlon":2},"neustar":1,"new":1,"news":{"$":1,"noticeable":2},"next":1,"nextdirect":1,"nexus":1,"nfl":1,"ngo":1,"nhk":1,"nico":1,"nike":1,"nikon":1,"ninja":1,"nissan":1,"nissay":1,"nokia":1,"norton":1,"now":1,"nowruz":1,"nowtv":1,"nra":1,"nrw":1,"ntt":1,"nyc":1,"obi":1,"observer":1,"office":1,"okinawa":1,"olayan":1,"olayangroup":1,"ollo":1,"omega":1,"one":{"$":1,"kin":{"*":2},"service":2},"ong":{"$":1,"obl":2},"onl":1,"online":{"$":1,"eero":2,"eero-stage":2,"websitebuilder":2,"barsy":2},"ooo":1,"open":1,"oracle":1,"orange":{"$":1,"tech":2},"organic":1,"origins":1,"osaka":1,"otsuka":1,"ott":1,"ovh":{"$":1,"nerdpol":2},"page":{"$":1,"aem":2,"hlx":2,"hlx3":2,"translated":2,"codeberg":2,"heyflow":2,"prvcy":2,"rocky":2,"pdns":2,"plesk":2},"panasonic":1,"paris":1,"pars":1,"partners":1,"parts":1,"party":1,"pay":1,"pccw":1,"pet":1,"pfizer":1,"pharmacy":1,"phd":1,"philips":1,"phone":1,"photo":1,"photography":1,"photos":{"$":1,"framer":2},"physio":1,"pics":1,"pictet":1,"pictures":{"57":{"5":{"0":{"0":2}}},"$":1},"pid":1,"pin":1,"ping":1,"pink":1,"pioneer":1,"pizza":{"$":1,"ngrok":2},"place":{"$":1,"co":2},"play":1,"playstation":1,"plumbing":1,"plus":1,"pnc":1,"pohl":1,"poker":1,"politie":1,"porn":1,"pramerica":1,"praxi":1,"press":1,"prime":1,"prod":1,"productions":1,"prof":1,"progressive":1,"promo":1,"properties":1,"property":1,"protection":1,"pru":1,"prudential":1,"pub":{"$":1,"id":{"*":2},"kin":{"*":2},"barsy":2},"pwc":1,"qpon":1,"quebec":1,"quest":1,"racing":1,"radio":1,"read":1,"realestate":1,"realtor":1,"realty":1,"recipes":1,"red":1,"redstone":1,"redumbrella":1,"rehab":1,"reise":1,"reisen":1,"reit":1,"reliance":1,"ren":1,"rent":1,"rentals":1,"repair":1,"report":1,"republican":1,"rest":1,"restaurant":1,"review":1,"reviews":1,"rexroth":1,"rich":1,"richardli":1,"ricoh":1,"ril":1,"rio":1,"rip":{"$":1,"clan":2},"rocks":{"$":1,"myddns":2,"stackit":2,"lima-city":2,"webspace":2},"rodeo":1,"rogers":1,"room":1,"rsvp":1,"rugby":1,"ruhr":1,"run":{"$":1,"development":2,"ravendb":2,"servers":2,"build":{"*":2},"code":{"*":2},"database":{"*":2},"migration":{"*":2},"onporter":2,"repl":2,"stackit":2,"val":{"express":2,"web":2},"wix":2},"rwe":1,"ryukyu":1,"saarland":1,"safe":1,"safety":1,"sakura":1,"sale":1,"salon":1,"samsclub":1,"samsung":1,"sandvik":1,"sandvikcoromant":1,"sanofi":1,"sap":1,"sarl":1,"sas":1,"save":1,"saxo":1,"sbi":1,"sbs":1,"scb":1,"schaeffler":1,"schmidt":1,"scholarships":1,"school":1,"schule":1,"schwarz":1,"science":1,"scot":{"$":1,"gov":{"$":2,"service":2}},"search":1,"seat":1,"secure":1,"security":1,"seek":1,"select":1,"sener":1,"services":{"$":1,"loginline":2},"seven":1,"sew":1,"sex":1,"sexy":1,"sfr":1,"shangrila":1,"sharp":1,"shell":1,"shia":1,"shiksha":1,"shoes":1,"shop":{"$":1,"base":2,"hoplix":2,"barsy":2,"barsyonline":2,"shopware":2},"shopping":1,"shouji":1,"show":1,"silk":1,"sina":1,"singles":1,"site":{"$":1,"canva":{"my":{"*":2}},"cloudera":{"*":2},"convex":2,"cyon":2,"fnwk":2,"folionetwork":2,"fastvps":2,"heyflow":2,"jele":2,"jouwweb":2,"lelux":2,"loginline":2,"barsy":2,"notion":2,"omniwe":2,"opensocial":2,"madethis":2,"platformsh":{"*":2},"tst":{"*":2},"byen":2,"srht":2,"novecore":2,"wpsquared":2},"ski":1,"skin":1,"sky":1,"skype":1,"sling":1,"smart":1,"smile":1,"sncf":1,"soccer":1,"social":1,"softbank":1,"software":1,"sohu":1,"solar":1,"solutions":{"$":1,"diher":2},"song":1,"sony":1,"soy":1,"spa":1,"space":{"$":1,"myfast":2,"heiyu":2,"hf":{"$":2,"static":2},"app-ionos":2,"project":2,"uber":2,"xs4all":2},"sport":1,"spot":1,"srl":1,"stada":1,"staples":1,"star":1,"statebank":1,"statefarm":1,"stc":1,"stcgroup":1,"stockholm":1,"storage":1,"store":{"$":1,"barsy":2,"sellfy":2,"shopware":2,"storebase":2},"stream":1,"studio":1,"study":1,"style":1,"sucks":1,"supplies":1,"supply":1,"support":{"$":1,"barsy":2},"surf":1,"surgery":1,"suzuki":1,"swatch":1,"swiss":1,"sydney":1,"systems":{"$":1,"knightpoint":2},"tab":1,"taipei":1,"talk":1,"taobao":1,"target":1,"tatamotors":1,"tatar":1,"tattoo":1,"tax":1,"taxi":1,"tci":1,"tdk":1,"team":{"$":1,"discourse":2,"jelastic":2},"tech":{"$":1,"cleverapps":2},"technology":{"$":1,"co":2},"temasek":1,"tennis":1,"teva":1,"thd":1,"theater":1,"theatre":1,"tiaa":1,"tickets":1,"tienda":1,"tips":1,"tires":1,"tirol":1,"tjmaxx":1,"tjx":1,"tkmaxx":1,"tmall":1,"today":{"$":1,"prequalifyme":2},"tokyo":1,"tools":1,"top":{"$":1,"now-dns":2,"ntdll":2,"wadl":{"*":2}},"toray":1,"toshiba":1,"total":1,"tours":1,"town":1,"toyota":1,"toys":1,"trade":1,"trading":1,"training":1,"travel":1,"travelers":1,"travelersinsurance":1,"trust":1,"trv":1,"tube":1,"tui":1,"tunes":1,"tushu":1,"tvs":1,"ubank":1,"ubs":1,"unicom":1,"university":1,"uno":1,"uol":1,"ups":1,"vacations":1,"vana":1,"vanguard":1,"vegas":1,"ventures":1,"verisign":1,"versicherung":1,"vet":1,"viajes":1,"video":1,"vig":1,"viking":1,"villas":1,"vin":1,"vip":1,"virgin":1,"visa":1,"vision":1,"viva":1,"vivo":1,"vlaanderen":1,"vodka":{"$":1,"aaa":2},"volvo":1,"vote":1,"voting":1,"voto":1,"voyage":1,"wales":1,"walmart":1,"walter":1,"wang":1,"wanggou":1,"watch":1,"watches":1,"weather":1,"weatherchannel":1,"webcam":1,"weber":1,"website":{"$":1,"framer":2},"wed":1,"wedding":1,"weibo":1,"weir":1,"whoswho":1,"wien":1,"wiki":{"$":1,"framer":2},"williamhill":1,"win":1,"windows":1,"wine":1,"winners":1,"wme":1,"wolterskluwer":1,"woodside":1,"work":1,"works":1,"world":1,"wow":1,"wtc":1,"wtf":1,"xbox":1,"xerox":1,"xihuan":1,"xin":1,"xn--11b4c3d":1,"xn--1ck2e1b":1,"xn--1qqw23a":1,"xn--30rr7y":1,"xn--3bst00m":1,"xn--3ds443g":1,"xn--3pxu8k":1,"xn--42c2d9a":1,"xn--45q11c":1,"xn--4gbrim":1,"xn--55qw42g":1,"xn--55qx5d":1,"xn--5su34j936bgsg":1,"xn--5tzm5g":1,"xn--6frz82g":1,"xn--6qq986b3xl":1,"xn--80adxhks":1,"xn--80aqecdr1a":1,"xn--80asehdb":1,"xn--80aswg":1,"xn--8y0a063a":1,"xn--9dbq2a":1,"xn--9et52u":1,"xn--9krt00a":1,"xn--b4w605ferd":1,"xn--bck1b9a5dre4c":1,"xn--c1avg":1,"xn--c2br7g":1,"xn--cck2b3b":1,"xn--cckwcxetd":1,"xn--cg4bki":1,"xn--czr694b":1,"xn--czrs0t":1,"xn--czru2d":1,"xn--d1acj3b":1,"xn--eckvdtc9d":1,"xn--efvy88h":1,"xn--fct429k":1,"xn--fhbei":1,"xn--fiq228c5hs":1,"xn--fiq64b":1,"xn--fjq720a":1,"xn--flw351e":1,"xn--fzys8d69uvgm":1,"xn--g2xx48c":1,"xn--gckr3f0f":1,"xn--gk3at1e":1,"xn--hxt814e":1,"xn--i1b6b1a6a2e":1,"xn--imr513n":1,"xn--io0a7i":1,"xn--j1aef":1,"xn--jlq480n2rg":1,"xn--jvr189m":1,"xn--kcrx77d1x4a":1,"xn--kput3i":1,"xn--mgba3a3ejt":1,"xn--mgba7c0bbn0a":1,"xn--mgbab2bd":1,"xn--mgbca7dzdo":1,"xn--mgbi4ecexp":1,"xn--mgbt3dhd":1,"xn--mk1bu44c":1,"xn--mxtq1m":1,"xn--ngbc5azd":1,"xn--ngbe9e0a":1,"xn--ngbrx":1,"xn--nqv7f":1,"xn--nqv7fs00ema":1,"xn--nyqy26a":1,"xn--otu796d":1,"xn--p1acf":{"$":1,"xn--90amc":2,"xn--j1aef":2,"xn--j1ael8b":2,"xn--h1ahn":2,"xn--j1adp":2,"xn--c1avg":2,"xn--80aaa0cvac":2,"xn--h1aliz":2,"xn--90a1af":2,"xn--41a":2},"xn--pssy2u":1,"xn--q9jyb4c":1,"xn--qcka1pmc":1,"xn--rhqv96g":1,"xn--rovu88b":1,"xn--ses554g":1,"xn--t60b56a":1,"xn--tckwe":1,"xn--tiq49xqyj":1,"xn--unup4y":1,"xn--vermgensberater-ctb":1,"xn--vermgensberatung-pwb":1,"xn--vhquv":1,"xn--vuq861b":1,"xn--w4r85el8fhu5dnra":1,"xn--w4rs40l":1,"xn--xhq521b":1,"xn--zfr164b":1,"xyz":{"$":1,"telebit":{"*":2}},"yachts":1,"yahoo":1,"yamaxun":1,"yandex":1,"yodobashi":1,"yoga":1,"yokohama":1,"you":1,"youtube":1,"yun":1,"zappos":1,"zara":1,"zero":1,"zip":1,"zone":{"$":1,"cloud66":2,"triton":{"*":2},"stackit":2,"lima":2},"zuerich":1}');
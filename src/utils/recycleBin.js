@@ -0,0 +1,103 @@
+/**
+ * src/utils/recycleBin.js
+ * Recycle bin helpers (pure). The background worker owns storage and the restore itself.
+ *
+ * The bin is a newest-first array of delete operations:
+ *   { id, ts, kind, label, cookies: [chrome.cookies.Cookie] }
+ * where label names what was deleted (a cookie, a site, a partition) and cookies holds the
+ * full cookie objects as they were just before removal.
+ *
+ * Retention (settings.recycleBin): { maxOperations, maxAgeDays }.
+ */
+
+import { cookieKey } from './cookieUtils.js';
+
+export const RECYCLE_BIN_KINDS = {
+    single: 'Deleted cookie',
+    bulk: 'Bulk delete',
+    site: 'Delete all for site',
+    partition: 'Delete partition',
+    auto_cleanup: 'Automatic cleanup',
+    trackers: 'Remove trackers',
+    scheduled: 'Scheduled cleanup'
+};
+
+export const RETENTION_LIMITS = {
+    maxOperations: { min: 1, max: 500 },
+    maxAgeDays: { min: 1, max: 365 }
+};
+
+/**
+ * Validate retention settings. Throws on invalid input.
+ * @param {{maxOperations:number,maxAgeDays:number}} input
+ * @returns {{maxOperations:number,maxAgeDays:number}}
+ */
+export function normalizeRetention(input) {
+    const out = {};
+    for (const [key, { min, max }] of Object.entries(RETENTION_LIMITS)) {
+        const value = Math.round(Number(input && input[key]));
+        if (!Number.isFinite(value) || value < min || value > max) {
+            throw new Error(`${key} must be between ${min} and ${max}`);
+        }
+        out[key] = value;
+    }
+    return out;
+}
+
+/**
+ * Build a bin entry for one delete operation.
+ * @param {string} kind key of RECYCLE_BIN_KINDS
+ * @param {string} label what was deleted, e.g. 'example.com'
+ * @param {chrome.cookies.Cookie[]} cookies
+ * @param {number} [now] epoch milliseconds
+ */
+export function createBinEntry(kind, label, cookies, now = Date.now()) {
+    return {
+        id: `del-${now.toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+        ts: now,
+        kind,
+        label: String(label || ''),
+        cookies: cookies.slice()
+    };
+}
+
+/**
+ * Drop entries beyond the retention limits (too many operations, or older than maxAgeDays)
+ * and entries that no longer hold any cookie.
+ * @param {object[]} entries newest first
+ * @param {{maxOperations:number,maxAgeDays:number}} retention
+ * @param {number} [now] epoch milliseconds
+ * @returns {object[]}
+ */
+export function pruneRecycleBin(entries, retention, now = Date.now()) {
+    const maxAgeMs = retention.maxAgeDays * 24 * 60 * 60 * 1000;
+    return (entries || [])
+        .filter((e) => e && Array.isArray(e.cookies) && e.cookies.length && now - e.ts <= maxAgeMs)
+        .slice(0, retention.maxOperations);
+}
+
+/**
+ * Whether a deleted cookie would already have expired, so restoring it is pointless.
+ * Session cookies never expire on their own.
+ * @param {chrome.cookies.Cookie} cookie
+ * @param {number} [nowSeconds]
+ * @returns {boolean}
+ */
+export function isCookieExpired(cookie, nowSeconds = Date.now() / 1000) {
+    return !cookie.session && !!cookie.expirationDate && cookie.expirationDate <= nowSeconds;
+}
+
+/**
+ * Split an entry's cookies into those selected for restore and the rest.
+ * @param {object} entry
+ * @param {string[]} [keys] cookieKey() values; omitted = the whole entry
+ * @returns {{selected: object[], rest: object[]}}
+ */
+export function selectBinCookies(entry, keys) {
+    if (!Array.isArray(keys)) return { selected: entry.cookies.slice(), rest: [] };
+    const wanted = new Set(keys);
+    const selected = [];
+    const rest = [];
+    for (const c of entry.cookies) (wanted.has(cookieKey(c)) ? selected : rest).push(c);
+    return { selected, rest };
+}
@@ -0,0 +1,146 @@
+/**
+ * src/utils/rules.js
+ * Declarative cookie rules: validation and matching.
+ *
+ * A rule is { id, enabled, description, match, action, maxAgeSeconds } where match may contain:
+ * - domain:   domain glob ('*.ads.example' includes the domain itself and subdomains)
+ * - name:     regular expression tested against the cookie name
+ * - secure / httpOnly / session: true or false (omitted = any)
+ * - sameSite: 'no_restriction' | 'lax' | 'strict' | 'unspecified' (omitted = any)
+ * - party:    'first' | 'third' (omitted = any), relative to the sites open in tabs
+ *
+ * Rules are evaluated in order and the first enabled match wins. Pure helpers only; the
+ * background worker owns storage and the actions themselves.
+ */
+
+import { getBaseDomain, matchesDomainPattern, normalizeDomainPattern } from './cookieUtils.js';
+
+export const RULE_ACTIONS = {
+    delete: 'Delete immediately',
+    delete_on_start: 'Delete on browser start',
+    cap_lifetime: 'Cap lifetime',
+    session_only: 'Force session-only'
+};
+
+const BOOLEAN_MATCHERS = ['secure', 'httpOnly', 'session'];
+const SAME_SITE_VALUES = ['no_restriction', 'lax', 'strict', 'unspecified'];
+
+function createRuleId() {
+    return `rule-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+}
+
+/**
+ * Validate and normalize a rule. Throws on invalid input.
+ * @param {object} rule
+ * @returns {object}
+ */
+export function normalizeRule(rule) {
+    if (!rule || typeof rule !== 'object') throw new Error('Invalid rule');
+    if (!Object.prototype.hasOwnProperty.call(RULE_ACTIONS, rule.action)) {
+        throw new Error(`Unknown rule action: ${rule.action}`);
+    }
+
+    const input = rule.match || {};
+    const match = {};
+    if (String(input.domain || '').trim()) match.domain = normalizeDomainPattern(input.domain);
+    const name = String(input.name || '').trim();
+    if (name) {
+        try { new RegExp(name); } catch (e) { throw new Error(`Invalid name regex: ${e.message}`); }
+        match.name = name;
+    }
+    for (const key of BOOLEAN_MATCHERS) {
+        if (typeof input[key] === 'boolean') match[key] = input[key];
+    }
+    if (input.sameSite) {
+        if (!SAME_SITE_VALUES.includes(input.sameSite)) throw new Error(`Invalid SameSite value: ${input.sameSite}`);
+        match.sameSite = input.sameSite;
+    }
+    if (input.party) {
+        if (input.party !== 'first' && input.party !== 'third') throw new Error(`Invalid party value: ${input.party}`);
+        match.party = input.party;
+    }
+
+    const out = {
+        id: rule.id || createRuleId(),
+        enabled: rule.enabled !== false,
+        description: String(rule.description || '').trim(),
+        match,
+        action: rule.action
+    };
+    if (rule.action === 'cap_lifetime') {
+        const maxAgeSeconds = Number(rule.maxAgeSeconds);
+        if (!Number.isFinite(maxAgeSeconds) || maxAgeSeconds <= 0) throw new Error('Cap lifetime needs a positive maximum age');
+        out.maxAgeSeconds = Math.round(maxAgeSeconds);
+    }
+    return out;
+}
+
+/**
+ * Whether any rule needs first/third-party context (so callers can skip the tab lookup).
+ * @param {object[]} rules
+ */
+export function rulesNeedPartyContext(rules) {
+    return (rules || []).some((r) => r && r.enabled && r.match && r.match.party);
+}
+
+/**
+ * Test a single rule against a cookie.
+ * @param {object} rule
+ * @param {chrome.cookies.Cookie} cookie
+ * @param {{openSites?: Set<string>}} [ctx] base domains currently open in tabs
+ * @returns {boolean}
+ */
+export function ruleMatches(rule, cookie, ctx = {}) {
+    if (!rule || !cookie) return false;
+    const match = rule.match || {};
+    if (match.domain && !matchesDomainPattern(cookie.domain, match.domain)) return false;
+    if (match.name) {
+        try {
+            if (!new RegExp(match.name).test(cookie.name || '')) return false;
+        } catch (_) {
+            return false;
+        }
+    }
+    for (const key of BOOLEAN_MATCHERS) {
+        if (typeof match[key] === 'boolean' && !!cookie[key] !== match[key]) return false;
+    }
+    if (match.sameSite && (cookie.sameSite || 'unspecified') !== match.sameSite) return false;
+    if (match.party) {
+        const openSites = ctx.openSites || new Set();
+        const isFirstParty = openSites.has(getBaseDomain(cookie.domain));
+        if ((match.party === 'first') !== isFirstParty) return false;
+    }
+    return true;
+}
+
+/**
+ * First enabled rule (in order) that matches the cookie, or null.
+ * @param {object[]} rules
+ * @param {chrome.cookies.Cookie} cookie
+ * @param {{openSites?: Set<string>}} [ctx]
+ * @returns {object|null}
+ */
+export function findMatchingRule(rules, cookie, ctx = {}) {
+    for (const rule of rules || []) {
+        if (rule && rule.enabled && ruleMatches(rule, cookie, ctx)) return rule;
+    }
+    return null;
+}
+
+/**
+ * Short human-readable summary of a rule's match conditions.
+ * @param {object} rule
+ * @returns {string}
+ */
+export function describeRuleMatch(rule) {
+    const match = (rule && rule.match) || {};
+    const parts = [];
+    if (match.domain) parts.push(`domain ${match.domain}`);
+    if (match.name) parts.push(`name /${match.name}/`);
+    for (const key of BOOLEAN_MATCHERS) {
+        if (typeof match[key] === 'boolean') parts.push(`${match[key] ? '' : 'not '}${key}`);
+    }
+    if (match.sameSite) parts.push(`SameSite=${match.sameSite}`);
+    if (match.party) parts.push(`${match.party}-party`);
+    return parts.length ? parts.join(', ') : 'every cookie';
+}
@@ -0,0 +1,186 @@
+/**
+ * src/utils/schedules.js
+ * Scheduled cleanup jobs: validation, next-run times and cookie selection (pure helpers).
+ * The background worker owns the alarms (one per enabled job, SCHEDULE_ALARM_PREFIX + id)
+ * and the cleanup itself.
+ *
+ * A job (settings.schedules) is
+ *   { id, name, enabled, frequency, minute, time, weekday, target, domain, minAgeDays }
+ * - frequency: key of SCHEDULE_FREQUENCIES; hourly jobs run at `minute` past every hour,
+ *   daily and weekly ones at `time` ('HH:MM', local time), weekly ones on `weekday` (0 = Sunday)
+ * - target:    key of SCHEDULE_TARGETS
+ * - domain:    domain glob ('' = every site)
+ * - minAgeDays: only cookies at least this old (0 = any age)
+ * Protected cookies are never deleted.
+ *
+ * chrome.cookies does not report when a cookie was created, so a cookie's age counts from when
+ * CookieControl first saw it: { [cookieKey]: epoch ms }. While a job has an age limit, cookies
+ * are recorded as they are set; cookies that already existed count from when the first such
+ * job was added (or the browser started).
+ */
+
+import { cookieKey, matchesDomainPattern, normalizeDomainPattern } from './cookieUtils.js';
+
+export const SCHEDULE_FREQUENCIES = {
+    hourly: 'Every hour',
+    daily: 'Every day',
+    weekly: 'Every week'
+};
+
+export const SCHEDULE_TARGETS = {
+    all: 'All cookies',
+    tracking: 'Tracking cookies'
+};
+
+export const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+export const SCHEDULE_ALARM_PREFIX = 'cookiecontrol:schedule:';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function createScheduleId() {
+    return `schedule-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+}
+
+function integerIn(value, min, max, label) {
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < min || n > max) throw new Error(`${label} must be between ${min} and ${max}`);
+    return n;
+}
+
+/**
+ * Validate and normalize a job. Throws on invalid input.
+ * @param {object} input
+ * @returns {object}
+ */
+export function normalizeSchedule(input) {
+    if (!input || typeof input !== 'object') throw new Error('Invalid schedule');
+    if (!Object.prototype.hasOwnProperty.call(SCHEDULE_FREQUENCIES, input.frequency)) {
+        throw new Error(`Unknown frequency: ${input.frequency}`);
+    }
+    if (!Object.prototype.hasOwnProperty.call(SCHEDULE_TARGETS, input.target)) {
+        throw new Error(`Unknown target: ${input.target}`);
+    }
+    const out = {
+        id: input.id || createScheduleId(),
+        name: String(input.name || '').trim(),
+        enabled: input.enabled !== false,
+        frequency: input.frequency,
+        target: input.target,
+        domain: String(input.domain || '').trim() ? normalizeDomainPattern(input.domain) : '',
+        minAgeDays: input.minAgeDays ? integerIn(input.minAgeDays, 0, 3650, 'Minimum age (days)') : 0
+    };
+    if (input.frequency === 'hourly') {
+        out.minute = integerIn(input.minute || 0, 0, 59, 'Minute');
+    } else {
+        const time = String(input.time || '');
+        if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(time)) throw new Error('Time must be HH:MM');
+        out.time = time;
+    }
+    if (input.frequency === 'weekly') out.weekday = integerIn(input.weekday, 0, 6, 'Weekday');
+    return out;
+}
+
+/**
+ * Next time a job is due, strictly after now (local time).
+ * @param {object} schedule normalized job
+ * @param {number} [now] epoch milliseconds
+ * @returns {number} epoch milliseconds
+ */
+export function nextRunTime(schedule, now = Date.now()) {
+    const next = new Date(now);
+    if (schedule.frequency === 'hourly') {
+        next.setMinutes(schedule.minute, 0, 0);
+        if (next.getTime() <= now) next.setHours(next.getHours() + 1);
+        return next.getTime();
+    }
+    const [hours, minutes] = schedule.time.split(':').map(Number);
+    next.setHours(hours, minutes, 0, 0);
+    if (schedule.frequency === 'weekly') {
+        next.setDate(next.getDate() + ((schedule.weekday - next.getDay() + 7) % 7));
+        if (next.getTime() <= now) next.setDate(next.getDate() + 7);
+    } else if (next.getTime() <= now) {
+        next.setDate(next.getDate() + 1);
+    }
+    return next.getTime();
+}
+
+/**
+ * One-line description, e.g. "Every day at 02:00: delete all cookies older than 7 days".
+ * @param {object} schedule normalized job
+ * @returns {string}
+ */
+export function describeSchedule(schedule) {
+    let when = SCHEDULE_FREQUENCIES[schedule.frequency];
+    if (schedule.frequency === 'hourly') when += ` at :${String(schedule.minute).padStart(2, '0')}`;
+    else if (schedule.frequency === 'weekly') when = `Every ${WEEKDAYS[schedule.weekday]} at ${schedule.time}`;
+    else when += ` at ${schedule.time}`;
+    const age = schedule.minAgeDays ? ` older than ${schedule.minAgeDays} day${schedule.minAgeDays === 1 ? '' : 's'}` : '';
+    const where = schedule.domain ? ` on ${schedule.domain}` : '';
+    return `${when}: delete ${SCHEDULE_TARGETS[schedule.target].toLowerCase()}${age}${where}`;
+}
+
+/**
+ * Record when each cookie was first seen: keeps known times, adds now for new cookies and
+ * forgets cookies that are gone.
+ * @param {Object<string, number>} firstSeen cookieKey -> epoch ms
+ * @param {object[]} cookies every cookie currently visible
+ * @param {number} [now]
+ * @returns {Object<string, number>}
+ */
+export function refreshFirstSeen(firstSeen, cookies, now = Date.now()) {
+    const out = {};
+    for (const cookie of cookies) {
+        const key = cookieKey(cookie);
+        out[key] = (firstSeen && firstSeen[key]) || now;
+    }
+    return out;
+}
+
+/**
+ * Whether any enabled job has an age limit, i.e. first-seen times need to be kept.
+ * @param {object[]} schedules
+ * @returns {boolean}
+ */
+export function needsFirstSeen(schedules) {
+    return (schedules || []).some((s) => s.enabled && s.minAgeDays > 0);
+}
+
+/**
+ * Apply observed cookie changes: a cookie that was set is seen now unless it was seen before;
+ * a removed one is forgotten, so it is new again if it comes back. Mutates firstSeen.
+ * @param {Object<string, number>} firstSeen cookieKey -> epoch ms
+ * @param {Map<string, boolean>} changes cookieKey -> whether its last change was a removal
+ * @param {number} [now]
+ * @returns {boolean} whether firstSeen changed
+ */
+export function applyCookieChanges(firstSeen, changes, now = Date.now()) {
+    let changed = false;
+    for (const [key, removed] of changes) {
+        if (removed && key in firstSeen) {
+            delete firstSeen[key];
+            changed = true;
+        } else if (!removed && !(key in firstSeen)) {
+            firstSeen[key] = now;
+            changed = true;
+        }
+    }
+    return changed;
+}
+
+/**
+ * Whether a job deletes this cookie (protection is checked by the caller).
+ * @param {object} cookie
+ * @param {object} schedule normalized job
+ * @param {{isTracking: function(object): boolean, firstSeen: Object<string, number>, now?: number}} ctx
+ * @returns {boolean}
+ */
+export function scheduleMatches(cookie, schedule, ctx) {
+    if (schedule.domain && !matchesDomainPattern(cookie.domain, schedule.domain)) return false;
+    if (schedule.target === 'tracking' && !ctx.isTracking(cookie)) return false;
+    if (schedule.minAgeDays) {
+        const seen = ctx.firstSeen[cookieKey(cookie)];
+        if (!seen || (ctx.now || Date.now()) - seen < schedule.minAgeDays * DAY_MS) return false;
+    }
+    return true;
+}
@@ -0,0 +1,64 @@
+/**
+ * src/utils/settings.js
+ * Persistent extension settings shared by the background, popup and options pages.
+ * Stored in chrome.storage.local (not session) so user configuration survives restarts.
+ */
+
+import { storageLocalGet, storageLocalSet } from './chrome.js';
+
+export const SETTINGS_KEY = 'cookiecontrol:settings';
+
+export const DEFAULT_SETTINGS = {
+    permissionMode: 'on_demand',
+    // Allowlist of { domain, name } glob pairs that no delete path may remove
+    protectedCookies: [],
+    // Delete a site's cookies once its last tab has been closed for graceSeconds
+    autoCleanup: { enabled: false, graceSeconds: 60 },
+    // Recurring cleanup jobs run from chrome.alarms (see utils/schedules.js)
+    schedules: [],
+    // Keyboard commands: also show their result as a notification (optional permission)
+    commands: { notify: false },
+    // Toolbar badge for the active tab: 'cookies' or 'trackers' count, or 'off'
+    badge: { mode: 'cookies' },
+    // Ordered cookie rules evaluated on every cookie change (see utils/rules.js)
+    rules: [],
+    // Maximum lifetime for persistent cookies (see utils/lifetime.js)
+    lifetimeCap: { enabled: false, maxSeconds: 0, domains: [] },
+    // Retention of deleted cookies kept for restore (see utils/recycleBin.js)
+    recycleBin: { maxOperations: 50, maxAgeDays: 7 },
+    // Local tracker database overrides and custom patterns (see utils/trackerDb.js)
+    trackers: { overrides: {}, custom: [] },
+    // Operation log retention per category (see utils/opLog.js)
+    opLog: {
+        action: { maxEntries: 5000, maxAgeDays: 30 },
+        observed: { maxEntries: 5000, maxAgeDays: 2 }
+    }
+};
+
+/**
+ * Read settings merged over the defaults, so newly added keys always have a value.
+ * @returns {Promise<object>}
+ */
+export async function getSettings() {
+    const stored = await storageLocalGet([SETTINGS_KEY]);
+    return { ...DEFAULT_SETTINGS, ...((stored && stored[SETTINGS_KEY]) || {}) };
+}
+
+// Updates from this page (or worker) run one at a time, so overlapping ones each see the
+// other's result instead of writing back a stale copy
+let updateQueue = Promise.resolve();
+
+/**
+ * Shallow-merge a patch into the stored settings.
+ * @param {object} patch
+ * @returns {Promise<object>} the updated settings
+ */
+export function updateSettings(patch) {
+    const run = updateQueue.then(async () => {
+        const next = { ...(await getSettings()), ...(patch || {}) };
+        await storageLocalSet({ [SETTINGS_KEY]: next });
+        return next;
+    });
+    updateQueue = run.catch(() => {});
+    return run;
+}
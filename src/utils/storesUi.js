@@ -0,0 +1,44 @@
+/**
+ * src/utils/storesUi.js
+ * Shared cookie-store picker rendering for the popup and options pages.
+ * Store descriptors come from the background's GET_COOKIE_STORES handler:
+ * { id, label, color, incognito, tabCount }.
+ */
+
+/**
+ * Fill a <select> with cookie stores, keeping the current selection when it still exists.
+ * @param {HTMLSelectElement} select
+ * @param {Array<{id:string,label:string,color:?string}>} stores
+ * @param {{emptyLabel?: string}} [opts] label for the leading '' option (omitted = no such option)
+ */
+export function populateStoreSelect(select, stores, opts = {}) {
+    if (!select) return;
+    const previous = select.value;
+    select.innerHTML = '';
+    if (opts.emptyLabel) {
+        const opt = document.createElement('option');
+        opt.value = '';
+        opt.textContent = opts.emptyLabel;
+        select.appendChild(opt);
+    }
+    (stores || []).forEach((store) => {
+        const opt = document.createElement('option');
+        opt.value = store.id;
+        opt.textContent = store.color ? `● ${store.label}` : store.label;
+        if (store.color) opt.style.color = store.color;
+        opt.title = store.id;
+        select.appendChild(opt);
+    });
+    if (Array.from(select.options).some((o) => o.value === previous)) select.value = previous;
+}
+
+/**
+ * Display label for a store id, falling back to the raw id.
+ * @param {Array<{id:string,label:string}>} stores
+ * @param {string} storeId
+ * @returns {string}
+ */
+export function storeLabel(stores, storeId) {
+    const store = (stores || []).find((s) => s.id === storeId);
+    return store ? store.label : (storeId || 'Default');
+}
@@ -0,0 +1,212 @@
+/**
+ * src/utils/trackerDb.js
+ * Cookie classification against the tracker database (src/data/trackers.json).
+ *
+ * The database is versioned data, so it can be updated without code changes:
+ *   { version, updated, entries: [{ id, match, category, vendor, description }] }
+ * where match is { type, pattern, domain? }:
+ * - exact:  the cookie name equals pattern (case-insensitive)
+ * - prefix: the cookie name starts with pattern (case-insensitive)
+ * - regex:  the cookie name matches the pattern (case-insensitive)
+ * - domain: the cookie was set by pattern or one of its subdomains
+ * A name match may be limited to one site with match.domain.
+ *
+ * User configuration (settings.trackers):
+ *   { overrides: { [entryId]: category }, custom: [entry] }
+ * Overrides recategorize database entries ('unknown' turns one off); custom entries use the
+ * same shape as database entries and are checked first.
+ */
+
+import { getBaseDomain } from './cookieUtils.js';
+
+export const TRACKER_CATEGORIES = {
+    analytics: { label: 'Analytics', tracking: true },
+    advertising: { label: 'Advertising', tracking: true },
+    social: { label: 'Social', tracking: true },
+    functional: { label: 'Functional', tracking: false },
+    necessary: { label: 'Necessary', tracking: false },
+    unknown: { label: 'Unknown', tracking: false }
+};
+
+export const TRACKER_MATCH_TYPES = {
+    exact: 'Exact name',
+    prefix: 'Name prefix',
+    regex: 'Name regex',
+    domain: 'Domain'
+};
+
+export const TRACKER_DB_PATH = 'src/data/trackers.json';
+export const TRACKER_DB_VERSION = 1;
+
+// Long-lived port for "remove trackers everywhere" progress (see background.js)
+export const TRACKER_SWEEP_PORT = 'tracker-sweep';
+
+// Name matches are more specific than domain matches; earlier types win
+const MATCH_PRIORITY = ['exact', 'prefix', 'regex', 'domain'];
+
+const UNKNOWN = Object.freeze({ category: 'unknown', vendor: '', description: '', id: null, source: null });
+
+let databasePromise = null;
+
+function hostOf(domain) {
+    return String(domain || '').replace(/^\./, '').toLowerCase();
+}
+
+function onDomain(cookieDomain, domain) {
+    const host = hostOf(cookieDomain);
+    return host === domain || host.endsWith(`.${domain}`);
+}
+
+/**
+ * Validate and normalize one database or custom entry. Throws on invalid input.
+ * @param {object} entry
+ * @returns {object}
+ */
+export function normalizeTrackerEntry(entry) {
+    if (!entry || typeof entry !== 'object' || !entry.match) throw new Error('Invalid tracker entry');
+    const type = entry.match.type;
+    if (!Object.prototype.hasOwnProperty.call(TRACKER_MATCH_TYPES, type)) throw new Error(`Unknown match type: ${type}`);
+    let pattern = String(entry.match.pattern || '').trim();
+    if (!pattern) throw new Error('A pattern is required');
+    if (type === 'regex') {
+        try {
+            new RegExp(pattern, 'i');
+        } catch (e) {
+            throw new Error(`Invalid regular expression: ${e.message}`);
+        }
+    } else {
+        pattern = pattern.toLowerCase();
+        if (type === 'domain') pattern = hostOf(pattern);
+    }
+    const category = entry.category || 'unknown';
+    if (!TRACKER_CATEGORIES[category]) throw new Error(`Unknown category: ${category}`);
+    const match = { type, pattern };
+    const domain = hostOf(entry.match.domain);
+    if (domain && type !== 'domain') match.domain = domain;
+    return {
+        id: String(entry.id || `${type}:${pattern}${domain ? `@${domain}` : ''}`),
+        match,
+        category,
+        vendor: String(entry.vendor || '').trim(),
+        description: String(entry.description || '').trim()
+    };
+}
+
+/**
+ * Check a parsed database file. Throws when it is not a database this code can read.
+ * @param {object} db
+ * @returns {{version:number, updated:string, entries:object[]}}
+ */
+export function validateTrackerDatabase(db) {
+    if (!db || !Array.isArray(db.entries)) throw new Error('Tracker database has no entries');
+    if (db.version !== TRACKER_DB_VERSION) throw new Error(`Unsupported tracker database version: ${db.version}`);
+    return { version: db.version, updated: String(db.updated || ''), entries: db.entries.map(normalizeTrackerEntry) };
+}
+
+/**
+ * Load the bundled database once per page (or worker).
+ * @returns {Promise<{version:number, updated:string, entries:object[]}>}
+ */
+export function loadTrackerDatabase() {
+    if (!databasePromise) {
+        databasePromise = fetch(chrome.runtime.getURL(TRACKER_DB_PATH))
+            .then((resp) => resp.json())
+            .then(validateTrackerDatabase);
+        // Let a later call retry after a failed load
+        databasePromise.catch(() => { databasePromise = null; });
+    }
+    return databasePromise;
+}
+
+function compileEntry(entry, source) {
+    const { type, pattern, domain } = entry.match;
+    let test;
+    if (type === 'exact') test = (name) => name === pattern;
+    else if (type === 'prefix') test = (name) => name.startsWith(pattern);
+    else if (type === 'regex') {
+        const re = new RegExp(pattern, 'i');
+        test = (name, rawName) => re.test(rawName);
+    }
+    return {
+        entry,
+        source,
+        priority: MATCH_PRIORITY.indexOf(type),
+        // A longer prefix is more specific: _gat before _ga
+        specificity: type === 'prefix' ? pattern.length : 0,
+        matches: type === 'domain'
+            ? (cookie) => onDomain(cookie.domain, pattern)
+            : (cookie) => (!domain || onDomain(cookie.domain, domain)) && test(String(cookie.name).toLowerCase(), String(cookie.name))
+    };
+}
+
+/**
+ * Build a classifier from the database and the user's configuration.
+ * Custom entries are checked before the database; within each, name matches beat domain matches
+ * and longer prefixes beat shorter ones.
+ * @param {{entries:object[]}} db
+ * @param {{overrides?:Object<string,string>, custom?:object[]}} [config] settings.trackers
+ * @returns {function(object): {category:string, vendor:string, description:string, id:?string, source:?string}}
+ */
+export function createTrackerClassifier(db, config = {}) {
+    const overrides = config.overrides || {};
+    const custom = [];
+    for (const entry of config.custom || []) {
+        try {
+            custom.push(compileEntry(normalizeTrackerEntry(entry), 'custom'));
+        } catch (_) { /* skip entries that no longer validate */ }
+    }
+    const builtIn = ((db && db.entries) || []).map((entry) => compileEntry(entry, 'database'));
+    const ordered = [custom, builtIn].flatMap((list) => list.slice()
+        .sort((a, b) => a.priority - b.priority || b.specificity - a.specificity));
+
+    return function classifyCookie(cookie) {
+        if (!cookie || !cookie.name) return UNKNOWN;
+        for (const compiled of ordered) {
+            if (!compiled.matches(cookie)) continue;
+            const { entry } = compiled;
+            const override = compiled.source === 'database' ? overrides[entry.id] : undefined;
+            if (override === 'unknown') continue;
+            return {
+                category: override && TRACKER_CATEGORIES[override] ? override : entry.category,
+                vendor: entry.vendor,
+                description: entry.description,
+                id: entry.id,
+                source: override ? 'override' : compiled.source
+            };
+        }
+        return UNKNOWN;
+    };
+}
+
+/**
+ * Whether a category counts as tracking (analytics, advertising, social).
+ * @param {string} category
+ * @returns {boolean}
+ */
+export function isTrackingCategory(category) {
+    return !!(TRACKER_CATEGORIES[category] && TRACKER_CATEGORIES[category].tracking);
+}
+
+/**
+ * Count tracking cookies per site and per category, e.g. for "37 trackers on 12 domains".
+ * @param {object[]} cookies tracking cookies
+ * @param {function(object): object} classify from createTrackerClassifier
+ * @returns {{total:number, domains:{domain:string,count:number}[], categories:Object<string,number>}}
+ */
+export function summarizeTrackers(cookies, classify) {
+    const domains = {};
+    const categories = {};
+    for (const cookie of cookies) {
+        const domain = getBaseDomain(cookie.domain) || 'Unknown Domain';
+        domains[domain] = (domains[domain] || 0) + 1;
+        const { category } = classify(cookie);
+        categories[category] = (categories[category] || 0) + 1;
+    }
+    return {
+        total: cookies.length,
+        domains: Object.entries(domains)
+            .map(([domain, count]) => ({ domain, count }))
+            .sort((a, b) => b.count - a.count || a.domain.localeCompare(b.domain)),
+        categories
+    };
+}
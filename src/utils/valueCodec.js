@@ -0,0 +1,241 @@
+/**
+ * src/utils/valueCodec.js
+ * Detect and decode common cookie value encodings, and re-encode an edited decoded form
+ * (pure helpers).
+ *
+ * A value is peeled layer by layer, outermost first, e.g. URL-encoded → Base64 → JSON.
+ * JSON and JWT are terminal layers. Each layer records what its encoder needs to keep the
+ * original style (which characters were percent-encoded, base64 padding, JSON indentation, the
+ * JWT header and signature); only insignificant JSON whitespace is not preserved.
+ *
+ * JWT signatures are never verified: the extension has no keys. Editing the claims keeps the
+ * original signature, which then no longer matches.
+ */
+
+export const VALUE_LAYERS = {
+    url: 'URL-encoded',
+    base64: 'Base64',
+    base64url: 'Base64url',
+    json: 'JSON',
+    jwt: 'JWT'
+};
+
+// JWT claims holding NumericDate values (seconds since the epoch)
+export const JWT_DATE_CLAIMS = {
+    exp: 'Expires',
+    iat: 'Issued at',
+    nbf: 'Not before'
+};
+
+const MAX_LAYERS = 6;
+// Shorter base64-looking strings are too often plain words or ids
+const MIN_BASE64_LENGTH = 8;
+
+const BASE64_RE = /^[A-Za-z0-9+/]+={0,2}$/;
+const BASE64URL_RE = /^[A-Za-z0-9_-]+={0,2}$/;
+const JWT_RE = /^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*$/;
+// Control characters other than tab, newline and carriage return
+const CONTROL_RE = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/;
+
+function bytesToText(bytes) {
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    } catch (_) {
+        return null;
+    }
+}
+
+function base64ToBytes(text, alphabet) {
+    let b64 = text.replace(/=+$/, '');
+    if (alphabet === 'base64url') b64 = b64.replace(/-/g, '+').replace(/_/g, '/');
+    if (b64.length % 4 === 1) return null;
+    b64 += '='.repeat((4 - (b64.length % 4)) % 4);
+    try {
+        const binary = atob(b64);
+        return Uint8Array.from(binary, (c) => c.charCodeAt(0));
+    } catch (_) {
+        return null;
+    }
+}
+
+function textToBase64(text, alphabet, padded) {
+    const bytes = new TextEncoder().encode(text);
+    let binary = '';
+    for (const byte of bytes) binary += String.fromCharCode(byte);
+    let out = btoa(binary);
+    if (alphabet === 'base64url') out = out.replace(/\+/g, '-').replace(/\//g, '_');
+    return padded ? out : out.replace(/=+$/, '');
+}
+
+function decodeBase64Text(text, alphabet) {
+    const bytes = base64ToBytes(text, alphabet);
+    if (!bytes || !bytes.length) return null;
+    const decoded = bytesToText(bytes);
+    return decoded === null || CONTROL_RE.test(decoded) ? null : decoded;
+}
+
+function parseJsonObject(text) {
+    const trimmed = text.trim();
+    if (!/^[[{]/.test(trimmed)) return undefined;
+    try {
+        return JSON.parse(trimmed);
+    } catch (_) {
+        return undefined;
+    }
+}
+
+// Percent-encode what the original encoded, plus anything that may not appear in a cookie
+// value (RFC 6265 cookie-octet) and '%' itself
+function encodeCookieOctets(text, encoded) {
+    return Array.from(text, (c) => (
+        !encoded.includes(c) && /^[\x21\x23-\x24\x26-\x2B\x2D-\x3A\x3C-\x5B\x5D-\x7E]$/.test(c) ? c : encodeURIComponent(c)
+    )).join('');
+}
+
+// Characters that appear percent-encoded in text
+function percentEncodedChars(text) {
+    const chars = new Set();
+    for (const [run] of text.matchAll(/(?:%[0-9A-Fa-f]{2})+/g)) {
+        try {
+            for (const c of decodeURIComponent(run)) chars.add(c);
+        } catch (_) { /* ignore runs that split a UTF-8 sequence */ }
+    }
+    return [...chars].join('');
+}
+
+function tryJwt(text) {
+    if (!JWT_RE.test(text)) return null;
+    const [headerPart, payloadPart, signature] = text.split('.');
+    const headerText = decodeBase64Text(headerPart, 'base64url');
+    const payloadText = decodeBase64Text(payloadPart, 'base64url');
+    if (headerText === null || payloadText === null) return null;
+    const header = parseJsonObject(headerText);
+    const claims = parseJsonObject(payloadText);
+    if (!header || typeof header !== 'object' || !header.alg || !claims || typeof claims !== 'object') return null;
+    return {
+        layer: { type: 'jwt', headerPart, signature, padded: /=$/.test(payloadPart) },
+        decoded: JSON.stringify(claims, null, 2),
+        jwt: { header, claims, signature, verified: false }
+    };
+}
+
+function tryJson(text) {
+    const parsed = parseJsonObject(text);
+    if (parsed === undefined || typeof parsed !== 'object' || parsed === null) return null;
+    return {
+        layer: { type: 'json', indent: text.trim() === JSON.stringify(parsed) ? 0 : detectIndent(text) },
+        decoded: JSON.stringify(parsed, null, 2)
+    };
+}
+
+function detectIndent(text) {
+    const match = /\n([ \t]+)\S/.exec(text);
+    return match ? match[1] : 0;
+}
+
+function tryUrl(text) {
+    if (!/%[0-9A-Fa-f]{2}/.test(text)) return null;
+    let decoded;
+    try {
+        decoded = decodeURIComponent(text);
+    } catch (_) {
+        return null;
+    }
+    if (decoded === text) return null;
+    const full = encodeURIComponent(decoded) === text;
+    return { layer: { type: 'url', full, encoded: full ? '' : percentEncodedChars(text) }, decoded };
+}
+
+function tryBase64(text) {
+    if (text.length < MIN_BASE64_LENGTH) return null;
+    const padded = /=$/.test(text);
+    let alphabet = null;
+    if (BASE64_RE.test(text) && (padded || text.length % 4 === 0 || /[+/]/.test(text))) alphabet = 'base64';
+    else if (BASE64URL_RE.test(text)) alphabet = 'base64url';
+    if (!alphabet) return null;
+    const decoded = decodeBase64Text(text, alphabet);
+    if (decoded === null) return null;
+    // Only count it as base64 when the encoding round-trips exactly
+    if (textToBase64(decoded, alphabet, padded) !== text) return null;
+    return { layer: { type: alphabet, padded }, decoded };
+}
+
+/**
+ * Peel every recognizable encoding off a cookie value.
+ * @param {string} value raw cookie value
+ * @returns {{layers: object[], decoded: string, jwt: ?{header:object, claims:object, signature:string, verified:boolean}}}
+ *   layers outermost first, each { type, ... } with type a key of VALUE_LAYERS
+ */
+export function decodeValue(value) {
+    let text = String(value === undefined || value === null ? '' : value);
+    const layers = [];
+    let jwt = null;
+    while (layers.length < MAX_LAYERS) {
+        const step = tryJwt(text) || tryJson(text) || tryUrl(text) || tryBase64(text);
+        if (!step) break;
+        layers.push(step.layer);
+        text = step.decoded;
+        if (step.jwt) jwt = step.jwt;
+        if (step.layer.type === 'jwt' || step.layer.type === 'json') break;
+    }
+    return { layers, decoded: text, jwt };
+}
+
+/**
+ * Re-encode an edited decoded form through the layers it was decoded from.
+ * Throws when the text is not valid JSON for a JSON or JWT layer.
+ * @param {string} text decoded form
+ * @param {object[]} layers from decodeValue, outermost first
+ * @returns {string} cookie value
+ */
+export function encodeValue(text, layers) {
+    let out = String(text);
+    for (let i = layers.length - 1; i >= 0; i--) {
+        const layer = layers[i];
+        switch (layer.type) {
+            case 'jwt': {
+                const claims = parseEditedJson(out, 'JWT claims');
+                out = `${layer.headerPart}.${textToBase64(JSON.stringify(claims), 'base64url', layer.padded)}.${layer.signature}`;
+                break;
+            }
+            case 'json':
+                out = JSON.stringify(parseEditedJson(out, 'JSON'), null, layer.indent || undefined);
+                break;
+            case 'url':
+                out = layer.full ? encodeURIComponent(out) : encodeCookieOctets(out, layer.encoded);
+                break;
+            case 'base64':
+            case 'base64url':
+                out = textToBase64(out, layer.type, layer.padded);
+                break;
+            default:
+                throw new Error(`Unknown encoding: ${layer.type}`);
+        }
+    }
+    return out;
+}
+
+function parseEditedJson(text, label) {
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        throw new Error(`${label} is not valid JSON: ${e.message}`);
+    }
+}
+
+/**
+ * The NumericDate claims of a JWT as dates, with whether the token is expired or not yet valid.
+ * @param {object} claims
+ * @param {number} [now] epoch milliseconds
+ * @returns {{dates: {claim:string, label:string, date:Date}[], expired:boolean, notYetValid:boolean}}
+ */
+export function describeJwtDates(claims, now = Date.now()) {
+    const dates = Object.entries(JWT_DATE_CLAIMS)
+        .filter(([claim]) => typeof claims[claim] === 'number' && Number.isFinite(claims[claim]))
+        .map(([claim, label]) => ({ claim, label, date: new Date(claims[claim] * 1000) }));
+    return {
+        dates,
+        expired: typeof claims.exp === 'number' && claims.exp * 1000 <= now,
+        notYetValid: typeof claims.nbf === 'number' && claims.nbf * 1000 > now
+    };
+}
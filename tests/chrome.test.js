@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Minimal callback-style chrome API; lastError is only set while a callback runs
+const runtime = { lastError: undefined };
+globalThis.chrome = {
+    runtime,
+    storage: { local: {} },
+    cookies: {
+        remove(details, callback) {
+            if (details.name === 'locked') {
+                runtime.lastError = { message: 'No host permissions for cookies at url' };
+                callback(undefined);
+                runtime.lastError = undefined;
+            } else {
+                callback(details.name === 'missing' ? null : { name: details.name, url: details.url });
+            }
+        }
+    }
+};
+
+const { cookiesRemove } = await import('../src/utils/chrome.js');
+
+test('cookiesRemove resolves to the removed cookie', async () => {
+    assert.deepEqual(await cookiesRemove({ name: 'sid', url: 'https://example.com/' }), { name: 'sid', url: 'https://example.com/' });
+});
+
+test('cookiesRemove resolves to null when nothing was removed', async () => {
+    assert.equal(await cookiesRemove({ name: 'missing', url: 'https://example.com/' }), null);
+});
+
+test('cookiesRemove rejects on lastError', async () => {
+    await assert.rejects(cookiesRemove({ name: 'locked', url: 'https://example.com/' }), /No host permissions/);
+});
@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { topLevelSiteOf, cookiesForTopLevelSite } from '../src/utils/cookieUtils.js';
+
+test('topLevelSiteOf keeps the scheme and the registrable domain', () => {
+    assert.equal(topLevelSiteOf('https://www.news.example.co.uk/story?id=1'), 'https://example.co.uk');
+    assert.equal(topLevelSiteOf('http://localhost:8080/'), 'http://localhost');
+    assert.equal(topLevelSiteOf('chrome://settings'), '');
+});
+
+test('a third-party frame sends the cookies partitioned under the embedding page', () => {
+    const frameCookies = [
+        { name: 'session', domain: 'widget.example' },
+        { name: 'embed', domain: 'widget.example', partitionKey: { topLevelSite: 'https://news.example' } },
+        { name: 'embed', domain: 'widget.example', partitionKey: { topLevelSite: 'https://shop.example' } },
+        { name: 'own', domain: 'widget.example', partitionKey: { topLevelSite: 'https://widget.example' } }
+    ];
+    // Frame https://app.widget.example/ embedded in https://www.news.example/
+    const sent = cookiesForTopLevelSite(frameCookies, topLevelSiteOf('https://www.news.example/'));
+    assert.deepEqual(sent.map((c) => `${c.name}@${c.partitionKey ? c.partitionKey.topLevelSite : '-'}`), [
+        'session@-',
+        'embed@https://news.example'
+    ]);
+});
@@ -0,0 +1,18 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encryptExport, decryptExport } from '../src/utils/exportCrypto.js';
+
+const PASSPHRASE = 'correct horse battery';
+
+test('decryptExport reads back what encryptExport wrote', async () => {
+    const envelope = await encryptExport('[]', PASSPHRASE, { contentFormat: 'json' });
+    assert.deepEqual(await decryptExport(envelope, PASSPHRASE), { plaintext: '[]', contentFormat: 'json' });
+});
+
+test('decryptExport rejects an unreasonable iteration count before deriving a key', async () => {
+    const envelope = JSON.parse(await encryptExport('[]', PASSPHRASE, { contentFormat: 'json' }));
+    envelope.kdf.iterations = 2 ** 31;
+    const started = Date.now();
+    await assert.rejects(decryptExport(JSON.stringify(envelope), PASSPHRASE), (err) => err.code === 'corrupt_data');
+    assert.ok(Date.now() - started < 1000);
+});
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { replaceCookies } from '../src/utils/profiles.js';
+
+const cookie = (name, value) => ({ name, value, domain: 'example.com', path: '/' });
+
+// In-memory cookie jar standing in for chrome.cookies
+function createJar(cookies, { failRemove } = {}) {
+    const jar = new Map(cookies.map((c) => [c.name, c]));
+    return {
+        jar,
+        remove: async (c) => {
+            if (c.name === failRemove || !jar.has(c.name)) return null;
+            jar.delete(c.name);
+            return { name: c.name };
+        },
+        set: async (c) => {
+            jar.set(c.name, c);
+            return c;
+        }
+    };
+}
+
+test('replaceCookies swaps the previous cookies for the new ones', async () => {
+    const previous = [cookie('sid', 'old'), cookie('theme', 'dark')];
+    const { jar, remove, set } = createJar(previous);
+    const written = await replaceCookies(previous, [cookie('sid', 'new')], { remove, set });
+    assert.equal(written.length, 1);
+    assert.deepEqual(Array.from(jar.values()), [cookie('sid', 'new')]);
+});
+
+test('replaceCookies rolls back when a remove fails', async () => {
+    const previous = [cookie('sid', 'old'), cookie('user', 'alice'), cookie('theme', 'dark')];
+    const { jar, remove, set } = createJar(previous, { failRemove: 'user' });
+    await assert.rejects(
+        replaceCookies(previous, [cookie('sid', 'new'), cookie('user', 'bob')], { remove, set }),
+        /Could not remove cookie user/
+    );
+    assert.deepEqual(
+        Array.from(jar.values()).sort((a, b) => a.name.localeCompare(b.name)),
+        [cookie('sid', 'old'), cookie('theme', 'dark'), cookie('user', 'alice')]
+    );
+});
+
+test('replaceCookies removes the cookies it wrote when a write fails', async () => {
+    const previous = [cookie('sid', 'old')];
+    const { jar, remove } = createJar(previous);
+    const set = async (c) => {
+        if (c.value === 'broken') throw new Error('invalid cookie');
+        jar.set(c.name, c);
+    };
+    await assert.rejects(replaceCookies(previous, [cookie('user', 'bob'), cookie('x', 'broken')], { remove, set }), /invalid cookie/);
+    assert.deepEqual(Array.from(jar.values()), [cookie('sid', 'old')]);
+});
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// chrome.storage.local with asynchronous callbacks, so unserialized updates would interleave
+const store = {};
+const later = (fn) => setTimeout(fn, 1);
+globalThis.chrome = {
+    runtime: {},
+    storage: {
+        local: {
+            get(keys, callback) {
+                const out = {};
+                for (const key of keys) if (key in store) out[key] = structuredClone(store[key]);
+                later(() => callback(out));
+            },
+            set(obj, callback) {
+                later(() => {
+                    Object.assign(store, structuredClone(obj));
+                    callback();
+                });
+            }
+        }
+    }
+};
+
+const { getSettings, updateSettings } = await import('../src/utils/settings.js');
+
+test('overlapping updateSettings calls keep every patch', async () => {
+    await Promise.all([
+        updateSettings({ protectedCookies: [{ domain: 'example.com', name: 'sid' }] }),
+        updateSettings({ badge: { mode: 'off' } }),
+        updateSettings({ autoCleanup: { enabled: true, graceSeconds: 60 } })
+    ]);
+    const settings = await getSettings();
+    assert.deepEqual(settings.protectedCookies, [{ domain: 'example.com', name: 'sid' }]);
+    assert.deepEqual(settings.badge, { mode: 'off' });
+    assert.equal(settings.autoCleanup.enabled, true);
+});